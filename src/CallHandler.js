@@ -16,7 +16,9 @@ limitations under the License.
 */
 
 /*
- * Manages a list of all the currently active calls.
+ * Manages a list of all the currently active calls. There can be a call in
+ * each room, but only one of them is going on at a time: the others are on
+ * hold.
  *
  * This handler dispatches when voip calls are added/updated/removed from this list:
  * {
@@ -27,13 +29,15 @@ limitations under the License.
  * To know the state of the call, this handler exposes a getter to
  * obtain the call for a room:
  *   var call = CallHandler.getCall(roomId)
- *   var state = call.call_state; // ringing|ringback|connected|ended|busy|stop_ringback|stop_ringing
+ *   var state = call.call_state; // ringing|ringback|connected|held|ended|busy|stop_ringback|stop_ringing
  *
  * This handler listens for and handles the following actions:
  * {
  *   action: 'place_call',
- *   type: 'voice|video',
+ *   type: 'voice|video|screensharing',
  *   room_id: <room that the place call button was pressed in>
+ *   screen_stream: <for screensharing, the MediaStream from getDisplayMedia, if
+ *                   the browser has it>
  * }
  *
  * {
@@ -50,6 +54,27 @@ limitations under the License.
  *   action: 'answer'
  *   room_id: <room that the answer button was pressed in>
  * }
+ *
+ * {
+ *   action: 'hold_call'
+ *   room_id: <room of the call to put on hold>
+ * }
+ *
+ * {
+ *   action: 'resume_call'
+ *   room_id: <room of the held call to go back to, holding the current one>
+ * }
+ *
+ * {
+ *   action: 'transfer_call'
+ *   room_id: <room of the call whose other party is being transferred>
+ *   target_room_id: <room of the call with who they are being transferred to>
+ * }
+ *
+ * {
+ *   action: 'call_replaces'
+ *   event: <m.call.replaces event asking us to move to another call>
+ * }
  */
 
 import MatrixClientPeg from './MatrixClientPeg';
@@ -59,19 +84,25 @@ import sdk from './index';
 import { _t } from './languageHandler';
 import Matrix from 'matrix-js-sdk';
 import dis from './dispatcher';
-import SdkConfig from './SdkConfig';
 import { showUnknownDeviceDialogForCalls } from './cryptodevices';
-import WidgetUtils from './utils/WidgetUtils';
-import WidgetEchoStore from './stores/WidgetEchoStore';
-import ScalarAuthClient from './ScalarAuthClient';
 import * as cryptodevices from './cryptodevices';
 import Resend from './Resend';
+import DMRoomMap from './utils/DMRoomMap';
+import CallStats from './CallStats';
+import * as ScreenSharing from './ScreenSharing';
+import { getConfiguredConferenceHandler, isConferenceBackendConfigured } from './ConferenceBackends';
 
 global.mxCalls = {
     //room_id: MatrixCall
 };
 const calls = global.mxCalls;
-let ConferenceHandler = null;
+// the conference handler the app has set, if any: undefined if it hasn't, as
+// null means it has turned conference calls off
+let ConferenceHandler;
+
+// whether the microphone and camera of each held call (by call ID) were
+// muted before it was held, to put them back as they were when it's resumed
+const heldMediaState = {};
 
 const audioPromises = {};
 
@@ -192,6 +223,170 @@ function _setCallListeners(call) {
     });
 }
 
+/*
+ * The js-sdk can't renegotiate a call to put it on hold, so holding one just
+ * stops our media going either way: the other side hears silence until it's
+ * resumed.
+ */
+function _setCallHeld(call, held) {
+    if (held) {
+        heldMediaState[call.callId] = {
+            microphone: call.isMicrophoneMuted(),
+            video: call.isLocalVideoMuted(),
+        };
+        call.setMicrophoneMuted(true);
+        call.setLocalVideoMuted(true);
+        ScreenSharing.setScreenSharingPaused(call, true);
+    } else {
+        const mediaState = heldMediaState[call.callId] || {microphone: false, video: false};
+        delete heldMediaState[call.callId];
+        call.setMicrophoneMuted(mediaState.microphone);
+        call.setLocalVideoMuted(mediaState.video);
+        ScreenSharing.setScreenSharingPaused(call, false);
+    }
+    // all calls play their audio through the same element, so a call being
+    // resumed has to take it back from whichever call last had it
+    const audioElement = call.getRemoteAudioElement();
+    if (audioElement) {
+        if (!held) call.setRemoteAudioElement(audioElement);
+        audioElement.muted = held;
+    }
+    _setCallState(call, call.roomId, held ? 'held' : 'connected');
+}
+
+/*
+ * Holds the call going on, if any, to make way for another.
+ * Returns false if it can't be held as it hasn't been answered yet.
+ */
+function _holdActiveCall() {
+    const activeCall = module.exports.getAnyActiveCall();
+    if (!activeCall || activeCall.call_state === 'ringing') return true;
+    if (activeCall.call_state !== 'connected') return false;
+    _setCallHeld(activeCall, true);
+    return true;
+}
+
+// the other person in the room of a 1:1 call
+function _getCallPeer(call) {
+    const cli = MatrixClientPeg.get();
+    const room = cli.getRoom(call.roomId);
+    if (!room) return null;
+    return room.getJoinedMembers().find((m) => m.userId !== cli.getUserId()) || null;
+}
+
+/*
+ * Attended transfer, as in MSC2747: tells the other parties of both calls
+ * to call each other instead, then hangs up on them.
+ */
+async function _transferCall(transfereeCall, targetCall) {
+    const cli = MatrixClientPeg.get();
+    const transferee = _getCallPeer(transfereeCall);
+    const target = _getCallPeer(targetCall);
+    if (!transferee || !target) {
+        const ErrorDialog = sdk.getComponent('dialogs.ErrorDialog');
+        Modal.createTrackedDialog('Call Transfer Failed', 'No peer', ErrorDialog, {
+            title: _t('Transfer Failed'),
+            description: _t("Couldn't find who is on the other end of both calls."),
+        });
+        return;
+    }
+
+    const replacementId = Date.now() + '-' + Math.random().toString(36).substr(2);
+    const userInfo = (member) => ({
+        id: member.userId,
+        display_name: member.name,
+        avatar_url: member.getMxcAvatarUrl(),
+    });
+    try {
+        await cli.sendEvent(transfereeCall.roomId, 'm.call.replaces', {
+            call_id: transfereeCall.callId,
+            version: 0,
+            replacement_id: replacementId,
+            target_user: userInfo(target),
+            create_call: replacementId,
+        });
+        await cli.sendEvent(targetCall.roomId, 'm.call.replaces', {
+            call_id: targetCall.callId,
+            version: 0,
+            replacement_id: replacementId,
+            target_user: userInfo(transferee),
+            await_call: replacementId,
+        });
+    } catch (err) {
+        console.error("Failed to transfer call", err);
+        const ErrorDialog = sdk.getComponent('dialogs.ErrorDialog');
+        Modal.createTrackedDialog('Call Transfer Failed', '', ErrorDialog, {
+            title: _t('Transfer Failed'),
+            description: _t('Failed to transfer the call: %(message)s', {message: err.message}),
+        });
+        return;
+    }
+
+    for (const call of [transfereeCall, targetCall]) {
+        call.hangup('replaced');
+        _setCallState(null, call.roomId, 'ended');
+    }
+}
+
+/*
+ * The other side of a transfer: if the other party of one of our calls is
+ * moving us to someone else, offer to call them. Being the one awaiting the
+ * new call needs nothing doing, as it will just ring.
+ */
+function _onCallReplaces(ev) {
+    const cli = MatrixClientPeg.get();
+    const content = ev.getContent();
+    const call = calls[ev.getRoomId()];
+    if (ev.getSender() === cli.getUserId() || !content.create_call || !content.target_user) return;
+    if (!call || call.callId !== content.call_id || call.call_state === 'ended') return;
+
+    const targetUserId = content.target_user.id;
+    let targetRoomId = content.target_room;
+    if (!targetRoomId || !cli.getRoom(targetRoomId)) {
+        // no room was picked for us, so look for a DM with them
+        targetRoomId = DMRoomMap.shared().getDMRoomsForUserId(targetUserId).find((roomId) => {
+            const room = cli.getRoom(roomId);
+            return room && room.getJoinedMemberCount() === 2 && room.getMember(targetUserId) &&
+                room.getMember(targetUserId).membership === 'join';
+        });
+    }
+
+    const sender = ev.sender ? ev.sender.name : ev.getSender();
+    const target = content.target_user.display_name || targetUserId;
+    if (!targetRoomId) {
+        const ErrorDialog = sdk.getComponent('dialogs.ErrorDialog');
+        Modal.createTrackedDialog('Call Transfer Failed', 'No DM', ErrorDialog, {
+            title: _t('Transfer Failed'),
+            description: _t(
+                "%(senderName)s tried to transfer your call to %(targetName)s, " +
+                "but you don't have a direct chat with them to call them in.",
+                {senderName: sender, targetName: target},
+            ),
+        });
+        return;
+    }
+
+    const QuestionDialog = sdk.getComponent('dialogs.QuestionDialog');
+    Modal.createTrackedDialog('Call Transfer', '', QuestionDialog, {
+        title: _t('Call Transfer'),
+        description: _t("%(senderName)s wants to transfer your call to %(targetName)s.", {
+            senderName: sender,
+            targetName: target,
+        }),
+        button: _t('Call %(targetName)s', {targetName: target}),
+        onFinished: (confirmed) => {
+            if (!confirmed) return;
+            const type = call.type;
+            if (call.call_state !== 'ended') {
+                call.hangup('replaced');
+                _setCallState(null, call.roomId, 'ended');
+            }
+            dis.dispatch({action: 'view_room', room_id: targetRoomId});
+            dis.dispatch({action: 'place_call', room_id: targetRoomId, type});
+        },
+    });
+}
+
 function _setCallState(call, roomId, status) {
     console.log(
         'Call state in %s changed to %s (%s)',
@@ -199,6 +394,14 @@ function _setCallState(call, roomId, status) {
         status,
         call ? call.call_state : '-'
     );
+    if (status === 'ended' && calls[roomId]) {
+        delete heldMediaState[calls[roomId].callId];
+        CallStats.stopCall(calls[roomId]);
+        ScreenSharing.forgetCall(calls[roomId]);
+    }
+    if (status === 'connected' && call) {
+        CallStats.startCall(call);
+    }
     calls[roomId] = call;
 
     if (status === 'ringing') {
@@ -218,6 +421,14 @@ function _setCallState(call, roomId, status) {
 }
 
 function _onAction(payload) {
+    // the screen to share is picked before the call is placed, so it has
+    // to be let go of if the call isn't placed after all
+    function releaseScreen() {
+        if (payload.screen_stream) {
+            payload.screen_stream.getTracks().forEach((track) => track.stop());
+        }
+    }
+
     function placeCall(newCall) {
         _setCallListeners(newCall);
         if (payload.type === 'voice') {
@@ -227,6 +438,13 @@ function _onAction(payload) {
                 payload.remote_element,
                 payload.local_element
             );
+        } else if (payload.type === 'screensharing' && payload.screen_stream) {
+            // the screen is shared in a video call, in place of the camera
+            newCall.placeVideoCall(
+                payload.remote_element,
+                payload.local_element,
+            );
+            ScreenSharing.shareScreenWhenPlaced(newCall, payload.screen_stream);
         } else if (payload.type === 'screensharing') {
             const screenCapErrorString = PlatformPeg.get().screenCaptureErrorString();
             if (screenCapErrorString) {
@@ -256,7 +474,13 @@ function _onAction(payload) {
     switch (payload.action) {
         case 'place_call':
             {
-                if (module.exports.getAnyActiveCall()) {
+                const existingCall = calls[payload.room_id];
+                const activeCall = module.exports.getAnyActiveCall();
+                // only a call which has been answered can be put on hold for a new one
+                if (
+                    (existingCall && existingCall.call_state !== 'ended') ||
+                    (activeCall && activeCall.call_state !== 'connected')
+                ) {
                     const ErrorDialog = sdk.getComponent('dialogs.ErrorDialog');
                     Modal.createTrackedDialog(
                         'Call Handler',
@@ -267,7 +491,8 @@ function _onAction(payload) {
                             description: _t('You are already in a call.')
                         }
                     );
-                    return; // don't allow >1 call to be placed.
+                    releaseScreen();
+                    return;
                 }
 
                 // if the runtime env doesn't do VoIP, whine.
@@ -284,12 +509,14 @@ function _onAction(payload) {
                             )
                         }
                     );
+                    releaseScreen();
                     return;
                 }
 
                 const room = MatrixClientPeg.get().getRoom(payload.room_id);
                 if (!room) {
                     console.error('Room %s does not exist.', payload.room_id);
+                    releaseScreen();
                     return;
                 }
 
@@ -306,6 +533,7 @@ function _onAction(payload) {
                             )
                         }
                     );
+                    releaseScreen();
                     return;
                 } else if (members.length === 2) {
                     console.log(
@@ -317,9 +545,12 @@ function _onAction(payload) {
                         MatrixClientPeg.get(),
                         payload.room_id
                     );
+                    _holdActiveCall();
                     placeCall(call);
                 } else {
                     // > 2
+                    // conference calls can't share a screen
+                    releaseScreen();
                     dis.dispatch({
                         action: 'place_conference_call',
                         room_id: payload.room_id,
@@ -331,13 +562,43 @@ function _onAction(payload) {
             }
             break;
         case 'place_conference_call':
-            console.log('Place conference call in %s', payload.room_id);
-            _startCallApp(payload.room_id, payload.type);
+            {
+                console.log('Place conference call in %s', payload.room_id);
+                const confHandler = module.exports.getConferenceHandler();
+                if (!confHandler) {
+                    const ErrorDialog = sdk.getComponent('dialogs.ErrorDialog');
+                    Modal.createTrackedDialog('Call Handler', 'No conference backend', ErrorDialog, {
+                        title: _t('Conference calls are unavailable'),
+                        description: _t(
+                            'Calls with more than one other person need a conferencing service, ' +
+                            'and none has been set up. Ask the administrator of this app to configure one.',
+                        ),
+                    });
+                    return;
+                }
+                confHandler.startConference(payload.room_id, payload.type).then((call) => {
+                    // backends which call a conference bot leave placing the call to us
+                    if (call) placeCall(call);
+                }).catch((err) => {
+                    console.error("Failed to start conference call", err);
+                    const ErrorDialog = sdk.getComponent('dialogs.ErrorDialog');
+                    Modal.createTrackedDialog('Call Handler', 'Conference failed', ErrorDialog, {
+                        title: _t('Call Failed'),
+                        description: _t('The conference call could not be started.'),
+                    });
+                });
+            }
             break;
         case 'incoming_call':
             {
-                if (module.exports.getAnyActiveCall()) {
-                    // ignore multiple incoming calls. in future, we may want a line-1/line-2 setup.
+                const existingCall = calls[payload.call.roomId];
+                const activeCall = module.exports.getAnyActiveCall();
+                if (
+                    (existingCall && existingCall.call_state !== 'ended') ||
+                    (activeCall && activeCall.call_state !== 'connected')
+                ) {
+                    // only ring for a call if it could be answered by holding the current one,
+                    // so ignore it if another is ringing or being placed.
                     // we avoid rejecting with "busy" in case the user wants to answer it on a different device.
                     // in future we could signal a "local busy" as a warning to the caller.
                     // see https://github.com/vector-im/vector-web/issues/1964
@@ -365,6 +626,9 @@ function _onAction(payload) {
             if (!calls[payload.room_id]) {
                 return; // no call to answer
             }
+            if (!_holdActiveCall()) {
+                return; // another call is still being placed
+            }
             calls[payload.room_id].answer();
             _setCallState(calls[payload.room_id], payload.room_id, 'connected');
             dis.dispatch({
@@ -372,144 +636,41 @@ function _onAction(payload) {
                 room_id: payload.room_id
             });
             break;
-    }
-}
-
-async function _startCallApp(roomId, type) {
-    // check for a working integrations manager. Technically we could put
-    // the state event in anyway, but the resulting widget would then not
-    // work for us. Better that the user knows before everyone else in the
-    // room sees it.
-    const scalarClient = new ScalarAuthClient();
-    let haveScalar = false;
-    try {
-        await scalarClient.connect();
-        haveScalar = scalarClient.hasCredentials();
-    } catch (e) {
-        // fall through
-    }
-    if (!haveScalar) {
-        const ErrorDialog = sdk.getComponent('dialogs.ErrorDialog');
-
-        Modal.createTrackedDialog(
-            'Could not connect to the integration server',
-            '',
-            ErrorDialog,
+        case 'hold_call':
             {
-                title: _t('Could not connect to the integration server'),
-                description: _t(
-                    'A conference call could not be started because the integrations server is not available'
-                )
+                const call = calls[payload.room_id];
+                if (!call || call.call_state !== 'connected') {
+                    return; // no call to hold
+                }
+                _setCallHeld(call, true);
             }
-        );
-        return;
-    }
-
-    dis.dispatch({
-        action: 'appsDrawer',
-        show: true
-    });
-
-    const room = MatrixClientPeg.get().getRoom(roomId);
-    const currentRoomWidgets = WidgetUtils.getRoomWidgets(room);
-
-    if (
-        WidgetEchoStore.roomHasPendingWidgetsOfType(
-            roomId,
-            currentRoomWidgets,
-            'jitsi'
-        )
-    ) {
-        const ErrorDialog = sdk.getComponent('dialogs.ErrorDialog');
-
-        Modal.createTrackedDialog('Call already in progress', '', ErrorDialog, {
-            title: _t('Call in Progress'),
-            description: _t('A call is currently being placed!')
-        });
-        return;
-    }
-
-    const currentJitsiWidgets = currentRoomWidgets.filter(ev => {
-        return ev.getContent().type === 'jitsi';
-    });
-    if (currentJitsiWidgets.length > 0) {
-        console.warn(
-            'Refusing to start conference call widget in ' +
-                roomId +
-                ' a conference call widget is already present'
-        );
-        const ErrorDialog = sdk.getComponent('dialogs.ErrorDialog');
-
-        Modal.createTrackedDialog(
-            'Already have Jitsi Widget',
-            '',
-            ErrorDialog,
+            break;
+        case 'resume_call':
             {
-                title: _t('Call in Progress'),
-                description: _t('A call is already in progress!')
+                const call = calls[payload.room_id];
+                if (!call || call.call_state !== 'held') {
+                    return; // no call to resume
+                }
+                if (!_holdActiveCall()) {
+                    return; // another call is still being placed
+                }
+                _setCallHeld(call, false);
             }
-        );
-        return;
-    }
-
-    // This inherits its poor naming from the field of the same name that goes into
-    // the event. It's just a random string to make the Jitsi URLs unique.
-    const widgetSessionId = Math.random()
-        .toString(36)
-        .substring(2);
-    const confId = room.roomId.replace(/[^A-Za-z0-9]/g, '') + widgetSessionId;
-    // NB. we can't just encodeURICompoent all of these because the $ signs need to be there
-    // (but currently the only thing that needs encoding is the confId)
-    const queryString = [
-        'confId=' + encodeURIComponent(confId),
-        'isAudioConf=' + (type === 'voice' ? 'true' : 'false'),
-        'displayName=$matrix_display_name',
-        'avatarUrl=$matrix_avatar_url',
-        'email=$matrix_user_id'
-    ].join('&');
-
-    let widgetUrl;
-    if (SdkConfig.get().integrations_jitsi_widget_url) {
-        // Try this config key. This probably isn't ideal as a way of discovering this
-        // URL, but this will at least allow the integration manager to not be hardcoded.
-        widgetUrl =
-            SdkConfig.get().integrations_jitsi_widget_url + '?' + queryString;
-    } else {
-        widgetUrl =
-            SdkConfig.get().integrations_rest_url +
-            '/widgets/jitsi.html?' +
-            queryString;
-    }
-
-    const widgetData = { widgetSessionId };
-
-    const widgetId =
-        'jitsi_' + MatrixClientPeg.get().credentials.userId + '_' + Date.now();
-
-    WidgetUtils.setRoomWidget(
-        roomId,
-        widgetId,
-        'jitsi',
-        widgetUrl,
-        'Jitsi',
-        widgetData
-    )
-        .then(() => {
-            console.log('Jitsi widget added');
-        })
-        .catch(e => {
-            if (e.errcode === 'M_FORBIDDEN') {
-                const ErrorDialog = sdk.getComponent('dialogs.ErrorDialog');
-
-                Modal.createTrackedDialog('Call Failed', '', ErrorDialog, {
-                    title: _t('Permission Required'),
-                    description: _t(
-                        'You do not have permission to start a conference call in this room'
-                    )
-                });
+            break;
+        case 'transfer_call':
+            {
+                const transfereeCall = calls[payload.room_id];
+                const targetCall = calls[payload.target_room_id];
+                if (!transfereeCall || !targetCall || transfereeCall === targetCall) {
+                    return;
+                }
+                _transferCall(transfereeCall, targetCall);
             }
-            console.error(e);
-        });
+            break;
+        case 'call_replaces':
+            _onCallReplaces(payload.event);
+            break;
+    }
 }
 
 // FIXME: Nasty way of making sure we only register
@@ -523,8 +684,9 @@ const callHandler = {
         let call = module.exports.getCall(roomId);
         if (call) return call;
 
-        if (ConferenceHandler) {
-            call = ConferenceHandler.getConferenceCallForRoom(roomId);
+        const confHandler = module.exports.getConferenceHandler();
+        if (confHandler) {
+            call = confHandler.getConferenceCallForRoom(roomId);
         }
         if (call) return call;
 
@@ -535,44 +697,61 @@ const callHandler = {
         return calls[roomId] || null;
     },
 
+    /**
+     * @returns {MatrixCall} The call going on, or being placed, which isn't
+     *     on hold. If there isn't one, a call which is ringing.
+     */
     getAnyActiveCall: function() {
-        const roomsWithCalls = Object.keys(calls);
-        for (let i = 0; i < roomsWithCalls.length; i++) {
-            if (
-                calls[roomsWithCalls[i]] &&
-                calls[roomsWithCalls[i]].call_state !== 'ended'
-            ) {
-                return calls[roomsWithCalls[i]];
-            }
+        let ringingCall = null;
+        for (const call of Object.values(calls)) {
+            if (!call || call.call_state === 'ended' || call.call_state === 'held') continue;
+            // a call ringing while we're in another isn't the one going on
+            if (call.call_state !== 'ringing') return call;
+            ringingCall = ringingCall || call;
         }
-        return null;
+        return ringingCall;
+    },
+
+    /**
+     * @returns {MatrixCall[]} The calls which are on hold.
+     */
+    getHeldCalls: function() {
+        return Object.values(calls).filter((call) => call && call.call_state === 'held');
     },
 
     /**
      * The conference handler is a module that deals with implementation-specific
-     * multi-party calling implementations. Riot passes in its own which creates
-     * a one-to-one call with a freeswitch conference bridge. As of July 2018,
-     * the de-facto way of conference calling is a Jitsi widget, so this is
-     * deprecated. It reamins here for two reasons:
-     *  1. So Riot still supports joining existing freeswitch conference calls
-     *     (but doesn't support creating them). After a transition period, we can
-     *     remove support for joining them too.
-     *  2. To hide the one-to-one rooms that old-style conferencing creates. This
-     *     is much harder to remove: probably either we make Riot leave & forget these
-     *     rooms after we remove support for joining freeswitch conferences, or we
-     *     accept that random rooms with cryptic users will suddently appear for
-     *     anyone who's ever used conference calling, or we are stuck with this
-     *     code forever.
+     * multi-party calling implementations: see ConferenceBackends for what they
+     * are and how one is picked by the config. Riot passes in its own which
+     * creates a one-to-one call with a freeswitch conference bridge, which is
+     * used unless the config picks a backend itself.
      *
-     * @param {object} confHandler The conference handler object
+     * Whichever backend is used, VectorConferenceHandler stays around to hide
+     * the one-to-one rooms that old-style conferencing creates. This is much
+     * harder to remove: probably either we make Riot leave & forget these
+     * rooms, or we accept that random rooms with cryptic users will suddenly
+     * appear for anyone who's ever used conference calling, or we are stuck
+     * with this code forever.
+     *
+     * @param {object} confHandler The conference handler object, null to
+     *     disable conference calls, or undefined to leave it to the config.
      */
     setConferenceHandler: function(confHandler) {
         ConferenceHandler = confHandler;
     },
 
+    /**
+     * @returns {object} The conference handler: the one the config picks if
+     *     it picks one, otherwise the one set by the app, otherwise the
+     *     integration manager's Jitsi widget if there is one. Null if there
+     *     isn't one.
+     */
     getConferenceHandler: function() {
+        if (ConferenceHandler === undefined || isConferenceBackendConfigured()) {
+            return getConfiguredConferenceHandler();
+        }
         return ConferenceHandler;
-    }
+    },
 };
 // Only things in here which actually need to be global are the
 // calls list (done separately) and making sure we only register
@@ -0,0 +1,273 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import EventEmitter from 'events';
+
+// how often the stats of the calls going on are collected
+const POLL_INTERVAL_MS = 2000;
+// how many finished calls are summarised in bug reports
+const MAX_FINISHED_CALLS = 5;
+
+function _emptyMediaStats() {
+    return {
+        inbound: null,
+        outbound: null,
+    };
+}
+
+/**
+ * Picks out what is useful for diagnosing a call from a WebRTC stats report.
+ * @param {RTCStatsReport} report From RTCPeerConnection.getStats.
+ * @param {Object} previous What was picked out of the call's last report,
+ *     to work out bitrates from, if there was one.
+ * @return {Object} {timestamp, audio, video, rttMs, localCandidateType,
+ *     remoteCandidateType, protocol}, where audio and video have the
+ *     inbound and outbound streams' stats, or null for those there aren't.
+ */
+export function parseStatsReport(report, previous) {
+    const stats = {
+        timestamp: null,
+        audio: _emptyMediaStats(),
+        video: _emptyMediaStats(),
+        rttMs: null,
+        localCandidateType: null,
+        remoteCandidateType: null,
+        protocol: null,
+    };
+
+    const byId = new Map();
+    report.forEach((stat) => byId.set(stat.id, stat));
+    const codecName = (codecId) => {
+        const codec = codecId && byId.get(codecId);
+        return codec && codec.mimeType ? codec.mimeType.split("/")[1] : null;
+    };
+
+    let selectedPair = null;
+    byId.forEach((stat) => {
+        const kind = stat.kind || stat.mediaType;
+        if (stat.timestamp && (!stats.timestamp || stat.timestamp > stats.timestamp)) {
+            stats.timestamp = stat.timestamp;
+        }
+
+        if (stat.type === 'inbound-rtp' && !stat.isRemote && stats[kind]) {
+            const lost = Math.max(0, stat.packetsLost || 0);
+            const received = stat.packetsReceived || 0;
+            stats[kind].inbound = {
+                bytes: stat.bytesReceived || 0,
+                packetsReceived: received,
+                packetsLost: lost,
+                packetLossPercent: received + lost ? 100 * lost / (received + lost) : 0,
+                jitterMs: stat.jitter !== undefined ? stat.jitter * 1000 : null,
+                codec: codecName(stat.codecId),
+                bitrateKbps: null,
+            };
+        } else if (stat.type === 'outbound-rtp' && !stat.isRemote && stats[kind]) {
+            stats[kind].outbound = {
+                bytes: stat.bytesSent || 0,
+                codec: codecName(stat.codecId),
+                bitrateKbps: null,
+            };
+        } else if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+            selectedPair = byId.get(stat.selectedCandidatePairId) || selectedPair;
+        } else if (stat.type === 'candidate-pair' && !selectedPair && stat.state === 'succeeded' &&
+            (stat.nominated || stat.selected)) {
+            selectedPair = stat;
+        } else if (stat.type === 'remote-inbound-rtp' && stat.roundTripTime !== undefined) {
+            // what the other side says, if the candidate pair doesn't
+            if (stats.rttMs === null) stats.rttMs = stat.roundTripTime * 1000;
+        }
+    });
+
+    if (selectedPair) {
+        if (selectedPair.currentRoundTripTime !== undefined) {
+            stats.rttMs = selectedPair.currentRoundTripTime * 1000;
+        }
+        const local = byId.get(selectedPair.localCandidateId);
+        const remote = byId.get(selectedPair.remoteCandidateId);
+        if (local) {
+            stats.localCandidateType = local.candidateType || null;
+            stats.protocol = local.protocol || null;
+        }
+        if (remote) stats.remoteCandidateType = remote.candidateType || null;
+    }
+
+    // bitrates are from how much has been sent or received since last time
+    if (previous && stats.timestamp > previous.timestamp) {
+        const elapsedMs = stats.timestamp - previous.timestamp;
+        for (const kind of ['audio', 'video']) {
+            for (const direction of ['inbound', 'outbound']) {
+                const now = stats[kind][direction];
+                const before = previous[kind][direction];
+                if (now && before && now.bytes >= before.bytes) {
+                    // bits per millisecond is kilobits per second
+                    now.bitrateKbps = (now.bytes - before.bytes) * 8 / elapsedMs;
+                }
+            }
+        }
+    }
+
+    return stats;
+}
+
+/**
+ * Sums up a call from the first and latest stats collected during it.
+ * @param {Object} first The first stats from parseStatsReport.
+ * @param {Object} last The latest.
+ * @param {number[]} rtts The round trip times seen, in ms.
+ * @return {Object} The averages over the call, and the worst round trip time.
+ */
+export function summariseStats(first, last, rtts) {
+    const summary = {
+        durationSecs: Math.round((last.timestamp - first.timestamp) / 1000),
+        avgRttMs: rtts.length ? Math.round(rtts.reduce((a, b) => a + b, 0) / rtts.length) : null,
+        maxRttMs: rtts.length ? Math.round(Math.max(...rtts)) : null,
+        localCandidateType: last.localCandidateType,
+        remoteCandidateType: last.remoteCandidateType,
+        protocol: last.protocol,
+    };
+    const elapsedMs = last.timestamp - first.timestamp;
+    for (const kind of ['audio', 'video']) {
+        const inbound = last[kind].inbound;
+        const outbound = last[kind].outbound;
+        if (!inbound && !outbound) continue;
+        summary[kind] = {};
+        if (inbound) {
+            const firstBytes = first[kind].inbound ? first[kind].inbound.bytes : 0;
+            summary[kind].inbound = {
+                avgBitrateKbps: elapsedMs > 0 ? Math.round((inbound.bytes - firstBytes) * 8 / elapsedMs) : null,
+                packetLossPercent: Math.round(inbound.packetLossPercent * 10) / 10,
+                jitterMs: inbound.jitterMs !== null ? Math.round(inbound.jitterMs) : null,
+                codec: inbound.codec,
+            };
+        }
+        if (outbound) {
+            const firstBytes = first[kind].outbound ? first[kind].outbound.bytes : 0;
+            summary[kind].outbound = {
+                avgBitrateKbps: elapsedMs > 0 ? Math.round((outbound.bytes - firstBytes) * 8 / elapsedMs) : null,
+                codec: outbound.codec,
+            };
+        }
+    }
+    return summary;
+}
+
+/*
+ * Collects the WebRTC stats of calls while they're connected, for the
+ * stats panel of the call view, and sums them up once they end to be sent
+ * with bug reports. Emits "update" with the call's ID whenever a call has
+ * new stats.
+ */
+class CallStats extends EventEmitter {
+    constructor() {
+        super();
+        // call ID to {call, timer, first, latest, rtts}
+        this._calls = new Map();
+        // summaries of the calls which have ended, latest first
+        this._finished = [];
+    }
+
+    /**
+     * Starts collecting the stats of a call. Does nothing if they already are.
+     * @param {MatrixCall} call The call, which must be connected.
+     */
+    startCall(call) {
+        if (this._calls.has(call.callId)) return;
+        const entry = {
+            call,
+            startedAt: Date.now(),
+            first: null,
+            latest: null,
+            rtts: [],
+        };
+        entry.timer = setInterval(() => this._poll(entry), POLL_INTERVAL_MS);
+        this._calls.set(call.callId, entry);
+        this._poll(entry);
+    }
+
+    /**
+     * Stops collecting the stats of a call, and sums them up for bug reports.
+     * @param {MatrixCall} call The call, which has ended.
+     */
+    stopCall(call) {
+        const entry = this._calls.get(call.callId);
+        if (!entry) return;
+        clearInterval(entry.timer);
+        this._calls.delete(call.callId);
+        this._finished.unshift(this._summarise(entry));
+        this._finished = this._finished.slice(0, MAX_FINISHED_CALLS);
+    }
+
+    /**
+     * @param {MatrixCall} call A call.
+     * @return {Object} Its latest stats, from parseStatsReport, or null if
+     *     there aren't any yet.
+     */
+    getStats(call) {
+        const entry = this._calls.get(call.callId);
+        return entry ? entry.latest : null;
+    }
+
+    /**
+     * @return {Object[]} Summaries of the calls going on, then of the last
+     *     few which have ended.
+     */
+    getCallSummaries() {
+        const ongoing = Array.from(this._calls.values()).map((entry) => this._summarise(entry));
+        return ongoing.concat(this._finished);
+    }
+
+    async _poll(entry) {
+        // the js-sdk doesn't give us the peer connection, so this is its own
+        const peerConn = entry.call.peerConn;
+        if (!peerConn || !peerConn.getStats) return;
+
+        let report;
+        try {
+            report = await peerConn.getStats();
+        } catch (e) {
+            console.warn("Couldn't get call stats", e);
+            return;
+        }
+        // the call may have ended while we were waiting
+        if (!this._calls.has(entry.call.callId)) return;
+
+        const stats = parseStatsReport(report, entry.latest);
+        if (!entry.first) entry.first = stats;
+        entry.latest = stats;
+        if (stats.rttMs !== null) entry.rtts.push(stats.rttMs);
+        this.emit("update", entry.call.callId);
+    }
+
+    _summarise(entry) {
+        const call = entry.call;
+        const summary = {
+            callId: call.callId,
+            roomId: call.roomId,
+            type: call.type,
+            direction: call.direction,
+            startedAt: new Date(entry.startedAt).toISOString(),
+            ongoing: this._calls.has(call.callId),
+            hangupParty: call.hangupParty || null,
+            hangupReason: call.hangupReason || null,
+        };
+        if (entry.first && entry.latest) {
+            Object.assign(summary, summariseStats(entry.first, entry.latest, entry.rtts));
+        }
+        return summary;
+    }
+}
+
+export default new CallStats();
@@ -0,0 +1,88 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/*
+ * Conference calls are made by one of several backends, picked by the
+ * "conference" section of the config:
+ *
+ *   "conference": {
+ *       "backend": "jitsi", // or "freeswitch", or "none"
+ *       "jitsi": {"domain": "meet.example.org"},
+ *       "freeswitch": {"user_prefix": "fs_", "domain": "example.org"}
+ *   }
+ *
+ * If no backend is set, the integration manager's Jitsi widget is used, if
+ * there is an integration manager.
+ *
+ * A backend is an object with:
+ *   isConferenceUser(userId): whether the user is one of its bots, so that
+ *       they can be hidden
+ *   getConferenceUserIdForRoom(roomId): its bot for the room, if it has any
+ *   getConferenceCallForRoom(roomId): the MatrixCall of the conference in the
+ *       room which we're in, if any
+ *   startConference(roomId, type): starts a 'voice' or 'video' conference in
+ *       the room, returning a Promise resolved with a MatrixCall to place, or
+ *       null if the backend has done everything itself
+ */
+
+import SdkConfig from './SdkConfig';
+import * as JitsiConferenceHandler from './JitsiConferenceHandler';
+import VectorConferenceHandler from './VectorConferenceHandler';
+
+export const ConferenceBackend = {
+    Jitsi: "jitsi",
+    FreeSwitch: "freeswitch",
+    None: "none",
+};
+
+const HANDLERS = {
+    [ConferenceBackend.Jitsi]: JitsiConferenceHandler,
+    [ConferenceBackend.FreeSwitch]: VectorConferenceHandler,
+    [ConferenceBackend.None]: null,
+};
+
+/**
+ * @returns {boolean} Whether the config picks a backend itself, rather than
+ *     leaving it to the integration manager.
+ */
+export function isConferenceBackendConfigured() {
+    const config = SdkConfig.get();
+    return Boolean(config.conference && config.conference.backend);
+}
+
+/**
+ * @returns {string} The ConferenceBackend the config picks.
+ */
+export function getConfiguredConferenceBackend() {
+    const config = SdkConfig.get();
+    if (isConferenceBackendConfigured()) {
+        const backend = config.conference.backend;
+        if (HANDLERS[backend] !== undefined) return backend;
+        console.warn(`Unknown conference backend "${backend}": conference calls are disabled`);
+        return ConferenceBackend.None;
+    }
+
+    const haveIntegrationManager = config.integrations_rest_url || config.integrations_jitsi_widget_url;
+    return haveIntegrationManager ? ConferenceBackend.Jitsi : ConferenceBackend.None;
+}
+
+/**
+ * @returns {Object} The backend the config picks, or null if conference
+ *     calls can't be made.
+ */
+export function getConfiguredConferenceHandler() {
+    return HANDLERS[getConfiguredConferenceBackend()];
+}
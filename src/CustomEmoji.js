@@ -0,0 +1,231 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/*
+ * Custom emoji are images which can be used like emoji by typing their
+ * shortcode. They come in packs, which look like:
+ *
+ * {
+ *     "name": "Parrots",
+ *     "emoji": {
+ *         "partyparrot": { "url": "mxc://example.org/abcdef" }
+ *     }
+ * }
+ *
+ * A user's own packs are kept in their account data, under "packs" in an
+ * event of CUSTOM_EMOJI_EVENT_TYPE, keyed by pack ID. A room's packs are
+ * state events of the same type, with the pack ID as the state key, so
+ * everyone in the room can use them.
+ *
+ * Messages include custom emoji as <img data-mx-emoticon> tags, so that people
+ * who don't have the pack still see them, and reactions use the image's mxc URL
+ * as their key.
+ */
+
+import MatrixClientPeg from './MatrixClientPeg';
+
+export const CUSTOM_EMOJI_EVENT_TYPE = "im.vector.custom_emoji";
+
+// the height custom emoji are sent with, and shown at in messages
+const EMOJI_HEIGHT = 32;
+
+const SHORTCODE_REGEX = /^[\w+-]+$/;
+// the mxc URLs go into HTML attributes, so can't have anything that could end one
+const MXC_URL_REGEX = /^mxc:\/\/[^\s"'<>&]+$/;
+
+/**
+ * @param {string} shortcode A custom emoji's shortcode, without colons.
+ * @return {boolean} True if it can be used as one.
+ */
+export function isValidShortcode(shortcode) {
+    return SHORTCODE_REGEX.test(shortcode);
+}
+
+/**
+ * Tidies up a pack from account data or room state, dropping anything that
+ * doesn't look like a custom emoji.
+ * @param {Object} pack The pack.
+ * @return {Object} The pack, or null if it has no name or no usable emoji.
+ */
+export function parseEmojiPack(pack) {
+    if (!pack || typeof pack.name !== "string" || !pack.name.trim()) return null;
+
+    const emoji = {};
+    for (const [shortcode, image] of Object.entries(pack.emoji || {})) {
+        if (!isValidShortcode(shortcode)) continue;
+        if (!image || typeof image.url !== "string" || !MXC_URL_REGEX.test(image.url)) continue;
+        emoji[shortcode] = {url: image.url};
+    }
+    if (!Object.keys(emoji).length) return null;
+    return {name: pack.name.trim(), emoji};
+}
+
+function getUserPacksContent() {
+    const event = MatrixClientPeg.get().getAccountData(CUSTOM_EMOJI_EVENT_TYPE);
+    return (event && event.getContent().packs) || {};
+}
+
+/**
+ * @return {Object[]} The user's own packs, with their IDs as "id".
+ */
+export function getUserEmojiPacks() {
+    const packs = [];
+    for (const [id, content] of Object.entries(getUserPacksContent())) {
+        const pack = parseEmojiPack(content);
+        if (pack) packs.push(Object.assign({id}, pack));
+    }
+    return packs;
+}
+
+/**
+ * @param {Room} room The room.
+ * @return {Object[]} The room's packs, with their IDs as "id".
+ */
+export function getRoomEmojiPacks(room) {
+    const packs = [];
+    for (const event of room.currentState.getStateEvents(CUSTOM_EMOJI_EVENT_TYPE)) {
+        const pack = parseEmojiPack(event.getContent());
+        if (pack) packs.push(Object.assign({id: event.getStateKey()}, pack));
+    }
+    return packs;
+}
+
+/**
+ * @return {string} An ID for a new pack.
+ */
+export function makeEmojiPackId() {
+    return `pack.${Date.now()}`;
+}
+
+/**
+ * Adds or replaces one of the user's packs.
+ * @param {Object} pack The pack, with its ID as "id".
+ * @return {Promise} Resolved once the pack has been saved.
+ */
+export function saveUserEmojiPack(pack) {
+    const packs = Object.assign({}, getUserPacksContent(), {
+        [pack.id]: {name: pack.name, emoji: pack.emoji},
+    });
+    return MatrixClientPeg.get().setAccountData(CUSTOM_EMOJI_EVENT_TYPE, {packs});
+}
+
+/**
+ * @param {string} id The ID of one of the user's packs.
+ * @return {Promise} Resolved once the pack has been removed.
+ */
+export function deleteUserEmojiPack(id) {
+    const packs = Object.assign({}, getUserPacksContent());
+    delete packs[id];
+    return MatrixClientPeg.get().setAccountData(CUSTOM_EMOJI_EVENT_TYPE, {packs});
+}
+
+/**
+ * Adds or replaces one of a room's packs.
+ * @param {string} roomId The ID of the room.
+ * @param {Object} pack The pack, with its ID as "id".
+ * @return {Promise} Resolved once the pack has been saved.
+ */
+export function saveRoomEmojiPack(roomId, pack) {
+    return MatrixClientPeg.get().sendStateEvent(
+        roomId, CUSTOM_EMOJI_EVENT_TYPE, {name: pack.name, emoji: pack.emoji}, pack.id,
+    );
+}
+
+/**
+ * @param {string} roomId The ID of the room.
+ * @param {string} id The ID of one of the room's packs.
+ * @return {Promise} Resolved once the pack has been removed.
+ */
+export function deleteRoomEmojiPack(roomId, id) {
+    // state can't be deleted, so an empty pack stands for a removed one
+    return MatrixClientPeg.get().sendStateEvent(roomId, CUSTOM_EMOJI_EVENT_TYPE, {}, id);
+}
+
+/**
+ * Gets all the custom emoji which can be used in a room: the user's own,
+ * then the room's. Where two have the same shortcode, the first is used.
+ * @param {Room} room The room, or null for just the user's own.
+ * @return {Object[]} The emoji, as {shortcode, url, packName}, where the
+ *     shortcode includes its colons.
+ */
+export function getCustomEmoji(room) {
+    const packs = getUserEmojiPacks().concat(room ? getRoomEmojiPacks(room) : []);
+    const emoji = new Map();
+    for (const pack of packs) {
+        for (const [name, {url}] of Object.entries(pack.emoji)) {
+            const shortcode = `:${name}:`;
+            if (!emoji.has(shortcode)) emoji.set(shortcode, {shortcode, url, packName: pack.name});
+        }
+    }
+    return Array.from(emoji.values());
+}
+
+/**
+ * @param {string} url The mxc URL of a custom emoji, eg. the key of a reaction.
+ * @param {Room} room The room it was used in.
+ * @return {string} Its shortcode, with colons, or null if neither the user
+ *     nor the room has it in a pack.
+ */
+export function getCustomEmojiShortcode(url, room) {
+    const emoji = getCustomEmoji(room).find((e) => e.url === url);
+    return emoji ? emoji.shortcode : null;
+}
+
+/**
+ * @param {string} key The key of a reaction.
+ * @return {boolean} True if the reaction is with a custom emoji.
+ */
+export function isCustomEmojiReaction(key) {
+    return typeof key === "string" && key.startsWith("mxc://");
+}
+
+/**
+ * @param {string} text Some text, eg. a message being sent.
+ * @param {Object[]} customEmoji Custom emoji, from getCustomEmoji.
+ * @return {Object[]} The custom emoji whose shortcodes are in the text.
+ */
+export function findCustomEmoji(text, customEmoji) {
+    return customEmoji.filter((emoji) => text.includes(emoji.shortcode));
+}
+
+/**
+ * Replaces custom emoji shortcodes in the HTML of a message with the images
+ * they stand for. Shortcodes in tags or in code aren't changed.
+ * @param {string} html The HTML.
+ * @param {Object[]} customEmoji The custom emoji to look for, from getCustomEmoji.
+ * @return {string} The HTML with the shortcodes replaced.
+ */
+export function customEmojiToHtml(html, customEmoji) {
+    if (!customEmoji.length) return html;
+    const urls = new Map(customEmoji.map(({shortcode, url}) => [shortcode, url]));
+
+    let codeDepth = 0;
+    // splitting on a capturing group keeps the tags, at the odd indices
+    return html.split(/(<[^>]*>)/).map((chunk, i) => {
+        if (i % 2) {
+            if (/^<(code|pre)\b/i.test(chunk)) codeDepth++;
+            if (/^<\/(code|pre)\b/i.test(chunk)) codeDepth--;
+            return chunk;
+        }
+        if (codeDepth > 0) return chunk;
+        return chunk.replace(/:[\w+-]+:/g, (shortcode) => {
+            const url = urls.get(shortcode);
+            if (!url) return shortcode;
+            return `<img data-mx-emoticon="" src="${url}" alt="${shortcode}" title="${shortcode}" ` +
+                `height="${EMOJI_HEIGHT}" />`;
+        });
+    }).join("");
+}
@@ -0,0 +1,244 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/*
+ * Custom themes are colours applied on top of one of the built-in themes, so
+ * that they can be shipped in config.json or made by users without building
+ * any CSS. They look like:
+ *
+ * {
+ *     "name": "Acme",
+ *     "is_dark": false,
+ *     "colors": {
+ *         "accent-color": "#d62f2f",
+ *         "tagpanel-bg-color": "#2f2f2f"
+ *     }
+ * }
+ *
+ * where is_dark picks the dark theme to build on rather than the light one,
+ * and the colours are any of CUSTOM_THEME_COLORS.
+ */
+
+import { _t, _td } from './languageHandler';
+import SdkConfig from './SdkConfig';
+import SettingsStore, {SettingLevel} from './settings/SettingsStore';
+import Tinter from './Tinter';
+
+// the colours a custom theme can change, by the names of the variables the
+// built-in themes use for them
+export const CUSTOM_THEME_COLORS = {
+    "accent-color": {
+        displayName: _td("Accent"),
+        elementId: "mx_theme_accentColor",
+    },
+    "primary-fg-color": {
+        displayName: _td("Text"),
+        elementId: "mx_theme_primaryFgColor",
+    },
+    "primary-bg-color": {
+        displayName: _td("Background"),
+        elementId: "mx_theme_primaryBgColor",
+    },
+    "secondary-accent-color": {
+        displayName: _td("Room list background"),
+        elementId: "mx_theme_secondaryAccentColor",
+    },
+    "tagpanel-bg-color": {
+        displayName: _td("Community bar background"),
+        elementId: "mx_theme_tagPanelBgColor",
+    },
+    "warning-color": {
+        displayName: _td("Warnings and mentions"),
+        elementId: "mx_theme_warningColor",
+    },
+};
+
+// the value of the theme setting for a custom theme is this plus its name
+const CUSTOM_THEME_PREFIX = "custom-";
+
+const COLOR_REGEX = /^(#[0-9a-f]{3}|#[0-9a-f]{6}|rgb\(\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}\s*\))$/i;
+
+/**
+ * Checks a custom theme, eg. one being imported, and tidies it up.
+ * @param {Object} theme The theme, parsed from JSON.
+ * @return {Object} The theme, with only the fields custom themes have.
+ * @throws {Error} If the theme isn't valid, with a translated message.
+ */
+export function parseCustomTheme(theme) {
+    if (!theme || typeof theme !== "object") {
+        throw new Error(_t("This is not a theme file."));
+    }
+    if (typeof theme.name !== "string" || !theme.name.trim()) {
+        throw new Error(_t("The theme needs a name."));
+    }
+    const colors = {};
+    for (const [name, color] of Object.entries(theme.colors || {})) {
+        if (!CUSTOM_THEME_COLORS[name]) {
+            throw new Error(_t("Themes can't change the colour '%(name)s'.", {name}));
+        }
+        if (typeof color !== "string" || !COLOR_REGEX.test(color.trim())) {
+            throw new Error(_t("'%(color)s' is not a colour.", {color: String(color)}));
+        }
+        colors[name] = color.trim();
+    }
+    return {
+        name: theme.name.trim(),
+        is_dark: Boolean(theme.is_dark),
+        colors,
+    };
+}
+
+/**
+ * @return {Object[]} The custom themes shipped in config.json, then the ones
+ *     the user has made or imported.
+ */
+export function getCustomThemes() {
+    const themes = new Map();
+    const configThemes = SdkConfig.get().custom_themes || [];
+    const userThemes = SettingsStore.getValue("custom_themes") || [];
+    for (const theme of configThemes.concat(userThemes)) {
+        try {
+            const parsed = parseCustomTheme(theme);
+            // users can replace shipped themes by using the same name
+            themes.set(parsed.name, parsed);
+        } catch (e) {
+            console.warn("Ignoring invalid custom theme", theme, e);
+        }
+    }
+    return Array.from(themes.values());
+}
+
+/**
+ * @param {string} name The name of a custom theme.
+ * @return {boolean} True if the user made or imported the theme, so can change it.
+ */
+export function isUserCustomTheme(name) {
+    const userThemes = SettingsStore.getValue("custom_themes") || [];
+    return userThemes.some((theme) => theme.name === name);
+}
+
+/**
+ * Adds or replaces one of the user's custom themes.
+ * @param {Object} theme The new theme.
+ * @param {string} oldName The name of the theme being replaced, if it has been renamed.
+ * @return {Promise} Resolved once the theme has been saved.
+ */
+export function saveUserCustomTheme(theme, oldName = theme.name) {
+    const userThemes = (SettingsStore.getValue("custom_themes") || []).filter((t) => {
+        return t.name !== oldName && t.name !== theme.name;
+    });
+    userThemes.push(parseCustomTheme(theme));
+    return SettingsStore.setValue("custom_themes", null, SettingLevel.ACCOUNT, userThemes);
+}
+
+/**
+ * @param {string} name The name of one of the user's custom themes.
+ * @return {Promise} Resolved once the theme has been removed.
+ */
+export function deleteUserCustomTheme(name) {
+    const userThemes = (SettingsStore.getValue("custom_themes") || []).filter((t) => t.name !== name);
+    return SettingsStore.setValue("custom_themes", null, SettingLevel.ACCOUNT, userThemes);
+}
+
+/**
+ * @param {string} theme A value of the theme setting.
+ * @return {boolean} True if it is a custom theme.
+ */
+export function isCustomThemeId(theme) {
+    return typeof theme === "string" && theme.startsWith(CUSTOM_THEME_PREFIX);
+}
+
+/**
+ * @param {Object} theme A custom theme.
+ * @return {string} The value of the theme setting which selects it.
+ */
+export function getCustomThemeId(theme) {
+    return CUSTOM_THEME_PREFIX + theme.name;
+}
+
+/**
+ * @param {string} themeId A value of the theme setting.
+ * @return {Object} The custom theme it selects, or null if there isn't one.
+ */
+export function getCustomTheme(themeId) {
+    if (!isCustomThemeId(themeId)) return null;
+    const name = themeId.substr(CUSTOM_THEME_PREFIX.length);
+    return getCustomThemes().find((theme) => theme.name === name) || null;
+}
+
+/**
+ * @param {Object} theme A custom theme.
+ * @return {string} The built-in theme it is applied on top of.
+ */
+export function getBaseTheme(theme) {
+    return theme.is_dark ? "dark" : "light";
+}
+
+/**
+ * Gets the colours of the built-in theme being shown, before any custom theme
+ * changes them.
+ * @return {Object} Map from the names in CUSTOM_THEME_COLORS to #rrggbb colours.
+ */
+export function getBaseThemeColors() {
+    const colors = {};
+    for (const [name, {elementId}] of Object.entries(CUSTOM_THEME_COLORS)) {
+        colors[name] = toHexColor(Tinter.getThemeColor(elementId));
+    }
+    return colors;
+}
+
+/**
+ * Applies a custom theme's colours on top of the built-in theme being shown,
+ * which Tinter.setTheme must have been called for.
+ * @param {Object} theme The custom theme, or null to just show the built-in theme.
+ */
+export function applyCustomThemeColors(theme) {
+    // put the built-in theme back first, as that's what we're replacing
+    Tinter.setColorReplacements(null);
+    if (!theme) return;
+
+    const replacements = {};
+    for (const [name, color] of Object.entries(theme.colors)) {
+        const original = Tinter.getThemeColor(CUSTOM_THEME_COLORS[name].elementId);
+        // leave alone colours which the theme keeps, as other names might share them
+        if (toHexColor(color) === toHexColor(original)) continue;
+        replacements[name] = {original, color};
+    }
+    Tinter.setColorReplacements(replacements);
+
+    // tints, like a room's colour scheme, go back to the theme's accents
+    // when reset, so those have to be the custom ones too
+    const accentColor = theme.colors["accent-color"] ||
+        Tinter.getThemeColor(CUSTOM_THEME_COLORS["accent-color"].elementId);
+    const secondaryAccentColor = theme.colors["secondary-accent-color"] ||
+        Tinter.getThemeColor(CUSTOM_THEME_COLORS["secondary-accent-color"].elementId);
+    Tinter.setKeyColors(accentColor, secondaryAccentColor);
+}
+
+/**
+ * @param {string} color A colour as #rgb, #rrggbb or rgb(r, g, b).
+ * @return {string} The same colour as #rrggbb, as colour pickers want.
+ */
+export function toHexColor(color) {
+    const rgb = color.match(/rgb\((.*?),(.*?),(.*?)\)/);
+    if (rgb) {
+        return "#" + rgb.slice(1, 4).map((c) => ("0" + parseInt(c).toString(16)).slice(-2)).join("");
+    }
+    if (color.length === 4) {
+        color = "#" + color[1] + color[1] + color[2] + color[2] + color[3] + color[3];
+    }
+    return color.toLowerCase();
+}
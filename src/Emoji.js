@@ -0,0 +1,139 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import EMOJIBASE from 'emojibase-data/en/compact.json';
+import { _td } from './languageHandler';
+import SettingsStore, {SettingLevel} from './settings/SettingsStore';
+
+/**
+ * The categories the emoji picker shows, made from emojibase's groups.
+ * Group 2 is just the skin tone and hair modifiers, so isn't shown.
+ */
+export const EMOJI_CATEGORIES = [
+    {id: "people", name: _td("Smileys & People"), icon: "😀", groups: [0, 1]},
+    {id: "nature", name: _td("Animals & Nature"), icon: "🐶", groups: [3]},
+    {id: "food", name: _td("Food & Drink"), icon: "🍔", groups: [4]},
+    {id: "activity", name: _td("Activities"), icon: "⚽", groups: [6]},
+    {id: "places", name: _td("Travel & Places"), icon: "✈️", groups: [5]},
+    {id: "objects", name: _td("Objects"), icon: "💡", groups: [7]},
+    {id: "symbols", name: _td("Symbols"), icon: "❤️", groups: [8]},
+    {id: "flags", name: _td("Flags"), icon: "🏁", groups: [9]},
+];
+
+// the modifiers for emojibase's tones 1 to 5, from lightest to darkest
+export const SKIN_TONE_MODIFIERS = ["🏻", "🏼", "🏽", "🏾", "🏿"];
+
+const MAX_RECENT_EMOJI = 24;
+
+let emojiByCategory = null;
+let emojiByUnicode = null;
+
+// the data is big, so is only sorted into categories once the picker is used
+function loadEmoji() {
+    if (emojiByCategory) return;
+    emojiByCategory = {};
+    emojiByUnicode = new Map();
+    for (const category of EMOJI_CATEGORIES) {
+        emojiByCategory[category.id] = [];
+    }
+
+    const sorted = EMOJIBASE.filter((emoji) => emoji.group !== undefined).sort((a, b) => a.order - b.order);
+    for (const emoji of sorted) {
+        const category = EMOJI_CATEGORIES.find((c) => c.groups.includes(emoji.group));
+        if (!category) continue;
+        emojiByCategory[category.id].push(emoji);
+        emojiByUnicode.set(emoji.unicode, emoji);
+        for (const skin of emoji.skins || []) {
+            emojiByUnicode.set(skin.unicode, emoji);
+        }
+    }
+}
+
+/**
+ * @param {string} categoryId The ID of one of EMOJI_CATEGORIES.
+ * @return {Object[]} The emojibase data of the emoji in it, in order.
+ */
+export function getCategoryEmoji(categoryId) {
+    loadEmoji();
+    return emojiByCategory[categoryId] || [];
+}
+
+/**
+ * @param {string} unicode An emoji, which may have a skin tone.
+ * @return {Object} Its emojibase data, or null if it isn't one.
+ */
+export function getEmojiData(unicode) {
+    loadEmoji();
+    return emojiByUnicode.get(unicode) || null;
+}
+
+/**
+ * Finds the emoji whose name, shortcodes, keywords or emoticon include a
+ * query, eg. "lol" finds 😂 by its keyword "lol".
+ * @param {string} query What the user typed.
+ * @return {Object[]} The emojibase data of the matching emoji, the ones
+ *     whose name or shortcode starts with the query first.
+ */
+export function searchEmoji(query) {
+    loadEmoji();
+    query = query.trim().toLowerCase().replace(/^:|:$/g, '');
+    if (!query) return [];
+
+    const prefixMatches = [];
+    const otherMatches = [];
+    for (const category of EMOJI_CATEGORIES) {
+        for (const emoji of emojiByCategory[category.id]) {
+            const names = [emoji.annotation, ...(emoji.shortcodes || [])].map((n) => n.toLowerCase());
+            const keywords = (emoji.tags || []).concat(emoji.emoticon || []).map((n) => n.toLowerCase());
+            if (names.some((n) => n.startsWith(query))) {
+                prefixMatches.push(emoji);
+            } else if (names.some((n) => n.includes(query)) || keywords.some((k) => k.includes(query))) {
+                otherMatches.push(emoji);
+            }
+        }
+    }
+    return prefixMatches.concat(otherMatches);
+}
+
+/**
+ * @param {Object} emoji Emojibase data for an emoji.
+ * @param {number} tone A tone from 1 to 5, or 0 for the default yellow.
+ * @return {string} The emoji in that skin tone, or as it is if it can't have one.
+ */
+export function getSkinToneUnicode(emoji, tone) {
+    if (!tone || !emoji.skins) return emoji.unicode;
+    // emoji of several people can have a tone for each, but we only use one
+    const skin = emoji.skins.find((s) => s.tone === tone);
+    return skin ? skin.unicode : emoji.unicode;
+}
+
+/**
+ * @return {string[]} The emoji picked most recently, most recent first.
+ *     Custom emoji are included by their mxc URL.
+ */
+export function getRecentEmoji() {
+    return SettingsStore.getValue("recent_emoji") || [];
+}
+
+/**
+ * @param {string} emoji An emoji which has just been picked, or the mxc URL
+ *     of a custom emoji.
+ * @return {Promise} Resolved once it has been saved.
+ */
+export function addRecentEmoji(emoji) {
+    const recent = [emoji, ...getRecentEmoji().filter((e) => e !== emoji)].slice(0, MAX_RECENT_EMOJI);
+    return SettingsStore.setValue("recent_emoji", null, SettingLevel.DEVICE, recent);
+}
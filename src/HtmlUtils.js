@@ -258,7 +258,7 @@ const sanitizeHtmlParams = {
         font: ['color', 'data-mx-bg-color', 'data-mx-color', 'style'], // custom to matrix
         span: ['data-mx-bg-color', 'data-mx-color', 'style'], // custom to matrix
         a: ['href', 'name', 'target', 'rel'], // remote target: custom to matrix
-        img: ['src', 'width', 'height', 'alt', 'title'],
+        img: ['src', 'width', 'height', 'alt', 'title', 'data-mx-emoticon'], // custom emoji: custom to matrix
         ol: ['start'],
         code: ['class'], // We don't actually allow all classes, we filter them in transformTags
     },
@@ -0,0 +1,212 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/*
+ * The conference backend which starts a Jitsi widget in the room. The widget
+ * either goes straight to the Jitsi server set in the config, or if there
+ * isn't one, is the integration manager's Jitsi widget.
+ */
+
+import MatrixClientPeg from './MatrixClientPeg';
+import Modal from './Modal';
+import sdk from './index';
+import { _t } from './languageHandler';
+import dis from './dispatcher';
+import SdkConfig from './SdkConfig';
+import WidgetUtils from './utils/WidgetUtils';
+import WidgetEchoStore from './stores/WidgetEchoStore';
+import ScalarAuthClient from './ScalarAuthClient';
+
+/**
+ * @returns {string} The Jitsi server set in the config, if any.
+ */
+export function getJitsiDomain() {
+    const conference = SdkConfig.get().conference;
+    return (conference && conference.jitsi && conference.jitsi.domain) || null;
+}
+
+// Jitsi conferences don't have their own users or calls
+export function isConferenceUser(userId) {
+    return false;
+}
+
+export function getConferenceUserIdForRoom(roomId) {
+    return null;
+}
+
+export function getConferenceCallForRoom(roomId) {
+    return null;
+}
+
+async function _haveIntegrationManager() {
+    const scalarClient = new ScalarAuthClient();
+    try {
+        await scalarClient.connect();
+        return scalarClient.hasCredentials();
+    } catch (e) {
+        return false;
+    }
+}
+
+function _getIntegrationManagerWidgetUrl(confId, type) {
+    // NB. we can't just encodeURICompoent all of these because the $ signs need to be there
+    // (but currently the only thing that needs encoding is the confId)
+    const queryString = [
+        'confId=' + encodeURIComponent(confId),
+        'isAudioConf=' + (type === 'voice' ? 'true' : 'false'),
+        'displayName=$matrix_display_name',
+        'avatarUrl=$matrix_avatar_url',
+        'email=$matrix_user_id',
+    ].join('&');
+
+    if (SdkConfig.get().integrations_jitsi_widget_url) {
+        // Try this config key. This probably isn't ideal as a way of discovering this
+        // URL, but this will at least allow the integration manager to not be hardcoded.
+        return SdkConfig.get().integrations_jitsi_widget_url + '?' + queryString;
+    }
+    return SdkConfig.get().integrations_rest_url + '/widgets/jitsi.html?' + queryString;
+}
+
+/**
+ * Starts a conference in a room by adding a Jitsi widget to it.
+ * @param {string} roomId The room to start it in.
+ * @param {string} type 'voice' or 'video'.
+ * @returns {Promise} Resolved with null once done, as there's no call to place.
+ */
+export async function startConference(roomId, type) {
+    const domain = getJitsiDomain();
+
+    // check for a working integrations manager if we need one. Technically we
+    // could put the state event in anyway, but the resulting widget would then
+    // not work for us. Better that the user knows before everyone else in the
+    // room sees it.
+    if (!domain && !(await _haveIntegrationManager())) {
+        const ErrorDialog = sdk.getComponent('dialogs.ErrorDialog');
+
+        Modal.createTrackedDialog(
+            'Could not connect to the integration server',
+            '',
+            ErrorDialog,
+            {
+                title: _t('Could not connect to the integration server'),
+                description: _t(
+                    'A conference call could not be started because the integrations server is not available',
+                ),
+            },
+        );
+        return null;
+    }
+
+    dis.dispatch({
+        action: 'appsDrawer',
+        show: true,
+    });
+
+    const room = MatrixClientPeg.get().getRoom(roomId);
+    const currentRoomWidgets = WidgetUtils.getRoomWidgets(room);
+
+    if (
+        WidgetEchoStore.roomHasPendingWidgetsOfType(
+            roomId,
+            currentRoomWidgets,
+            'jitsi',
+        )
+    ) {
+        const ErrorDialog = sdk.getComponent('dialogs.ErrorDialog');
+
+        Modal.createTrackedDialog('Call already in progress', '', ErrorDialog, {
+            title: _t('Call in Progress'),
+            description: _t('A call is currently being placed!'),
+        });
+        return null;
+    }
+
+    const currentJitsiWidgets = currentRoomWidgets.filter(ev => {
+        return ev.getContent().type === 'jitsi';
+    });
+    if (currentJitsiWidgets.length > 0) {
+        console.warn(
+            'Refusing to start conference call widget in ' +
+                roomId +
+                ' a conference call widget is already present',
+        );
+        const ErrorDialog = sdk.getComponent('dialogs.ErrorDialog');
+
+        Modal.createTrackedDialog(
+            'Already have Jitsi Widget',
+            '',
+            ErrorDialog,
+            {
+                title: _t('Call in Progress'),
+                description: _t('A call is already in progress!'),
+            },
+        );
+        return null;
+    }
+
+    // This inherits its poor naming from the field of the same name that goes into
+    // the event. It's just a random string to make the Jitsi URLs unique.
+    const widgetSessionId = Math.random()
+        .toString(36)
+        .substring(2);
+    const confId = room.roomId.replace(/[^A-Za-z0-9]/g, '') + widgetSessionId;
+
+    let widgetUrl;
+    let widgetData;
+    if (domain) {
+        // the widget's data is filled into its URL, and Jitsi reads its
+        // options from the fragment, with strings as JSON
+        widgetUrl = 'https://$domain/$conferenceId#config.startAudioOnly=$isAudioOnly' +
+            '&userInfo.displayName=%22$matrix_display_name%22';
+        widgetData = {
+            widgetSessionId,
+            domain,
+            conferenceId: confId,
+            isAudioOnly: type === 'voice' ? 'true' : 'false',
+        };
+    } else {
+        widgetUrl = _getIntegrationManagerWidgetUrl(confId, type);
+        widgetData = { widgetSessionId };
+    }
+
+    const widgetId =
+        'jitsi_' + MatrixClientPeg.get().credentials.userId + '_' + Date.now();
+
+    try {
+        await WidgetUtils.setRoomWidget(
+            roomId,
+            widgetId,
+            'jitsi',
+            widgetUrl,
+            'Jitsi',
+            widgetData,
+        );
+        console.log('Jitsi widget added');
+    } catch (e) {
+        if (e.errcode === 'M_FORBIDDEN') {
+            const ErrorDialog = sdk.getComponent('dialogs.ErrorDialog');
+
+            Modal.createTrackedDialog('Call Failed', '', ErrorDialog, {
+                title: _t('Permission Required'),
+                description: _t(
+                    'You do not have permission to start a conference call in this room',
+                ),
+            });
+        }
+        console.error(e);
+    }
+    return null;
+}
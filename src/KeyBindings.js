@@ -0,0 +1,358 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { _t, _td } from './languageHandler';
+import SettingsStore, {SettingLevel} from './settings/SettingsStore';
+import { KeyCode } from './Keyboard';
+
+const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
+
+/**
+ * Where a key binding applies, which is also the component handling it.
+ */
+export const KeyBindingScope = Object.freeze({
+    // anywhere in the app, handled by LoggedInView
+    Navigation: "navigation",
+    // while a room is being viewed, handled by RoomView
+    Room: "room",
+    // while typing in a composer, handled by BasicMessageComposer
+    Composer: "composer",
+});
+
+const SCOPE_DISPLAY_NAMES = {
+    [KeyBindingScope.Navigation]: _td("Navigation"),
+    [KeyBindingScope.Room]: _td("Room"),
+    [KeyBindingScope.Composer]: _td("Composer"),
+};
+
+// A binding is the keyCode of a key along with the exact modifiers which
+// have to be held for it, eg. {keyCode: KeyCode.KEY_K, ctrlKey: true}.
+// Modifiers which are left out must not be held.
+function binding(keyCode, modifiers = {}) {
+    return {
+        keyCode,
+        ctrlKey: Boolean(modifiers.ctrlKey),
+        metaKey: Boolean(modifiers.metaKey),
+        altKey: Boolean(modifiers.altKey),
+        shiftKey: Boolean(modifiers.shiftKey),
+    };
+}
+
+// the usual modifier for shortcuts on the platform: Cmd on macOS, Ctrl elsewhere
+function ctrlOrCmd(keyCode, modifiers = {}) {
+    return binding(keyCode, Object.assign({ctrlKey: !isMac, metaKey: isMac}, modifiers));
+}
+
+// The key bindings, by action ID, in the order they're listed in. Display
+// names are shown in the keyboard shortcuts dialog and settings.
+const KEY_BINDINGS = {
+    "scrollUp": {
+        scope: KeyBindingScope.Navigation,
+        displayName: _td("Scroll up in the timeline"),
+        default: binding(KeyCode.PAGE_UP),
+    },
+    "scrollDown": {
+        scope: KeyBindingScope.Navigation,
+        displayName: _td("Scroll down in the timeline"),
+        default: binding(KeyCode.PAGE_DOWN),
+    },
+    "jumpToOldest": {
+        scope: KeyBindingScope.Navigation,
+        displayName: _td("Jump to the oldest loaded message"),
+        default: binding(KeyCode.HOME, {ctrlKey: true}),
+    },
+    "jumpToLatest": {
+        scope: KeyBindingScope.Navigation,
+        displayName: _td("Jump to the latest message"),
+        default: binding(KeyCode.END, {ctrlKey: true}),
+    },
+    "openQuickSwitcher": {
+        scope: KeyBindingScope.Navigation,
+        displayName: _td("Jump to a room, community or user"),
+        default: ctrlOrCmd(KeyCode.KEY_K),
+    },
+    "focusRoomFilter": {
+        scope: KeyBindingScope.Navigation,
+        displayName: _td("Search for a room"),
+        // was Ctrl+K until the quick switcher took it over
+        default: ctrlOrCmd(KeyCode.KEY_F, {shiftKey: true}),
+    },
+    "toggleTopLeftMenu": {
+        scope: KeyBindingScope.Navigation,
+        // Ideally this would be CTRL+P for "Profile", but that's
+        // taken by the print dialog. CTRL+I for "Information"
+        // was previously chosen but conflicted with italics in
+        // composer, so CTRL+` it is
+        displayName: _td("Open your profile menu"),
+        default: ctrlOrCmd(KeyCode.KEY_BACKTICK),
+    },
+    "showKeyboardShortcuts": {
+        scope: KeyBindingScope.Navigation,
+        displayName: _td("Show keyboard shortcuts"),
+        default: ctrlOrCmd(KeyCode.SLASH),
+    },
+    "toggleMicInCall": {
+        scope: KeyBindingScope.Room,
+        displayName: _td("Toggle your microphone in a call"),
+        default: ctrlOrCmd(KeyCode.KEY_D),
+    },
+    "toggleVideoInCall": {
+        scope: KeyBindingScope.Room,
+        displayName: _td("Toggle your camera in a call"),
+        default: ctrlOrCmd(KeyCode.KEY_E),
+    },
+    "formatBold": {
+        scope: KeyBindingScope.Composer,
+        displayName: _td("Bold"),
+        default: ctrlOrCmd(KeyCode.KEY_B),
+    },
+    "formatItalics": {
+        scope: KeyBindingScope.Composer,
+        displayName: _td("Italics"),
+        default: ctrlOrCmd(KeyCode.KEY_I),
+    },
+    "formatStrikethrough": {
+        scope: KeyBindingScope.Composer,
+        displayName: _td("Strikethrough"),
+        default: ctrlOrCmd(KeyCode.KEY_X, {shiftKey: true}),
+    },
+    "formatCode": {
+        scope: KeyBindingScope.Composer,
+        displayName: _td("Code"),
+        // shared with toggleVideoInCall: see canShareKeys
+        default: ctrlOrCmd(KeyCode.KEY_E),
+    },
+    "formatQuote": {
+        scope: KeyBindingScope.Composer,
+        displayName: _td("Quote"),
+        default: ctrlOrCmd(KeyCode.KEY_9, {shiftKey: true}),
+    },
+    "formatBulletedList": {
+        scope: KeyBindingScope.Composer,
+        displayName: _td("Bulleted list"),
+        default: ctrlOrCmd(KeyCode.KEY_8, {shiftKey: true}),
+    },
+    "formatNumberedList": {
+        scope: KeyBindingScope.Composer,
+        displayName: _td("Numbered list"),
+        default: ctrlOrCmd(KeyCode.KEY_7, {shiftKey: true}),
+    },
+    "formatLink": {
+        scope: KeyBindingScope.Composer,
+        displayName: _td("Link"),
+        default: ctrlOrCmd(KeyCode.KEY_U, {shiftKey: true}),
+    },
+};
+
+// names for the keys which don't say what they are as a character
+const KEY_NAMES = {
+    [KeyCode.BACKSPACE]: _td("Backspace"),
+    [KeyCode.TAB]: _td("Tab"),
+    [KeyCode.ENTER]: _td("Enter"),
+    [KeyCode.ESCAPE]: _td("Esc"),
+    [KeyCode.SPACE]: _td("Space"),
+    [KeyCode.PAGE_UP]: _td("Page Up"),
+    [KeyCode.PAGE_DOWN]: _td("Page Down"),
+    [KeyCode.END]: _td("End"),
+    [KeyCode.HOME]: _td("Home"),
+    [KeyCode.DELETE]: _td("Delete"),
+};
+
+// and the ones best shown as a symbol
+const KEY_SYMBOLS = {
+    [KeyCode.LEFT]: "←",
+    [KeyCode.UP]: "↑",
+    [KeyCode.RIGHT]: "→",
+    [KeyCode.DOWN]: "↓",
+    [KeyCode.SLASH]: "/",
+    [KeyCode.KEY_BACKTICK]: "`",
+};
+
+// the keys which can't be bound on their own as they're only ever modifiers
+const MODIFIER_KEY_CODES = [16, 17, 18, 91, 92, 93, 224];
+
+// the keys which can be bound without Ctrl, Alt or Meta, as they don't type
+// anything or move the caret in the composer
+const NAVIGATION_KEY_CODES = [KeyCode.PAGE_UP, KeyCode.PAGE_DOWN];
+
+/**
+ * @return {string[]} The IDs of all the key bindings, in the order they
+ *     should be listed in.
+ */
+export function getKeyBindingIds() {
+    return Object.keys(KEY_BINDINGS);
+}
+
+/**
+ * @param {string} id The ID of the key binding.
+ * @return {string} The scope of the key binding, one of KeyBindingScope.
+ */
+export function getKeyBindingScope(id) {
+    return KEY_BINDINGS[id].scope;
+}
+
+/**
+ * @param {string} scope One of KeyBindingScope.
+ * @return {string} The translated name of the scope.
+ */
+export function getKeyBindingScopeDisplayName(scope) {
+    return _t(SCOPE_DISPLAY_NAMES[scope]);
+}
+
+/**
+ * @param {string} id The ID of the key binding.
+ * @return {string} The translated name of the action the binding is for.
+ */
+export function getKeyBindingDisplayName(id) {
+    return _t(KEY_BINDINGS[id].displayName);
+}
+
+/**
+ * Gets the keys bound to an action, taking the user's changes into account.
+ * @param {string} id The ID of the key binding.
+ * @return {Object} The binding, or null if the user has unbound the action.
+ */
+export function getKeyBinding(id) {
+    const overrides = SettingsStore.getValue("keyBindings");
+    if (overrides.hasOwnProperty(id)) return overrides[id];
+    return KEY_BINDINGS[id].default;
+}
+
+/**
+ * @param {string} id The ID of the key binding.
+ * @return {Object} The binding the action has unless the user changes it.
+ */
+export function getDefaultKeyBinding(id) {
+    return KEY_BINDINGS[id].default;
+}
+
+/**
+ * Changes the keys bound to an action, on this device.
+ * @param {string} id The ID of the key binding.
+ * @param {Object} newBinding The new binding, or null to unbind the action.
+ * @return {Promise} Resolved when the change has been saved.
+ */
+export function setKeyBinding(id, newBinding) {
+    const overrides = Object.assign({}, SettingsStore.getValue("keyBindings"));
+    if (isSameBinding(newBinding, KEY_BINDINGS[id].default)) {
+        delete overrides[id];
+    } else {
+        overrides[id] = newBinding;
+    }
+    return SettingsStore.setValue("keyBindings", null, SettingLevel.DEVICE, overrides);
+}
+
+/**
+ * Puts all the key bindings back to their defaults, on this device.
+ * @return {Promise} Resolved when the change has been saved.
+ */
+export function resetKeyBindings() {
+    return SettingsStore.setValue("keyBindings", null, SettingLevel.DEVICE, {});
+}
+
+function isSameBinding(a, b) {
+    if (!a || !b) return a === b;
+    return a.keyCode === b.keyCode && a.ctrlKey === b.ctrlKey && a.metaKey === b.metaKey &&
+        a.altKey === b.altKey && a.shiftKey === b.shiftKey;
+}
+
+/**
+ * Makes a binding of the key pressed in a keydown event.
+ * @param {KeyboardEvent} ev The keydown event.
+ * @return {Object} The binding, or null if only a modifier key was pressed.
+ */
+export function getKeyBindingForEvent(ev) {
+    if (MODIFIER_KEY_CODES.includes(ev.keyCode)) return null;
+    return binding(ev.keyCode, ev);
+}
+
+/**
+ * Finds the action bound to the keys of a keydown event.
+ * @param {string} scope The KeyBindingScope to look in.
+ * @param {KeyboardEvent} ev The keydown event.
+ * @return {string} The ID of the key binding, or null if there is none.
+ */
+export function getKeyBindingAction(scope, ev) {
+    const evBinding = getKeyBindingForEvent(ev);
+    if (!evBinding) return null;
+    const id = getKeyBindingIds().find((id) => {
+        return KEY_BINDINGS[id].scope === scope && isSameBinding(getKeyBinding(id), evBinding);
+    });
+    return id || null;
+}
+
+/**
+ * Checks whether keys can be bound to an action. Anything but the navigation
+ * keys needs Ctrl, Alt or Meta held, as otherwise the binding would take
+ * the keys away from typing.
+ * @param {Object} keyBinding The binding.
+ * @return {boolean} true if the binding can be used.
+ */
+export function isUsableKeyBinding(keyBinding) {
+    if (keyBinding.ctrlKey || keyBinding.altKey || keyBinding.metaKey) return true;
+    return NAVIGATION_KEY_CODES.includes(keyBinding.keyCode);
+}
+
+// The composer sees keys before the room, and RoomView leaves alone the
+// keys the composer has used, so a composer binding can share its keys
+// with a room one: Ctrl+E formats code while typing and toggles the
+// camera otherwise.
+function canShareKeys(id, otherId) {
+    const scopes = [KEY_BINDINGS[id].scope, KEY_BINDINGS[otherId].scope];
+    return scopes.includes(KeyBindingScope.Composer) && scopes.includes(KeyBindingScope.Room);
+}
+
+/**
+ * Finds another action which a binding would clash with. Bindings in
+ * different scopes clash too, as the scopes nest: a key pressed while
+ * typing in the composer is also seen by the app. The exception is a
+ * composer binding sharing its keys with a room one.
+ * @param {string} id The ID of the key binding to be changed.
+ * @param {Object} newBinding The binding it would be changed to.
+ * @return {string} The ID of the clashing key binding, or null if there is none.
+ */
+export function getClashingKeyBinding(id, newBinding) {
+    const clash = getKeyBindingIds().find((otherId) => {
+        return otherId !== id && !canShareKeys(id, otherId) &&
+            isSameBinding(getKeyBinding(otherId), newBinding);
+    });
+    return clash || null;
+}
+
+/**
+ * @param {Object} keyBinding A binding.
+ * @return {string} The binding as it should be shown to the user, eg. "Ctrl+Shift+K".
+ */
+export function keyBindingToString(keyBinding) {
+    const keys = [];
+    if (keyBinding.ctrlKey) keys.push(_t("Ctrl"));
+    if (keyBinding.metaKey) keys.push(isMac ? "⌘" : _t("Meta"));
+    if (keyBinding.altKey) keys.push(isMac ? "⌥" : _t("Alt"));
+    if (keyBinding.shiftKey) keys.push(_t("Shift"));
+
+    const {keyCode} = keyBinding;
+    if (KEY_NAMES[keyCode]) {
+        keys.push(_t(KEY_NAMES[keyCode]));
+    } else if (KEY_SYMBOLS[keyCode]) {
+        keys.push(KEY_SYMBOLS[keyCode]);
+    } else if ((keyCode >= 48 && keyCode <= 57) || (keyCode >= 65 && keyCode <= 90)) {
+        // digits and letters have the same codes as their characters
+        keys.push(String.fromCharCode(keyCode));
+    } else {
+        keys.push(_t("Key %(keyCode)s", {keyCode}));
+    }
+    return keys.join("+");
+}
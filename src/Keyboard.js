@@ -32,6 +32,9 @@ export const KeyCode = {
     RIGHT: 39,
     DOWN: 40,
     DELETE: 46,
+    KEY_7: 55,
+    KEY_8: 56,
+    KEY_9: 57,
     KEY_A: 65,
     KEY_B: 66,
     KEY_C: 67,
@@ -58,6 +61,7 @@ export const KeyCode = {
     KEY_X: 88,
     KEY_Y: 89,
     KEY_Z: 90,
+    SLASH: 191,
     KEY_BACKTICK: 223,
 };
 
@@ -25,16 +25,21 @@ import Analytics from './Analytics';
 import Notifier from './Notifier';
 import UserActivity from './UserActivity';
 import Presence from './Presence';
+import ScheduledMessages from './ScheduledMessages';
+import DraftStore from './stores/DraftStore';
 import dis from './dispatcher';
 import DMRoomMap from './utils/DMRoomMap';
 import Modal from './Modal';
 import sdk from './index';
 import ActiveWidgetStore from './stores/ActiveWidgetStore';
 import PlatformPeg from "./PlatformPeg";
-import { sendLoginRequest } from "./Login";
+import { sendLoginRequest, SSO_HS_URL_KEY, SSO_IS_URL_KEY } from "./Login";
+import { _t } from './languageHandler';
 import * as StorageManager from './utils/StorageManager';
 import SettingsStore from "./settings/SettingsStore";
 import TypingStore from "./stores/TypingStore";
+import EventIndex from "./indexing/EventIndex";
+import PolicyLists from "./PolicyLists";
 
 /**
  * Called at startup, to attempt to build a logged-in Matrix session. It tries
@@ -152,14 +157,25 @@ export function attemptTokenLogin(queryParams, defaultDeviceDisplayName) {
         return Promise.resolve(false);
     }
 
-    if (!queryParams.homeserver) {
+    // the homeserver may not have kept the query parameters of the URL it
+    // sent the user back to, so fall back to the servers we remembered
+    const homeserver = queryParams.homeserver || localStorage.getItem(SSO_HS_URL_KEY);
+    const identityServer = queryParams.identityServer || localStorage.getItem(SSO_IS_URL_KEY);
+    localStorage.removeItem(SSO_HS_URL_KEY);
+    localStorage.removeItem(SSO_IS_URL_KEY);
+
+    if (!homeserver) {
         console.warn("Cannot log in with token: can't determine HS URL to use");
+        _showTokenLoginError(_t(
+            "We couldn't finish signing you in, as we don't know which homeserver you signed in to. " +
+            "Please try again.",
+        ));
         return Promise.resolve(false);
     }
 
     return sendLoginRequest(
-        queryParams.homeserver,
-        queryParams.identityServer,
+        homeserver,
+        identityServer,
         "m.login.token", {
             token: queryParams.loginToken,
             initial_device_display_name: defaultDeviceDisplayName,
@@ -173,10 +189,28 @@ export function attemptTokenLogin(queryParams, defaultDeviceDisplayName) {
     }).catch((err) => {
         console.error("Failed to log in with login token: " + err + " " +
                       err.data);
+        if (err.errcode === "M_FORBIDDEN") {
+            // login tokens only work once, and not for long
+            _showTokenLoginError(_t(
+                "The sign in link has expired or has already been used. Please sign in again.",
+            ));
+        } else {
+            _showTokenLoginError(_t(
+                "We couldn't finish signing you in: %(message)s", {message: err.message || _t("Unknown error")},
+            ));
+        }
         return false;
     });
 }
 
+function _showTokenLoginError(description) {
+    const ErrorDialog = sdk.getComponent("views.dialogs.ErrorDialog");
+    Modal.createTrackedDialog('Token login failed', '', ErrorDialog, {
+        title: _t("Couldn't sign you in"),
+        description,
+    });
+}
+
 export function handleInvalidStoreError(e) {
     if (e.reason === Matrix.InvalidStoreError.TOGGLED_LAZY_LOADING) {
         return Promise.resolve().then(() => {
@@ -567,6 +601,15 @@ async function startMatrixClient(startSyncing=true) {
     }
     DMRoomMap.makeShared().start();
     ActiveWidgetStore.start();
+    ScheduledMessages.start();
+    PolicyLists.start();
+    if (EventIndex.isSupported()) {
+        // don't hold up starting the client on opening the index
+        EventIndex.makeShared().start().catch((e) => {
+            console.error("Failed to start the event index", e);
+            EventIndex.stopShared();
+        });
+    }
 
     if (startSyncing) {
         await MatrixClientPeg.start();
@@ -604,6 +647,15 @@ function _clearStorage() {
     if (window.localStorage) {
         window.localStorage.clear();
     }
+    // the DraftStore keeps track of which rooms have drafts, and the room
+    // list needs to know they're gone
+    DraftStore.clearAll();
+
+    // the index holds the plaintext of encrypted messages, so definitely
+    // shouldn't outlive the session.
+    EventIndex.deleteIndex().catch((e) => {
+        console.error("Failed to delete the event index", e);
+    });
 
     // create a temporary client to clear out the persistent stores.
     const cli = createMatrixClient({
@@ -624,7 +676,10 @@ export function stopMatrixClient(unsetClient=true) {
     TypingStore.sharedInstance().reset();
     Presence.stop();
     ActiveWidgetStore.stop();
+    ScheduledMessages.stop();
+    PolicyLists.stop();
     if (DMRoomMap.shared()) DMRoomMap.shared().stop();
+    EventIndex.stopShared();
     const cli = MatrixClientPeg.get();
     if (cli) {
         cli.stopClient();
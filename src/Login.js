@@ -20,6 +20,10 @@ import Matrix from "matrix-js-sdk";
 
 import url from 'url';
 
+// where the servers an SSO login is for are kept while away at the identity provider
+export const SSO_HS_URL_KEY = "mx_sso_hs_url";
+export const SSO_IS_URL_KEY = "mx_sso_is_url";
+
 export default class Login {
     constructor(hsUrl, isUrl, fallbackHsUrl, opts) {
         this._hsUrl = hsUrl;
@@ -149,19 +153,65 @@ export default class Login {
         });
     }
 
-    getSsoLoginUrl(loginType) {
-      const client = this._createTemporaryClient();
-      const parsedUrl = url.parse(window.location.href, true);
+    /**
+     * The identity providers the homeserver offers for SSO login, if it lets
+     * the user pick between several.
+     * @returns {Object[]} The providers as {id, name, iconUrl}, where the
+     *     iconUrl is an http URL or null. Empty if it doesn't say.
+     */
+    getSsoIdentityProviders() {
+        const flow = this._flows.find((f) => f.type === "m.login.sso");
+        if (!flow) return [];
+        const providers = flow.identity_providers || flow["org.matrix.msc2858.identity_providers"] || [];
+        const client = this._createTemporaryClient();
+        return providers.filter((idp) => idp.id && idp.name).map((idp) => ({
+            id: idp.id,
+            name: idp.name,
+            iconUrl: idp.icon ? client.mxcUrlToHttp(idp.icon, 24, 24, 'crop') : null,
+        }));
+    }
+
+    /**
+     * @param {string} loginType "sso" or "cas"
+     * @param {string} fragmentAfterLogin The fragment to come back to once
+     *     logged in, eg. "#/room/!abc:example.org", so that links can be
+     *     followed through an SSO login.
+     * @param {string} idpId The identity provider to use, if the homeserver
+     *     offers several.
+     * @returns {string} The URL to send the user to.
+     */
+    getSsoLoginUrl(loginType, fragmentAfterLogin, idpId) {
+        const client = this._createTemporaryClient();
+        const parsedUrl = url.parse(window.location.href, true);
+
+        parsedUrl.hash = fragmentAfterLogin || "";
+        parsedUrl.query["homeserver"] = client.getHomeserverUrl();
+        parsedUrl.query["identityServer"] = client.getIdentityServerUrl();
+        // url.format prefers the search string to the query
+        delete parsedUrl.search;
+        const redirectUrl = url.format(parsedUrl);
 
-      // XXX: at this point, the fragment will always be #/login, which is no
-      // use to anyone. Ideally, we would get the intended fragment from
-      // MatrixChat.screenAfterLogin so that you could follow #/room links etc
-      // through an SSO login.
-      parsedUrl.hash = "";
+        const ssoUrl = client.getSsoLoginUrl(redirectUrl, loginType);
+        if (!idpId) return ssoUrl;
+
+        // the js-sdk doesn't know about picking an identity provider, which
+        // is done by adding it to the end of the path of the usual URL
+        const parsedSsoUrl = url.parse(ssoUrl);
+        parsedSsoUrl.pathname += "/" + encodeURIComponent(idpId);
+        return url.format(parsedSsoUrl);
+    }
 
-      parsedUrl.query["homeserver"] = client.getHomeserverUrl();
-      parsedUrl.query["identityServer"] = client.getIdentityServerUrl();
-      return client.getSsoLoginUrl(url.format(parsedUrl), loginType);
+    /**
+     * Remembers which servers an SSO login is for, in case the homeserver
+     * doesn't keep the query parameters of the URL it redirects back to.
+     */
+    rememberSsoServers() {
+        localStorage.setItem(SSO_HS_URL_KEY, this._hsUrl);
+        if (this._isUrl) {
+            localStorage.setItem(SSO_IS_URL_KEY, this._isUrl);
+        } else {
+            localStorage.removeItem(SSO_IS_URL_KEY);
+        }
     }
 }
 
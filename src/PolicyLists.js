@@ -0,0 +1,273 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import EventEmitter from 'events';
+import MatrixClientPeg from './MatrixClientPeg';
+import SettingsStore, {SettingLevel} from './settings/SettingsStore';
+import RateLimitedFunc from './ratelimitedfunc';
+import {globToRegex} from './utils/glob';
+
+// the state event types of the rules in a policy list, newest name first
+const USER_RULE_TYPES = ["m.policy.rule.user", "m.room.rule.user", "org.matrix.mjolnir.rule.user"];
+const SERVER_RULE_TYPES = ["m.policy.rule.server", "m.room.rule.server", "org.matrix.mjolnir.rule.server"];
+const BAN_RECOMMENDATIONS = ["m.ban", "org.matrix.mjolnir.ban"];
+
+export const RuleKind = Object.freeze({
+    User: "user",
+    Server: "server",
+});
+
+/**
+ * @param {string} userId A user ID.
+ * @return {string} The name of the server the user is on.
+ */
+export function getUserServer(userId) {
+    return userId.substring(userId.indexOf(':') + 1);
+}
+
+/**
+ * A rule from a policy list recommending that a user, or everyone on a
+ * server, be banned.
+ */
+export class PolicyRule {
+    /**
+     * @param {string} kind One of RuleKind.
+     * @param {string} entity The user ID or server name, which may be a glob.
+     * @param {string} reason Why, as given by the list.
+     * @param {string} listRoomId The ID of the room of the list it is from.
+     */
+    constructor(kind, entity, reason, listRoomId) {
+        this.kind = kind;
+        this.entity = entity;
+        this.reason = reason || "";
+        this.listRoomId = listRoomId;
+        this._regex = new RegExp(`^${globToRegex(entity)}$`, 'i');
+    }
+
+    /**
+     * @return {boolean} Whether the entity is a glob rather than a single user or server.
+     */
+    isGlob() {
+        return /[*?]/.test(this.entity);
+    }
+
+    /**
+     * @param {string} userId A user ID.
+     * @return {boolean} Whether the rule is about them, or their server.
+     */
+    matchesUser(userId) {
+        if (this.kind === RuleKind.Server) return this._regex.test(getUserServer(userId));
+        return this._regex.test(userId);
+    }
+}
+
+/**
+ * @param {MatrixEvent} ev A state event from a policy list room.
+ * @return {PolicyRule} The ban it recommends, or null if it isn't one, or
+ *     is a rule which has been removed.
+ */
+export function parsePolicyRule(ev) {
+    let kind;
+    if (USER_RULE_TYPES.includes(ev.getType())) {
+        kind = RuleKind.User;
+    } else if (SERVER_RULE_TYPES.includes(ev.getType())) {
+        kind = RuleKind.Server;
+    } else {
+        return null;
+    }
+
+    const {entity, reason, recommendation} = ev.getContent();
+    if (typeof entity !== "string" || !entity || !BAN_RECOMMENDATIONS.includes(recommendation)) {
+        return null;
+    }
+    return new PolicyRule(kind, entity, typeof reason === "string" ? reason : "", ev.getRoomId());
+}
+
+/**
+ * Works out what applying ban rules to a room would change.
+ * @param {Room} room The room to apply them to.
+ * @param {PolicyRule[]} rules The rules to apply.
+ * @return {Object} With:
+ *     serverAcl: the content for the room's m.room.server_acl, or null if
+ *         no servers need adding to it;
+ *     deniedServers: the servers, or globs, being added to its deny list;
+ *     members: the RoomMembers who should be banned.
+ */
+export function getPolicyChangesForRoom(room, rules) {
+    const cli = MatrixClientPeg.get();
+    const aclEvent = room.currentState.getStateEvents("m.room.server_acl", "");
+    const acl = aclEvent ? aclEvent.getContent() : {};
+    const deny = Array.isArray(acl.deny) ? acl.deny : [];
+
+    const deniedServers = [];
+    for (const rule of rules) {
+        if (rule.kind !== RuleKind.Server) continue;
+        // never lock ourselves out of the room
+        if (rule.matchesUser(cli.getUserId())) continue;
+        if (deny.includes(rule.entity) || deniedServers.includes(rule.entity)) continue;
+        deniedServers.push(rule.entity);
+    }
+
+    let serverAcl = null;
+    if (deniedServers.length) {
+        serverAcl = {
+            allow: Array.isArray(acl.allow) ? acl.allow : ["*"],
+            deny: deny.concat(deniedServers),
+            allow_ip_literals: acl.allow_ip_literals !== undefined ? acl.allow_ip_literals : true,
+        };
+    }
+
+    const members = room.currentState.getMembers().filter((member) => {
+        if (member.membership === "ban" || member.userId === cli.getUserId()) return false;
+        return rules.some((rule) => rule.matchesUser(member.userId));
+    });
+
+    return {serverAcl, deniedServers, members};
+}
+
+/**
+ * Keeps track of the rules in the policy lists the user has subscribed to,
+ * which are rooms whose state lists users and servers which should be
+ * banned. The rooms subscribed to are kept in the "policyListRooms" setting,
+ * and must be joined to keep their state up to date.
+ *
+ * Emits "update" whenever the rules change.
+ */
+class PolicyLists extends EventEmitter {
+    constructor() {
+        super();
+        this._rules = [];
+        this._roomIds = [];
+        // userId: the rule for them, as this is checked for every event shown
+        this._rulesByUser = new Map();
+        this._watcherRef = null;
+        this._onRoomStateEvents = this._onRoomStateEvents.bind(this);
+        this._onRoom = this._onRoom.bind(this);
+        this._onSettingChanged = this._onSettingChanged.bind(this);
+    }
+
+    start() {
+        const cli = MatrixClientPeg.get();
+        cli.on("RoomState.events", this._onRoomStateEvents);
+        cli.on("Room", this._onRoom);
+        this._watcherRef = SettingsStore.watchSetting("policyListRooms", null, this._onSettingChanged);
+        this._update();
+    }
+
+    stop() {
+        const cli = MatrixClientPeg.get();
+        if (cli) {
+            cli.removeListener("RoomState.events", this._onRoomStateEvents);
+            cli.removeListener("Room", this._onRoom);
+        }
+        this._scheduleUpdate.cancelPendingCall();
+        if (this._watcherRef) {
+            SettingsStore.unwatchSetting(this._watcherRef);
+            this._watcherRef = null;
+        }
+        this._rules = [];
+        this._roomIds = [];
+        this._rulesByUser.clear();
+    }
+
+    /**
+     * @return {string[]} The IDs of the policy list rooms subscribed to.
+     */
+    getRoomIds() {
+        return this._roomIds;
+    }
+
+    /**
+     * @return {PolicyRule[]} All the rules in the lists subscribed to.
+     */
+    getRules() {
+        return this._rules;
+    }
+
+    /**
+     * @param {string} userId A user ID.
+     * @return {PolicyRule} The first rule which says they should be banned,
+     *     or null if none do.
+     */
+    getRuleForUser(userId) {
+        if (!userId || !this._rules.length) return null;
+        if (!this._rulesByUser.has(userId)) {
+            this._rulesByUser.set(userId, this._rules.find((rule) => rule.matchesUser(userId)) || null);
+        }
+        return this._rulesByUser.get(userId);
+    }
+
+    /**
+     * Subscribes to a policy list, joining its room.
+     * @param {string} roomIdOrAlias The ID or an alias of the list's room.
+     * @return {Promise} Resolved once subscribed.
+     */
+    async subscribe(roomIdOrAlias) {
+        const room = await MatrixClientPeg.get().joinRoom(roomIdOrAlias);
+        const roomIds = SettingsStore.getValue("policyListRooms").filter((id) => id !== room.roomId);
+        await SettingsStore.setValue("policyListRooms", null, SettingLevel.ACCOUNT, [...roomIds, room.roomId]);
+    }
+
+    /**
+     * Stops using a policy list's rules. Its room is left as it is.
+     * @param {string} roomId The ID of the list's room.
+     * @return {Promise} Resolved once unsubscribed.
+     */
+    unsubscribe(roomId) {
+        const roomIds = SettingsStore.getValue("policyListRooms").filter((id) => id !== roomId);
+        return SettingsStore.setValue("policyListRooms", null, SettingLevel.ACCOUNT, roomIds);
+    }
+
+    _onSettingChanged() {
+        this._update();
+    }
+
+    _onRoom(room) {
+        // we may have only just joined one of the lists
+        if (this._roomIds.includes(room.roomId)) this._update();
+    }
+
+    _onRoomStateEvents(ev) {
+        // a list's state arrives an event at a time, so wait for all of it
+        if (this._roomIds.includes(ev.getRoomId())) this._scheduleUpdate();
+    }
+
+    _scheduleUpdate = new RateLimitedFunc(function() {
+        this._update();
+    }, 500);
+
+    _update() {
+        const cli = MatrixClientPeg.get();
+        this._roomIds = SettingsStore.getValue("policyListRooms") || [];
+
+        const rules = [];
+        for (const roomId of this._roomIds) {
+            const room = cli.getRoom(roomId);
+            if (!room) continue;
+            for (const type of USER_RULE_TYPES.concat(SERVER_RULE_TYPES)) {
+                for (const ev of room.currentState.getStateEvents(type)) {
+                    const rule = parsePolicyRule(ev);
+                    if (rule) rules.push(rule);
+                }
+            }
+        }
+        this._rules = rules;
+        this._rulesByUser.clear();
+        this.emit("update");
+    }
+}
+
+export default new PolicyLists();
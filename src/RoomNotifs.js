@@ -18,6 +18,8 @@ limitations under the License.
 import MatrixClientPeg from './MatrixClientPeg';
 import PushProcessor from 'matrix-js-sdk/lib/pushprocessor';
 import Promise from 'bluebird';
+import StandardActions from './notifications/StandardActions';
+import {globToRegex} from './utils/glob';
 
 export const ALL_MESSAGES_LOUD = 'all_messages_loud';
 export const ALL_MESSAGES = 'all_messages';
@@ -152,6 +154,98 @@ export function getUnreadNotificationCount(room, type=null) {
     return notificationCount;
 }
 
+/**
+ * Gets the keywords which notify the user about messages in a room, whatever
+ * the room's notification state is, bar muted.
+ * @param {string} roomId The ID of the room.
+ * @return {Object[]} The keyword rules, as {ruleId, pattern}, oldest first.
+ */
+export function getRoomKeywordRules(roomId) {
+    const cli = MatrixClientPeg.get();
+    if (!cli.pushRules || !cli.pushRules['global'] || !cli.pushRules['global'].override) {
+        return [];
+    }
+    const keywordRules = [];
+    for (const rule of cli.pushRules['global'].override) {
+        const pattern = getKeywordRulePattern(roomId, rule);
+        if (pattern !== null && rule.enabled) {
+            keywordRules.push({ruleId: rule.rule_id, pattern});
+        }
+    }
+    // newer override rules come first, but the order they were added in reads better
+    return keywordRules.reverse();
+}
+
+/**
+ * Adds a keyword which will notify the user about messages in a room.
+ * @param {string} roomId The ID of the room.
+ * @param {string} pattern The keyword, which may use * and ? as wildcards.
+ * @return {Promise} Resolved once the rule has been added.
+ */
+export async function addRoomKeywordRule(roomId, pattern) {
+    const cli = MatrixClientPeg.get();
+    // a rule ID can't contain every character a keyword might, so it just needs to be unique
+    const ruleId = `${roomId}.keyword.${Date.now()}`;
+    const body = {
+        conditions: [
+            {
+                kind: 'event_match',
+                key: 'room_id',
+                pattern: roomId,
+            },
+            {
+                kind: 'event_match',
+                key: 'content.body',
+                pattern,
+            },
+        ],
+        actions: StandardActions.ACTION_HIGHLIGHT_DEFAULT_SOUND,
+    };
+
+    // A new override rule goes on top of the others, so it would break
+    // through the room being muted. Put it just below the mute instead,
+    // which the js-sdk's addPushRule has no way of doing.
+    const muteRule = findOverrideMuteRule(roomId);
+    if (!muteRule) {
+        await cli.addPushRule('global', 'override', ruleId, body);
+        return;
+    }
+    const path = `/pushrules/global/override/${encodeURIComponent(ruleId)}`;
+    await cli._http.authedRequest(undefined, 'PUT', path, {after: muteRule.rule_id}, body);
+}
+
+/**
+ * @param {string} ruleId The ID of the keyword rule, from getRoomKeywordRules.
+ * @return {Promise} Resolved once the rule has been removed.
+ */
+export function removeRoomKeywordRule(ruleId) {
+    return MatrixClientPeg.get().deletePushRule('global', 'override', ruleId);
+}
+
+/**
+ * Checks whether a message would notify the user for a keyword, in the same
+ * way as the homeserver does: the keyword has to match whole words of the body.
+ * @param {MatrixEvent} ev The message.
+ * @param {string} pattern The keyword, which may use * and ? as wildcards.
+ * @return {boolean} True if the keyword matches the message.
+ */
+export function eventMatchesKeyword(ev, pattern) {
+    const body = ev.getContent().body;
+    if (typeof body !== 'string' || !pattern) return false;
+    return new RegExp('(^|\\W)' + globToRegex(pattern) + '(\\W|$)', 'i').test(body);
+}
+
+function getKeywordRulePattern(roomId, rule) {
+    if (rule.conditions.length !== 2) return null;
+    const roomCond = rule.conditions.find((cond) => cond.key === 'room_id');
+    const bodyCond = rule.conditions.find((cond) => cond.key === 'content.body');
+    if (!roomCond || !bodyCond || roomCond.kind !== 'event_match' || bodyCond.kind !== 'event_match') {
+        return null;
+    }
+    if (roomCond.pattern !== roomId || isMuteRule(rule)) return null;
+    return bodyCond.pattern;
+}
+
 function setRoomNotifsStateMuted(roomId) {
     const cli = MatrixClientPeg.get();
     const promises = [];
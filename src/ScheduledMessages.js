@@ -0,0 +1,132 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import MatrixClientPeg from './MatrixClientPeg';
+import dis from './dispatcher';
+import SessionStore from './stores/SessionStore';
+
+// setTimeout can't wait longer than this (about 24 days): for messages
+// further away we just check again when it fires.
+const MAX_TIMEOUT_MS = 0x7FFFFFFF;
+
+/**
+ * Creates a message to be sent later.
+ * @param {string} roomId The room to send the message to.
+ * @param {Object} content The content of the message.
+ * @param {number} sendAt The timestamp to send the message at.
+ * @return {Object} The scheduled message, for the schedule_message action.
+ */
+export function createScheduledMessage(roomId, content, sendAt) {
+    return {
+        id: Date.now() + '-' + Math.random().toString(36).substr(2),
+        roomId,
+        sendAt,
+        content,
+    };
+}
+
+/**
+ * Sends the messages kept in the SessionStore once they are due. Messages
+ * which fail to send are left in the room as unsent messages, for the user
+ * to resend or cancel like any other.
+ */
+class ScheduledMessages {
+    constructor() {
+        this._storeToken = null;
+        this._timer = null;
+        // IDs of messages we've sent but which may still be in the store,
+        // as it's updated asynchronously
+        this._sentIds = new Set();
+        this._onStoreUpdate = this._onStoreUpdate.bind(this);
+        this._onSync = this._onSync.bind(this);
+    }
+
+    start() {
+        this._storeToken = SessionStore.addListener(this._onStoreUpdate);
+        MatrixClientPeg.get().on('sync', this._onSync);
+        this._schedule();
+    }
+
+    stop() {
+        if (this._storeToken) {
+            this._storeToken.remove();
+            this._storeToken = null;
+        }
+        const client = MatrixClientPeg.get();
+        if (client) {
+            client.removeListener('sync', this._onSync);
+        }
+        clearTimeout(this._timer);
+        this._timer = null;
+        this._sentIds.clear();
+    }
+
+    _onStoreUpdate() {
+        this._schedule();
+    }
+
+    _onSync(state, prevState) {
+        // don't send anything until we know about the rooms, then send
+        // whatever became due while we were away.
+        if (state === 'PREPARED' || (state === 'SYNCING' && prevState !== 'SYNCING')) {
+            this._schedule();
+        }
+    }
+
+    _schedule() {
+        clearTimeout(this._timer);
+        this._timer = null;
+
+        const syncState = MatrixClientPeg.get().getSyncState();
+        if (syncState !== 'PREPARED' && syncState !== 'SYNCING') return;
+
+        const messages = SessionStore.getScheduledMessages().filter((m) => !this._sentIds.has(m.id));
+        if (messages.length === 0) return;
+
+        const now = Date.now();
+        const due = messages.filter((m) => m.sendAt <= now);
+        if (due.length > 0) {
+            // sending removes them from the store, which calls us again
+            // to wait for the next one.
+            due.forEach((m) => this._send(m));
+            return;
+        }
+        const delay = Math.min(messages[0].sendAt - now, MAX_TIMEOUT_MS);
+        this._timer = setTimeout(() => this._schedule(), delay);
+    }
+
+    _send(message) {
+        this._sentIds.add(message.id);
+        dis.dispatch({
+            action: 'send_scheduled_message',
+            message,
+        });
+        MatrixClientPeg.get().sendMessage(message.roomId, message.content).then(() => {
+            dis.dispatch({
+                action: 'message_sent',
+            });
+        }).catch((err) => {
+            // the event stays in the room as an unsent message, which the
+            // room status bar offers to resend or cancel
+            console.error('Failed to send scheduled message', err);
+            dis.dispatch({
+                action: 'message_send_failed',
+            });
+        });
+    }
+}
+
+export default new ScheduledMessages();
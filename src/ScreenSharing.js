@@ -0,0 +1,157 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/*
+ * Sharing the screen in 1:1 calls. The screen is sent instead of the camera
+ * by swapping the track the call's video sender sends, so it needs no
+ * renegotiation, but only works in video calls.
+ *
+ * Dispatches this when a call starts or stops sharing the screen:
+ * {
+ *   action: 'screen_sharing_changed'
+ *   room_id: <room ID of the call>
+ * }
+ */
+
+import dis from './dispatcher';
+
+// call ID to {stream, cameraTrack, sender} of the calls sharing the screen
+const sharing = new Map();
+
+/**
+ * @returns {boolean} Whether the browser can capture the screen.
+ */
+export function canShareScreen() {
+    return Boolean(navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia);
+}
+
+/**
+ * Asks the user which screen or window to share. Browsers only allow this
+ * in response to the user doing something, so it must be called straight
+ * from eg. a click handler.
+ * @returns {Promise<MediaStream>} The screen, or rejected if the user
+ *     didn't pick one.
+ */
+export function getDisplayMedia() {
+    return navigator.mediaDevices.getDisplayMedia({video: true, audio: false});
+}
+
+/**
+ * @param {MatrixCall} call A call.
+ * @returns {MediaStream} The screen the call is sharing, or null if it isn't.
+ */
+export function getSharedScreen(call) {
+    const entry = call && sharing.get(call.callId);
+    return entry ? entry.stream : null;
+}
+
+function _getVideoSender(call) {
+    // the js-sdk doesn't give us the peer connection, so this is its own
+    const peerConn = call.peerConn;
+    if (!peerConn || !peerConn.getSenders) return null;
+    return peerConn.getSenders().find((sender) => sender.track && sender.track.kind === 'video') || null;
+}
+
+/**
+ * Sends a screen in a call instead of the camera.
+ * @param {MatrixCall} call A video call which has started.
+ * @param {MediaStream} stream The screen, from getDisplayMedia.
+ * @returns {Promise} Resolved once the screen is being sent.
+ */
+export async function startScreenSharing(call, stream) {
+    const screenTrack = stream.getVideoTracks()[0];
+    const sender = _getVideoSender(call);
+    if (!sender || !screenTrack) {
+        stream.getTracks().forEach((track) => track.stop());
+        throw new Error("The call has no video to share the screen in");
+    }
+
+    const previous = sharing.get(call.callId);
+    const cameraTrack = previous ? previous.cameraTrack : sender.track;
+    await sender.replaceTrack(screenTrack);
+    if (previous) previous.stream.getTracks().forEach((track) => track.stop());
+    sharing.set(call.callId, {stream, cameraTrack, sender});
+
+    // the browser has its own button to stop sharing
+    screenTrack.onended = () => {
+        if (getSharedScreen(call) === stream) stopScreenSharing(call);
+    };
+    dis.dispatch({action: 'screen_sharing_changed', room_id: call.roomId});
+}
+
+/**
+ * Goes back to sending the camera in a call sharing the screen.
+ * @param {MatrixCall} call The call.
+ * @returns {Promise} Resolved once the camera is being sent again.
+ */
+export async function stopScreenSharing(call) {
+    const entry = sharing.get(call.callId);
+    if (!entry) return;
+    sharing.delete(call.callId);
+    entry.stream.getTracks().forEach((track) => track.stop());
+    dis.dispatch({action: 'screen_sharing_changed', room_id: call.roomId});
+    try {
+        await entry.sender.replaceTrack(entry.cameraTrack);
+    } catch (e) {
+        // the call has probably ended
+        console.warn("Couldn't go back to sending the camera", e);
+    }
+}
+
+/**
+ * Shares a screen in a video call which is being placed, as soon as it
+ * can be.
+ * @param {MatrixCall} call The call.
+ * @param {MediaStream} stream The screen, from getDisplayMedia.
+ */
+export function shareScreenWhenPlaced(call, stream) {
+    const onState = (newState) => {
+        if (newState === 'ended') {
+            call.removeListener('state', onState);
+            stream.getTracks().forEach((track) => track.stop());
+        } else if (newState === 'invite_sent') {
+            // the offer has been made, so the camera's sender exists
+            call.removeListener('state', onState);
+            startScreenSharing(call, stream).catch((e) => {
+                console.error("Failed to share the screen", e);
+            });
+        }
+    };
+    call.on('state', onState);
+}
+
+/**
+ * Stops or restarts sending the screen, eg. while the call is on hold.
+ * @param {MatrixCall} call The call.
+ * @param {boolean} paused Whether to stop sending it.
+ */
+export function setScreenSharingPaused(call, paused) {
+    const stream = getSharedScreen(call);
+    if (!stream) return;
+    stream.getVideoTracks().forEach((track) => track.enabled = !paused);
+}
+
+/**
+ * Stops capturing the screen for a call which has ended.
+ * @param {MatrixCall} call The call.
+ */
+export function forgetCall(call) {
+    const entry = sharing.get(call.callId);
+    if (!entry) return;
+    sharing.delete(call.callId);
+    entry.stream.getTracks().forEach((track) => track.stop());
+    dis.dispatch({action: 'screen_sharing_changed', room_id: call.roomId});
+}
@@ -0,0 +1,220 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import Promise from 'bluebird';
+import SearchResult from 'matrix-js-sdk/lib/models/search-result';
+import MatrixClientPeg from './MatrixClientPeg';
+import EventIndex from './indexing/EventIndex';
+
+/*
+ * Searching rooms, using the server's /search API for unencrypted rooms and
+ * the local EventIndex for encrypted ones.
+ *
+ * All the functions here resolve to a search results object in the format
+ * produced by MatrixClient.searchRoomEvents, ie. with `results` (a list of
+ * js-sdk SearchResults, most recent first), `highlights`, `count` and a
+ * `next_batch` if there are more results to fetch with searchPagination().
+ */
+
+function serverSideSearch(term, roomId) {
+    let filter;
+    if (roomId !== undefined) {
+        filter = {
+            // XXX: it's unintuitive that the filter for searching doesn't have the same shape as the v2 filter API :(
+            rooms: [roomId],
+        };
+    }
+
+    return MatrixClientPeg.get().searchRoomEvents({filter, term});
+}
+
+async function localSearch(searchResults) {
+    const eventIndex = EventIndex.shared();
+    if (eventIndex === null) {
+        throw new Error("The local search index is not available");
+    }
+
+    const localResponse = await eventIndex.search({
+        searchTerm: searchResults._localQuery.term,
+        roomId: searchResults._localQuery.roomId,
+        nextBatch: searchResults.next_batch,
+    });
+
+    // turn the results into SearchResults with EventContexts, the same way
+    // the js-sdk does for a server response
+    const mapper = MatrixClientPeg.get().getEventMapper();
+    searchResults.count = localResponse.count;
+    searchResults.next_batch = localResponse.next_batch;
+    searchResults.highlights = mergeHighlights(searchResults.highlights, localResponse.highlights);
+    for (const result of localResponse.results) {
+        searchResults.results.push(SearchResult.fromJson(result, mapper));
+    }
+    return searchResults;
+}
+
+function newLocalSearch(term, roomId) {
+    return localSearch({
+        _localQuery: {term, roomId},
+        results: [],
+        highlights: [],
+    });
+}
+
+function localPagination(searchResults) {
+    // as with backPaginateRoomEventsSearch, only have one request in flight
+    if (searchResults.pendingRequest) return searchResults.pendingRequest;
+
+    searchResults.pendingRequest = localSearch(searchResults).finally(() => {
+        searchResults.pendingRequest = null;
+    });
+    return searchResults.pendingRequest;
+}
+
+function getResultTs(result) {
+    return result.context.getEvent().getTs();
+}
+
+function compareResultsByRecency(a, b) {
+    return getResultTs(b) - getResultTs(a);
+}
+
+function mergeHighlights(...highlightLists) {
+    const highlights = [];
+    for (const list of highlightLists) {
+        for (const hl of list) {
+            if (!highlights.includes(hl)) highlights.push(hl);
+        }
+    }
+    return highlights;
+}
+
+function updateCombinedResults(combined) {
+    const server = combined._serverResults;
+    const local = combined._localResults;
+
+    // Each search returns its results most recent first, so a search with
+    // more to fetch may still have results newer than the oldest one the
+    // other has returned. Those of the other's results are held back until
+    // both have got as far back, so that the results stay in order.
+    let cutoff = -Infinity;
+    for (const results of [server, local]) {
+        if (!results.next_batch) continue;
+        const oldest = results.results[results.results.length - 1];
+        cutoff = Math.max(cutoff, oldest ? getResultTs(oldest) : Infinity);
+    }
+
+    combined.results = server.results.concat(local.results)
+        .filter((r) => getResultTs(r) >= cutoff)
+        .sort(compareResultsByRecency);
+    combined.highlights = mergeHighlights(server.highlights, local.highlights);
+    combined.count = (server.count || 0) + (local.count || 0);
+    // any truthy value will do: searchPagination() works out which of the
+    // two searches to continue.
+    combined.next_batch = server.next_batch || local.next_batch ? 'combined' : undefined;
+    return combined;
+}
+
+/**
+ * Waits for both halves of a combined search, so that one failing doesn't
+ * lose the results of the other.
+ * @param {Promise} serverPromise The server side search.
+ * @param {Promise} localPromise The local search.
+ * @return {Promise<Object[]>} The outcomes of the two as bluebird
+ *     PromiseInspections. Rejects if both failed.
+ */
+async function settleSearches(serverPromise, localPromise) {
+    const outcomes = await Promise.all([
+        Promise.resolve(serverPromise).reflect(),
+        Promise.resolve(localPromise).reflect(),
+    ]);
+    const failures = outcomes.filter((o) => o.isRejected());
+    if (failures.length === outcomes.length) throw failures[0].reason();
+    for (const failure of failures) {
+        console.error("Failed to search some of the rooms", failure.reason());
+    }
+    return outcomes;
+}
+
+async function combinedSearch(term) {
+    // the server can only find messages in unencrypted rooms and the index
+    // only holds messages from encrypted rooms, so there are no duplicates
+    // between the two.
+    const [serverOutcome, localOutcome] = await settleSearches(
+        serverSideSearch(term),
+        newLocalSearch(term),
+    );
+
+    // a search which failed is treated as having found nothing
+    const noResults = {results: [], highlights: []};
+    const combined = {
+        _serverResults: serverOutcome.isFulfilled() ? serverOutcome.value() : noResults,
+        _localResults: localOutcome.isFulfilled() ? localOutcome.value() : noResults,
+        results: [],
+        highlights: [],
+    };
+    return updateCombinedResults(combined);
+}
+
+async function combinedPagination(combined) {
+    const server = combined._serverResults;
+    const local = combined._localResults;
+
+    // a search whose page failed keeps its next_batch, so is tried again
+    // the next time
+    await settleSearches(
+        server.next_batch ? MatrixClientPeg.get().backPaginateRoomEventsSearch(server) : null,
+        local.next_batch ? localPagination(local) : null,
+    );
+
+    return updateCombinedResults(combined);
+}
+
+/**
+ * Searches for messages.
+ * @param {string} term The term to search for.
+ * @param {string=} roomId The room to search, or undefined to search all
+ *     rooms.
+ * @return {Promise<Object>} The search results.
+ */
+export function eventSearch(term, roomId = undefined) {
+    if (EventIndex.shared() === null) {
+        return serverSideSearch(term, roomId);
+    }
+
+    if (roomId === undefined) {
+        return combinedSearch(term);
+    } else if (MatrixClientPeg.get().isRoomEncrypted(roomId)) {
+        return newLocalSearch(term, roomId);
+    } else {
+        return serverSideSearch(term, roomId);
+    }
+}
+
+/**
+ * Fetches the next batch of results of a search started with eventSearch(),
+ * appending them to its results.
+ * @param {Object} searchResults The results object from eventSearch().
+ * @return {Promise<Object>} The updated search results.
+ */
+export function searchPagination(searchResults) {
+    if (searchResults._serverResults) {
+        return combinedPagination(searchResults);
+    } else if (searchResults._localQuery) {
+        return localPagination(searchResults);
+    } else {
+        return MatrixClientPeg.get().backPaginateRoomEventsSearch(searchResults);
+    }
+}
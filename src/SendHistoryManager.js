@@ -0,0 +1,63 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import _clamp from 'lodash/clamp';
+
+/**
+ * Keeps the messages sent from a room's composer for the session, as the
+ * serialized parts of their EditorModel, so they can be brought back into
+ * the composer.
+ */
+export default class SendHistoryManager {
+    constructor(roomId, prefix = 'mx_send_history_') {
+        this.prefix = prefix + roomId;
+        this.history = [];
+        // used for indexing the storage
+        this.lastIndex = 0;
+        // used for indexing the loaded validated history Array
+        this.currentIndex = 0;
+
+        let item;
+        for (; item = sessionStorage.getItem(`${this.prefix}[${this.currentIndex}]`); this.currentIndex++) {
+            try {
+                this.history.push(JSON.parse(item));
+            } catch (e) {
+                console.warn("Throwing away unserialisable history", e);
+            }
+        }
+        this.lastIndex = this.currentIndex;
+        // reset currentIndex to account for any unserialisable history
+        this.currentIndex = this.history.length;
+    }
+
+    /**
+     * @param {Object[]} serializedParts the parts of the message sent
+     */
+    save(serializedParts) {
+        this.history.push(serializedParts);
+        this.currentIndex = this.history.length;
+        sessionStorage.setItem(`${this.prefix}[${this.lastIndex++}]`, JSON.stringify(serializedParts));
+    }
+
+    /**
+     * @param {number} offset how far to move from the current item, e.g. -1 for the previous one
+     * @return {Object[]} the serialized parts of the message there
+     */
+    getItem(offset) {
+        this.currentIndex = _clamp(this.currentIndex + offset, 0, this.history.length - 1);
+        return this.history[this.currentIndex];
+    }
+}
@@ -32,6 +32,7 @@ import { linkifyAndSanitizeHtml } from './HtmlUtils';
 import QuestionDialog from "./components/views/dialogs/QuestionDialog";
 import WidgetUtils from "./utils/WidgetUtils";
 import {textToHtmlRainbow} from "./utils/colour";
+import Email from "./email";
 import Promise from "bluebird";
 
 const singleMxcUpload = async () => {
@@ -54,10 +55,101 @@ const singleMxcUpload = async () => {
     });
 };
 
+/**
+ * The types of argument a command can take. Commands which say what their
+ * arguments are have them checked before they run, and the completions
+ * say which one is being typed.
+ */
+export const ArgType = Object.freeze({
+    // a user ID, like @alice:example.org
+    UserId: "user_id",
+    // a user ID or an email address to invite, like alice@example.org
+    UserIdOrEmail: "user_id_or_email",
+    // a room alias or ID, like #matrix:matrix.org
+    RoomAlias: "room_alias",
+    // a whole number
+    Number: "number",
+    // the rest of what was typed, which can have spaces in, so must come last
+    Text: "text",
+});
+
+const USER_ID_REGEX = /^@\S+:\S+$/;
+
+const ARG_TYPES = {
+    [ArgType.UserId]: {
+        regex: USER_ID_REGEX,
+        description: _td("a user ID, like @alice:example.org"),
+    },
+    [ArgType.UserIdOrEmail]: {
+        isValid: (value) => USER_ID_REGEX.test(value) || Email.looksValid(value),
+        description: _td("a user ID or an email address, like @alice:example.org or alice@example.org"),
+    },
+    [ArgType.RoomAlias]: {
+        regex: /^[#!]\S+:\S+$/,
+        description: _td("a room address, like #room:example.org"),
+    },
+    [ArgType.Number]: {
+        regex: /^-?\d+$/,
+        parse: (value) => parseInt(value, 10),
+        description: _td("a number"),
+    },
+    [ArgType.Text]: {
+        description: _td("some text"),
+    },
+};
+
+function checkArg(arg, value) {
+    const {regex, isValid, description} = ARG_TYPES[arg.type];
+    if ((regex && !regex.test(value)) || (isValid && !isValid(value))) {
+        return _t("%(arg)s should be %(description)s, not '%(value)s'.", {
+            arg: arg.name,
+            description: _t(description),
+            value,
+        });
+    }
+    return null;
+}
+
+/**
+ * Parses what was typed after a command into the arguments it takes.
+ * @param {Object[]} argSchema The arguments the command takes, as {name, type, optional}.
+ * @param {string} input What was typed after the command.
+ * @return {Object} {args} with the arguments by name, or {error} with a
+ *     translated message saying what's wrong.
+ */
+export function parseCommandArgs(argSchema, input) {
+    const args = {};
+    let rest = (input || "").trim();
+    for (const arg of argSchema) {
+        let value = rest;
+        if (arg.type !== ArgType.Text) {
+            const matches = rest.match(/^(\S*)\s*([\s\S]*)$/);
+            value = matches[1];
+            rest = matches[2];
+        } else {
+            rest = "";
+        }
+
+        if (!value) {
+            if (arg.optional) continue;
+            return {error: _t("%(arg)s is missing.", {arg: arg.name})};
+        }
+        const error = checkArg(arg, value);
+        if (error) return {error};
+        const {parse} = ARG_TYPES[arg.type];
+        args[arg.name] = parse ? parse(value) : value;
+    }
+    if (rest) {
+        return {error: _t("There are too many arguments.")};
+    }
+    return {args};
+}
+
 class Command {
-    constructor({name, args='', description, runFn, hideCompletionAfterSpace=false}) {
+    constructor({name, args, argSchema, description, runFn, hideCompletionAfterSpace=false}) {
         this.command = '/' + name;
-        this.args = args;
+        this.argSchema = argSchema;
+        this.args = args !== undefined ? args : getArgsUsage(argSchema);
         this.description = description;
         this.runFn = runFn;
         this.hideCompletionAfterSpace = hideCompletionAfterSpace;
@@ -72,22 +164,64 @@ class Command {
     }
 
     run(roomId, args) {
-        return this.runFn.bind(this)(roomId, args);
+        if (!this.argSchema) {
+            return this.runFn.bind(this)(roomId, args);
+        }
+        const parsed = parseCommandArgs(this.argSchema, args);
+        if (parsed.error) {
+            return reject(parsed.error + " " + this.getUsage());
+        }
+        return this.runFn.bind(this)(roomId, args, parsed.args);
     }
 
     getUsage() {
         return _t('Usage') + ': ' + this.getCommandWithArgs();
     }
+
+    /**
+     * Works out which argument is being typed, for the completions.
+     * @param {string} input What has been typed after the command so far.
+     * @return {Object} {arg, description} for the argument being typed, or
+     *     {error} if one already typed is wrong. Null if the command doesn't
+     *     say what its arguments are.
+     */
+    getArgHint(input) {
+        if (!this.argSchema) return null;
+        // the last word is the one being typed
+        const words = input.replace(/^\s+/, '').split(/\s+/);
+        for (let i = 0; i < this.argSchema.length; i++) {
+            const arg = this.argSchema[i];
+            if (arg.type === ArgType.Text || i === words.length - 1) {
+                return {arg, description: _t(ARG_TYPES[arg.type].description)};
+            }
+            const error = checkArg(arg, words[i]);
+            if (error) return {error};
+        }
+        return {error: _t("There are too many arguments.")};
+    }
 }
 
-function reject(error) {
-    return {error};
+function getArgsUsage(argSchema) {
+    if (!argSchema) return '';
+    return argSchema.map((arg) => arg.optional ? `[<${arg.name}>]` : `<${arg.name}>`).join(' ');
 }
 
-function success(promise) {
+/**
+ * @param {Promise} promise The request the command sent, if any.
+ * @return {Object} What a command's runFn returns when it has run.
+ */
+export function success(promise) {
     return {promise};
 }
 
+/**
+ * @param {string} error A translated message saying why the command can't run.
+ * @return {Object} What a command's runFn returns when it can't run.
+ */
+export function reject(error) {
+    return {error};
+}
+
 /* Disable the "unexpected this" error for these commands - all of the run
  * functions are called with `this` bound to the Command instance.
  */
@@ -338,24 +472,17 @@ export const CommandMap = {
 
     invite: new Command({
         name: 'invite',
-        args: '<user-id>',
+        argSchema: [{name: 'user-id', type: ArgType.UserIdOrEmail}],
         description: _td('Invites user with given id to current room'),
-        runFn: function(roomId, args) {
-            if (args) {
-                const matches = args.match(/^(\S+)$/);
-                if (matches) {
-                    // We use a MultiInviter to re-use the invite logic, even though
-                    // we're only inviting one user.
-                    const userId = matches[1];
-                    const inviter = new MultiInviter(roomId);
-                    return success(inviter.invite([userId]).then(() => {
-                        if (inviter.getCompletionState(userId) !== "invited") {
-                            throw new Error(inviter.getErrorText(userId));
-                        }
-                    }));
+        runFn: function(roomId, args, {'user-id': userId}) {
+            // We use a MultiInviter to re-use the invite logic, even though
+            // we're only inviting one user.
+            const inviter = new MultiInviter(roomId);
+            return success(inviter.invite([userId]).then(() => {
+                if (inviter.getCompletionState(userId) !== "invited") {
+                    throw new Error(inviter.getErrorText(userId));
                 }
-            }
-            return reject(this.getUsage());
+            }));
         },
     }),
 
@@ -512,159 +639,169 @@ export const CommandMap = {
 
     kick: new Command({
         name: 'kick',
-        args: '<user-id> [reason]',
+        argSchema: [
+            {name: 'user-id', type: ArgType.UserId},
+            {name: 'reason', type: ArgType.Text, optional: true},
+        ],
         description: _td('Kicks user with given id'),
-        runFn: function(roomId, args) {
-            if (args) {
-                const matches = args.match(/^(\S+?)( +(.*))?$/);
-                if (matches) {
-                    return success(MatrixClientPeg.get().kick(roomId, matches[1], matches[3]));
-                }
-            }
-            return reject(this.getUsage());
+        runFn: function(roomId, args, {'user-id': userId, reason}) {
+            return success(MatrixClientPeg.get().kick(roomId, userId, reason));
         },
     }),
 
     // Ban a user from the room with an optional reason
     ban: new Command({
         name: 'ban',
-        args: '<user-id> [reason]',
+        argSchema: [
+            {name: 'user-id', type: ArgType.UserId},
+            {name: 'reason', type: ArgType.Text, optional: true},
+        ],
         description: _td('Bans user with given id'),
-        runFn: function(roomId, args) {
-            if (args) {
-                const matches = args.match(/^(\S+?)( +(.*))?$/);
-                if (matches) {
-                    return success(MatrixClientPeg.get().ban(roomId, matches[1], matches[3]));
-                }
-            }
-            return reject(this.getUsage());
+        runFn: function(roomId, args, {'user-id': userId, reason}) {
+            return success(MatrixClientPeg.get().ban(roomId, userId, reason));
         },
     }),
 
     // Unban a user from ythe room
     unban: new Command({
         name: 'unban',
-        args: '<user-id>',
+        argSchema: [{name: 'user-id', type: ArgType.UserId}],
         description: _td('Unbans user with given ID'),
-        runFn: function(roomId, args) {
-            if (args) {
-                const matches = args.match(/^(\S+)$/);
-                if (matches) {
-                    // Reset the user membership to "leave" to unban him
-                    return success(MatrixClientPeg.get().unban(roomId, matches[1]));
-                }
-            }
-            return reject(this.getUsage());
+        runFn: function(roomId, args, {'user-id': userId}) {
+            // Reset the user membership to "leave" to unban him
+            return success(MatrixClientPeg.get().unban(roomId, userId));
         },
     }),
 
     ignore: new Command({
         name: 'ignore',
-        args: '<user-id>',
+        argSchema: [{name: 'user-id', type: ArgType.UserId}],
         description: _td('Ignores a user, hiding their messages from you'),
-        runFn: function(roomId, args) {
-            if (args) {
-                const cli = MatrixClientPeg.get();
-
-                const matches = args.match(/^(\S+)$/);
-                if (matches) {
-                    const userId = matches[1];
-                    const ignoredUsers = cli.getIgnoredUsers();
-                    ignoredUsers.push(userId); // de-duped internally in the js-sdk
-                    return success(
-                        cli.setIgnoredUsers(ignoredUsers).then(() => {
-                            const InfoDialog = sdk.getComponent('dialogs.InfoDialog');
-                            Modal.createTrackedDialog('Slash Commands', 'User ignored', InfoDialog, {
-                                title: _t('Ignored user'),
-                                description: <div>
-                                    <p>{ _t('You are now ignoring %(userId)s', {userId}) }</p>
-                                </div>,
-                            });
-                        }),
-                    );
-                }
-            }
-            return reject(this.getUsage());
+        runFn: function(roomId, args, {'user-id': userId}) {
+            const cli = MatrixClientPeg.get();
+            const ignoredUsers = cli.getIgnoredUsers();
+            ignoredUsers.push(userId); // de-duped internally in the js-sdk
+            return success(
+                cli.setIgnoredUsers(ignoredUsers).then(() => {
+                    const InfoDialog = sdk.getComponent('dialogs.InfoDialog');
+                    Modal.createTrackedDialog('Slash Commands', 'User ignored', InfoDialog, {
+                        title: _t('Ignored user'),
+                        description: <div>
+                            <p>{ _t('You are now ignoring %(userId)s', {userId}) }</p>
+                        </div>,
+                    });
+                }),
+            );
         },
     }),
 
     unignore: new Command({
         name: 'unignore',
-        args: '<user-id>',
+        argSchema: [{name: 'user-id', type: ArgType.UserId}],
         description: _td('Stops ignoring a user, showing their messages going forward'),
-        runFn: function(roomId, args) {
-            if (args) {
-                const cli = MatrixClientPeg.get();
-
-                const matches = args.match(/^(\S+)$/);
-                if (matches) {
-                    const userId = matches[1];
-                    const ignoredUsers = cli.getIgnoredUsers();
-                    const index = ignoredUsers.indexOf(userId);
-                    if (index !== -1) ignoredUsers.splice(index, 1);
-                    return success(
-                        cli.setIgnoredUsers(ignoredUsers).then(() => {
-                            const InfoDialog = sdk.getComponent('dialogs.InfoDialog');
-                            Modal.createTrackedDialog('Slash Commands', 'User unignored', InfoDialog, {
-                                title: _t('Unignored user'),
-                                description: <div>
-                                    <p>{ _t('You are no longer ignoring %(userId)s', {userId}) }</p>
-                                </div>,
-                            });
-                        }),
-                    );
-                }
-            }
-            return reject(this.getUsage());
+        runFn: function(roomId, args, {'user-id': userId}) {
+            const cli = MatrixClientPeg.get();
+            const ignoredUsers = cli.getIgnoredUsers();
+            const index = ignoredUsers.indexOf(userId);
+            if (index !== -1) ignoredUsers.splice(index, 1);
+            return success(
+                cli.setIgnoredUsers(ignoredUsers).then(() => {
+                    const InfoDialog = sdk.getComponent('dialogs.InfoDialog');
+                    Modal.createTrackedDialog('Slash Commands', 'User unignored', InfoDialog, {
+                        title: _t('Unignored user'),
+                        description: <div>
+                            <p>{ _t('You are no longer ignoring %(userId)s', {userId}) }</p>
+                        </div>,
+                    });
+                }),
+            );
         },
     }),
 
     // Define the power level of a user
     op: new Command({
         name: 'op',
-        args: '<user-id> [<power-level>]',
+        argSchema: [
+            {name: 'user-id', type: ArgType.UserId},
+            {name: 'power-level', type: ArgType.Number, optional: true},
+        ],
         description: _td('Define the power level of a user'),
-        runFn: function(roomId, args) {
-            if (args) {
-                const matches = args.match(/^(\S+?)( +(-?\d+))?$/);
-                let powerLevel = 50; // default power level for op
-                if (matches) {
-                    const userId = matches[1];
-                    if (matches.length === 4 && undefined !== matches[3]) {
-                        powerLevel = parseInt(matches[3]);
-                    }
-                    if (!isNaN(powerLevel)) {
-                        const cli = MatrixClientPeg.get();
-                        const room = cli.getRoom(roomId);
-                        if (!room) return reject('Bad room ID: ' + roomId);
+        runFn: function(roomId, args, {'user-id': userId, 'power-level': powerLevel = 50}) {
+            const cli = MatrixClientPeg.get();
+            const room = cli.getRoom(roomId);
+            if (!room) return reject('Bad room ID: ' + roomId);
 
-                        const powerLevelEvent = room.currentState.getStateEvents('m.room.power_levels', '');
-                        return success(cli.setPowerLevel(roomId, userId, powerLevel, powerLevelEvent));
-                    }
-                }
-            }
-            return reject(this.getUsage());
+            const powerLevelEvent = room.currentState.getStateEvents('m.room.power_levels', '');
+            return success(cli.setPowerLevel(roomId, userId, powerLevel, powerLevelEvent));
         },
     }),
 
     // Reset the power level of a user
     deop: new Command({
         name: 'deop',
-        args: '<user-id>',
+        argSchema: [{name: 'user-id', type: ArgType.UserId}],
         description: _td('Deops user with given id'),
-        runFn: function(roomId, args) {
-            if (args) {
-                const matches = args.match(/^(\S+)$/);
-                if (matches) {
-                    const cli = MatrixClientPeg.get();
-                    const room = cli.getRoom(roomId);
-                    if (!room) return reject('Bad room ID: ' + roomId);
+        runFn: function(roomId, args, {'user-id': userId}) {
+            const cli = MatrixClientPeg.get();
+            const room = cli.getRoom(roomId);
+            if (!room) return reject('Bad room ID: ' + roomId);
 
-                    const powerLevelEvent = room.currentState.getStateEvents('m.room.power_levels', '');
-                    return success(cli.setPowerLevel(roomId, args, undefined, powerLevelEvent));
-                }
-            }
-            return reject(this.getUsage());
+            const powerLevelEvent = room.currentState.getStateEvents('m.room.power_levels', '');
+            return success(cli.setPowerLevel(roomId, userId, undefined, powerLevelEvent));
+        },
+    }),
+
+    mute: new Command({
+        name: 'mute',
+        argSchema: [{name: 'user-id', type: ArgType.UserId}],
+        description: _td('Stops user with given id from sending messages in this room'),
+        runFn: function(roomId, args, {'user-id': userId}) {
+            const cli = MatrixClientPeg.get();
+            const room = cli.getRoom(roomId);
+            if (!room) return reject('Bad room ID: ' + roomId);
+
+            const powerLevelEvent = room.currentState.getStateEvents('m.room.power_levels', '');
+            if (!powerLevelEvent) return reject(_t("This room has no power levels to mute users with."));
+
+            // the same level MemberInfo's mute button sets
+            const powerLevels = powerLevelEvent.getContent();
+            const levelToSend = parseInt(
+                (powerLevels.events ? powerLevels.events["m.room.message"] : null) ||
+                powerLevels.events_default || 0,
+            );
+            return success(cli.setPowerLevel(roomId, userId, levelToSend - 1, powerLevelEvent));
+        },
+    }),
+
+    purge: new Command({
+        name: 'purge',
+        argSchema: [
+            {name: 'user-id', type: ArgType.UserId},
+            {name: 'count', type: ArgType.Number, optional: true},
+        ],
+        description: _td('Removes the most recent messages from user with given id, 50 by default'),
+        runFn: function(roomId, args, {'user-id': userId, count = 50}) {
+            if (count < 1) return reject(_t("The count must be at least 1.") + " " + this.getUsage());
+            const room = MatrixClientPeg.get().getRoom(roomId);
+            if (!room) return reject('Bad room ID: ' + roomId);
+
+            const PurgeMessagesDialog = sdk.getComponent('dialogs.PurgeMessagesDialog');
+            Modal.createTrackedDialog('Slash Commands', 'Purge', PurgeMessagesDialog, {room, userId, count});
+            return success();
+        },
+    }),
+
+    whois: new Command({
+        name: 'whois',
+        argSchema: [{name: 'user-id', type: ArgType.UserId}],
+        description: _td('Shows the profile, devices and membership history of user with given id'),
+        runFn: function(roomId, args, {'user-id': userId}) {
+            const WhoisDialog = sdk.getComponent('dialogs.WhoisDialog');
+            Modal.createTrackedDialog('Slash Commands', 'Whois', WhoisDialog, {
+                userId,
+                room: MatrixClientPeg.get().getRoom(roomId),
+            });
+            return success();
         },
     }),
 
@@ -809,6 +946,16 @@ export const CommandMap = {
             return success(MatrixClientPeg.get().sendHtmlEmote(roomId, args, textToHtmlRainbow(args)));
         },
     }),
+
+    help: new Command({
+        name: "help",
+        description: _td("Displays list of commands with usages and descriptions"),
+        runFn: function() {
+            const SlashCommandHelpDialog = sdk.getComponent('dialogs.SlashCommandHelpDialog');
+            Modal.createTrackedDialog('Slash Commands', 'Help', SlashCommandHelpDialog);
+            return success();
+        },
+    }),
 };
 /* eslint-enable babel/no-invalid-this */
 
@@ -821,6 +968,68 @@ const aliases = {
     roomnick: "myroomnick",
 };
 
+/**
+ * Adds a slash command, eg. for an app embedding the SDK to add its own.
+ * Commands which say what their arguments are in argSchema have them checked
+ * and parsed before they run, and the completions say what to type next.
+ * @param {Object} opts Options:
+ *     name: what is typed after the slash, eg. "weather" for /weather.
+ *     description: what the command does, translated or passed through _td.
+ *     argSchema: the arguments it takes, as {name, type, optional}, where
+ *         type is one of ArgType. Only the last one can be ArgType.Text.
+ *     args: how to use it, eg. '<message>', if there is no argSchema.
+ *     aliases: other names it can be run by.
+ *     runFn: called with the room ID, what was typed after the command and,
+ *         if there is an argSchema, the arguments by name. Returns the result
+ *         of success() or reject().
+ */
+export function registerSlashCommand(opts) {
+    const names = [opts.name, ...(opts.aliases || [])];
+    for (const name of names) {
+        if (CommandMap[name] || aliases[name]) {
+            throw new Error(`There is already a command called /${name}`);
+        }
+    }
+    CommandMap[opts.name] = new Command(opts);
+    for (const alias of opts.aliases || []) {
+        aliases[alias] = opts.name;
+    }
+}
+
+/**
+ * Removes a command added with registerSlashCommand, along with its aliases.
+ * @param {string} name The name of the command.
+ */
+export function unregisterSlashCommand(name) {
+    delete CommandMap[name];
+    for (const alias of getCommandAliases(name)) {
+        delete aliases[alias];
+    }
+}
+
+/**
+ * @param {string} name The name of a command, or one of its aliases.
+ * @return {Command} The command, or undefined if there isn't one.
+ */
+export function getCommand(name) {
+    return CommandMap[aliases[name] || name];
+}
+
+/**
+ * @return {Command[]} All the commands, in alphabetical order.
+ */
+export function getCommands() {
+    return Object.values(CommandMap).sort((a, b) => a.command.localeCompare(b.command));
+}
+
+/**
+ * @param {string} name The name of a command.
+ * @return {string[]} The other names it can be run by.
+ */
+export function getCommandAliases(name) {
+    return Object.keys(aliases).filter((alias) => aliases[alias] === name);
+}
+
 
 /**
  * Process the given text for /commands and perform them.
@@ -846,14 +1055,12 @@ export function processCommandInput(roomId, input) {
         cmd = input;
     }
 
-    if (aliases[cmd]) {
-        cmd = aliases[cmd];
-    }
-    if (CommandMap[cmd]) {
+    const command = getCommand(cmd);
+    if (command) {
         // if it has no runFn then its an ignored/nop command (autocomplete only) e.g `/me`
-        if (!CommandMap[cmd].runFn) return null;
+        if (!command.runFn) return null;
 
-        return CommandMap[cmd].run(roomId, args);
+        return command.run(roomId, args);
     } else {
         return reject(_t('Unrecognised command:') + ' ' + input);
     }
@@ -132,6 +132,10 @@ class Tinter {
 
         // whether to force a tint (e.g. after changing theme)
         this.forceTint = false;
+
+        // the colours replaced for a custom theme, so they can be put back:
+        // { style, attr, original }
+        this.colorReplacements = [];
     }
 
     /**
@@ -222,6 +226,26 @@ class Tinter {
         });
     }
 
+    /**
+     * Sets the accent colours which tints reset to, instead of the ones the
+     * current theme defines, eg. for a custom theme replacing them. Setting
+     * the theme again goes back to the theme's own.
+     *
+     * @param {string} primaryColor The accent colour, as #rrggbb or rgb(r, g, b).
+     * @param {string} secondaryColor The secondary accent colour, likewise.
+     */
+    setKeyColors(primaryColor, secondaryColor) {
+        const toCssRgb = (color) => "rgb(" + colorToRgb(color).join(", ") + ")";
+        this.keyRgb[0] = toCssRgb(primaryColor);
+        this.keyRgb[1] = toCssRgb(secondaryColor);
+        // the theme's tertiary colour is a mix of its own accents, so leave
+        // it to tint() to mix the new ones
+        this.keyRgb[2] = undefined;
+
+        this.forceTint = true;
+        this.tint(this.currentTint[0], this.currentTint[1], this.currentTint[2]);
+    }
+
     tintSvgWhite(whiteColor) {
         this.currentTint[3] = whiteColor;
 
@@ -286,6 +310,81 @@ class Tinter {
         }
     }
 
+    /**
+     * Gets a colour of the current theme from one of the magic #mx_theme_
+     * constants it defines, which are never tinted.
+     *
+     * @param {string} elementId The ID the theme sets the colour on, eg. mx_theme_accentColor
+     * @return {string} The colour, as rgb(r, g, b).
+     */
+    getThemeColor(elementId) {
+        let element = document.getElementById(elementId);
+        const isTemporary = !element;
+        if (isTemporary) {
+            element = document.createElement("div");
+            element.id = elementId;
+            element.style.display = "none";
+            document.body.appendChild(element);
+        }
+        const color = window.getComputedStyle(element).color;
+        if (isTemporary) document.body.removeChild(element);
+        return color;
+    }
+
+    /**
+     * Swaps colours of the current theme for others throughout its stylesheet,
+     * which is how custom themes are applied on top of the built-in ones.
+     * Anything which happens to be the same colour gets replaced too.
+     *
+     * If colours with different names are the same in the current theme,
+     * there's no telling them apart in the stylesheet, so the first name
+     * given wins.
+     *
+     * @param {Object} replacements Map from the names of the colours to
+     *     replace to {original, color}: the colour in the current theme, as
+     *     rgb(r, g, b), and its replacement. Or null to put everything back.
+     */
+    setColorReplacements(replacements) {
+        for (const replacement of this.colorReplacements) {
+            replacement.style[replacement.attr] = replacement.original;
+        }
+        this.colorReplacements = [];
+        if (!replacements) return;
+
+        const colorsByOriginal = {};
+        for (const [name, {original, color}] of Object.entries(replacements)) {
+            if (!colorsByOriginal[original]) {
+                colorsByOriginal[original] = color;
+            } else if (colorsByOriginal[original] !== color) {
+                console.warn(`Can't replace ${name} separately, as the theme uses ${original} for another colour`);
+            }
+        }
+
+        for (let i = 0; i < document.styleSheets.length; i++) {
+            const ss = document.styleSheets[i];
+            try {
+                // the same stylesheets as calcCssFixups looks at, for the same reasons
+                if (!ss || !ss.href || !ss.href.match(new RegExp('/theme-' + this.theme + '.css$'))) continue;
+                if (ss.disabled || !ss.cssRules) continue;
+
+                for (let j = 0; j < ss.cssRules.length; j++) {
+                    const rule = ss.cssRules[j];
+                    if (!rule.style) continue;
+                    if (rule.selectorText && rule.selectorText.match(/#mx_theme/)) continue;
+                    for (const attr of this.cssAttrs) {
+                        const original = rule.style[attr];
+                        if (original && colorsByOriginal[original]) {
+                            this.colorReplacements.push({style: rule.style, attr, original});
+                            rule.style[attr] = colorsByOriginal[original];
+                        }
+                    }
+                }
+            } catch (e) {
+                console.log("Failed to replace colours in a stylesheet: " + ss.href, e);
+            }
+        }
+    }
+
     calcCssFixups() {
         // cache our fixups
         if (this.cssFixups[this.theme]) return;
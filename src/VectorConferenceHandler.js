@@ -17,19 +17,27 @@ limitations under the License.
 "use strict";
 
 import Promise from 'bluebird';
+import MatrixClientPeg from './MatrixClientPeg';
+import SdkConfig from './SdkConfig';
 const Matrix = require("matrix-js-sdk");
 const Room = Matrix.Room;
-const CallHandler = require('./CallHandler');
 
-// FIXME: this is Riot (Vector) specific code, but will be removed shortly when
-// we switch over to jitsi entirely for video conferencing.
-
-// FIXME: This currently forces Vector to try to hit the matrix.org AS for conferencing.
-// This is bad because it prevents people running their own ASes from being used.
-// This isn't permanent and will be customisable in the future: see the proposal
-// at docs/conferencing.md for more info.
-const USER_PREFIX = "fs_";
-const DOMAIN = "matrix.org";
+// The conference backend for the legacy FreeSWITCH application service, which
+// has a bot user for each room, called by a 1:1 call. See ConferenceBackends
+// for how it is configured.
+
+// the defaults are matrix.org's, which used to be the only one
+const DEFAULT_USER_PREFIX = "fs_";
+const DEFAULT_DOMAIN = "matrix.org";
+
+function getConfig() {
+    const conference = SdkConfig.get().conference;
+    const config = (conference && conference.freeswitch) || {};
+    return {
+        userPrefix: config.user_prefix || DEFAULT_USER_PREFIX,
+        domain: config.domain || DEFAULT_DOMAIN,
+    };
+}
 
 function ConferenceCall(matrixClient, groupChatRoomId) {
     this.client = matrixClient;
@@ -80,7 +88,8 @@ ConferenceCall.prototype._getConferenceUserRoom = function() {
     if (confRoom) {
         return Promise.resolve(confRoom);
     }
-    return this.client.createRoom({
+    const client = this.client;
+    return client.createRoom({
         preset: "private_chat",
         invite: [this.confUserId],
     }).then(function(res) {
@@ -94,10 +103,11 @@ ConferenceCall.prototype._getConferenceUserRoom = function() {
  * @return {boolean} True if it is a conference bot.
  */
 module.exports.isConferenceUser = function(userId) {
-    if (userId.indexOf("@" + USER_PREFIX) !== 0) {
+    const {userPrefix} = getConfig();
+    if (userId.indexOf("@" + userPrefix) !== 0) {
         return false;
     }
-    const base64part = userId.split(":")[0].substring(1 + USER_PREFIX.length);
+    const base64part = userId.split(":")[0].substring(1 + userPrefix.length);
     if (base64part) {
         const decoded = new Buffer(base64part, "base64").toString();
         // ! $STUFF : $STUFF
@@ -109,7 +119,8 @@ module.exports.isConferenceUser = function(userId) {
 module.exports.getConferenceUserIdForRoom = function(roomId) {
     // abuse browserify's core node Buffer support (strip padding ='s)
     const base64RoomId = new Buffer(roomId).toString("base64").replace(/=/g, "");
-    return "@" + USER_PREFIX + base64RoomId + ":" + DOMAIN;
+    const {userPrefix, domain} = getConfig();
+    return "@" + userPrefix + base64RoomId + ":" + domain;
 };
 
 module.exports.createNewMatrixCall = function(client, roomId) {
@@ -119,7 +130,13 @@ module.exports.createNewMatrixCall = function(client, roomId) {
     return confCall.setup();
 };
 
+module.exports.startConference = function(roomId, type) {
+    return module.exports.createNewMatrixCall(MatrixClientPeg.get(), roomId);
+};
+
 module.exports.getConferenceCallForRoom = function(roomId) {
+    // required here rather than above, as CallHandler imports this module
+    const CallHandler = require('./CallHandler');
     // search for a conference 1:1 call for this group chat room ID
     const activeCall = CallHandler.getAnyActiveCall();
     if (activeCall && activeCall.confUserId) {
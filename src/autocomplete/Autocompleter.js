@@ -27,6 +27,8 @@ import UserProvider from './UserProvider';
 import EmojiProvider from './EmojiProvider';
 import NotifProvider from './NotifProvider';
 import Promise from 'bluebird';
+import { _t, _td } from '../languageHandler';
+import SettingsStore from '../settings/SettingsStore';
 
 export type SelectionRange = {
     beginning: boolean, // whether the selection is in the first block of the editor or not
@@ -44,25 +46,91 @@ export type Completion = {
     href: ?string,
 };
 
-const PROVIDERS = [
-    UserProvider,
-    RoomProvider,
-    EmojiProvider,
-    NotifProvider,
-    CommandProvider,
-    CommunityProvider,
-    DuckDuckGoProvider,
-];
-
-// Providers will get rejected if they take longer than this.
+// Providers will get rejected if they take longer than this, unless they
+// were registered with a timeout of their own.
 const PROVIDER_COMPLETION_TIMEOUT = 3000;
 
+// the registered providers, by ID, in the order they were registered
+const PROVIDERS = new Map();
+
+/**
+ * Adds a source of completions to the composer, eg. for an app embedding the
+ * SDK to complete its own kinds of thing.
+ * @param {string} id Unique ID of the provider, for ordering and disabling
+ *     it with the autocompleteProviderOrder and autocompleteDisabledProviders settings.
+ * @param {Function} Provider The AutocompleteProvider subclass, which will be
+ *     constructed with the room being completed in.
+ * @param {Object} opts Options:
+ *     displayName: what to call the provider in settings, passed through _td
+ *         so that it gets translated. Defaults to the ID, untranslated.
+ *     timeout: how long to wait for completions, in milliseconds.
+ */
+export function registerAutocompleteProvider(id: string, Provider: Function, opts: Object = {}) {
+    if (PROVIDERS.has(id)) {
+        throw new Error(`An autocomplete provider called ${id} is already registered`);
+    }
+    PROVIDERS.set(id, {
+        Provider,
+        displayName: opts.displayName,
+        timeout: opts.timeout || PROVIDER_COMPLETION_TIMEOUT,
+    });
+}
+
+/**
+ * Removes a provider added with registerAutocompleteProvider. Composers
+ * which are already open will carry on using it.
+ * @param {string} id The ID of the provider.
+ */
+export function unregisterAutocompleteProvider(id: string) {
+    PROVIDERS.delete(id);
+}
+
+/**
+ * @return {string[]} The IDs of all the registered providers, in the order
+ *     their completions are shown in.
+ */
+export function getAutocompleteProviderIds(): Array<string> {
+    const order = SettingsStore.getValue("autocompleteProviderOrder") || [];
+    const ids = Array.from(PROVIDERS.keys());
+    // providers missing from the order go after the ones in it, as registered
+    const position = (id) => order.includes(id) ? order.indexOf(id) : order.length + ids.indexOf(id);
+    return ids.sort((a, b) => position(a) - position(b));
+}
+
+/**
+ * @param {string} id The ID of a registered provider.
+ * @return {string} The translated name of the provider.
+ */
+export function getAutocompleteProviderDisplayName(id: string): string {
+    const {displayName} = PROVIDERS.get(id);
+    return displayName ? _t(displayName) : id;
+}
+
+/**
+ * @param {string} id The ID of a registered provider.
+ * @return {boolean} True unless the user or config.json has turned the provider off.
+ */
+export function isAutocompleteProviderEnabled(id: string): boolean {
+    return !(SettingsStore.getValue("autocompleteDisabledProviders") || []).includes(id);
+}
+
+registerAutocompleteProvider("users", UserProvider, {displayName: _td("Users")});
+registerAutocompleteProvider("rooms", RoomProvider, {displayName: _td("Rooms")});
+registerAutocompleteProvider("emoji", EmojiProvider, {displayName: _td("Emoji")});
+registerAutocompleteProvider("notif", NotifProvider, {displayName: _td("Room Notification")});
+registerAutocompleteProvider("commands", CommandProvider, {displayName: _td("Commands")});
+registerAutocompleteProvider("communities", CommunityProvider, {displayName: _td("Communities")});
+registerAutocompleteProvider("duckduckgo", DuckDuckGoProvider, {displayName: _td("Results from DuckDuckGo")});
+
 export default class Autocompleter {
     constructor(room: Room) {
         this.room = room;
-        this.providers = PROVIDERS.map((Prov) => {
+        const ids = getAutocompleteProviderIds().filter(isAutocompleteProviderEnabled);
+        this.providers = ids.map((id) => {
+            const Prov = PROVIDERS.get(id).Provider;
             return new Prov(room);
         });
+        this.providerTimeouts = ids.map((id) => PROVIDERS.get(id).timeout);
     }
 
     destroy() {
@@ -81,20 +149,22 @@ export default class Autocompleter {
             // Array of inspections of promises that might timeout. Instead of allowing a
             // single timeout to reject the Promise.all, reflect each one and once they've all
             // settled, filter for the fulfilled ones
-            this.providers.map(provider =>
-                provider
-                    .getCompletions(query, selection, force)
-                    .timeout(PROVIDER_COMPLETION_TIMEOUT)
+            // Registered providers may not be using bluebird, so wrap what they return.
+            this.providers.map((provider, i) =>
+                Promise.resolve(provider.getCompletions(query, selection, force))
+                    .timeout(this.providerTimeouts[i])
                     .reflect(),
             ),
         );
 
-        return completionsList.filter(
-            (inspection) => inspection.isFulfilled(),
-        ).map((completionsState, i) => {
+        return completionsList.map((inspection, i) => {
+            // providers which were too slow are kept, so that the user can be told
+            const timedOut = inspection.isRejected() && inspection.reason() instanceof Promise.TimeoutError;
+            if (!inspection.isFulfilled() && !timedOut) return null;
             return {
-                completions: completionsState.value(),
+                completions: timedOut ? [] : inspection.value(),
                 provider: this.providers[i],
+                timedOut,
 
                 /* the currently matched "command" the completer tried to complete
                  * we pass this through so that Autocomplete can figure out when to
@@ -102,6 +172,6 @@ export default class Autocompleter {
                  */
                 command: this.providers[i].getCurrentCommand(query, selection, force),
             };
-        });
+        }).filter((completionResult) => !!completionResult);
     }
 }
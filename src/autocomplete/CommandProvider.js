@@ -23,16 +23,14 @@ import AutocompleteProvider from './AutocompleteProvider';
 import QueryMatcher from './QueryMatcher';
 import {TextualCompletion} from './Components';
 import type {Completion, SelectionRange} from "./Autocompleter";
-import {CommandMap} from '../SlashCommands';
-
-const COMMANDS = Object.values(CommandMap);
+import {getCommand, getCommands} from '../SlashCommands';
 
 const COMMAND_RE = /(^\/\w*)(?: .*)?/g;
 
 export default class CommandProvider extends AutocompleteProvider {
     constructor() {
         super(COMMAND_RE);
-        this.matcher = new QueryMatcher(COMMANDS, {
+        this.matcher = new QueryMatcher(getCommands(), {
            keys: ['command', 'args', 'description'],
         });
     }
@@ -42,32 +40,46 @@ export default class CommandProvider extends AutocompleteProvider {
         if (!command) return [];
 
         let matches = [];
+        let argHint = null;
         // check if the full match differs from the first word (i.e. returns false if the command has args)
         if (command[0] !== command[1]) {
             // The input looks like a command with arguments, perform exact match
             const name = command[1].substr(1); // strip leading `/`
-            if (CommandMap[name]) {
+            const cmd = getCommand(name);
+            if (cmd) {
                 // some commands, namely `me` and `ddg` don't suit having the usage shown whilst typing their arguments
-                if (CommandMap[name].hideCompletionAfterSpace) return [];
-                matches = [CommandMap[name]];
+                if (cmd.hideCompletionAfterSpace) return [];
+                matches = [cmd];
+                argHint = cmd.getArgHint(command[0].substr(command[1].length + 1));
             }
         } else {
+            // commands may have been registered since the last completion
+            const commands = getCommands();
             if (query === '/') {
                 // If they have just entered `/` show everything
-                matches = COMMANDS;
+                matches = commands;
             } else {
                 // otherwise fuzzy match against all of the fields
+                this.matcher.setObjects(commands);
                 matches = this.matcher.match(command[1]);
             }
         }
 
+        // while typing the arguments, say which one is next or what's wrong
+        let description;
+        if (argHint) {
+            description = argHint.error || `${argHint.arg.name}: ${argHint.description}`;
+        }
+
         return matches.map((result) => ({
-            // If the command is the same as the one they entered, we don't want to discard their arguments
-            completion: result.command === command[1] ? command[0] : (result.command + ' '),
+            // If the command is the same as the one they entered, or they are typing its
+            // arguments (perhaps after an alias), we don't want to discard their arguments
+            completion: (result.command === command[1] || command[0] !== command[1]) ?
+                command[0] : (result.command + ' '),
             component: <TextualCompletion
                 title={result.command}
                 subtitle={result.args}
-                description={_t(result.description)} />,
+                description={description || _t(result.description)} />,
             range,
         }));
     }
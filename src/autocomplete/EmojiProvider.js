@@ -22,10 +22,13 @@ import AutocompleteProvider from './AutocompleteProvider';
 import QueryMatcher from './QueryMatcher';
 import {PillCompletion} from './Components';
 import type {Completion, SelectionRange} from './Autocompleter';
+import type {Room} from 'matrix-js-sdk';
 import _uniq from 'lodash/uniq';
 import _sortBy from 'lodash/sortBy';
 import SettingsStore from "../settings/SettingsStore";
+import MatrixClientPeg from '../MatrixClientPeg';
 import { shortcodeToUnicode } from '../HtmlUtils';
+import { getCustomEmoji } from '../CustomEmoji';
 
 import EMOTICON_REGEX from 'emojibase-regex/emoticon';
 import EmojiData from '../stripped-emoji.json';
@@ -66,8 +69,9 @@ function score(query, space) {
 }
 
 export default class EmojiProvider extends AutocompleteProvider {
-    constructor() {
+    constructor(room: Room) {
         super(EMOJI_REGEX);
+        this.room = room;
         this.matcher = new QueryMatcher(EMOJI_SHORTNAMES, {
             keys: ['aliases_ascii', 'shortname', 'aliases'],
             // For matching against ascii equivalents
@@ -120,11 +124,37 @@ export default class EmojiProvider extends AutocompleteProvider {
                     ),
                     range,
                 };
-            }).slice(0, LIMIT);
+            });
+
+            // custom emoji are ones the user or room chose, so come first
+            completions = this._getCustomCompletions(matchedString, range).concat(completions).slice(0, LIMIT);
         }
         return completions;
     }
 
+    _getCustomCompletions(matchedString: string, range: SelectionRange): Array<Completion> {
+        const name = matchedString.replace(/:/g, '');
+        if (!name) return [];
+        const matches = getCustomEmoji(this.room).filter((emoji) => emoji.shortcode.includes(name));
+        // those starting with what was typed first, then the shortest
+        const sorted = _sortBy(matches, [
+            (emoji) => score(':' + name, emoji.shortcode),
+            (emoji) => emoji.shortcode.length,
+        ]);
+        return sorted.map(({shortcode, url}) => {
+            const src = MatrixClientPeg.get().mxcUrlToHttp(url, 32, 32, 'scale');
+            const image = <img className="mx_Autocomplete_Completion_customEmoji" src={src} alt={shortcode} />;
+            return {
+                // sent as an image by the composer, see htmlSerializeIfNeeded
+                completion: shortcode,
+                component: (
+                    <PillCompletion title={shortcode} initialComponent={image} />
+                ),
+                range,
+            };
+        });
+    }
+
     getName() {
         return '😃 ' + _t('Emoji');
     }
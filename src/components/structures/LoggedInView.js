@@ -21,9 +21,10 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import { DragDropContext } from 'react-beautiful-dnd';
 
-import { KeyCode, isOnlyCtrlOrCmdKeyEvent } from '../../Keyboard';
+import { KeyBindingScope, getKeyBindingAction } from '../../KeyBindings';
 import PageTypes from '../../PageTypes';
 import CallMediaHandler from '../../CallMediaHandler';
+import CallHandler from '../../CallHandler';
 import { fixupColorFonts } from '../../utils/FontManager';
 import sdk from '../../index';
 import dis from '../../dispatcher';
@@ -369,48 +370,39 @@ const LoggedInView = React.createClass({
             }
             */
 
-        let handled = false;
-        const ctrlCmdOnly = isOnlyCtrlOrCmdKeyEvent(ev);
+        let handled = true;
         const hasModifier =
             ev.altKey || ev.ctrlKey || ev.metaKey || ev.shiftKey;
 
-        switch (ev.keyCode) {
-            case KeyCode.PAGE_UP:
-            case KeyCode.PAGE_DOWN:
-                if (!hasModifier) {
-                    this._onScrollKeyPressed(ev);
-                    handled = true;
-                }
+        switch (getKeyBindingAction(KeyBindingScope.Navigation, ev)) {
+            case "scrollUp":
+            case "scrollDown":
+            case "jumpToOldest":
+            case "jumpToLatest":
+                this._onScrollKeyPressed(ev);
                 break;
-
-            case KeyCode.HOME:
-            case KeyCode.END:
-                if (ev.ctrlKey && !ev.shiftKey && !ev.altKey && !ev.metaKey) {
-                    this._onScrollKeyPressed(ev);
-                    handled = true;
-                }
+            case "openQuickSwitcher":
+                dis.dispatch({
+                    action: 'show_quick_switcher',
+                });
                 break;
-            case KeyCode.KEY_K:
-                if (ctrlCmdOnly) {
-                    dis.dispatch({
-                        action: 'focus_room_filter'
-                    });
-                    handled = true;
-                }
+            case "focusRoomFilter":
+                dis.dispatch({
+                    action: 'focus_room_filter',
+                });
                 break;
-            case KeyCode.KEY_BACKTICK:
-                // Ideally this would be CTRL+P for "Profile", but that's
-                // taken by the print dialog. CTRL+I for "Information"
-                // was previously chosen but conflicted with italics in
-                // composer, so CTRL+` it is
-
-                if (ctrlCmdOnly) {
-                    dis.dispatch({
-                        action: 'toggle_top_left_menu'
-                    });
-                    handled = true;
-                }
+            case "toggleTopLeftMenu":
+                dis.dispatch({
+                    action: 'toggle_top_left_menu',
+                });
+                break;
+            case "showKeyboardShortcuts":
+                dis.dispatch({
+                    action: 'show_keyboard_shortcuts',
+                });
                 break;
+            default:
+                handled = false;
         }
 
         if (handled) {
@@ -569,7 +561,7 @@ const LoggedInView = React.createClass({
                         key={this.props.currentRoomId || 'roomview'}
                         disabled={this.props.middleDisabled}
                         collapsedRhs={this.props.collapsedRhs}
-                        ConferenceHandler={this.props.ConferenceHandler}
+                        ConferenceHandler={CallHandler.getConferenceHandler()}
                         resizeNotifier={this.props.resizeNotifier}
                     />
                 );
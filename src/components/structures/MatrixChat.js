@@ -18,6 +18,7 @@ limitations under the License.
 */
 
 import Promise from 'bluebird';
+import qs from 'querystring';
 
 import React from 'react';
 import PropTypes from 'prop-types';
@@ -35,17 +36,18 @@ import Notifier from '../../Notifier';
 
 import Modal from "../../Modal";
 import Tinter from "../../Tinter";
+import {applyCustomThemeColors, getBaseTheme, getCustomTheme, isCustomThemeId} from "../../CustomThemes";
+import {DARK_MODE_QUERY} from "../../settings/controllers/ThemeController";
 import sdk from '../../index';
 import { showStartChatInviteDialog, showRoomInviteDialog } from '../../RoomInvite';
 import * as Rooms from '../../Rooms';
 import linkifyMatrix from "../../linkify-matrix";
 import * as Lifecycle from '../../Lifecycle';
+import CallHandler from '../../CallHandler';
 // LifecycleStore is not used but does listen to and dispatch actions
 require('../../stores/LifecycleStore');
 import PageTypes from '../../PageTypes';
 import { getHomePageUrl } from '../../utils/pages';
-// const MatrixEvent = require('../../../../matrix-js-sdk/src/models/event').MatrixEvent;
-import {MatrixEvent} from 'matrix-js-sdk';
 
 import createRoom from "../../createRoom";
 import KeyRequestHandler from '../../KeyRequestHandler';
@@ -120,6 +122,7 @@ export default React.createClass({
     propTypes: {
         config: PropTypes.object,
         serverConfig: PropTypes.instanceOf(ValidatedServerConfig),
+        // overrides the conference backend picked by the config
         ConferenceHandler: PropTypes.any,
         onNewScreen: PropTypes.func,
         registrationUrl: PropTypes.string,
@@ -222,6 +225,17 @@ export default React.createClass({
         }
     },
 
+    // The fragment to come back to after an SSO login, so that the screen
+    // the user was going to is still shown once they're logged in.
+    _getFragmentAfterLogin() {
+        const screenAfterLogin = this._screenAfterLogin;
+        if (!screenAfterLogin || !screenAfterLogin.screen) return "";
+        if (["login", "register", "forgot_password"].includes(screenAfterLogin.screen)) return "";
+
+        const query = qs.stringify(screenAfterLogin.params || {});
+        return `#/${screenAfterLogin.screen}` + (query ? `?${query}` : "");
+    },
+
     getServerProperties() {
         let props = this.state.serverConfig;
         if (!props) props = this.props.serverConfig; // for unit tests
@@ -230,6 +244,10 @@ export default React.createClass({
     },
     componentWillMount: function() {
         SdkConfig.put(this.props.config);
+        if (this.props.ConferenceHandler) {
+            // only used if the config doesn't pick a conference backend
+            CallHandler.setConferenceHandler(this.props.ConferenceHandler);
+        }
 
         // Used by _viewRoom before getting state from sync
         this.firstSyncComplete = false;
@@ -270,6 +288,12 @@ export default React.createClass({
     componentDidMount: function() {
         this.dispatcherRef = dis.register(this.onAction);
 
+        // follow the OS switching between light and dark, if the user wants to
+        if (window.matchMedia) {
+            this._darkModeQuery = window.matchMedia(DARK_MODE_QUERY);
+            this._darkModeQuery.addListener(this._onSystemThemeChange);
+        }
+
         this.focusComposer = false;
 
         // this can technically be done anywhere but doing this here keeps all
@@ -351,6 +375,13 @@ export default React.createClass({
         window.removeEventListener("focus", this.onFocus);
         window.removeEventListener('resize', this.handleResize);
         this.state.resizeNotifier.removeListener("middlePanelResized", this._dispatchTimelineResize);
+        if (this._darkModeQuery) this._darkModeQuery.removeListener(this._onSystemThemeChange);
+    },
+
+    _onSystemThemeChange: function() {
+        if (SettingsStore.getValue("useSystemTheme")) {
+            dis.dispatch({action: 'set_theme'});
+        }
     },
 
     componentWillUpdate: function(props, state) {
@@ -448,9 +479,6 @@ export default React.createClass({
         }
 
         switch (payload.action) {
-            case 'key_backup_restored':
-                this.saveChatForSearch();
-                break;
             case 'logout':
                 Lifecycle.logout();
                 break;
@@ -554,6 +582,16 @@ export default React.createClass({
                 this._viewSomethingBehindModal();
                 break;
             }
+            case 'show_keyboard_shortcuts': {
+                const KeyboardShortcutsDialog = sdk.getComponent("dialogs.KeyboardShortcutsDialog");
+                Modal.createTrackedDialog('Keyboard Shortcuts', '', KeyboardShortcutsDialog);
+                break;
+            }
+            case 'show_quick_switcher': {
+                const QuickSwitcherDialog = sdk.getComponent("dialogs.QuickSwitcherDialog");
+                Modal.createTrackedDialog('Quick Switcher', '', QuickSwitcherDialog);
+                break;
+            }
             case 'view_create_room':
                 this._createRoom();
                 break;
@@ -632,7 +670,7 @@ export default React.createClass({
                 break;
             }
             case 'set_theme':
-                this._onSetTheme(payload.value);
+                this._onSetTheme(payload.value, payload.customTheme);
                 break;
             case 'on_logging_in':
                 // We are now logging in, so set the state to reflect that
@@ -703,12 +741,6 @@ export default React.createClass({
                     showCookieBar: false,
                 });
                 break;
-            case 'message_sent':
-                console.log('+++ Msg sent +++');
-                setTimeout(() => {
-                    this.saveChatForSearch();
-                }, 1000)
-                break;
         }
     },
 
@@ -1102,12 +1134,24 @@ export default React.createClass({
      * Called whenever someone changes the theme
      *
      * @param {string} theme new theme
+     * @param {Object} customTheme custom theme to show, eg. while it's being edited
+     *     or before the settings holding it have synced
      */
-    _onSetTheme: function(theme) {
+    _onSetTheme: function(theme, customTheme) {
         if (!theme) {
             theme = SettingsStore.getValue("theme");
         }
 
+        // custom themes are colours on top of one of the stylesheets below
+        if (!customTheme && isCustomThemeId(theme)) {
+            customTheme = getCustomTheme(theme);
+            // it may have been deleted on another device
+            if (!customTheme) theme = "light";
+        }
+        if (customTheme) {
+            theme = getBaseTheme(customTheme);
+        }
+
         // look for the stylesheet elements.
         // styleElements is a map from style name to HTMLLinkElement.
         const styleElements = Object.create(null);
@@ -1149,6 +1193,7 @@ export default React.createClass({
                 a.disabled = true;
             });
             Tinter.setTheme(theme);
+            applyCustomThemeColors(customTheme);
         };
 
         // turns out that Firefox preloads the CSS for link elements with
@@ -1320,30 +1365,6 @@ export default React.createClass({
      * Called just before the matrix client is started
      * (useful for setting listeners)
      */
-    saveChatForSearch: function() {
-        console.log('+++ Save Chat For Search +++')
-        const cli = MatrixClientPeg.get()
-        const rooms = cli.getRooms();
-        console.log('********************');
-        console.log('Rooms now: ', rooms);
-        window.allMsgs = [];
-        rooms.forEach(room => {
-            room.timeline.forEach(async t => {
-                const event = t.event;
-                const eventObj = new MatrixEvent(event);
-                const content = eventObj.getContent();
-
-                if (content && content.msgtype === 'm.text') {
-                    window.allMsgs.push(eventObj);
-                } else if (content && content.ciphertext && cli._crypto.decryptEvent && eventObj.isEncrypted()) {
-                    await eventObj.attemptDecryption(cli._crypto);
-                    if (['m.text', 'm.file', 'm.image'].includes(eventObj.getContent().msgtype)) {
-                        window.allMsgs.push(eventObj);
-                    }
-                }
-            });
-        });
-    },
     _onWillStartClient() {
         const self = this;
 
@@ -1402,7 +1423,6 @@ export default React.createClass({
             if (state !== "PREPARED") { return; }
 
             self.firstSyncComplete = true;
-            self.saveChatForSearch();
             self.firstSyncPromise.resolve();
 
             dis.dispatch({action: 'focus_composer'});
@@ -1420,6 +1440,20 @@ export default React.createClass({
                 call: call,
             }, true);
         });
+        cli.on('Room.timeline', function(ev, room, toStartOfTimeline, removed, data) {
+            if (toStartOfTimeline || !data || !data.liveEvent) return;
+            // call transfers can be sent in encrypted rooms, so we may have
+            // to wait to find out that's what this is
+            const onEvent = () => {
+                if (ev.getType() !== 'm.call.replaces') return;
+                dis.dispatch({action: 'call_replaces', event: ev});
+            };
+            if (ev.isBeingDecrypted()) {
+                ev.once('Event.decrypted', onEvent);
+            } else {
+                onEvent();
+            }
+        });
         cli.on('Session.logged_out', function(errObj) {
             if (Lifecycle.isLoggingOut()) return;
 
@@ -1462,10 +1496,12 @@ export default React.createClass({
 
         cli.on("accountData", function(ev) {
             if (ev.getType() === 'im.vector.web.settings') {
-                if (ev.getContent() && ev.getContent().theme) {
+                const content = ev.getContent() || {};
+                if (content.theme || content.useSystemTheme !== undefined) {
+                    // let the settings work out which theme that means, as it
+                    // may depend on the OS or be overridden on this device
                     dis.dispatch({
                         action: 'set_theme',
-                        value: ev.getContent().theme,
                     });
                 }
             }
@@ -2003,6 +2039,7 @@ export default React.createClass({
                     fallbackHsUrl={this.getFallbackHsUrl()}
                     defaultDeviceDisplayName={this.props.defaultDeviceDisplayName}
                     onForgotPasswordClick={this.onForgotPasswordClick}
+                    fragmentAfterLogin={this._getFragmentAfterLogin()}
                     onServerConfigChange={this.onServerConfigChange}
                     {...this.getServerProperties()}
                 />
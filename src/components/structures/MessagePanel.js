@@ -167,6 +167,11 @@ module.exports = React.createClass({
         this._showHiddenEventsInTimeline = SettingsStore.getValue(
             'showHiddenEventsInTimeline'
         );
+        const roomId = this.props.room ? this.props.room.roomId : null;
+        this._collapsedStateEventTypes = [];
+        if (SettingsStore.getValue('collapseStateEvents', roomId)) {
+            this._collapsedStateEventTypes = SettingsStore.getValue('collapsedStateEventTypes');
+        }
 
         this._isMounted = true;
     },
@@ -333,11 +338,35 @@ module.exports = React.createClass({
         return !shouldHideEvent(mxEv);
     },
 
+    /**
+     * @param {MatrixEvent} mxEv An event which is being shown.
+     * @return {Object} How to collapse it along with the events after it, as
+     *     {keyPrefix, component, isGrouped}, where isGrouped says which of the
+     *     following events go in the same summary, or null if it shouldn't be.
+     */
+    _getSummaryGrouping: function(mxEv) {
+        if (isMembershipChange(mxEv)) {
+            return {
+                keyPrefix: 'membereventlistsummary-',
+                component: sdk.getComponent('views.elements.MemberEventListSummary'),
+                isGrouped: isMembershipChange,
+            };
+        }
+
+        const isCollapsedStateEvent = e =>
+            e.isState() && this._collapsedStateEventTypes.includes(e.getType());
+        if (isCollapsedStateEvent(mxEv)) {
+            return {
+                keyPrefix: 'stateeventlistsummary-',
+                component: sdk.getComponent('views.elements.StateEventListSummary'),
+                isGrouped: isCollapsedStateEvent,
+            };
+        }
+        return null;
+    },
+
     _getEventTiles: function() {
         const DateSeparator = sdk.getComponent('messages.DateSeparator');
-        const MemberEventListSummary = sdk.getComponent(
-            'views.elements.MemberEventListSummary'
-        );
 
         this.eventNodes = {};
 
@@ -401,8 +430,10 @@ module.exports = React.createClass({
 
             const wantTile = this._shouldShowEvent(mxEv);
 
-            // Wrap consecutive member events in a ListSummary, ignore if redacted
-            if (isMembershipChange(mxEv) && wantTile) {
+            // Wrap consecutive member events in a ListSummary, ignore if redacted.
+            // The same goes for the types of state event the user collapses.
+            const grouping = wantTile ? this._getSummaryGrouping(mxEv) : null;
+            if (grouping) {
                 let readMarkerInMels = false;
                 const ts1 = mxEv.getTs();
                 // Ensure that the key of the MemberEventListSummary does not change with new
@@ -414,7 +445,7 @@ module.exports = React.createClass({
                 // so use the key "membereventlistsummary-initial". Otherwise, use the ID of the first
                 // membership event, which will not change during forward pagination.
                 const key =
-                    'membereventlistsummary-' +
+                    grouping.keyPrefix +
                     (prevEvent ? mxEv.getId() : 'initial');
 
                 if (this._wantsDateSeparator(prevEvent, mxEv.getDate())) {
@@ -448,7 +479,7 @@ module.exports = React.createClass({
                     }
 
                     if (
-                        !isMembershipChange(collapsedMxEv) ||
+                        !grouping.isGrouped(collapsedMxEv) ||
                         this._wantsDateSeparator(mxEv, collapsedMxEv.getDate())
                     ) {
                         break;
@@ -488,15 +519,16 @@ module.exports = React.createClass({
                     eventTiles = null;
                 }
 
+                const EventListSummary = grouping.component;
                 ret.push(
-                    <MemberEventListSummary
+                    <EventListSummary
                         key={key}
                         events={summarisedEvents}
                         onToggle={this._onHeightChanged} // Update scroll state
                         startExpanded={highlightInMels}
                     >
                         {eventTiles}
-                    </MemberEventListSummary>
+                    </EventListSummary>,
                 );
 
                 if (readMarkerInMels) {
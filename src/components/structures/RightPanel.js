@@ -52,6 +52,7 @@ export default class RightPanel extends React.Component {
         RoomMemberInfo: 'RoomMemberInfo',
         Room3pidMemberInfo: 'Room3pidMemberInfo',
         GroupMemberInfo: 'GroupMemberInfo',
+        ThreadPanel: 'ThreadPanel',
     });
 
     constructor(props, context) {
@@ -167,6 +168,7 @@ export default class RightPanel extends React.Component {
         const ThirdPartyMemberInfo = sdk.getComponent('rooms.ThirdPartyMemberInfo');
         const NotificationPanel = sdk.getComponent('structures.NotificationPanel');
         const FilePanel = sdk.getComponent('structures.FilePanel');
+        const ThreadPanel = sdk.getComponent('structures.ThreadPanel');
 
         const GroupMemberList = sdk.getComponent('groups.GroupMemberList');
         const GroupMemberInfo = sdk.getComponent('groups.GroupMemberInfo');
@@ -199,6 +201,8 @@ export default class RightPanel extends React.Component {
             panel = <NotificationPanel />;
         } else if (this.state.phase === RightPanel.Phase.FilePanel) {
             panel = <FilePanel roomId={this.props.roomId} resizeNotifier={this.props.resizeNotifier} />;
+        } else if (this.props.roomId && this.state.phase === RightPanel.Phase.ThreadPanel) {
+            panel = <ThreadPanel roomId={this.props.roomId} event={this.state.event} key={this.state.event.getId()} />;
         }
 
         const classes = classNames("mx_RightPanel", "mx_fadable", {
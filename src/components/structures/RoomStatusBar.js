@@ -26,7 +26,11 @@ import MemberAvatar from '../views/avatars/MemberAvatar';
 import Resend from '../../Resend';
 import * as cryptodevices from '../../cryptodevices';
 import dis from '../../dispatcher';
+import SessionStore from '../../stores/SessionStore';
+import SettingsStore from '../../settings/SettingsStore';
+import { formatFullDate } from '../../DateUtils';
 import { messageForResourceLimitError } from '../../utils/ErrorUtils';
+import ReplyThread from '../views/elements/ReplyThread';
 
 const STATUS_BAR_HIDDEN = 0;
 const STATUS_BAR_EXPANDED = 1;
@@ -56,6 +60,9 @@ module.exports = React.createClass({
         // more interesting)
         hasActiveCall: PropTypes.bool,
 
+        // true if that call is on hold
+        callOnHold: PropTypes.bool,
+
         // true if the room is being peeked at. This affects components that shouldn't
         // logically be shown when peeking, such as a prompt to invite people to a room.
         isPeeking: PropTypes.bool,
@@ -94,7 +101,10 @@ module.exports = React.createClass({
         return {
             syncState: MatrixClientPeg.get().getSyncState(),
             syncStateData: MatrixClientPeg.get().getSyncStateData(),
-            unsentMessages: getUnsentMessages(this.props.room)
+            unsentMessages: getUnsentMessages(this.props.room),
+            scheduledMessages: SessionStore.getScheduledMessages(
+                this.props.room.roomId,
+            ),
         };
     },
 
@@ -104,6 +114,9 @@ module.exports = React.createClass({
             'Room.localEchoUpdated',
             this._onRoomLocalEchoUpdated
         );
+        this._sessionStoreToken = SessionStore.addListener(
+            this._onSessionStoreUpdate,
+        );
 
         this._checkSize();
     },
@@ -122,6 +135,9 @@ module.exports = React.createClass({
                 this._onRoomLocalEchoUpdated
             );
         }
+        if (this._sessionStoreToken) {
+            this._sessionStoreToken.remove();
+        }
     },
 
     onSyncStateChange: function(state, prevState, data) {
@@ -171,6 +187,23 @@ module.exports = React.createClass({
         });
     },
 
+    _onSessionStoreUpdate: function() {
+        this.setState({
+            scheduledMessages: SessionStore.getScheduledMessages(
+                this.props.room.roomId,
+            ),
+        });
+    },
+
+    _onEditScheduledClick: function(message) {
+        dis.dispatch({ action: 'edit_scheduled_message', message });
+    },
+
+    _onCancelScheduledClick: function(message) {
+        dis.dispatch({ action: 'cancel_scheduled_message', message });
+        dis.dispatch({ action: 'focus_composer' });
+    },
+
     // Check whether current size is greater than 0, if yes call props.onVisible
     _checkSize: function() {
         if (this._getSize()) {
@@ -190,7 +223,10 @@ module.exports = React.createClass({
             this.props.sentMessageAndIsAlone
         ) {
             return STATUS_BAR_EXPANDED;
-        } else if (this.state.unsentMessages.length > 0) {
+        } else if (
+            this.state.unsentMessages.length > 0 ||
+            this.state.scheduledMessages.length > 0
+        ) {
             return STATUS_BAR_EXPANDED_LARGE;
         }
         return STATUS_BAR_HIDDEN;
@@ -362,6 +398,57 @@ module.exports = React.createClass({
         );
     },
 
+    // messages waiting to be sent later, which are shown underneath
+    // whatever else the status bar is showing.
+    _getScheduledMessageContent: function() {
+        const scheduledMessages = this.state.scheduledMessages;
+        if (!scheduledMessages.length) return null;
+
+        const showTwelveHour = SettingsStore.getValue(
+            'showTwelveHourTimestamps',
+        );
+        const rows = scheduledMessages.map(message => {
+            let body = message.content.body;
+            const relatesTo = message.content['m.relates_to'];
+            if (relatesTo && relatesTo['m.in_reply_to']) {
+                body = ReplyThread.stripPlainReply(body);
+            }
+            return (
+                <li key={message.id} className='mx_RoomStatusBar_scheduled'>
+                    <span className='mx_RoomStatusBar_scheduled_time'>
+                        {formatFullDate(new Date(message.sendAt), showTwelveHour)}
+                    </span>
+                    <span className='mx_RoomStatusBar_scheduled_body'>
+                        {body}
+                    </span>
+                    <a
+                        className='mx_RoomStatusBar_resend_link'
+                        onClick={() => this._onEditScheduledClick(message)}
+                    >
+                        {_t('Edit')}
+                    </a>
+                    <a
+                        className='mx_RoomStatusBar_resend_link'
+                        onClick={() => this._onCancelScheduledClick(message)}
+                    >
+                        {_t('Cancel')}
+                    </a>
+                </li>
+            );
+        });
+
+        return (
+            <div className='mx_RoomStatusBar_scheduledBar'>
+                <div className='mx_RoomStatusBar_scheduledBar_title'>
+                    {_t('%(count)s messages will be sent later', {
+                        count: scheduledMessages.length,
+                    })}
+                </div>
+                <ul className='mx_RoomStatusBar_scheduledList'>{rows}</ul>
+            </div>
+        );
+    },
+
     // return suitable content for the main (text) part of the status bar.
     _getContent: function() {
         if (this._shouldShowConnectionError()) {
@@ -395,7 +482,7 @@ module.exports = React.createClass({
         if (this.props.hasActiveCall) {
             return (
                 <div className='mx_RoomStatusBar_callBar'>
-                    <b>{_t('Active call')}</b>
+                    <b>{ this.props.callOnHold ? _t('Call on hold') : _t('Active call') }</b>
                 </div>
             );
         }
@@ -439,11 +526,13 @@ module.exports = React.createClass({
     render: function() {
         const content = this._getContent();
         const indicator = this._getIndicator();
+        const scheduledContent = this._getScheduledMessageContent();
 
         return (
             <div className='mx_RoomStatusBar'>
                 <div className='mx_RoomStatusBar_indicator'>{indicator}</div>
                 <div role='alert'>{content}</div>
+                {scheduledContent}
             </div>
         );
     }
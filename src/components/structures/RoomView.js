@@ -42,8 +42,9 @@ import Tinter from '../../Tinter';
 import rate_limited_func from '../../ratelimitedfunc';
 import ObjectUtils from '../../ObjectUtils';
 import * as Rooms from '../../Rooms';
+import { eventSearch, searchPagination } from '../../Searching';
 
-import { KeyCode, isOnlyCtrlOrCmdKeyEvent } from '../../Keyboard';
+import { KeyBindingScope, getKeyBindingAction } from '../../KeyBindings';
 
 import MainSplit from './MainSplit';
 import RightPanel from './RightPanel';
@@ -125,7 +126,6 @@ module.exports = React.createClass({
             draggingFile: false,
             searching: false,
             searchResults: null,
-            localSearchResults: null,
             callState: null,
             guestsCanJoin: false,
             canPeek: false,
@@ -520,23 +520,22 @@ module.exports = React.createClass({
 
 
     onKeyDown: function(ev) {
-        let handled = false;
-        const ctrlCmdOnly = isOnlyCtrlOrCmdKeyEvent(ev);
-
-        switch (ev.keyCode) {
-            case KeyCode.KEY_D:
-                if (ctrlCmdOnly) {
-                    this.onMuteAudioClick();
-                    handled = true;
-                }
+        // the composer has used the keys already, eg. Ctrl+E to format code
+        if (ev.defaultPrevented) return;
+
+        let handled = true;
+
+        switch (getKeyBindingAction(KeyBindingScope.Room, ev)) {
+            case "toggleMicInCall":
+                this.onMuteAudioClick();
                 break;
 
-            case KeyCode.KEY_E:
-                if (ctrlCmdOnly) {
-                    this.onMuteVideoClick();
-                    handled = true;
-                }
+            case "toggleVideoInCall":
+                this.onMuteVideoClick();
                 break;
+
+            default:
+                handled = false;
         }
 
         if (handled) {
@@ -893,8 +892,7 @@ module.exports = React.createClass({
 
         if (this.state.searchResults && this.state.searchResults.next_batch) {
             debuglog("requesting more search results");
-            const searchPromise = MatrixClientPeg.get().backPaginateRoomEventsSearch(
-                this.state.searchResults);
+            const searchPromise = searchPagination(this.state.searchResults);
             return this._handleSearchResult(searchPromise);
         } else {
             debuglog("no more search results");
@@ -1066,57 +1064,13 @@ module.exports = React.createClass({
         // todo: should cancel any previous search requests.
         this.searchId = new Date().getTime();
 
-        let filter;
-        if (scope === "Room") {
-            filter = {
-                // XXX: it's unintuitive that the filter for searching doesn't have the same shape as the v2 filter API :(
-                rooms: [
-                    this.state.room.roomId,
-                ],
-            };
-        }
+        const roomId = scope === "Room" ? this.state.room.roomId : undefined;
 
         debuglog("sending search request");
-
-        const searchPromise = MatrixClientPeg.get().searchRoomEvents({
-            filter: filter,
-            term: term,
-        });
-        if (!window.allMsgs) {
-            // if (true) { // TEST
-            // fall back to server searching (onlly applied to plain text)
-            return this._handleSearchResult(searchPromise).done();
-        }
-        this._handleLocalSearch(term, scope);
-    },
-    _handleLocalSearch: function(term, scope) {
-        console.log('*** Do search for *** ', term, scope);
-        let localSearchResults;
-        if (window.allMsgs && window.allMsgs.length > 0) {
-            localSearchResults = {};
-            localSearchResults.results = window.allMsgs;
-            console.log('*** Data is available to search', window.allMsgs.map(item => console.log(item.event.room_id) || item.event.room_id));
-            if (scope === 'Room' && this.state.room.roomId) {
-                localSearchResults.results = window.allMsgs.filter(e => e.event && e.event.room_id === this.state.room.roomId);
-                console.log('*** Events in Room ***', localSearchResults.results);
-            }
-            localSearchResults.results = localSearchResults.results.filter(mxEvent => {
-                const type = mxEvent && mxEvent.event && mxEvent.event.type;
-                term = term.toLowerCase();
-                if (type === 'm.room.message') {
-                    return mxEvent.event.content.body.toLowerCase().includes(term);
-                } else if (type === 'm.room.encrypted') {
-                    return mxEvent._clearEvent.content.body.toLowerCase().includes(term);
-                }
-                return false;
-            });
-            console.log('*** Fitlered data ***', localSearchResults.results);
-        }
-        this.setState({
-            localSearchResults: localSearchResults,
-            searchInProgress: false,
-        });
+        const searchPromise = eventSearch(term, roomId);
+        this._handleSearchResult(searchPromise).done();
     },
+
     _handleSearchResult: function(searchPromise) {
         const self = this;
 
@@ -1170,40 +1124,6 @@ module.exports = React.createClass({
         });
     },
 
-    getLocalSearchResults: function() {
-        const LocalSearchResult = sdk.getComponent('rooms.LocalSearchResult');
-        const Spinner = sdk.getComponent("elements.Spinner");
-
-        // once dynamic content in the search results load, make the scrollPanel check
-        // the scroll offsets.
-        const onHeightChanged = () => {
-            const scrollPanel = this.refs.searchResultsPanel;
-            if (scrollPanel) {
-                scrollPanel.checkScroll();
-            }
-        };
-
-        if (this.state.searchInProgress) {
-            return (<li key="search-spinner"><Spinner /></li>)
-        }
-
-        if (this.state.localSearchResults.results.length === 0) {
-            return (<li key="search-top-marker">
-            <h2 className="mx_RoomView_topMarker">{ _t("No results") }</h2>
-            </li>
-            )
-        }
-
-        // const resultLink = "#/room/"+roomId+"/"+mxEv.getId();
-
-        return <LocalSearchResult
-                 searchResult={this.state.localSearchResults.results}
-                 searchHighlights={[]}
-                 onHeightChanged={onHeightChanged}
-                 allRoom={this.state.searchScope === 'All'}
-                 />;
-    },
-
     getSearchResultTiles: function() {
         const EventTile = sdk.getComponent('rooms.EventTile');
         const SearchResultTile = sdk.getComponent('rooms.SearchResultTile');
@@ -1379,7 +1299,6 @@ module.exports = React.createClass({
         this.setState({
             searching: false,
             searchResults: null,
-            localSearchResults: null,
         });
     },
 
@@ -1498,6 +1417,38 @@ module.exports = React.createClass({
         this.forceUpdate(); // TODO: just update the voip buttons
     },
 
+    onHoldClick: function() {
+        const call = this._getCallForRoom();
+        if (!call) {
+            return;
+        }
+        dis.dispatch({
+            action: call.call_state === 'held' ? 'resume_call' : 'hold_call',
+            room_id: call.roomId,
+        });
+    },
+
+    onTransferClick: function() {
+        const call = this._getCallForRoom();
+        if (!call) {
+            return;
+        }
+        const CallTransferDialog = sdk.getComponent("dialogs.CallTransferDialog");
+        Modal.createTrackedDialog('Call Transfer', '', CallTransferDialog, {
+            targetCall: call,
+            heldCalls: CallHandler.getHeldCalls(),
+            onFinished: (transfer, transfereeCall) => {
+                if (!transfer) return;
+                // the person on hold is put through to who we're talking to now
+                dis.dispatch({
+                    action: 'transfer_call',
+                    room_id: transfereeCall.roomId,
+                    target_room_id: call.roomId,
+                });
+            },
+        });
+    },
+
     onStatusBarVisible: function() {
         if (this.unmounted) return;
         this.setState({
@@ -1694,6 +1645,7 @@ module.exports = React.createClass({
                 room={this.state.room}
                 sentMessageAndIsAlone={this.state.isAlone}
                 hasActiveCall={inCall}
+                callOnHold={this.state.callState === 'held'}
                 isPeeking={myMembership !== "join"}
                 onInviteClick={this.onInviteButtonClick}
                 onStopWarningClick={this.onStopAloneWarningClick}
@@ -1822,7 +1774,9 @@ module.exports = React.createClass({
         }
 
         if (inCall) {
-            let zoomButton; let voiceMuteButton; let videoMuteButton;
+            let zoomButton; let voiceMuteButton; let videoMuteButton; let transferButton;
+            const AccessibleButton = sdk.getComponent("elements.AccessibleButton");
+            const held = this.state.callState === 'held';
 
             if (call.type === "video") {
                 zoomButton = (
@@ -1845,9 +1799,30 @@ module.exports = React.createClass({
                          width="21" height="26" />
                 </div>;
 
+            // only 1:1 calls can be held, as conference calls aren't ours
+            let holdButton;
+            if (!call.confUserId && (held || this.state.callState === 'connected')) {
+                holdButton =
+                    <AccessibleButton className="mx_RoomView_voipButton mx_RoomView_voipTextButton"
+                        kind="primary_sm" onClick={this.onHoldClick}
+                    >
+                        { held ? _t("Resume") : _t("Hold") }
+                    </AccessibleButton>;
+            }
+            if (!call.confUserId && this.state.callState === 'connected' && CallHandler.getHeldCalls().length) {
+                transferButton =
+                    <AccessibleButton className="mx_RoomView_voipButton mx_RoomView_voipTextButton"
+                        kind="primary_sm" onClick={this.onTransferClick}
+                    >
+                        { _t("Transfer") }
+                    </AccessibleButton>;
+            }
+
             // wrap the existing status bar into a 'callStatusBar' which adds more knobs.
             statusBar =
                 <div className="mx_RoomView_callStatusBar">
+                    { transferButton }
+                    { holdButton }
                     { voiceMuteButton }
                     { videoMuteButton }
                     { zoomButton }
@@ -1884,21 +1859,6 @@ module.exports = React.createClass({
             searchResultsPanel = (<div className="mx_RoomView_messagePanel mx_RoomView_messagePanelSearchSpinner" />);
         }
 
-        if (this.state.localSearchResults) {
-                // show searching spinner
-                    searchResultsPanel = (
-                        <ScrollPanel ref="searchResultsPanel"
-                            className="mx_RoomView_messagePanel mx_RoomView_searchResultsPanel"
-                            onFillRequest={this.onSearchResultsFillRequest}
-                            resizeNotifier={this.props.resizeNotifier}
-                        >
-                            <li className={scrollheader_classes}></li>
-                            {this.getLocalSearchResults()}
-                        </ScrollPanel>
-                    );
-                hideMessagePanel = true;
-            }
-
         const shouldHighlight = this.state.isInitialEventHighlighted;
         let highlightedEventId = null;
         if (this.state.forwardingEvent) {
@@ -17,7 +17,7 @@ limitations under the License.
 const React = require('react');
 import PropTypes from 'prop-types';
 import Promise from 'bluebird';
-import { KeyCode } from '../../Keyboard';
+import { KeyBindingScope, getKeyBindingAction } from '../../KeyBindings';
 import Timer from '../../utils/Timer';
 import AutoHideScrollbar from './AutoHideScrollbar';
 
@@ -552,29 +552,21 @@ module.exports = React.createClass({
      * @param {object} ev the keyboard event
      */
     handleScrollKey: function(ev) {
-        switch (ev.keyCode) {
-            case KeyCode.PAGE_UP:
-                if (!ev.ctrlKey && !ev.shiftKey && !ev.altKey && !ev.metaKey) {
-                    this.scrollRelative(-1);
-                }
+        switch (getKeyBindingAction(KeyBindingScope.Navigation, ev)) {
+            case "scrollUp":
+                this.scrollRelative(-1);
                 break;
 
-            case KeyCode.PAGE_DOWN:
-                if (!ev.ctrlKey && !ev.shiftKey && !ev.altKey && !ev.metaKey) {
-                    this.scrollRelative(1);
-                }
+            case "scrollDown":
+                this.scrollRelative(1);
                 break;
 
-            case KeyCode.HOME:
-                if (ev.ctrlKey && !ev.shiftKey && !ev.altKey && !ev.metaKey) {
-                    this.scrollToTop();
-                }
+            case "jumpToOldest":
+                this.scrollToTop();
                 break;
 
-            case KeyCode.END:
-                if (ev.ctrlKey && !ev.shiftKey && !ev.altKey && !ev.metaKey) {
-                    this.scrollToBottom();
-                }
+            case "jumpToLatest":
+                this.scrollToBottom();
                 break;
         }
     },
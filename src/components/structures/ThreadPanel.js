@@ -0,0 +1,240 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+import {EventTimeline, MatrixClient, MatrixEvent} from 'matrix-js-sdk';
+import {_t} from '../../languageHandler';
+import sdk from '../../index';
+import RateLimitedFunc from '../../ratelimitedfunc';
+import {RoomPermalinkCreator} from '../../matrix-to';
+import SettingsStore from '../../settings/SettingsStore';
+import ReplyThread from '../views/elements/ReplyThread';
+import {buildReplyTree} from '../../utils/ReplyTree';
+
+/*
+ * Shows the whole conversation an event is part of: the chain of events it
+ * replies to, up to the first message of the conversation, and every reply
+ * below that message which has been loaded. Selecting a message in the tree
+ * makes the composer at the bottom reply to it.
+ */
+export default class ThreadPanel extends React.Component {
+    static propTypes = {
+        roomId: PropTypes.string.isRequired,
+        // the event the thread was opened from
+        event: PropTypes.instanceOf(MatrixEvent).isRequired,
+    };
+
+    static contextTypes = {
+        matrixClient: PropTypes.instanceOf(MatrixClient).isRequired,
+    };
+
+    constructor(props, context) {
+        super(props, context);
+
+        this.state = {
+            // the first message of the conversation, once we've found it
+            rootEvent: null,
+            tree: null,
+            // the event the composer replies to
+            selectedEvent: props.event,
+            // whether we failed to load one of the events being replied to
+            err: false,
+        };
+
+        this._composer = null;
+        this._updateTree = new RateLimitedFunc(() => {
+            if (this.unmounted || !this.state.rootEvent) return;
+            this.setState({tree: this._buildTree(this.state.rootEvent)});
+        }, 500);
+    }
+
+    componentWillMount() {
+        this.unmounted = false;
+        const cli = this.context.matrixClient;
+        this.room = cli.getRoom(this.props.roomId);
+        this._permalinkCreator = new RoomPermalinkCreator(this.room);
+        this._permalinkCreator.start();
+
+        cli.on("Room.timeline", this.onRoomTimeline);
+        cli.on("Room.redaction", this.onRoomRedaction);
+        this._findRoot();
+    }
+
+    componentWillUnmount() {
+        this.unmounted = true;
+        this._permalinkCreator.stop();
+        const cli = this.context.matrixClient;
+        if (cli) {
+            cli.removeListener("Room.timeline", this.onRoomTimeline);
+            cli.removeListener("Room.redaction", this.onRoomRedaction);
+        }
+    }
+
+    onRoomTimeline = (ev, room) => {
+        if (!room || room.roomId !== this.props.roomId) return;
+        this._updateTree();
+    };
+
+    onRoomRedaction = (ev, room) => {
+        if (!room || room.roomId !== this.props.roomId) return;
+        this._updateTree();
+    };
+
+    // walk up the m.in_reply_to relations until we find an event which
+    // isn't a reply: that's where the conversation started.
+    async _findRoot() {
+        let ev = this.props.event;
+        let parentEventId = ReplyThread.getParentEventId(ev);
+        // events which have already been visited, in case of a loop
+        const seen = new Set([ev.getId()]);
+        while (parentEventId && !seen.has(parentEventId)) {
+            const parentEv = await this._getEvent(parentEventId);
+            if (this.unmounted) return;
+            if (!parentEv) {
+                // show as much of the thread as we could load
+                this.setState({err: true});
+                break;
+            }
+            seen.add(parentEventId);
+            ev = parentEv;
+            parentEventId = ReplyThread.getParentEventId(ev);
+        }
+
+        this.setState({
+            rootEvent: ev,
+            tree: this._buildTree(ev),
+        });
+    }
+
+    async _getEvent(eventId) {
+        const event = this.room.findEventById(eventId);
+        if (event) return event;
+
+        try {
+            // as in ReplyThread, the only way to fetch an event is to ask for a
+            // timeline containing it, after which it can be found in the room
+            await this.context.matrixClient.getEventTimeline(this.room.getUnfilteredTimelineSet(), eventId);
+        } catch (e) {
+            return null;
+        }
+        return this.room.findEventById(eventId);
+    }
+
+    _buildTree(rootEvent) {
+        // replies can only be found in timelines we've loaded: look at the
+        // live timeline and the one holding the root event (which may not be
+        // connected to it if the root had to be fetched), and all their
+        // neighbours.
+        const timelineSet = this.room.getUnfilteredTimelineSet();
+        const timelines = new Set();
+        const addTimelines = (timeline) => {
+            timelines.add(timeline);
+            for (const direction of [EventTimeline.BACKWARDS, EventTimeline.FORWARDS]) {
+                let t = timeline.getNeighbouringTimeline(direction);
+                while (t && !timelines.has(t)) {
+                    timelines.add(t);
+                    t = t.getNeighbouringTimeline(direction);
+                }
+            }
+        };
+        addTimelines(timelineSet.getLiveTimeline());
+        const rootTimeline = timelineSet.getTimelineForEvent(rootEvent.getId());
+        if (rootTimeline) addTimelines(rootTimeline);
+
+        const events = [];
+        for (const timeline of timelines) {
+            events.push(...timeline.getEvents());
+        }
+        return buildReplyTree(rootEvent, events);
+    }
+
+    _onSelectEvent(ev) {
+        this.setState({selectedEvent: ev});
+        if (this._composer) this._composer.focus();
+    }
+
+    // the tree is in a plain scroll container, so there's nothing to
+    // recalculate when a tile changes height
+    _onHeightChanged = () => {};
+
+    _renderNode(node) {
+        const EventTile = sdk.getComponent('rooms.EventTile');
+        const ev = node.event;
+
+        let children;
+        if (node.children.length > 0) {
+            children = <ul className="mx_ThreadPanel_children">
+                { node.children.map((child) => this._renderNode(child)) }
+            </ul>;
+        }
+
+        const selected = ev.getId() === this.state.selectedEvent.getId();
+        const classes = classNames("mx_ThreadPanel_node", {
+            mx_ThreadPanel_node_selected: selected,
+        });
+        return <li key={ev.getId()}>
+            <div className={classes} onClick={() => this._onSelectEvent(ev)}
+                title={selected ? null : _t("Click to reply to this message")}
+            >
+                <EventTile mxEvent={ev}
+                    tileShape="reply"
+                    onHeightChanged={this._onHeightChanged}
+                    permalinkCreator={this._permalinkCreator}
+                    isTwelveHour={SettingsStore.getValue("showTwelveHourTimestamps")} />
+            </div>
+            { children }
+        </li>;
+    }
+
+    render() {
+        const Spinner = sdk.getComponent('elements.Spinner');
+        const AutoHideScrollbar = sdk.getComponent('structures.AutoHideScrollbar');
+        const ThreadComposer = sdk.getComponent('rooms.ThreadComposer');
+
+        let error;
+        if (this.state.err) {
+            error = <div className="mx_ThreadPanel_error">
+                { _t("Some of the earlier messages in this thread could not be loaded.") }
+            </div>;
+        }
+
+        let thread;
+        let composer;
+        if (this.state.tree) {
+            thread = <AutoHideScrollbar className="mx_ThreadPanel_scrollContainer">
+                { error }
+                <ul className="mx_ThreadPanel_tree">
+                    { this._renderNode(this.state.tree) }
+                </ul>
+            </AutoHideScrollbar>;
+            composer = <ThreadComposer
+                ref={(ref) => this._composer = ref}
+                replyToEvent={this.state.selectedEvent}
+                permalinkCreator={this._permalinkCreator}
+                threadId={this.state.rootEvent.getId()} />;
+        } else {
+            thread = <Spinner />;
+        }
+
+        return <div className="mx_ThreadPanel">
+            <h2 className="mx_ThreadPanel_header">{ _t("Thread") }</h2>
+            { thread }
+            { composer }
+        </div>;
+    }
+}
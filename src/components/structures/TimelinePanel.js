@@ -34,7 +34,7 @@ const dis = require('../../dispatcher');
 const ObjectUtils = require('../../ObjectUtils');
 const Modal = require('../../Modal');
 const UserActivity = require('../../UserActivity');
-import { KeyCode } from '../../Keyboard';
+import { KeyBindingScope, getKeyBindingAction } from '../../KeyBindings';
 import Timer from '../../utils/Timer';
 import shouldHideEvent from '../../shouldHideEvent';
 import EditorStateTransfer from '../../utils/EditorStateTransfer';
@@ -1047,13 +1047,7 @@ const TimelinePanel = React.createClass({
 
         // jump to the live timeline on ctrl-end, rather than the end of the
         // timeline window.
-        if (
-            ev.ctrlKey &&
-            !ev.shiftKey &&
-            !ev.altKey &&
-            !ev.metaKey &&
-            ev.keyCode == KeyCode.END
-        ) {
+        if (getKeyBindingAction(KeyBindingScope.Navigation, ev) === "jumpToLatest") {
             this.jumpToLiveTimeline();
         } else {
             this.refs.messagePanel.handleScrollKey(ev);
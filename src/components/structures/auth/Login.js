@@ -77,6 +77,10 @@ module.exports = React.createClass({
         onServerConfigChange: PropTypes.func.isRequired,
 
         serverConfig: PropTypes.instanceOf(ValidatedServerConfig).isRequired,
+
+        // the fragment to come back to after logging in with SSO, so that
+        // eg. a link to a room can be followed through the login
+        fragmentAfterLogin: PropTypes.string,
     },
 
     getInitialState: function() {
@@ -115,8 +119,8 @@ module.exports = React.createClass({
             'm.login.password': this._renderPasswordStep,
 
             // CAS and SSO are the same thing, modulo the url we link to
-            'm.login.cas': () => this._renderSsoStep(this._loginLogic.getSsoLoginUrl("cas")),
-            'm.login.sso': () => this._renderSsoStep(this._loginLogic.getSsoLoginUrl("sso")),
+            'm.login.cas': () => this._renderSsoStep("cas"),
+            'm.login.sso': () => this._renderSsoStep("sso"),
         };
 
         this._initLoginLogic();
@@ -563,7 +567,11 @@ module.exports = React.createClass({
         );
     },
 
-    _renderSsoStep: function(url) {
+    _onSsoClick: function() {
+        this._loginLogic.rememberSsoServers();
+    },
+
+    _renderSsoStep: function(loginType) {
         // XXX: This link does *not* have a target="_blank" because single sign-on relies on
         // redirecting the user back to a URI once they're logged in. On the web, this means
         // we use the same window and redirect back to riot. On electron, this actually
@@ -572,8 +580,29 @@ module.exports = React.createClass({
         // If this bug gets fixed, it will break SSO since it will open the SSO page in the
         // user's browser, let them log into their SSO provider, then redirect their browser
         // to vector://vector which, of course, will not work.
+        const providers = loginType === "sso" ? this._loginLogic.getSsoIdentityProviders() : [];
+        if (providers.length > 1) {
+            const buttons = providers.map((idp) => {
+                const url = this._loginLogic.getSsoLoginUrl(loginType, this.props.fragmentAfterLogin, idp.id);
+                let icon;
+                if (idp.iconUrl) {
+                    icon = <img className="mx_Login_sso_icon" src={idp.iconUrl} alt="" />;
+                }
+                return <a key={idp.id} href={url} className="mx_Login_sso_link mx_Login_submit"
+                    onClick={this._onSsoClick}
+                >
+                    { icon }
+                    { _t("Continue with %(provider)s", {provider: idp.name}) }
+                </a>;
+            });
+            return <div className="mx_Login_sso_providers">{ buttons }</div>;
+        }
+
+        const url = this._loginLogic.getSsoLoginUrl(loginType, this.props.fragmentAfterLogin);
         return (
-            <a href={url} className="mx_Login_sso_link mx_Login_submit">{ _t('Sign in with single sign-on') }</a>
+            <a href={url} className="mx_Login_sso_link mx_Login_submit" onClick={this._onSsoClick}>
+                { _t('Sign in with single sign-on') }
+            </a>
         );
     },
 
@@ -549,6 +549,8 @@ export const FallbackAuthEntry = React.createClass({
         loginType: PropTypes.string.isRequired,
         submitAuthDict: PropTypes.func.isRequired,
         errorText: PropTypes.string,
+        // called when the fallback page has been opened
+        onPopupOpened: PropTypes.func,
     },
 
     componentWillMount: function() {
@@ -577,6 +579,7 @@ export const FallbackAuthEntry = React.createClass({
             this.props.authSessionId,
         );
         this._popupWindow = window.open(url);
+        if (this.props.onPopupOpened) this.props.onPopupOpened();
     },
 
     _onReceiveMessage: function(event) {
@@ -606,17 +609,91 @@ export const FallbackAuthEntry = React.createClass({
     },
 });
 
+export const SSOAuthEntry = React.createClass({
+    displayName: 'SSOAuthEntry',
+
+    statics: {
+        LOGIN_TYPE: "m.login.sso",
+        UNSTABLE_LOGIN_TYPE: "org.matrix.login.sso",
+    },
+
+    propTypes: {
+        matrixClient: PropTypes.object.isRequired,
+        authSessionId: PropTypes.string.isRequired,
+        loginType: PropTypes.string.isRequired,
+        submitAuthDict: PropTypes.func.isRequired,
+        errorText: PropTypes.string,
+        busy: PropTypes.bool,
+    },
+
+    getInitialState: function() {
+        return {
+            // whether the SSO page has been opened, so we can go on once it's done
+            opened: false,
+        };
+    },
+
+    focus: function() {
+        if (this.refs.fallback) {
+            this.refs.fallback.focus();
+        }
+    },
+
+    _onPopupOpened: function() {
+        this.setState({opened: true});
+    },
+
+    _onContinueClick: function() {
+        this.props.submitAuthDict({});
+    },
+
+    render: function() {
+        const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
+
+        // the server's fallback page for the stage sends the user through
+        // their SSO provider, then tells us when they're back
+        let continueButton;
+        if (this.state.opened) {
+            continueButton = <AccessibleButton kind="primary" onClick={this._onContinueClick}
+                disabled={this.props.busy}
+            >
+                { _t("Continue") }
+            </AccessibleButton>;
+        }
+
+        return (
+            <div className="mx_InteractiveAuthEntryComponents_sso">
+                <p>
+                    { this.state.opened ?
+                        _t("Once you have confirmed your identity in the window which opened, continue here.") :
+                        _t("Confirm your identity with your single sign-on provider.") }
+                </p>
+                <FallbackAuthEntry ref="fallback"
+                    matrixClient={this.props.matrixClient}
+                    authSessionId={this.props.authSessionId}
+                    loginType={this.props.loginType}
+                    submitAuthDict={this.props.submitAuthDict}
+                    errorText={this.props.errorText}
+                    onPopupOpened={this._onPopupOpened}
+                />
+                { continueButton }
+            </div>
+        );
+    },
+});
+
 const AuthEntryComponents = [
     PasswordAuthEntry,
     RecaptchaAuthEntry,
     EmailIdentityAuthEntry,
     MsisdnAuthEntry,
     TermsAuthEntry,
+    SSOAuthEntry,
 ];
 
 export function getEntryComponentForLoginType(loginType) {
     for (const c of AuthEntryComponents) {
-        if (c.LOGIN_TYPE == loginType) {
+        if (c.LOGIN_TYPE == loginType || (c.UNSTABLE_LOGIN_TYPE && c.UNSTABLE_LOGIN_TYPE === loginType)) {
             return c;
         }
     }
@@ -312,6 +312,14 @@ module.exports = React.createClass({
         this.closeMenu();
     },
 
+    onViewThreadClick: function() {
+        dis.dispatch({
+            action: 'view_thread',
+            event: this.props.mxEvent,
+        });
+        this.closeMenu();
+    },
+
     onPermalinkClick: function(e: Event) {
         e.preventDefault();
         const ShareDialog = sdk.getComponent('dialogs.ShareDialog');
@@ -382,6 +390,7 @@ module.exports = React.createClass({
         let unhidePreviewButton;
         let externalURLButton;
         let quoteButton;
+        let viewThreadButton;
         let collapseReplyThread;
 
         // status is SENT before remote-echo, null after
@@ -549,6 +558,17 @@ module.exports = React.createClass({
             );
         }
 
+        if (isContentActionable(mxEvent) && !eventStatus) {
+            viewThreadButton = (
+                <div
+                    className='mx_MessageContextMenu_field'
+                    onClick={this.onViewThreadClick}
+                >
+                    {_t('View Thread')}
+                </div>
+            );
+        }
+
         // Bridges can provide a 'external_url' to link back to the source.
         if (
             typeof mxEvent.event.content.external_url === 'string' &&
@@ -606,6 +626,7 @@ module.exports = React.createClass({
                 {unhidePreviewButton}
                 {permalinkButton}
                 {quoteButton}
+                {viewThreadButton}
                 {externalURLButton}
                 {collapseReplyThread}
                 {e2eInfo}
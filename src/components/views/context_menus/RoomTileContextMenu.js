@@ -286,6 +286,9 @@ module.exports = React.createClass({
                 this.state.roomNotifState == RoomNotifs.MUTE
         });
 
+        // keywords only make a difference when the room isn't notifying for everything
+        const hasKeywords = RoomNotifs.getRoomKeywordRules(this.props.room.roomId).length > 0;
+
         return (
             <div className='mx_RoomTileContextMenu'>
                 <div className='mx_RoomTileContextMenu_notif_picker'>
@@ -344,7 +347,7 @@ module.exports = React.createClass({
                         width='16'
                         height='12'
                     />
-                    {_t('Mentions only')}
+                    { hasKeywords ? _t('Mentions & keywords') : _t('Mentions only') }
                 </div>
                 <div className={muteNotifsClasses} onClick={this._onClickMute}>
                     <img
@@ -375,6 +378,14 @@ module.exports = React.createClass({
         }
     },
 
+    _onClickExport: function() {
+        const ExportRoomDialog = sdk.getComponent('dialogs.ExportRoomDialog');
+        Modal.createTrackedDialog('Export Room', '', ExportRoomDialog, {room: this.props.room});
+        if (this.props.onFinished) {
+            this.props.onFinished();
+        }
+    },
+
     _renderSettingsMenu: function() {
         return (
             <div>
@@ -390,6 +401,18 @@ module.exports = React.createClass({
                     />
                     {_t('Settings')}
                 </div>
+                <div
+                    className='mx_RoomTileContextMenu_tag_field'
+                    onClick={this._onClickExport}
+                >
+                    <img
+                        className='mx_RoomTileContextMenu_tag_icon'
+                        src={require('../../../../res/img/download.svg')}
+                        width='15'
+                        height='15'
+                    />
+                    {_t('Export chat')}
+                </div>
             </div>
         );
     },
@@ -0,0 +1,225 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import sdk from '../../../index';
+import { _t, _td } from '../../../languageHandler';
+import MatrixClientPeg from '../../../MatrixClientPeg';
+import BulkModerator, { BulkAction } from '../../../utils/BulkModerator';
+
+const ACTIONS = {
+    [BulkAction.Kick]: {
+        title: (count) => _t("Kick %(count)s members?", {count}),
+        button: _td("Kick"),
+        askReason: true,
+        danger: true,
+    },
+    [BulkAction.Ban]: {
+        title: (count) => _t("Ban %(count)s members?", {count}),
+        button: _td("Ban"),
+        askReason: true,
+        danger: true,
+    },
+    [BulkAction.RevokeInvite]: {
+        title: (count) => _t("Revoke %(count)s invites?", {count}),
+        button: _td("Disinvite"),
+        danger: true,
+    },
+    [BulkAction.SetPowerLevel]: {
+        title: (count) => _t("Change the power level of %(count)s members?", {count}),
+        button: _td("Change"),
+        askPowerLevel: true,
+    },
+};
+
+/*
+ * Asks for confirmation of an action on several room members at once, then
+ * does it, reporting its progress and which members it didn't work for.
+ */
+export default class BulkModerationDialog extends React.Component {
+    static propTypes = {
+        room: PropTypes.object.isRequired,
+        // one of BulkAction
+        action: PropTypes.string.isRequired,
+        // the RoomMembers to do it to
+        members: PropTypes.array.isRequired,
+        // the reason to start with, for kicks and bans
+        reason: PropTypes.string,
+        // whether to go ahead straight away, if it has already been confirmed
+        autoStart: PropTypes.bool,
+        onFinished: PropTypes.func.isRequired,
+    };
+
+    constructor(props) {
+        super(props);
+
+        const powerLevels = this._getPowerLevels();
+        this.state = {
+            reason: props.reason || "",
+            powerLevel: parseInt(powerLevels.users_default || 0),
+            // set once started, to how many members have been done
+            progress: null,
+            done: false,
+        };
+        this._moderator = null;
+        this._unmounted = false;
+    }
+
+    componentDidMount() {
+        if (this.props.autoStart) this._onConfirm();
+    }
+
+    componentWillUnmount() {
+        this._unmounted = true;
+        if (this._moderator) this._moderator.cancel();
+    }
+
+    _getPowerLevels() {
+        const event = this.props.room.currentState.getStateEvents("m.room.power_levels", "");
+        return event ? event.getContent() : {};
+    }
+
+    _onReasonChange = (ev) => {
+        this.setState({reason: ev.target.value});
+    };
+
+    _onPowerLevelChange = (powerLevel) => {
+        this.setState({powerLevel: parseInt(powerLevel)});
+    };
+
+    _onConfirm = async (ev) => {
+        if (ev) ev.preventDefault();
+        if (this.state.done) {
+            this.props.onFinished(true);
+            return;
+        }
+
+        this._moderator = new BulkModerator(this.props.room.roomId, this.props.action, {
+            reason: this.state.reason,
+            powerLevel: this.state.powerLevel,
+        });
+        this.setState({progress: 0});
+        try {
+            await this._moderator.run(this.props.members.map((m) => m.userId), (progress) => {
+                if (!this._unmounted) this.setState({progress});
+            });
+        } catch (e) {
+            console.error("Failed to moderate members", e);
+        }
+        if (!this._unmounted) this.setState({done: true});
+    };
+
+    _onCancel = () => {
+        if (this._moderator && !this.state.done) {
+            // stop, but still say what happened to those done so far
+            this._moderator.cancel();
+            return;
+        }
+        this.props.onFinished(false);
+    };
+
+    _renderOptions() {
+        const action = ACTIONS[this.props.action];
+        if (action.askReason) {
+            const Field = sdk.getComponent('elements.Field');
+            return <Field id="mx_BulkModerationDialog_reason" type="text" label={_t("Reason")}
+                value={this.state.reason} onChange={this._onReasonChange} autoFocus={true} />;
+        }
+        if (action.askPowerLevel) {
+            const PowerSelector = sdk.getComponent('elements.PowerSelector');
+            const me = this.props.room.getMember(MatrixClientPeg.get().getUserId());
+            return <PowerSelector value={this.state.powerLevel}
+                maxValue={me ? me.powerLevel : 0}
+                usersDefault={parseInt(this._getPowerLevels().users_default || 0)}
+                onChange={this._onPowerLevelChange} />;
+        }
+        return null;
+    }
+
+    _renderResults() {
+        const failures = this.props.members.filter((m) => {
+            return this._moderator.getCompletionState(m.userId) === 'error';
+        });
+        const done = this.props.members.filter((m) => {
+            return this._moderator.getCompletionState(m.userId) === 'done';
+        });
+
+        let failureList;
+        if (failures.length) {
+            failureList = <div>
+                <p>{ _t("It didn't work for:") }</p>
+                <ul className="mx_BulkModerationDialog_failures">
+                    { failures.map((m) => <li key={m.userId}>
+                        <b>{ m.name }</b> ({ m.userId }): { this._moderator.getErrorText(m.userId) }
+                    </li>) }
+                </ul>
+            </div>;
+        }
+        return <div>
+            <p>{ _t("Done for %(done)s of %(total)s members.", {
+                done: done.length,
+                total: this.props.members.length,
+            }) }</p>
+            { failureList }
+        </div>;
+    }
+
+    render() {
+        const BaseDialog = sdk.getComponent('views.dialogs.BaseDialog');
+        const DialogButtons = sdk.getComponent('views.elements.DialogButtons');
+        const Spinner = sdk.getComponent('elements.Spinner');
+        const action = ACTIONS[this.props.action];
+        const count = this.props.members.length;
+
+        let content;
+        if (this.state.done) {
+            content = this._renderResults();
+        } else if (this.state.progress !== null) {
+            content = <div className="mx_BulkModerationDialog_progress">
+                <Spinner />
+                { _t("Done %(progress)s of %(total)s…", {progress: this.state.progress, total: count}) }
+            </div>;
+        } else {
+            content = <div>
+                <ul className="mx_BulkModerationDialog_members">
+                    { this.props.members.map((m) => <li key={m.userId}>{ m.name } ({ m.userId })</li>) }
+                </ul>
+                { this._renderOptions() }
+            </div>;
+        }
+
+        const running = this.state.progress !== null && !this.state.done;
+        return (
+            <BaseDialog className="mx_BulkModerationDialog" onFinished={this._onCancel}
+                title={action.title(count)}
+            >
+                <form onSubmit={this._onConfirm}>
+                    <div className="mx_Dialog_content">
+                        { content }
+                    </div>
+                </form>
+                <DialogButtons primaryButton={this.state.done ? _t("OK") : _t(action.button)}
+                    primaryButtonClass={action.danger && !this.state.done ? "danger" : null}
+                    onPrimaryButtonClick={this._onConfirm}
+                    primaryDisabled={running}
+                    hasCancel={!this.state.done}
+                    onCancel={this._onCancel}
+                />
+            </BaseDialog>
+        );
+    }
+}
@@ -0,0 +1,99 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import sdk from '../../../index';
+import { _t } from '../../../languageHandler';
+import MatrixClientPeg from '../../../MatrixClientPeg';
+
+/*
+ * Asks which of the calls on hold to put through to the call going on, for
+ * an attended transfer.
+ */
+export default class CallTransferDialog extends React.Component {
+    static propTypes = {
+        // the call going on, with who the other person will be put through to
+        targetCall: PropTypes.object.isRequired,
+        // the calls on hold, one of whose other person is to be transferred
+        heldCalls: PropTypes.array.isRequired,
+        // called with true and the held call to transfer, if one was picked
+        onFinished: PropTypes.func.isRequired,
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            // the call ID of the held call picked
+            callId: props.heldCalls.length === 1 ? props.heldCalls[0].callId : null,
+        };
+    }
+
+    _getRoomName(call) {
+        const room = MatrixClientPeg.get().getRoom(call.roomId);
+        return room ? room.name : call.roomId;
+    }
+
+    _onCallChange = (ev) => {
+        this.setState({callId: ev.target.value});
+    };
+
+    _onTransferClick = () => {
+        const call = this.props.heldCalls.find((c) => c.callId === this.state.callId);
+        if (call) this.props.onFinished(true, call);
+    };
+
+    _onCancelClick = () => {
+        this.props.onFinished(false);
+    };
+
+    render() {
+        const BaseDialog = sdk.getComponent('views.dialogs.BaseDialog');
+        const DialogButtons = sdk.getComponent('views.elements.DialogButtons');
+
+        const calls = this.props.heldCalls.map((call) => {
+            const id = "mx_CallTransferDialog_call_" + call.callId;
+            return <div key={call.callId} className="mx_CallTransferDialog_call">
+                <input type="radio" id={id} name="mx_CallTransferDialog_call" value={call.callId}
+                    checked={this.state.callId === call.callId} onChange={this._onCallChange} />
+                <label htmlFor={id}>{ this._getRoomName(call) }</label>
+            </div>;
+        });
+
+        return (
+            <BaseDialog className="mx_CallTransferDialog" onFinished={this.props.onFinished}
+                title={_t("Transfer call")}
+            >
+                <div className="mx_Dialog_content">
+                    <p>
+                        { _t(
+                            "Put someone you have on hold through to %(roomName)s. " +
+                            "Both calls will then end for you.",
+                            {roomName: this._getRoomName(this.props.targetCall)},
+                        ) }
+                    </p>
+                    { calls }
+                </div>
+                <DialogButtons primaryButton={_t("Transfer")}
+                    onPrimaryButtonClick={this._onTransferClick}
+                    onCancel={this._onCancelClick}
+                    primaryDisabled={!this.state.callId}
+                />
+            </BaseDialog>
+        );
+    }
+}
@@ -0,0 +1,180 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import sdk from '../../../index';
+import { _t } from '../../../languageHandler';
+import MatrixClientPeg from '../../../MatrixClientPeg';
+import { isValidShortcode, makeEmojiPackId } from '../../../CustomEmoji';
+
+/*
+ * Makes a new custom emoji pack or changes an existing one, uploading the
+ * images for it. Saving the pack is left to the caller, as it may be the
+ * user's or a room's.
+ */
+export default class CustomEmojiPackDialog extends React.Component {
+    static propTypes = {
+        // the pack to change, if not making a new one
+        pack: PropTypes.object,
+        // called with true and the pack if it should be saved
+        onFinished: PropTypes.func.isRequired,
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            name: props.pack ? props.pack.name : "",
+            emoji: props.pack ? Object.assign({}, props.pack.emoji) : {},
+            shortcode: "",
+            uploading: false,
+            error: null,
+        };
+    }
+
+    _onNameChange = (ev) => {
+        this.setState({name: ev.target.value, error: null});
+    };
+
+    _onShortcodeChange = (ev) => {
+        // the colons are optional, as that's how shortcodes are usually written
+        this.setState({shortcode: ev.target.value.replace(/:/g, "").trim(), error: null});
+    };
+
+    _onUploadClick = (ev) => {
+        ev.preventDefault();
+        const shortcode = this.state.shortcode;
+        if (!isValidShortcode(shortcode)) {
+            this.setState({error: _t("Shortcodes can only have letters, numbers, '_', '+' and '-'.")});
+            return;
+        }
+        if (this.state.emoji[shortcode]) {
+            this.setState({error: _t("There is already an emoji called :%(shortcode)s:.", {shortcode})});
+            return;
+        }
+        this.refs.upload.click();
+    };
+
+    _onUploadChanged = async (ev) => {
+        const file = ev.target.files && ev.target.files[0];
+        if (!file) return;
+        // let the same file be picked again
+        ev.target.value = "";
+
+        const shortcode = this.state.shortcode;
+        this.setState({uploading: true, error: null});
+        try {
+            const url = await MatrixClientPeg.get().uploadContent(file);
+            this.setState({
+                emoji: Object.assign({}, this.state.emoji, {[shortcode]: {url}}),
+                shortcode: "",
+            });
+        } catch (e) {
+            console.error("Failed to upload custom emoji", e);
+            this.setState({error: _t("Failed to upload the image: %(message)s", {message: e.message})});
+        } finally {
+            this.setState({uploading: false});
+        }
+    };
+
+    _onRemoveClick = (shortcode) => {
+        const emoji = Object.assign({}, this.state.emoji);
+        delete emoji[shortcode];
+        this.setState({emoji});
+    };
+
+    _onSaveClick = (ev) => {
+        ev.preventDefault();
+        const name = this.state.name.trim();
+        if (!name) {
+            this.setState({error: _t("The pack needs a name.")});
+            return;
+        }
+        if (!Object.keys(this.state.emoji).length) {
+            this.setState({error: _t("The pack needs at least one emoji.")});
+            return;
+        }
+        this.props.onFinished(true, {
+            id: this.props.pack ? this.props.pack.id : makeEmojiPackId(),
+            name,
+            emoji: this.state.emoji,
+        });
+    };
+
+    _onCancelClick = () => {
+        this.props.onFinished(false);
+    };
+
+    render() {
+        const BaseDialog = sdk.getComponent('views.dialogs.BaseDialog');
+        const DialogButtons = sdk.getComponent('views.elements.DialogButtons');
+        const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
+        const Field = sdk.getComponent('views.elements.Field');
+        const Spinner = sdk.getComponent('elements.Spinner');
+        const cli = MatrixClientPeg.get();
+
+        const emoji = Object.entries(this.state.emoji).map(([shortcode, {url}]) => {
+            return <div key={shortcode} className="mx_CustomEmojiPackDialog_emoji">
+                <img src={cli.mxcUrlToHttp(url, 32, 32, 'scale')} alt={`:${shortcode}:`} />
+                <span className="mx_CustomEmojiPackDialog_shortcode">:{ shortcode }:</span>
+                <AccessibleButton kind="danger_sm" onClick={() => this._onRemoveClick(shortcode)}>
+                    { _t("Remove") }
+                </AccessibleButton>
+            </div>;
+        });
+
+        let error;
+        if (this.state.error) {
+            error = <div className="error">{ this.state.error }</div>;
+        }
+
+        return (
+            <BaseDialog className="mx_CustomEmojiPackDialog" onFinished={this.props.onFinished}
+                title={this.props.pack ? _t("Edit emoji pack") : _t("Add emoji pack")}
+            >
+                <form onSubmit={this._onSaveClick}>
+                    <div className="mx_Dialog_content">
+                        <Field id="mx_CustomEmojiPackDialog_name" type="text" label={_t("Name")}
+                            value={this.state.name} onChange={this._onNameChange} autoFocus={true} />
+                        <div className="mx_CustomEmojiPackDialog_emojiList">
+                            { emoji }
+                        </div>
+                        <div className="mx_CustomEmojiPackDialog_add">
+                            <Field id="mx_CustomEmojiPackDialog_shortcode" type="text" label={_t("Shortcode")}
+                                placeholder="partyparrot" value={this.state.shortcode}
+                                onChange={this._onShortcodeChange} disabled={this.state.uploading} />
+                            { this.state.uploading ? <Spinner w={24} h={24} /> :
+                                <AccessibleButton kind="primary" onClick={this._onUploadClick}
+                                    disabled={!this.state.shortcode}
+                                >
+                                    { _t("Upload image") }
+                                </AccessibleButton> }
+                            <input ref="upload" className="mx_CustomEmojiPackDialog_upload" type="file"
+                                accept="image/*" onChange={this._onUploadChanged} />
+                        </div>
+                        { error }
+                    </div>
+                </form>
+                <DialogButtons primaryButton={_t("Save")}
+                    onPrimaryButtonClick={this._onSaveClick}
+                    onCancel={this._onCancelClick}
+                    primaryDisabled={this.state.uploading}
+                />
+            </BaseDialog>
+        );
+    }
+}
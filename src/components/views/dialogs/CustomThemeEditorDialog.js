@@ -0,0 +1,194 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import FileSaver from 'file-saver';
+import sdk from '../../../index';
+import { _t } from '../../../languageHandler';
+import dis from '../../../dispatcher';
+import SettingsStore from '../../../settings/SettingsStore';
+import {
+    CUSTOM_THEME_COLORS,
+    getBaseThemeColors,
+    getCustomTheme,
+    getCustomThemes,
+    parseCustomTheme,
+    saveUserCustomTheme,
+    toHexColor,
+} from '../../../CustomThemes';
+
+/*
+ * Makes a new custom theme or changes one of the user's, showing the changes
+ * on the app behind as they're made.
+ */
+export default class CustomThemeEditorDialog extends React.Component {
+    static propTypes = {
+        // the user's custom theme to change, if not making a new one
+        theme: PropTypes.object,
+        // called with true and the theme once it has been saved, for the caller to switch to
+        onFinished: PropTypes.func.isRequired,
+    };
+
+    constructor(props) {
+        super(props);
+
+        // themes say what all their colours are, so start from the ones being shown
+        const colors = getBaseThemeColors();
+        let name = "";
+        let isDark = false;
+        if (props.theme) {
+            name = props.theme.name;
+            isDark = props.theme.is_dark;
+            for (const [colorName, color] of Object.entries(props.theme.colors)) {
+                colors[colorName] = toHexColor(color);
+            }
+        } else {
+            const currentTheme = SettingsStore.getValue("theme");
+            const currentCustomTheme = getCustomTheme(currentTheme);
+            isDark = currentCustomTheme ? currentCustomTheme.is_dark : currentTheme === "dark";
+        }
+
+        this.state = {
+            name,
+            isDark,
+            colors,
+            error: null,
+        };
+        this._savedTheme = null;
+    }
+
+    componentWillUnmount() {
+        // go back to the theme in the settings, unless it is being replaced by
+        // this one, as the settings may not have synced yet
+        dis.dispatch({action: 'set_theme', customTheme: this._savedTheme});
+    }
+
+    _getTheme() {
+        return {
+            name: this.state.name.trim(),
+            is_dark: this.state.isDark,
+            colors: this.state.colors,
+        };
+    }
+
+    _preview(changes) {
+        this.setState(changes, () => {
+            dis.dispatch({action: 'set_theme', customTheme: this._getTheme()});
+        });
+    }
+
+    _onNameChange = (ev) => {
+        this.setState({name: ev.target.value, error: null});
+    };
+
+    _onIsDarkChange = (isDark) => {
+        this._preview({isDark});
+    };
+
+    _onColorChange = (colorName, color) => {
+        this._preview({colors: Object.assign({}, this.state.colors, {[colorName]: color})});
+    };
+
+    _validate() {
+        let theme;
+        try {
+            theme = parseCustomTheme(this._getTheme());
+        } catch (e) {
+            this.setState({error: e.message});
+            return null;
+        }
+        const oldName = this.props.theme ? this.props.theme.name : null;
+        if (theme.name !== oldName && getCustomThemes().some((t) => t.name === theme.name)) {
+            this.setState({error: _t("There is already a theme called %(name)s.", {name: theme.name})});
+            return null;
+        }
+        return theme;
+    }
+
+    _onExportClick = () => {
+        const theme = this._validate();
+        if (!theme) return;
+        const blob = new Blob([JSON.stringify(theme, null, 4)], {type: "application/json"});
+        FileSaver.saveAs(blob, `${theme.name}.json`);
+    };
+
+    _onSaveClick = async (ev) => {
+        ev.preventDefault();
+        const theme = this._validate();
+        if (!theme) return;
+
+        try {
+            await saveUserCustomTheme(theme, this.props.theme ? this.props.theme.name : theme.name);
+        } catch (e) {
+            console.error("Failed to save custom theme", e);
+            this.setState({error: _t("Failed to save the theme: %(message)s", {message: e.message})});
+            return;
+        }
+        this._savedTheme = theme;
+        this.props.onFinished(true, theme);
+    };
+
+    _onCancelClick = () => {
+        this.props.onFinished(false);
+    };
+
+    render() {
+        const BaseDialog = sdk.getComponent('views.dialogs.BaseDialog');
+        const DialogButtons = sdk.getComponent('views.elements.DialogButtons');
+        const Field = sdk.getComponent('views.elements.Field');
+        const LabelledToggleSwitch = sdk.getComponent('views.elements.LabelledToggleSwitch');
+
+        const colorFields = Object.entries(CUSTOM_THEME_COLORS).map(([colorName, {displayName}]) => {
+            const id = `mx_CustomThemeEditorDialog_${colorName}`;
+            return <div key={colorName} className="mx_CustomThemeEditorDialog_color">
+                <input id={id} type="color" value={this.state.colors[colorName]}
+                    onChange={(ev) => this._onColorChange(colorName, ev.target.value)} />
+                <label htmlFor={id}>{ _t(displayName) }</label>
+            </div>;
+        });
+
+        let error;
+        if (this.state.error) {
+            error = <div className="error">{ this.state.error }</div>;
+        }
+
+        return (
+            <BaseDialog className="mx_CustomThemeEditorDialog" onFinished={this.props.onFinished}
+                title={this.props.theme ? _t("Edit theme") : _t("Create a theme")}
+            >
+                <form onSubmit={this._onSaveClick}>
+                    <div className="mx_Dialog_content">
+                        <Field id="mx_CustomThemeEditorDialog_name" type="text" label={_t("Name")}
+                            value={this.state.name} onChange={this._onNameChange} autoFocus={true} />
+                        <LabelledToggleSwitch value={this.state.isDark} onChange={this._onIsDarkChange}
+                            label={_t("Based on the dark theme")} />
+                        <div className="mx_CustomThemeEditorDialog_colors">
+                            { colorFields }
+                        </div>
+                        { error }
+                    </div>
+                </form>
+                <DialogButtons primaryButton={_t("Save")}
+                    onPrimaryButtonClick={this._onSaveClick}
+                    onCancel={this._onCancelClick}
+                >
+                    <button onClick={this._onExportClick}>{ _t("Export") }</button>
+                </DialogButtons>
+            </BaseDialog>
+        );
+    }
+}
@@ -0,0 +1,262 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+import sdk from '../../../index';
+import { _t, _td } from '../../../languageHandler';
+import MatrixClientPeg from '../../../MatrixClientPeg';
+import SettingsStore, {SettingLevel} from '../../../settings/SettingsStore';
+import { KeyCode } from '../../../Keyboard';
+import {
+    EMOJI_CATEGORIES,
+    SKIN_TONE_MODIFIERS,
+    addRecentEmoji,
+    getCategoryEmoji,
+    getEmojiData,
+    getRecentEmoji,
+    getSkinToneUnicode,
+    searchEmoji,
+} from '../../../Emoji';
+import { getCustomEmoji, isCustomEmojiReaction } from '../../../CustomEmoji';
+
+const MAX_SEARCH_RESULTS = 200;
+
+const RECENT_CATEGORY = {id: "recent", name: _td("Recently used"), icon: "🕒"};
+const CUSTOM_CATEGORY = {id: "custom", name: _td("Custom emoji"), icon: "⭐"};
+
+// shown in each of the skin tones to pick between them
+const SKIN_TONE_EXAMPLE = "✋";
+
+function emojiToItem(emoji, unicode) {
+    return {
+        key: unicode,
+        unicode,
+        name: emoji.annotation,
+        shortcode: emoji.shortcodes ? `:${emoji.shortcodes[0]}:` : null,
+    };
+}
+
+function customEmojiToItem({shortcode, url}) {
+    return {
+        key: url,
+        url,
+        name: shortcode,
+        shortcode,
+    };
+}
+
+/*
+ * Lets the user pick any emoji, or any of their or the room's custom emoji,
+ * by category or by searching for it. Used both for putting emoji in the
+ * composer and for reacting to events.
+ */
+export default class EmojiPickerDialog extends React.Component {
+    static propTypes = {
+        // the room the emoji is for, whose custom emoji are offered too
+        room: PropTypes.object,
+        title: PropTypes.string,
+        // emoji to show as already picked, eg. the ones the user has reacted with
+        selected: PropTypes.arrayOf(PropTypes.string),
+        // called with true and the emoji once one is picked, as {key, unicode,
+        // name, shortcode}, or {key, url, name, shortcode} for custom emoji,
+        // where the key is what a reaction with it would use
+        onFinished: PropTypes.func.isRequired,
+    };
+
+    static defaultProps = {
+        selected: [],
+    };
+
+    constructor(props) {
+        super(props);
+
+        this._customEmoji = getCustomEmoji(props.room);
+        const categories = EMOJI_CATEGORIES.slice();
+        if (this._customEmoji.length) categories.unshift(CUSTOM_CATEGORY);
+        if (getRecentEmoji().length) categories.unshift(RECENT_CATEGORY);
+        this._categories = categories;
+
+        this.state = {
+            query: "",
+            category: categories[0].id,
+            hoveredItem: null,
+            skinTone: SettingsStore.getValue("emojiSkinTone"),
+        };
+    }
+
+    _getRecentItems() {
+        const items = [];
+        for (const key of getRecentEmoji()) {
+            if (isCustomEmojiReaction(key)) {
+                // custom emoji from a pack the user no longer has are left out
+                const custom = this._customEmoji.find((e) => e.url === key);
+                if (custom) items.push(customEmojiToItem(custom));
+            } else {
+                const emoji = getEmojiData(key);
+                if (emoji) items.push(emojiToItem(emoji, key));
+            }
+        }
+        return items;
+    }
+
+    _getItems() {
+        const tone = this.state.skinTone;
+        if (this.state.query.trim()) {
+            const query = this.state.query.trim().toLowerCase().replace(/:/g, '');
+            const custom = this._customEmoji.filter((e) => e.shortcode.includes(query)).map(customEmojiToItem);
+            const emoji = searchEmoji(query).map((e) => emojiToItem(e, getSkinToneUnicode(e, tone)));
+            return custom.concat(emoji).slice(0, MAX_SEARCH_RESULTS);
+        }
+
+        switch (this.state.category) {
+            case RECENT_CATEGORY.id:
+                return this._getRecentItems();
+            case CUSTOM_CATEGORY.id:
+                return this._customEmoji.map(customEmojiToItem);
+            default:
+                return getCategoryEmoji(this.state.category).map((e) => emojiToItem(e, getSkinToneUnicode(e, tone)));
+        }
+    }
+
+    _pick(item) {
+        addRecentEmoji(item.key);
+        this.props.onFinished(true, item);
+    }
+
+    _onQueryChange = (ev) => {
+        this.setState({query: ev.target.value});
+    };
+
+    _onQueryKeyDown = (ev) => {
+        if (ev.keyCode !== KeyCode.ENTER) return;
+        ev.preventDefault();
+        const items = this._getItems();
+        if (items.length) this._pick(items[0]);
+    };
+
+    _onCategoryClick = (category) => {
+        this.setState({category, query: ""});
+    };
+
+    _onSkinToneClick = (skinTone) => {
+        this.setState({skinTone});
+        SettingsStore.setValue("emojiSkinTone", null, SettingLevel.DEVICE, skinTone);
+    };
+
+    _renderItem(item) {
+        const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
+        const classes = classNames("mx_EmojiPickerDialog_emoji", {
+            mx_EmojiPickerDialog_emoji_selected: this.props.selected.includes(item.key),
+        });
+
+        let content = item.unicode;
+        if (item.url) {
+            const src = MatrixClientPeg.get().mxcUrlToHttp(item.url, 32, 32, 'scale');
+            content = <img src={src} alt={item.shortcode} />;
+        }
+
+        return <AccessibleButton key={item.key} className={classes} title={item.shortcode || item.name}
+            onClick={() => this._pick(item)}
+            onMouseEnter={() => this.setState({hoveredItem: item})}
+            onMouseLeave={() => this.setState({hoveredItem: null})}
+        >
+            { content }
+        </AccessibleButton>;
+    }
+
+    _renderSkinTones() {
+        const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
+        const tones = ["", ...SKIN_TONE_MODIFIERS].map((modifier, tone) => {
+            const classes = classNames("mx_EmojiPickerDialog_skinTone", {
+                mx_EmojiPickerDialog_skinTone_selected: tone === this.state.skinTone,
+            });
+            return <AccessibleButton key={tone} className={classes} onClick={() => this._onSkinToneClick(tone)}>
+                { SKIN_TONE_EXAMPLE + modifier }
+            </AccessibleButton>;
+        });
+        return <div className="mx_EmojiPickerDialog_skinTones" title={_t("Skin tone")}>{ tones }</div>;
+    }
+
+    _renderPreview() {
+        const item = this.state.hoveredItem;
+        if (!item) {
+            return <div className="mx_EmojiPickerDialog_preview" />;
+        }
+
+        let emoji = item.unicode;
+        if (item.url) {
+            emoji = <img src={MatrixClientPeg.get().mxcUrlToHttp(item.url, 64, 64, 'scale')} alt={item.shortcode} />;
+        }
+        return <div className="mx_EmojiPickerDialog_preview">
+            <span className="mx_EmojiPickerDialog_preview_emoji">{ emoji }</span>
+            <span className="mx_EmojiPickerDialog_preview_name">{ item.name }</span>
+            { item.url ? null : <span className="mx_EmojiPickerDialog_preview_shortcode">{ item.shortcode }</span> }
+        </div>;
+    }
+
+    render() {
+        const BaseDialog = sdk.getComponent('views.dialogs.BaseDialog');
+        const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
+
+        const searching = Boolean(this.state.query.trim());
+        const categories = this._categories.map((category) => {
+            const classes = classNames("mx_EmojiPickerDialog_category", {
+                mx_EmojiPickerDialog_category_selected: !searching && category.id === this.state.category,
+            });
+            return <AccessibleButton key={category.id} className={classes} title={_t(category.name)}
+                onClick={() => this._onCategoryClick(category.id)}
+            >
+                { category.icon }
+            </AccessibleButton>;
+        });
+
+        let heading;
+        if (searching) {
+            heading = _t("Search results");
+        } else {
+            heading = _t(this._categories.find((c) => c.id === this.state.category).name);
+        }
+
+        const items = this._getItems();
+        let grid;
+        if (items.length) {
+            grid = <div className="mx_EmojiPickerDialog_grid">{ items.map((item) => this._renderItem(item)) }</div>;
+        } else {
+            grid = <div className="mx_EmojiPickerDialog_noResults">{ _t("No emoji found") }</div>;
+        }
+
+        return (
+            <BaseDialog className="mx_EmojiPickerDialog" onFinished={this.props.onFinished}
+                title={this.props.title || _t("Pick an emoji")}
+            >
+                <div className="mx_Dialog_content">
+                    <div className="mx_EmojiPickerDialog_header">
+                        <input className="mx_EmojiPickerDialog_search" type="text" autoFocus={true}
+                            placeholder={_t("Search for emoji")} value={this.state.query}
+                            onChange={this._onQueryChange} onKeyDown={this._onQueryKeyDown} />
+                        { this._renderSkinTones() }
+                    </div>
+                    <div className="mx_EmojiPickerDialog_categories">{ categories }</div>
+                    <div className="mx_EmojiPickerDialog_heading">{ heading }</div>
+                    <div className="mx_EmojiPickerDialog_body">{ grid }</div>
+                    { this._renderPreview() }
+                </div>
+            </BaseDialog>
+        );
+    }
+}
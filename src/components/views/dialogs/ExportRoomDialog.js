@@ -0,0 +1,186 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import FileSaver from 'file-saver';
+import sdk from '../../../index';
+import { _t } from '../../../languageHandler';
+import MatrixClientPeg from '../../../MatrixClientPeg';
+import RoomExporter, {ExportFormat} from '../../../utils/RoomExport';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// parses the value of an <input type="date"> as the start of that day, locally
+function parseDateValue(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day).getTime();
+}
+
+/*
+ * Asks how a room should be exported, then exports it and saves the file.
+ */
+export default class ExportRoomDialog extends React.Component {
+    static propTypes = {
+        room: PropTypes.object.isRequired,
+        onFinished: PropTypes.func.isRequired,
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            format: ExportFormat.Html,
+            // empty means from the start of the room, or up to now
+            startDate: '',
+            endDate: '',
+            includeMedia: false,
+            // set while exporting, to what the export is doing
+            progress: null,
+            error: null,
+        };
+        this._exporter = null;
+    }
+
+    componentWillUnmount() {
+        if (this._exporter) this._exporter.cancel();
+    }
+
+    _onFormatChange = (ev) => {
+        this.setState({format: ev.target.value});
+    };
+
+    _onStartDateChange = (ev) => {
+        this.setState({startDate: ev.target.value, error: null});
+    };
+
+    _onEndDateChange = (ev) => {
+        this.setState({endDate: ev.target.value, error: null});
+    };
+
+    _onIncludeMediaChange = (includeMedia) => {
+        this.setState({includeMedia});
+    };
+
+    _onExportClick = async (ev) => {
+        ev.preventDefault();
+        const startTs = this.state.startDate ? parseDateValue(this.state.startDate) : null;
+        // the end date is inclusive
+        const endTs = this.state.endDate ? parseDateValue(this.state.endDate) + DAY_MS : null;
+        if (isNaN(startTs) || isNaN(endTs)) {
+            this.setState({error: _t("Please enter a valid date.")});
+            return;
+        }
+        if (startTs && endTs && startTs >= endTs) {
+            this.setState({error: _t("The start date must be before the end date.")});
+            return;
+        }
+
+        const exporter = new RoomExporter(MatrixClientPeg.get(), this.props.room, {
+            format: this.state.format,
+            startTs,
+            endTs,
+            includeMedia: this.state.includeMedia,
+        });
+        this._exporter = exporter;
+        this.setState({progress: _t("Starting export…"), error: null});
+        try {
+            const blob = await exporter.export((progress) => {
+                if (this._exporter === exporter) this.setState({progress});
+            });
+            if (!blob) return;
+            FileSaver.saveAs(blob, exporter.getFileName());
+            this.props.onFinished(true);
+        } catch (e) {
+            console.error("Failed to export room", e);
+            if (this._exporter !== exporter) return;
+            this.setState({
+                progress: null,
+                error: _t("Failed to export the room: %(message)s", {message: e.message}),
+            });
+        } finally {
+            if (this._exporter === exporter) this._exporter = null;
+        }
+    };
+
+    _onCancelClick = () => {
+        if (this._exporter) {
+            this._exporter.cancel();
+            this._exporter = null;
+            this.setState({progress: null});
+        } else {
+            this.props.onFinished(false);
+        }
+    };
+
+    render() {
+        const BaseDialog = sdk.getComponent('views.dialogs.BaseDialog');
+        const DialogButtons = sdk.getComponent('views.elements.DialogButtons');
+        const Field = sdk.getComponent('views.elements.Field');
+        const LabelledToggleSwitch = sdk.getComponent('views.elements.LabelledToggleSwitch');
+        const Spinner = sdk.getComponent('views.elements.Spinner');
+
+        const exporting = this.state.progress !== null;
+
+        let status;
+        if (exporting) {
+            status = <div className="mx_ExportRoomDialog_progress">
+                <Spinner />
+                { this.state.progress }
+            </div>;
+        } else if (this.state.error) {
+            status = <div className="error">{ this.state.error }</div>;
+        }
+
+        return (
+            <BaseDialog className="mx_ExportRoomDialog" onFinished={this.props.onFinished}
+                title={_t("Export chat")}
+            >
+                <form onSubmit={this._onExportClick}>
+                    <div className="mx_Dialog_content">
+                        <p>{ _t("Save the history of %(roomName)s to a file. Messages are decrypted, " +
+                            "so keep the file somewhere safe.", {roomName: this.props.room.name}) }</p>
+                        <Field id="mx_ExportRoomDialog_format" element="select"
+                            label={_t("Format")} value={this.state.format}
+                            onChange={this._onFormatChange} disabled={exporting}
+                        >
+                            <option value={ExportFormat.Html}>{ _t("Web page (HTML)") }</option>
+                            <option value={ExportFormat.PlainText}>{ _t("Plain text") }</option>
+                            <option value={ExportFormat.Json}>{ _t("JSON") }</option>
+                        </Field>
+                        <div className="mx_ExportRoomDialog_dates">
+                            <Field id="mx_ExportRoomDialog_startDate" type="date"
+                                label={_t("From")} value={this.state.startDate}
+                                onChange={this._onStartDateChange} disabled={exporting} />
+                            <Field id="mx_ExportRoomDialog_endDate" type="date"
+                                label={_t("To")} value={this.state.endDate}
+                                onChange={this._onEndDateChange} disabled={exporting} />
+                        </div>
+                        <LabelledToggleSwitch value={this.state.includeMedia}
+                            onChange={this._onIncludeMediaChange}
+                            disabled={exporting || this.state.format !== ExportFormat.Html}
+                            label={_t("Include attachments in the web page")} />
+                        { status }
+                    </div>
+                </form>
+                <DialogButtons primaryButton={_t("Export")}
+                    onPrimaryButtonClick={this._onExportClick}
+                    primaryDisabled={exporting}
+                    onCancel={this._onCancelClick} />
+            </BaseDialog>
+        );
+    }
+}
@@ -0,0 +1,68 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import sdk from '../../../index';
+import { _t } from '../../../languageHandler';
+import {
+    KeyBindingScope,
+    getKeyBinding,
+    getKeyBindingDisplayName,
+    getKeyBindingIds,
+    getKeyBindingScope,
+    getKeyBindingScopeDisplayName,
+    keyBindingToString,
+} from '../../../KeyBindings';
+
+/*
+ * A cheat-sheet of the keyboard shortcuts, as the user has bound them.
+ */
+export default class KeyboardShortcutsDialog extends React.Component {
+    static propTypes = {
+        onFinished: PropTypes.func.isRequired,
+    };
+
+    _renderScope(scope) {
+        const rows = getKeyBindingIds().filter((id) => getKeyBindingScope(id) === scope).map((id) => {
+            const keyBinding = getKeyBinding(id);
+            return <tr key={id}>
+                <td>{ getKeyBindingDisplayName(id) }</td>
+                <td className="mx_KeyboardShortcutsDialog_keys">
+                    { keyBinding ? <kbd>{ keyBindingToString(keyBinding) }</kbd> : _t("Not set") }
+                </td>
+            </tr>;
+        });
+        return <div key={scope} className="mx_KeyboardShortcutsDialog_scope">
+            <h3>{ getKeyBindingScopeDisplayName(scope) }</h3>
+            <table><tbody>{ rows }</tbody></table>
+        </div>;
+    }
+
+    render() {
+        const BaseDialog = sdk.getComponent('views.dialogs.BaseDialog');
+        return (
+            <BaseDialog className="mx_KeyboardShortcutsDialog" onFinished={this.props.onFinished}
+                title={_t("Keyboard shortcuts")}
+            >
+                <div className="mx_Dialog_content">
+                    { Object.values(KeyBindingScope).map((scope) => this._renderScope(scope)) }
+                    <p>{ _t("You can change these shortcuts in Settings, under Keyboard.") }</p>
+                </div>
+            </BaseDialog>
+        );
+    }
+}
@@ -0,0 +1,215 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {TimelineWindow, EventTimeline} from 'matrix-js-sdk';
+import sdk from '../../../index';
+import { _t } from '../../../languageHandler';
+import MatrixClientPeg from '../../../MatrixClientPeg';
+
+const PAGINATE_SIZE = 100;
+// how far back to look for the user's messages, so a user who hasn't said
+// much doesn't make us fetch the whole history of a busy room
+const MAX_EVENTS_SEARCHED = 2000;
+
+const Phase = {
+    Finding: "finding",
+    Confirming: "confirming",
+    Removing: "removing",
+    Done: "done",
+};
+
+/*
+ * Finds a user's most recent messages in a room and, once confirmed, removes
+ * them one at a time, saying how far it has got.
+ */
+export default class PurgeMessagesDialog extends React.Component {
+    static propTypes = {
+        room: PropTypes.object.isRequired,
+        userId: PropTypes.string.isRequired,
+        // how many of their messages to remove
+        count: PropTypes.number.isRequired,
+        onFinished: PropTypes.func.isRequired,
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            phase: Phase.Finding,
+            events: [],
+            removed: 0,
+            failed: 0,
+            error: null,
+        };
+        this._unmounted = false;
+    }
+
+    componentDidMount() {
+        this._findEvents();
+    }
+
+    componentWillUnmount() {
+        // stops any removal still going on
+        this._unmounted = true;
+    }
+
+    _isRemovable(ev, cli) {
+        return ev.getSender() === this.props.userId &&
+            !ev.isState() &&
+            !ev.isRedacted() &&
+            !ev.status && // still being sent
+            ev.getType() !== "m.room.redaction" &&
+            this.props.room.currentState.maySendRedactionForEvent(ev, cli.getUserId());
+    }
+
+    async _findEvents() {
+        const cli = MatrixClientPeg.get();
+        const timelineWindow = new TimelineWindow(cli, this.props.room.getUnfilteredTimelineSet(), {
+            windowLimit: Number.MAX_VALUE,
+        });
+
+        let events = [];
+        try {
+            await timelineWindow.load();
+            let timeline = timelineWindow.getEvents();
+            events = timeline.filter((ev) => this._isRemovable(ev, cli));
+            while (!this._unmounted && events.length < this.props.count && timeline.length < MAX_EVENTS_SEARCHED) {
+                const gotMore = await timelineWindow.paginate(EventTimeline.BACKWARDS, PAGINATE_SIZE);
+                if (!gotMore) break;
+                timeline = timelineWindow.getEvents();
+                events = timeline.filter((ev) => this._isRemovable(ev, cli));
+            }
+        } catch (e) {
+            console.error("Failed to find messages to remove", e);
+            if (this._unmounted) return;
+            this.setState({
+                phase: Phase.Done,
+                error: _t("Failed to find the messages: %(message)s", {message: e.message}),
+            });
+            return;
+        }
+        if (this._unmounted) return;
+
+        // the most recent ones are at the end
+        events = events.slice(-this.props.count).reverse();
+        this.setState({events, phase: events.length ? Phase.Confirming : Phase.Done});
+    }
+
+    async _removeEvents() {
+        const cli = MatrixClientPeg.get();
+        this.setState({phase: Phase.Removing});
+
+        // one at a time, so as not to be rate limited
+        for (const ev of this.state.events) {
+            if (this._unmounted) return;
+            try {
+                await cli.redactEvent(this.props.room.roomId, ev.getId());
+                this.setState({removed: this.state.removed + 1});
+            } catch (e) {
+                console.error("Failed to remove message " + ev.getId(), e);
+                this.setState({failed: this.state.failed + 1});
+            }
+        }
+        if (this._unmounted) return;
+        this.setState({phase: Phase.Done});
+    }
+
+    _onPrimaryButtonClick = () => {
+        if (this.state.phase === Phase.Confirming) {
+            this._removeEvents();
+        } else {
+            this.props.onFinished(true);
+        }
+    };
+
+    _onCancelClick = () => {
+        this.props.onFinished(false);
+    };
+
+    _getUserName() {
+        const member = this.props.room.getMember(this.props.userId);
+        return member ? member.name : this.props.userId;
+    }
+
+    _renderContent() {
+        const Spinner = sdk.getComponent('elements.Spinner');
+        const name = this._getUserName();
+        const total = this.state.events.length;
+
+        switch (this.state.phase) {
+            case Phase.Finding:
+                return <div className="mx_PurgeMessagesDialog_progress">
+                    <Spinner />
+                    { _t("Looking for messages from %(name)s…", {name}) }
+                </div>;
+            case Phase.Confirming:
+                return <p>
+                    { _t("Remove the %(count)s most recent messages from %(name)s? This can't be undone.", {
+                        count: total,
+                        name,
+                    }) }
+                </p>;
+            case Phase.Removing:
+                return <div className="mx_PurgeMessagesDialog_progress">
+                    <Spinner />
+                    { _t("Removed %(removed)s of %(total)s messages…", {removed: this.state.removed, total}) }
+                </div>;
+        }
+
+        if (this.state.error) {
+            return <div className="error">{ this.state.error }</div>;
+        }
+        if (!total) {
+            return <p>{ _t("There are no recent messages from %(name)s which you can remove.", {name}) }</p>;
+        }
+        let failed;
+        if (this.state.failed) {
+            failed = <div className="error">
+                { _t("%(count)s messages couldn't be removed.", {count: this.state.failed}) }
+            </div>;
+        }
+        return <div>
+            <p>{ _t("Removed %(count)s messages from %(name)s.", {count: this.state.removed, name}) }</p>
+            { failed }
+        </div>;
+    }
+
+    render() {
+        const BaseDialog = sdk.getComponent('views.dialogs.BaseDialog');
+        const DialogButtons = sdk.getComponent('views.elements.DialogButtons');
+
+        const {phase} = this.state;
+        const confirming = phase === Phase.Confirming;
+        return (
+            <BaseDialog className="mx_PurgeMessagesDialog" onFinished={this.props.onFinished}
+                title={_t("Remove recent messages")}
+            >
+                <div className="mx_Dialog_content">
+                    { this._renderContent() }
+                </div>
+                <DialogButtons primaryButton={confirming ? _t("Remove") : _t("OK")}
+                    primaryButtonClass={confirming ? "danger" : null}
+                    onPrimaryButtonClick={this._onPrimaryButtonClick}
+                    primaryDisabled={phase === Phase.Finding || phase === Phase.Removing}
+                    hasCancel={phase !== Phase.Done}
+                    onCancel={this._onCancelClick}
+                />
+            </BaseDialog>
+        );
+    }
+}
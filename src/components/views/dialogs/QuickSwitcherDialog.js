@@ -0,0 +1,295 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import Matrix from 'matrix-js-sdk';
+import classNames from 'classnames';
+import sdk from '../../../index';
+import { _t } from '../../../languageHandler';
+import dis from '../../../dispatcher';
+import MatrixClientPeg from '../../../MatrixClientPeg';
+import SettingsStore from '../../../settings/SettingsStore';
+import GroupStore from '../../../stores/GroupStore';
+import DMRoomMap from '../../../utils/DMRoomMap';
+import Unread from '../../../Unread';
+import { KeyCode } from '../../../Keyboard';
+import { MatchQuality, getBestMatchQuality } from '../../../utils/FuzzyMatch';
+
+const MAX_RESULTS = 20;
+const AVATAR_SIZE = 24;
+
+const ResultType = {
+    Room: "room",
+    DirectMessage: "dm",
+    Group: "group",
+    User: "user",
+};
+
+function getUnreadRank(room) {
+    if (room.getUnreadNotificationCount('highlight') > 0) return 3;
+    if (room.getUnreadNotificationCount() > 0) return 2;
+    return Unread.doesRoomHaveUnreadMessages(room) ? 1 : 0;
+}
+
+// best matches first, then the rooms visited most recently, then the ones with
+// the most important unread messages
+function compareResults(a, b) {
+    if (a.quality !== b.quality) return b.quality - a.quality;
+    if (a.recency !== b.recency) return a.recency - b.recency;
+    if (a.unreadRank !== b.unreadRank) return b.unreadRank - a.unreadRank;
+    return a.name.localeCompare(b.name);
+}
+
+/*
+ * Lets the user jump to any of their rooms, DMs or communities, or to anyone
+ * they know, by typing part of its name.
+ */
+export default class QuickSwitcherDialog extends React.Component {
+    static propTypes = {
+        onFinished: PropTypes.func.isRequired,
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            query: '',
+            results: this._getResults(''),
+            selectedIndex: 0,
+        };
+    }
+
+    _getRoomResults(cli, query) {
+        const recentRoomIds = SettingsStore.getValue("breadcrumb_rooms") || [];
+        const dmRoomMap = DMRoomMap.shared();
+
+        const results = [];
+        for (const room of cli.getRooms()) {
+            const membership = room.getMyMembership();
+            if (membership !== 'join' && membership !== 'invite') continue;
+
+            const dmUserId = dmRoomMap.getUserIdForRoomId(room.roomId);
+            const alias = room.getCanonicalAlias();
+            const names = [room.name, alias, ...room.getAliases()];
+            if (dmUserId) names.push(dmUserId);
+            // with nothing typed yet, everything is offered in order of recency
+            const quality = query ? getBestMatchQuality(query, names) : MatchQuality.Prefix;
+            if (quality === MatchQuality.None) continue;
+
+            const recency = recentRoomIds.indexOf(room.roomId);
+            results.push({
+                type: dmUserId ? ResultType.DirectMessage : ResultType.Room,
+                id: room.roomId,
+                name: room.name,
+                description: dmUserId || alias,
+                room,
+                quality,
+                recency: recency === -1 ? Infinity : recency,
+                unreadRank: getUnreadRank(room),
+            });
+        }
+        return results;
+    }
+
+    _getGroupResults(cli, query) {
+        const results = [];
+        for (const group of cli.getGroups()) {
+            if (group.myMembership !== 'join') continue;
+            // the summary has the latest profile if the community has been viewed
+            const profile = GroupStore.getSummary(group.groupId).profile || {};
+            const name = profile.name || group.name || group.groupId;
+            const quality = getBestMatchQuality(query, [name, group.groupId]);
+            if (quality === MatchQuality.None) continue;
+
+            results.push({
+                type: ResultType.Group,
+                id: group.groupId,
+                name,
+                description: group.groupId,
+                avatarUrl: profile.avatar_url || group.avatarUrl,
+                quality,
+                recency: Infinity,
+                unreadRank: 0,
+            });
+        }
+        return results;
+    }
+
+    _getUserResults(cli, query) {
+        const results = [];
+        for (const user of cli.getUsers()) {
+            if (user.userId === cli.getUserId()) continue;
+            const name = user.displayName || user.userId;
+            const quality = getBestMatchQuality(query, [name, user.userId]);
+            if (quality === MatchQuality.None) continue;
+
+            results.push({
+                type: ResultType.User,
+                id: user.userId,
+                name,
+                description: user.userId,
+                avatarUrl: user.avatarUrl,
+                quality,
+                recency: Infinity,
+                unreadRank: 0,
+            });
+        }
+        return results;
+    }
+
+    _getResults(query) {
+        const cli = MatrixClientPeg.get();
+        let results = this._getRoomResults(cli, query);
+        if (query.trim()) {
+            results = results.concat(this._getGroupResults(cli, query), this._getUserResults(cli, query));
+        }
+        return results.sort(compareResults).slice(0, MAX_RESULTS);
+    }
+
+    _onQueryChange = (ev) => {
+        const query = ev.target.value;
+        this.setState({
+            query,
+            results: this._getResults(query),
+            selectedIndex: 0,
+        });
+    };
+
+    _onKeyDown = (ev) => {
+        const count = this.state.results.length;
+        switch (ev.keyCode) {
+            case KeyCode.UP:
+                if (count) this.setState({selectedIndex: (this.state.selectedIndex + count - 1) % count});
+                break;
+            case KeyCode.DOWN:
+                if (count) this.setState({selectedIndex: (this.state.selectedIndex + 1) % count});
+                break;
+            case KeyCode.ENTER:
+                if (count) this._selectResult(this.state.results[this.state.selectedIndex]);
+                break;
+            default:
+                return;
+        }
+        ev.preventDefault();
+        ev.stopPropagation();
+    };
+
+    _selectResult(result) {
+        switch (result.type) {
+            case ResultType.Room:
+            case ResultType.DirectMessage:
+                dis.dispatch({
+                    action: 'view_room',
+                    room_id: result.id,
+                });
+                break;
+            case ResultType.Group:
+                dis.dispatch({
+                    action: 'view_group',
+                    group_id: result.id,
+                });
+                break;
+            case ResultType.User:
+                dis.dispatch({
+                    action: 'view_user',
+                    member: new Matrix.RoomMember(null, result.id),
+                });
+                break;
+        }
+        this.props.onFinished(true);
+    }
+
+    _renderAvatar(result) {
+        switch (result.type) {
+            case ResultType.Room:
+            case ResultType.DirectMessage: {
+                const RoomAvatar = sdk.getComponent('avatars.RoomAvatar');
+                return <RoomAvatar room={result.room} width={AVATAR_SIZE} height={AVATAR_SIZE} />;
+            }
+            case ResultType.Group: {
+                const GroupAvatar = sdk.getComponent('avatars.GroupAvatar');
+                return <GroupAvatar groupId={result.id} groupName={result.name}
+                    groupAvatarUrl={result.avatarUrl} width={AVATAR_SIZE} height={AVATAR_SIZE} />;
+            }
+            case ResultType.User: {
+                const BaseAvatar = sdk.getComponent('avatars.BaseAvatar');
+                const url = result.avatarUrl ? MatrixClientPeg.get().mxcUrlToHttp(
+                    result.avatarUrl, AVATAR_SIZE, AVATAR_SIZE, 'crop',
+                ) : null;
+                return <BaseAvatar name={result.name} idName={result.id} url={url}
+                    width={AVATAR_SIZE} height={AVATAR_SIZE} resizeMethod="crop" />;
+            }
+        }
+    }
+
+    _renderResult(result, index) {
+        const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
+
+        let typeLabel;
+        switch (result.type) {
+            case ResultType.DirectMessage:
+                typeLabel = _t("Direct message");
+                break;
+            case ResultType.Group:
+                typeLabel = _t("Community");
+                break;
+            case ResultType.User:
+                typeLabel = _t("User");
+                break;
+        }
+
+        const classes = classNames("mx_QuickSwitcherDialog_result", {
+            mx_QuickSwitcherDialog_result_selected: index === this.state.selectedIndex,
+            mx_QuickSwitcherDialog_result_unread: result.unreadRank > 0,
+        });
+        return <AccessibleButton key={result.type + result.id} className={classes}
+            onClick={() => this._selectResult(result)}
+            onMouseEnter={() => this.setState({selectedIndex: index})}
+        >
+            { this._renderAvatar(result) }
+            <span className="mx_QuickSwitcherDialog_name">{ result.name }</span>
+            <span className="mx_QuickSwitcherDialog_description">{ result.description }</span>
+            { typeLabel ? <span className="mx_QuickSwitcherDialog_type">{ typeLabel }</span> : null }
+        </AccessibleButton>;
+    }
+
+    render() {
+        const BaseDialog = sdk.getComponent('views.dialogs.BaseDialog');
+
+        let results;
+        if (this.state.results.length) {
+            results = this.state.results.map((result, index) => this._renderResult(result, index));
+        } else {
+            results = <div className="mx_QuickSwitcherDialog_noResults">{ _t("No results") }</div>;
+        }
+
+        return (
+            <BaseDialog className="mx_QuickSwitcherDialog" onFinished={this.props.onFinished}
+                title={_t("Jump to…")}
+            >
+                <div className="mx_Dialog_content">
+                    <input className="mx_QuickSwitcherDialog_input" type="text" autoFocus={true}
+                        placeholder={_t("Search rooms, communities and people")}
+                        value={this.state.query} onChange={this._onQueryChange} onKeyDown={this._onKeyDown} />
+                    <div className="mx_QuickSwitcherDialog_results">
+                        { results }
+                    </div>
+                </div>
+            </BaseDialog>
+        );
+    }
+}
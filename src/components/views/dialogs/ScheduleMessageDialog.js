@@ -0,0 +1,121 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import sdk from '../../../index';
+import { _t } from '../../../languageHandler';
+
+function pad(n) {
+    return (n < 10 ? '0' : '') + n;
+}
+
+// the value formats of <input type="date"> and <input type="time">
+function toDateValue(date) {
+    return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+}
+
+function toTimeValue(date) {
+    return pad(date.getHours()) + ':' + pad(date.getMinutes());
+}
+
+/*
+ * Asks when a message should be sent. Finishes with the chosen timestamp.
+ */
+export default class ScheduleMessageDialog extends React.Component {
+    static propTypes = {
+        // the timestamp to start with, defaults to an hour from now
+        sendAt: PropTypes.number,
+        onFinished: PropTypes.func.isRequired,
+    };
+
+    constructor(props) {
+        super(props);
+
+        const date = new Date(props.sendAt || Date.now() + 60 * 60 * 1000);
+        this.state = {
+            date: toDateValue(date),
+            time: toTimeValue(date),
+            error: null,
+        };
+    }
+
+    _getTimestamp() {
+        const [year, month, day] = this.state.date.split('-').map(Number);
+        const [hours, minutes] = this.state.time.split(':').map(Number);
+        return new Date(year, month - 1, day, hours, minutes).getTime();
+    }
+
+    _onDateChange = (ev) => {
+        this.setState({date: ev.target.value, error: null});
+    };
+
+    _onTimeChange = (ev) => {
+        this.setState({time: ev.target.value, error: null});
+    };
+
+    _onScheduleClick = (ev) => {
+        ev.preventDefault();
+        const sendAt = this._getTimestamp();
+        if (isNaN(sendAt)) {
+            this.setState({error: _t("Please enter a valid date and time.")});
+        } else if (sendAt <= Date.now()) {
+            this.setState({error: _t("Please choose a time in the future.")});
+        } else {
+            this.props.onFinished(true, sendAt);
+        }
+    };
+
+    _onCancelClick = () => {
+        this.props.onFinished(false);
+    };
+
+    render() {
+        const BaseDialog = sdk.getComponent('views.dialogs.BaseDialog');
+        const DialogButtons = sdk.getComponent('views.elements.DialogButtons');
+        const Field = sdk.getComponent('views.elements.Field');
+
+        let error;
+        if (this.state.error) {
+            error = <div className="error">{ this.state.error }</div>;
+        }
+
+        return (
+            <BaseDialog className="mx_ScheduleMessageDialog" onFinished={this.props.onFinished}
+                title={_t("Send later")}
+            >
+                <form onSubmit={this._onScheduleClick}>
+                    <div className="mx_Dialog_content">
+                        <p>{ _t("Choose when your message should be sent. " +
+                            "Riot needs to be open at that time to send it.") }</p>
+                        <div className="mx_ScheduleMessageDialog_fields">
+                            <Field id="mx_ScheduleMessageDialog_date" type="date"
+                                label={_t("Date")} value={this.state.date}
+                                onChange={this._onDateChange} autoFocus={true} />
+                            <Field id="mx_ScheduleMessageDialog_time" type="time"
+                                label={_t("Time")} value={this.state.time}
+                                onChange={this._onTimeChange} />
+                        </div>
+                        { error }
+                    </div>
+                </form>
+                <DialogButtons primaryButton={_t("Schedule")}
+                    onPrimaryButtonClick={this._onScheduleClick}
+                    onCancel={this._onCancelClick} />
+            </BaseDialog>
+        );
+    }
+}
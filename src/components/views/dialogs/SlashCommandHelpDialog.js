@@ -0,0 +1,72 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import sdk from '../../../index';
+import { _t } from '../../../languageHandler';
+import { getCommandAliases, getCommands } from '../../../SlashCommands';
+
+/*
+ * Lists every slash command, including any which have been registered by
+ * integrations, with their arguments and what they do.
+ */
+export default class SlashCommandHelpDialog extends React.Component {
+    static propTypes = {
+        onFinished: PropTypes.func.isRequired,
+    };
+
+    _onFinished = () => {
+        this.props.onFinished();
+    };
+
+    render() {
+        const BaseDialog = sdk.getComponent('views.dialogs.BaseDialog');
+        const DialogButtons = sdk.getComponent('views.elements.DialogButtons');
+
+        const rows = getCommands().map((command) => {
+            const aliases = getCommandAliases(command.command.substring(1)).map((alias) => '/' + alias);
+            return <tr key={command.command}>
+                <td className="mx_SlashCommandHelpDialog_command">
+                    <code>{ command.getCommandWithArgs() }</code>
+                    { aliases.length ? <div className="mx_SlashCommandHelpDialog_aliases">
+                        { _t("Also: %(aliases)s", {aliases: aliases.join(", ")}) }
+                    </div> : null }
+                </td>
+                <td>{ _t(command.description) }</td>
+            </tr>;
+        });
+
+        return (
+            <BaseDialog className="mx_SlashCommandHelpDialog" onFinished={this.props.onFinished}
+                title={_t("Command Help")}
+                contentId="mx_Dialog_content"
+            >
+                <div className="mx_Dialog_content" id="mx_Dialog_content">
+                    <table>
+                        <tbody>
+                            { rows }
+                        </tbody>
+                    </table>
+                </div>
+                <DialogButtons primaryButton={_t("OK")}
+                    onPrimaryButtonClick={this._onFinished}
+                    hasCancel={false}
+                />
+            </BaseDialog>
+        );
+    }
+}
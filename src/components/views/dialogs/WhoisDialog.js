@@ -0,0 +1,201 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import sdk from '../../../index';
+import { _t } from '../../../languageHandler';
+import MatrixClientPeg from '../../../MatrixClientPeg';
+import { textForEvent } from '../../../TextForEvent';
+import { formatFullDate } from '../../../DateUtils';
+import { textualPowerLevel } from '../../../Roles';
+
+/*
+ * Shows what we know about a user: their profile, their devices and, when
+ * asked from a room, their membership of it and how that has changed.
+ */
+export default class WhoisDialog extends React.Component {
+    static propTypes = {
+        userId: PropTypes.string.isRequired,
+        // the room to show their membership of, if any
+        room: PropTypes.object,
+        onFinished: PropTypes.func.isRequired,
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            profile: null,
+            profileError: null,
+            // null while loading
+            devices: null,
+            devicesError: null,
+        };
+        this._unmounted = false;
+    }
+
+    componentDidMount() {
+        this._loadProfile();
+        if (MatrixClientPeg.get().isCryptoEnabled()) this._loadDevices();
+    }
+
+    componentWillUnmount() {
+        this._unmounted = true;
+    }
+
+    _onOkClick = () => {
+        this.props.onFinished();
+    };
+
+    async _loadProfile() {
+        try {
+            const profile = await MatrixClientPeg.get().getProfileInfo(this.props.userId);
+            if (!this._unmounted) this.setState({profile});
+        } catch (e) {
+            console.error("Failed to load profile of " + this.props.userId, e);
+            if (!this._unmounted) this.setState({profileError: e.message});
+        }
+    }
+
+    async _loadDevices() {
+        const cli = MatrixClientPeg.get();
+        try {
+            await cli.downloadKeys([this.props.userId], true);
+            const devices = await cli.getStoredDevicesForUser(this.props.userId);
+            if (!this._unmounted) this.setState({devices});
+        } catch (e) {
+            console.error("Failed to load devices of " + this.props.userId, e);
+            if (!this._unmounted) this.setState({devicesError: e.message});
+        }
+    }
+
+    // the changes to their membership which we have loaded, most recent first
+    _getMembershipEvents() {
+        const room = this.props.room;
+        const events = room.getLiveTimeline().getEvents().filter((ev) => {
+            return ev.getType() === "m.room.member" && ev.getStateKey() === this.props.userId;
+        });
+        // their current membership may be from before the loaded timeline
+        const current = room.currentState.getStateEvents("m.room.member", this.props.userId);
+        if (current && !events.some((ev) => ev.getId() === current.getId())) {
+            events.unshift(current);
+        }
+        return events.reverse();
+    }
+
+    _renderProfile() {
+        const BaseAvatar = sdk.getComponent('avatars.BaseAvatar');
+        const Spinner = sdk.getComponent('elements.Spinner');
+        const {profile, profileError} = this.state;
+
+        if (profileError) {
+            return <div className="error">{ _t("Unable to load profile: %(message)s", {message: profileError}) }</div>;
+        }
+        if (!profile) return <Spinner />;
+
+        const name = profile.displayname || this.props.userId;
+        const avatarUrl = profile.avatar_url ?
+            MatrixClientPeg.get().mxcUrlToHttp(profile.avatar_url, 48, 48, 'crop') : null;
+        return <div className="mx_WhoisDialog_profile">
+            <BaseAvatar name={name} idName={this.props.userId} url={avatarUrl} width={48} height={48} />
+            <div className="mx_WhoisDialog_name">
+                <div className="mx_WhoisDialog_displayName">{ name }</div>
+                <div className="mx_WhoisDialog_userId">{ this.props.userId }</div>
+            </div>
+        </div>;
+    }
+
+    _renderDevices() {
+        if (!MatrixClientPeg.get().isCryptoEnabled()) return null;
+        const MemberDeviceInfo = sdk.getComponent('rooms.MemberDeviceInfo');
+        const Spinner = sdk.getComponent('elements.Spinner');
+        const {devices, devicesError} = this.state;
+
+        let content;
+        if (devicesError) {
+            content = <div className="error">{ _t("Unable to load device list") }</div>;
+        } else if (!devices) {
+            content = <Spinner />;
+        } else if (!devices.length) {
+            content = _t("No devices with registered encryption keys");
+        } else {
+            content = devices.map((device) => {
+                return <MemberDeviceInfo key={device.deviceId} userId={this.props.userId}
+                    device={device} showDeviceId={true} />;
+            });
+        }
+
+        return <div className="mx_WhoisDialog_section">
+            <h3>{ _t("Devices") }</h3>
+            { content }
+        </div>;
+    }
+
+    _renderMembership() {
+        const room = this.props.room;
+        if (!room) return null;
+
+        let summary;
+        const member = room.getMember(this.props.userId);
+        if (member) {
+            const powerLevels = room.currentState.getStateEvents("m.room.power_levels", "");
+            const usersDefault = powerLevels ? powerLevels.getContent().users_default : 0;
+            summary = <p>
+                { _t("Membership: %(membership)s. Power level: %(powerLevel)s.", {
+                    membership: member.membership,
+                    powerLevel: textualPowerLevel(member.powerLevel, usersDefault),
+                }) }
+            </p>;
+        } else {
+            summary = <p>{ _t("They have never been in this room.") }</p>;
+        }
+
+        const history = this._getMembershipEvents().map((ev) => {
+            return <li key={ev.getId()}>
+                <span className="mx_WhoisDialog_date">{ formatFullDate(ev.getDate()) }</span>
+                { textForEvent(ev) }
+            </li>;
+        });
+
+        return <div className="mx_WhoisDialog_section">
+            <h3>{ _t("In %(roomName)s", {roomName: room.name}) }</h3>
+            { summary }
+            <ul className="mx_WhoisDialog_history">{ history }</ul>
+        </div>;
+    }
+
+    render() {
+        const BaseDialog = sdk.getComponent('views.dialogs.BaseDialog');
+        const DialogButtons = sdk.getComponent('views.elements.DialogButtons');
+
+        return (
+            <BaseDialog className="mx_WhoisDialog" onFinished={this.props.onFinished}
+                title={_t("Who is %(userId)s?", {userId: this.props.userId})}
+            >
+                <div className="mx_Dialog_content">
+                    { this._renderProfile() }
+                    { this._renderMembership() }
+                    { this._renderDevices() }
+                </div>
+                <DialogButtons primaryButton={_t("OK")}
+                    onPrimaryButtonClick={this._onOkClick}
+                    hasCancel={false}
+                />
+            </BaseDialog>
+        );
+    }
+}
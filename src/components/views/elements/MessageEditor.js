@@ -20,18 +20,17 @@ import {_t} from '../../../languageHandler';
 import PropTypes from 'prop-types';
 import dis from '../../../dispatcher';
 import EditorModel from '../../../editor/model';
-import {setCaretPosition} from '../../../editor/caret';
-import {getCaretOffsetAndText} from '../../../editor/dom';
 import {htmlSerializeIfNeeded, textSerialize} from '../../../editor/serialize';
 import {findEditableEvent} from '../../../utils/EventUtils';
 import {parseEvent} from '../../../editor/deserialize';
-import Autocomplete from '../rooms/Autocomplete';
 import {PartCreator} from '../../../editor/parts';
-import {renderModel} from '../../../editor/render';
 import EditorStateTransfer from '../../../utils/EditorStateTransfer';
+import DraftStore from '../../../stores/DraftStore';
 import {MatrixClient} from 'matrix-js-sdk';
 import classNames from 'classnames';
 import {EventStatus} from 'matrix-js-sdk';
+import BasicMessageComposer from '../rooms/BasicMessageComposer';
+import {getCustomEmoji} from '../../../CustomEmoji';
 
 function _isReply(mxEvent) {
     const relatesTo = mxEvent.getContent()["m.relates_to"];
@@ -63,7 +62,7 @@ function _isEmote(model) {
     return firstPart && firstPart.type === "plain" && firstPart.text.startsWith("/me ");
 }
 
-function createEditContent(model, editedEvent) {
+function createEditContent(model, editedEvent, room) {
     const isEmote = _isEmote(model);
     if (isEmote) {
         // trim "/me "
@@ -90,7 +89,7 @@ function createEditContent(model, editedEvent) {
         body: `${plainPrefix} * ${body}`,
     };
 
-    const formattedBody = htmlSerializeIfNeeded(model, {forceHTML: isReply});
+    const formattedBody = htmlSerializeIfNeeded(model, {forceHTML: isReply, customEmoji: getCustomEmoji(room)});
     if (formattedBody) {
         newContent.format = "org.matrix.custom.html";
         newContent.formatted_body = htmlPrefix + formattedBody;
@@ -119,93 +118,36 @@ export default class MessageEditor extends React.Component {
 
     constructor(props, context) {
         super(props, context);
-        const room = this._getRoom();
-        this.model = null;
-        this.state = {
-            autoComplete: null,
-            room,
-        };
+        this.model = this._createEditorModel();
         this._editorRef = null;
-        this._autocompleteRef = null;
-        this._modifiedFlag = false;
     }
 
     _getRoom() {
         return this.context.matrixClient.getRoom(this.props.editState.getEvent().getRoomId());
     }
 
-    _updateEditorState = (caret) => {
-        renderModel(this._editorRef, this.model);
-        if (caret) {
-            try {
-                setCaretPosition(this._editorRef, this.model, caret);
-            } catch (err) {
-                console.error(err);
-            }
-        }
-        this.setState({autoComplete: this.model.autoComplete});
-    }
-
-    _onInput = (event) => {
-        this._modifiedFlag = true;
-        const sel = document.getSelection();
-        const {caret, text} = getCaretOffsetAndText(this._editorRef, sel);
-        this.model.update(text, event.inputType, caret);
-    }
-
-    _insertText(textToInsert, inputType = "insertText") {
-        const sel = document.getSelection();
-        const {caret, text} = getCaretOffsetAndText(this._editorRef, sel);
-        const newText = text.substr(0, caret.offset) + textToInsert + text.substr(caret.offset);
-        caret.offset += textToInsert.length;
-        this.model.update(newText, inputType, caret);
+    _getDraftId() {
+        return DraftStore.getEditDraftId(this.props.editState.getEvent().getId());
     }
 
-    _isCaretAtStart() {
-        const {caret} = getCaretOffsetAndText(this._editorRef, document.getSelection());
-        return caret.offset === 0;
-    }
-
-    _isCaretAtEnd() {
-        const {caret, text} = getCaretOffsetAndText(this._editorRef, document.getSelection());
-        return caret.offset === text.length;
-    }
+    _onChange = (model) => {
+        // keep the edit as a draft, so it's still there if the user leaves
+        // the room and comes back to edit the message again
+        DraftStore.setDraft(this._getRoom().roomId, this._getDraftId(), model.serializeParts());
+    };
 
     _onKeyDown = (event) => {
-        // insert newline on Shift+Enter
-        if (event.shiftKey && event.key === "Enter") {
-            event.preventDefault(); // just in case the browser does support this
-            this._insertText("\n");
-            return;
-        }
-        // autocomplete or enter to send below shouldn't have any modifier keys pressed.
+        // enter to send below shouldn't have any modifier keys pressed.
         if (event.metaKey || event.altKey || event.shiftKey) {
             return;
         }
-        if (this.model.autoComplete) {
-            const autoComplete = this.model.autoComplete;
-            switch (event.key) {
-                case "Enter":
-                    autoComplete.onEnter(event); break;
-                case "ArrowUp":
-                    autoComplete.onUpArrow(event); break;
-                case "ArrowDown":
-                    autoComplete.onDownArrow(event); break;
-                case "Tab":
-                    autoComplete.onTab(event); break;
-                case "Escape":
-                    autoComplete.onEscape(event); break;
-                default:
-                    return; // don't preventDefault on anything else
-            }
-            event.preventDefault();
-        } else if (event.key === "Enter") {
+        if (event.key === "Enter") {
             this._sendEdit();
             event.preventDefault();
         } else if (event.key === "Escape") {
             this._cancelEdit();
         } else if (event.key === "ArrowUp") {
-            if (this._modifiedFlag || !this._isCaretAtStart()) {
+            if (this._editorRef.isModified() || !this._editorRef.isCaretAtStart()) {
                 return;
             }
             const previousEvent = findEditableEvent(this._getRoom(), false, this.props.editState.getEvent().getId());
@@ -214,7 +156,7 @@ export default class MessageEditor extends React.Component {
                 event.preventDefault();
             }
         } else if (event.key === "ArrowDown") {
-            if (this._modifiedFlag || !this._isCaretAtEnd()) {
+            if (this._editorRef.isModified() || !this._editorRef.isCaretAtEnd()) {
                 return;
             }
             const nextEvent = findEditableEvent(this._getRoom(), true, this.props.editState.getEvent().getId());
@@ -229,6 +171,7 @@ export default class MessageEditor extends React.Component {
     }
 
     _cancelEdit = () => {
+        DraftStore.clearDraft(this._getRoom().roomId, this._getDraftId());
         dis.dispatch({action: "edit_event", event: null});
         dis.dispatch({action: 'focus_composer'});
     }
@@ -236,7 +179,7 @@ export default class MessageEditor extends React.Component {
     _hasModifications(newContent) {
         // if nothing has changed then bail
         const oldContent = this.props.editState.getEvent().getContent();
-        if (!this._modifiedFlag ||
+        if (!this._editorRef.isModified() ||
             (oldContent["msgtype"] === newContent["msgtype"] && oldContent["body"] === newContent["body"] &&
             oldContent["format"] === newContent["format"] &&
             oldContent["formatted_body"] === newContent["formatted_body"])) {
@@ -247,7 +190,7 @@ export default class MessageEditor extends React.Component {
 
     _sendEdit = () => {
         const editedEvent = this.props.editState.getEvent();
-        const editContent = createEditContent(this.model, editedEvent);
+        const editContent = createEditContent(this.model, editedEvent, this._getRoom());
         const newContent = editContent["m.new_content"];
         if (!this._hasModifications(newContent)) {
             return;
@@ -255,6 +198,7 @@ export default class MessageEditor extends React.Component {
         const roomId = editedEvent.getRoomId();
         this._cancelPreviousPendingEdit();
         this.context.matrixClient.sendMessage(roomId, editContent);
+        DraftStore.clearDraft(roomId, this._getDraftId());
 
         dis.dispatch({action: "edit_event", event: null});
         dis.dispatch({action: 'focus_composer'});
@@ -271,102 +215,60 @@ export default class MessageEditor extends React.Component {
         }
     }
 
-    _onAutoCompleteConfirm = (completion) => {
-        this.model.autoComplete.onComponentConfirm(completion);
-    }
-
-    _onAutoCompleteSelectionChange = (completion) => {
-        this.model.autoComplete.onComponentSelectionChange(completion);
-    }
-
     componentWillUnmount() {
-        this._editorRef.removeEventListener("input", this._onInput, true);
-        const sel = document.getSelection();
-        const {caret} = getCaretOffsetAndText(this._editorRef, sel);
+        const caret = this._editorRef.getCaret();
         const parts = this.model.serializeParts();
         this.props.editState.setEditorState(caret, parts);
     }
 
     componentDidMount() {
-        this.model = this._createEditorModel();
-        // initial render of model
-        this._updateEditorState();
-        // initial caret position
-        this._initializeCaret();
-        // attach input listener by hand so React doesn't proxy the events,
-        // as the proxied event doesn't support inputType, which we need.
-        this._editorRef.addEventListener("input", this._onInput, true);
         this._editorRef.focus();
     }
 
     _createEditorModel() {
         const {editState} = this.props;
-        const room = this._getRoom();
-        const partCreator = new PartCreator(
-            () => this._autocompleteRef,
-            query => this.setState({query}),
-            room,
-            this.context.matrixClient,
-        );
+        const partCreator = new PartCreator(this._getRoom(), this.context.matrixClient);
+        const draft = DraftStore.getDraft(this._getRoom().roomId, this._getDraftId());
         let parts;
         if (editState.hasEditorState()) {
             // if restoring state from a previous editor,
             // restore serialized parts from the state
             parts = editState.getSerializedParts().map(p => partCreator.deserializePart(p));
+        } else if (draft) {
+            // or from an edit which was left unsaved
+            parts = draft.map(p => partCreator.deserializePart(p));
         } else {
             // otherwise, parse the body of the event
             parts = parseEvent(editState.getEvent(), partCreator);
         }
-
-        return new EditorModel(
-            parts,
-            partCreator,
-            this._updateEditorState,
-        );
+        return new EditorModel(parts, partCreator);
     }
 
-    _initializeCaret() {
+    _getInitialCaret() {
         const {editState} = this.props;
-        let caretPosition;
-        if (editState.hasEditorState()) {
+        if (editState.hasEditorState() && editState.getCaret()) {
             // if restoring state from a previous editor,
             // restore caret position from the state
-            const caret = editState.getCaret();
-            caretPosition = this.model.positionForOffset(caret.offset, caret.atNodeEnd);
+            return editState.getCaret();
         } else {
             // otherwise, set it at the end
-            caretPosition = this.model.getPositionAtEnd();
+            return {offset: this.model.getText().length, atNodeEnd: true};
         }
-        setCaretPosition(this._editorRef, this.model, caretPosition);
     }
 
     render() {
-        let autoComplete;
-        if (this.state.autoComplete) {
-            const query = this.state.query;
-            const queryLen = query.length;
-            autoComplete = <div className="mx_MessageEditor_AutoCompleteWrapper">
-                <Autocomplete
-                    ref={ref => this._autocompleteRef = ref}
-                    query={query}
-                    onConfirm={this._onAutoCompleteConfirm}
-                    onSelectionChange={this._onAutoCompleteSelectionChange}
-                    selection={{beginning: true, end: queryLen, start: queryLen}}
-                    room={this.state.room}
-                />
-            </div>;
-        }
         const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
         return <div className={classNames("mx_MessageEditor", this.props.className)}>
-                { autoComplete }
-                <div
+                <BasicMessageComposer
+                    ref={ref => this._editorRef = ref}
                     className="mx_MessageEditor_editor"
-                    contentEditable="true"
-                    tabIndex="1"
+                    model={this.model}
+                    room={this._getRoom()}
+                    initialCaret={this._getInitialCaret()}
+                    label={_t("Edit message")}
+                    onChange={this._onChange}
                     onKeyDown={this._onKeyDown}
-                    ref={ref => this._editorRef = ref}
-                    aria-label={_t("Edit message")}
-                ></div>
+                />
                 <div className="mx_MessageEditor_buttons">
                     <AccessibleButton kind="secondary" onClick={this._cancelEdit}>{_t("Cancel")}</AccessibleButton>
                     <AccessibleButton kind="primary" onClick={this._sendEdit}>{_t("Save")}</AccessibleButton>
@@ -0,0 +1,158 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import MemberAvatar from '../avatars/MemberAvatar';
+import { _t } from '../../../languageHandler';
+import { textForEvent } from '../../../TextForEvent';
+
+/**
+ * Describes what a run of state events did to a room, eg. a topic being
+ * changed several times and a widget being added. Only the last event for
+ * each piece of state is described, as the earlier ones were overwritten.
+ * @param {MatrixEvent[]} events The state events, oldest first.
+ * @param {number} summaryLength How many changes to describe before
+ *     ending with "(and n other changes)".
+ * @return {string} The description.
+ */
+export function summariseStateEvents(events, summaryLength) {
+    const latest = new Map();
+    for (const ev of events) {
+        const stateId = ev.getType() + "|" + ev.getStateKey();
+        // re-inserting moves it to the end, keeping the changes in order
+        latest.delete(stateId);
+        latest.set(stateId, ev);
+    }
+
+    const descriptions = [...latest.values()].map((ev) => textForEvent(ev)).filter((text) => text);
+    const remaining = events.length - Math.min(descriptions.length, summaryLength);
+    const summary = descriptions.slice(0, summaryLength).join(" ");
+    if (!summary) {
+        return _t("%(count)s changes were made to the room", {count: events.length});
+    } else if (remaining > 0) {
+        return _t("%(summary)s (and %(count)s other changes)", {summary, count: remaining});
+    }
+    return summary;
+}
+
+/*
+ * Collapses a run of state events other than membership changes, such as a
+ * room being set up, into one line with a toggle to show them all, the same
+ * way as MemberEventListSummary does for membership changes.
+ */
+export default class StateEventListSummary extends React.Component {
+    static propTypes = {
+        // the state events to summarise
+        events: PropTypes.array.isRequired,
+        // the EventTiles to render when expanded
+        children: PropTypes.array,
+        // the number of changes to describe in the summary
+        summaryLength: PropTypes.number,
+        // the maximum number of avatars of senders to show in the summary
+        avatarsMaxLength: PropTypes.number,
+        // the minimum number of events needed to collapse them
+        threshold: PropTypes.number,
+        // called when the summary is expanded or collapsed
+        onToggle: PropTypes.func,
+        // whether to start off expanded
+        startExpanded: PropTypes.bool,
+    };
+
+    static defaultProps = {
+        summaryLength: 2,
+        avatarsMaxLength: 5,
+        threshold: 3,
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            expanded: Boolean(props.startExpanded),
+        };
+    }
+
+    shouldComponentUpdate(nextProps, nextState) {
+        // as with MemberEventListSummary, a collapsed summary only changes
+        // when events are added to it
+        return (
+            nextProps.events.length !== this.props.events.length ||
+            this.state.expanded || nextState.expanded ||
+            nextProps.events.length < this.props.threshold
+        );
+    }
+
+    _toggleSummary = () => {
+        this.setState({expanded: !this.state.expanded});
+        if (this.props.onToggle) this.props.onToggle();
+    };
+
+    _renderAvatars() {
+        const senders = [];
+        for (const ev of this.props.events) {
+            if (ev.sender && !senders.some((m) => m.userId === ev.sender.userId)) senders.push(ev.sender);
+        }
+        const avatars = senders.slice(0, this.props.avatarsMaxLength).map((m) => {
+            return <MemberAvatar key={m.userId} member={m} width={14} height={14} />;
+        });
+        return (
+            <span className="mx_MemberEventListSummary_avatars" onClick={this._toggleSummary}>
+                { avatars }
+            </span>
+        );
+    }
+
+    render() {
+        const eventIds = this.props.events.map((e) => e.getId()).join(',');
+        const fewEvents = this.props.events.length < this.props.threshold;
+        const expanded = this.state.expanded || fewEvents;
+
+        if (fewEvents) {
+            return (
+                <div className="mx_MemberEventListSummary mx_StateEventListSummary" data-scroll-tokens={eventIds}>
+                    { this.props.children }
+                </div>
+            );
+        }
+
+        let summaryContainer = null;
+        if (!expanded) {
+            summaryContainer = (
+                <div className="mx_EventTile_line">
+                    <div className="mx_EventTile_info">
+                        { this._renderAvatars() }
+                        <span className="mx_TextualEvent mx_MemberEventListSummary_summary">
+                            { summariseStateEvents(this.props.events, this.props.summaryLength) }
+                        </span>
+                    </div>
+                </div>
+            );
+        }
+
+        return (
+            <div className="mx_MemberEventListSummary mx_StateEventListSummary" data-scroll-tokens={eventIds}>
+                <div className="mx_MemberEventListSummary_toggle" onClick={this._toggleSummary}>
+                    { expanded ? _t('collapse') : _t('expand') }
+                </div>
+                { summaryContainer }
+                { expanded ? <div className="mx_MemberEventListSummary_line">&nbsp;</div> : null }
+                { expanded ? this.props.children : null }
+            </div>
+        );
+    }
+}
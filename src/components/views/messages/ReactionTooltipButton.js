@@ -19,6 +19,7 @@ import PropTypes from 'prop-types';
 import classNames from 'classnames';
 
 import MatrixClientPeg from '../../../MatrixClientPeg';
+import { isCustomEmojiReaction } from '../../../CustomEmoji';
 
 export default class ReactionTooltipButton extends React.PureComponent {
     static propTypes = {
@@ -56,13 +57,20 @@ export default class ReactionTooltipButton extends React.PureComponent {
             mx_ReactionTooltipButton_selected: !!myReactionEvent,
         });
 
+        let contentElement = content;
+        if (isCustomEmojiReaction(content)) {
+            const src = MatrixClientPeg.get().mxcUrlToHttp(content, 32, 32, 'scale');
+            contentElement = <img className="mx_ReactionTooltipButton_customEmoji" src={src}
+                alt={this.props.title} data-key={content} />;
+        }
+
         return <span className={classes}
             data-key={content}
             title={this.props.title}
             aria-hidden={true}
             onClick={this.onClick}
         >
-            {content}
+            {contentElement}
         </span>;
     }
 }
@@ -20,7 +20,12 @@ import PropTypes from 'prop-types';
 import { _t } from '../../../languageHandler';
 import sdk from '../../../index';
 import MatrixClientPeg from '../../../MatrixClientPeg';
+import Modal from '../../../Modal';
 import { unicodeToShortcode } from '../../../HtmlUtils';
+import { getCustomEmoji } from '../../../CustomEmoji';
+
+// how many of the user's and room's custom emoji to offer after the usual ones
+const MAX_CUSTOM_EMOJI = 8;
 
 export default class ReactionsQuickTooltip extends React.PureComponent {
     static propTypes = {
@@ -103,7 +108,39 @@ export default class ReactionsQuickTooltip extends React.PureComponent {
         });
     }
 
+    onMoreClick = () => {
+        const { mxEvent } = this.props;
+        const myKeys = (this.state.myReactions || []).filter((ev) => !ev.isRedacted()).map((ev) => {
+            return ev.getRelation().key;
+        });
+        const EmojiPickerDialog = sdk.getComponent('dialogs.EmojiPickerDialog');
+        Modal.createTrackedDialog('Emoji Picker', 'Reaction', EmojiPickerDialog, {
+            room: MatrixClientPeg.get().getRoom(mxEvent.getRoomId()),
+            title: _t("React"),
+            selected: myKeys,
+            onFinished: (picked, emoji) => {
+                if (!picked || myKeys.includes(emoji.key)) return;
+                MatrixClientPeg.get().sendEvent(mxEvent.getRoomId(), "m.reaction", {
+                    "m.relates_to": {
+                        "rel_type": "m.annotation",
+                        "event_id": mxEvent.getId(),
+                        "key": emoji.key,
+                    },
+                });
+            },
+        });
+    }
+
     get items() {
+        const room = MatrixClientPeg.get().getRoom(this.props.mxEvent.getRoomId());
+        // reactions with custom emoji use the image as their key
+        const customItems = getCustomEmoji(room).slice(0, MAX_CUSTOM_EMOJI).map(({shortcode, url}) => {
+            return {
+                content: url,
+                title: shortcode,
+            };
+        });
+
         return [
             {
                 content: "👍",
@@ -137,6 +174,7 @@ export default class ReactionsQuickTooltip extends React.PureComponent {
                 content: "👀",
                 title: _t("Eyes"),
             },
+            ...customItems,
         ];
     }
 
@@ -144,6 +182,7 @@ export default class ReactionsQuickTooltip extends React.PureComponent {
         const { mxEvent } = this.props;
         const { myReactions, hoveredItem } = this.state;
         const ReactionTooltipButton = sdk.getComponent('messages.ReactionTooltipButton');
+        const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
 
         const buttons = this.items.map(({ content, title }) => {
             const myReactionEvent = myReactions && myReactions.find(mxEvent => {
@@ -188,6 +227,12 @@ export default class ReactionsQuickTooltip extends React.PureComponent {
         >
             <div className="mx_ReactionsQuickTooltip_buttons">
                 {buttons}
+                <AccessibleButton className="mx_ReactionsQuickTooltip_more"
+                    title={_t("More reactions")}
+                    onClick={this.onMoreClick}
+                >
+                    …
+                </AccessibleButton>
             </div>
             {label}
         </div>;
@@ -20,6 +20,7 @@ import classNames from 'classnames';
 
 import MatrixClientPeg from '../../../MatrixClientPeg';
 import sdk from '../../../index';
+import { getCustomEmojiShortcode, isCustomEmojiReaction } from '../../../CustomEmoji';
 
 export default class ReactionsRowButton extends React.PureComponent {
     static propTypes = {
@@ -86,6 +87,14 @@ export default class ReactionsRowButton extends React.PureComponent {
             mx_ReactionsRowButton_selected: !!myReactionEvent,
         });
 
+        let contentElement = content;
+        if (isCustomEmojiReaction(content)) {
+            const cli = MatrixClientPeg.get();
+            const src = cli.mxcUrlToHttp(content, 32, 32, 'scale');
+            const shortcode = getCustomEmojiShortcode(content, cli.getRoom(this.props.mxEvent.getRoomId()));
+            contentElement = <img className="mx_ReactionsRowButton_customEmoji" src={src} alt={shortcode || ""} />;
+        }
+
         let tooltip;
         if (this.state.tooltipRendered) {
             tooltip = <ReactionsRowButtonTooltip
@@ -102,7 +111,7 @@ export default class ReactionsRowButton extends React.PureComponent {
             onMouseOut={this.onMouseOut}
         >
             <span className="mx_ReactionsRowButton_content">
-                {content}
+                {contentElement}
             </span>
             <span className="mx_ReactionsRowButton_count">
                 {count}
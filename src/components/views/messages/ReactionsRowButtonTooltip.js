@@ -20,6 +20,7 @@ import PropTypes from 'prop-types';
 import MatrixClientPeg from '../../../MatrixClientPeg';
 import sdk from '../../../index';
 import { unicodeToShortcode } from '../../../HtmlUtils';
+import { getCustomEmojiShortcode, isCustomEmojiReaction } from '../../../CustomEmoji';
 import { _t } from '../../../languageHandler';
 import { formatCommaSeparatedList } from '../../../utils/FormattingUtils';
 
@@ -46,7 +47,8 @@ export default class ReactionsRowButtonTooltip extends React.PureComponent {
                 const { name } = room.getMember(reactionEvent.getSender());
                 senders.push(name);
             }
-            const shortName = unicodeToShortcode(content);
+            const shortName = isCustomEmojiReaction(content) ?
+                getCustomEmojiShortcode(content, room) : unicodeToShortcode(content);
             tooltipLabel = <div>{_t(
                 "<reactors/><reactedWith>reacted with %(shortName)s</reactedWith>",
                 {
@@ -53,6 +53,8 @@ export default class RoomHeaderButtons extends HeaderButtons {
             } else {
                 this.setPhase(RightPanel.Phase.RoomMemberList);
             }
+        } else if (payload.action === "view_thread") {
+            this.setPhase(RightPanel.Phase.ThreadPanel, {event: payload.event});
         }
     }
 
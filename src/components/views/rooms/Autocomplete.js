@@ -22,6 +22,7 @@ import classNames from 'classnames';
 import flatMap from 'lodash/flatMap';
 import isEqual from 'lodash/isEqual';
 import sdk from '../../../index';
+import { _t } from '../../../languageHandler';
 import type {Completion} from '../../../autocomplete/Autocompleter';
 import Promise from 'bluebird';
 import { Room } from 'matrix-js-sdk';
@@ -170,7 +171,7 @@ export default class Autocomplete extends React.Component {
         return this.state.completionList.length;
     }
 
-    // called from MessageComposerInput
+    // called from AutocompleteWrapperModel
     moveSelection(delta): ?Completion {
         const completionCount = this.countCompletions();
         if (completionCount === 0) return; // there are no items to move the selection through
@@ -269,6 +270,16 @@ export default class Autocomplete extends React.Component {
             });
 
 
+            // say which providers were too slow, if they had something to complete
+            if (completionResult.timedOut && completionResult.command.command) {
+                return <div key={i} className="mx_Autocomplete_ProviderSection">
+                    <div className="mx_Autocomplete_provider_name">{ completionResult.provider.getName() }</div>
+                    <div className="mx_Autocomplete_provider_timedOut">
+                        { _t("Took too long to respond") }
+                    </div>
+                </div>;
+            }
+
             return completions.length > 0 ? (
                 <div key={i} className="mx_Autocomplete_ProviderSection">
                     <div className="mx_Autocomplete_provider_name">{ completionResult.provider.getName() }</div>
@@ -0,0 +1,335 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+import {Room} from 'matrix-js-sdk';
+import EMOJIBASE from 'emojibase-data/en/compact.json';
+import EMOTICON_REGEX from 'emojibase-regex/emoticon';
+import sdk from '../../../index';
+import MatrixClientPeg from '../../../MatrixClientPeg';
+import ContentMessages from '../../../ContentMessages';
+import SettingsStore from '../../../settings/SettingsStore';
+import EditorModel from '../../../editor/model';
+import {autoCompleteCreator} from '../../../editor/parts';
+import {setCaretPosition} from '../../../editor/caret';
+import {getCaretOffsetAndText, getSelectionOffsets} from '../../../editor/dom';
+import {formatSelection, getFormattingForKeyEvent} from '../../../editor/operations';
+import {renderModel} from '../../../editor/render';
+import Autocomplete from './Autocomplete';
+
+const REGEX_EMOTICON_WHITESPACE = new RegExp('(?:^|\\s)(' + EMOTICON_REGEX.source + ')\\s$');
+
+/*
+ * The editing surface shared by the composers built on EditorModel: it
+ * renders the model, turns input into model updates, and handles
+ * autocomplete, formatting and pasting. What happens on Enter and friends
+ * is up to the composer using it, through onKeyDown.
+ */
+export default class BasicMessageComposer extends React.Component {
+    static propTypes = {
+        model: PropTypes.instanceOf(EditorModel).isRequired,
+        room: PropTypes.instanceOf(Room).isRequired,
+        // called with the model after every change to it
+        onChange: PropTypes.func,
+        // called with the keydown events not handled by the composer itself
+        onKeyDown: PropTypes.func,
+        placeholder: PropTypes.string,
+        label: PropTypes.string,
+        // the {offset, atNodeEnd} to put the caret at when mounting, if any
+        initialCaret: PropTypes.object,
+        className: PropTypes.string,
+    };
+
+    constructor(props, context) {
+        super(props, context);
+        this.state = {
+            autoComplete: null,
+            query: "",
+            showPlaceholder: props.model.isEmpty,
+        };
+        this._editorRef = null;
+        this._autocompleteRef = null;
+        this._formatBarRef = null;
+        // the last selection within the editor, for the format bar to format
+        this._selection = null;
+        this._modifiedFlag = false;
+
+        props.model.setUpdateCallback(this._updateEditorState);
+        props.model.partCreator.setAutoCompleteCreator(autoCompleteCreator(
+            () => this._autocompleteRef,
+            query => this.setState({query}),
+        ));
+    }
+
+    _updateEditorState = (caret) => {
+        const {model} = this.props;
+        renderModel(this._editorRef, model);
+        if (caret) {
+            try {
+                setCaretPosition(this._editorRef, model, caret);
+            } catch (err) {
+                console.error(err);
+            }
+        }
+        this.setState({
+            autoComplete: model.autoComplete,
+            showPlaceholder: model.isEmpty,
+        });
+        if (this.props.onChange) {
+            this.props.onChange(model);
+        }
+    }
+
+    _onInput = (event) => {
+        this._modifiedFlag = true;
+        const sel = document.getSelection();
+        const {caret, text} = getCaretOffsetAndText(this._editorRef, sel);
+        this.props.model.update(text, event.inputType, caret);
+        if (event.inputType === "insertText" && SettingsStore.getValue('MessageComposerInput.autoReplaceEmoji')) {
+            this._replaceEmoticon(text.substr(0, caret.offset));
+        }
+    }
+
+    // replaces a plaintext emoticon, like :), just before the caret with its emoji
+    _replaceEmoticon(textBeforeCaret) {
+        // The first matched group includes just the matched plaintext emoji
+        const emoticonMatch = REGEX_EMOTICON_WHITESPACE.exec(textBeforeCaret);
+        if (!emoticonMatch) return;
+        const query = emoticonMatch[1].toLowerCase().replace("-", "");
+        const data = EMOJIBASE.find(e => e.emoticon ? e.emoticon.toLowerCase() === query : false);
+        // only perform replacement if we found a match, otherwise we would be not letting user type
+        if (!data) return;
+
+        const {model} = this.props;
+        // the emoticon is followed by the space that was just typed
+        const start = textBeforeCaret.length - emoticonMatch[1].length - 1;
+        model.transform(() => {
+            model.removeTextAt(start, emoticonMatch[1].length);
+            model.insertTextAt(start, data.unicode);
+            return start + data.unicode.length + 1;
+        });
+    }
+
+    _insertText(textToInsert, inputType = "insertText") {
+        const sel = document.getSelection();
+        const {caret, text} = getCaretOffsetAndText(this._editorRef, sel);
+        const newText = text.substr(0, caret.offset) + textToInsert + text.substr(caret.offset);
+        caret.offset += textToInsert.length;
+        this._modifiedFlag = true;
+        this.props.model.update(newText, inputType, caret);
+    }
+
+    _onPaste = (event) => {
+        const {clipboardData} = event;
+        // Images copied from a website or word processor, as neither chrome
+        // nor firefox let you paste a plain file copied from Finder.
+        if (clipboardData.files.length) {
+            event.preventDefault();
+            ContentMessages.sharedInstance().sendContentListToRoom(
+                Array.from(clipboardData.files), this.props.room.roomId, MatrixClientPeg.get(),
+            );
+            return;
+        }
+        // paste formatted text as plain text, which is inserted as if it
+        // was typed so @mentions and newlines become the right parts.
+        const text = clipboardData.getData("text/plain");
+        const selection = getSelectionOffsets(this._editorRef, document.getSelection());
+        event.preventDefault();
+        if (!text || !selection) return;
+        const {model} = this.props;
+        this._modifiedFlag = true;
+        model.transform(() => {
+            model.removeTextAt(selection.start, selection.end - selection.start);
+            model.insertTextAt(selection.start, text);
+            return selection.start + text.length;
+        });
+    }
+
+    _onSelectionChange = () => {
+        const sel = document.getSelection();
+        const offsets = getSelectionOffsets(this._editorRef, sel);
+        if (offsets && offsets.start !== offsets.end) {
+            this._selection = offsets;
+            this._formatBarRef.showAt(sel.getRangeAt(0).getBoundingClientRect());
+        } else {
+            this._formatBarRef.hide();
+        }
+    }
+
+    _onFormatAction = (format) => {
+        if (this._selection) {
+            this._modifiedFlag = true;
+            formatSelection(this.props.model, this._selection, format);
+        }
+    }
+
+    _onKeyDown = (event) => {
+        const {model} = this.props;
+        const format = getFormattingForKeyEvent(event);
+        if (format) {
+            event.preventDefault();
+            const selection = getSelectionOffsets(this._editorRef, document.getSelection());
+            if (selection) {
+                this._modifiedFlag = true;
+                formatSelection(model, selection, format);
+            }
+            return;
+        }
+        // insert newline on Shift+Enter
+        if (event.shiftKey && event.key === "Enter") {
+            event.preventDefault(); // just in case the browser does support this
+            this._insertText("\n");
+            return;
+        }
+        // autocomplete shouldn't have any modifier keys pressed.
+        const hasModifier = event.metaKey || event.altKey || event.shiftKey || event.ctrlKey;
+        if (model.autoComplete && !hasModifier) {
+            const autoComplete = model.autoComplete;
+            switch (event.key) {
+                case "Enter":
+                    autoComplete.onEnter(event); break;
+                case "ArrowUp":
+                    autoComplete.onUpArrow(event); break;
+                case "ArrowDown":
+                    autoComplete.onDownArrow(event); break;
+                case "Tab":
+                    autoComplete.onTab(event); break;
+                case "Escape":
+                    autoComplete.onEscape(event); break;
+                default:
+                    // not handled by autocomplete
+                    if (this.props.onKeyDown) this.props.onKeyDown(event);
+                    return; // don't preventDefault on anything else
+            }
+            event.preventDefault();
+        } else if (this.props.onKeyDown) {
+            this.props.onKeyDown(event);
+        }
+    }
+
+    _onAutoCompleteConfirm = (completion) => {
+        this.props.model.autoComplete.onComponentConfirm(completion);
+    }
+
+    _onAutoCompleteSelectionChange = (completion) => {
+        this.props.model.autoComplete.onComponentSelectionChange(completion);
+    }
+
+    componentDidMount() {
+        const {model, initialCaret} = this.props;
+        // initial render of model
+        renderModel(this._editorRef, model);
+        if (initialCaret) {
+            const position = model.positionForOffset(initialCaret.offset, initialCaret.atNodeEnd);
+            setCaretPosition(this._editorRef, model, position);
+        }
+        this._setPlaceholder(this.props.placeholder);
+        // attach input listener by hand so React doesn't proxy the events,
+        // as the proxied event doesn't support inputType, which we need.
+        this._editorRef.addEventListener("input", this._onInput, true);
+        document.addEventListener("selectionchange", this._onSelectionChange);
+    }
+
+    componentDidUpdate(prevProps) {
+        if (prevProps.placeholder !== this.props.placeholder) {
+            this._setPlaceholder(this.props.placeholder);
+        }
+    }
+
+    // the placeholder is shown with css, as the contents of the editor aren't rendered by React
+    _setPlaceholder(placeholder) {
+        // JSON strings are quoted and escaped in a way that works as css strings too
+        this._editorRef.style.setProperty("--placeholder", JSON.stringify(placeholder || ""));
+    }
+
+    componentWillUnmount() {
+        this._editorRef.removeEventListener("input", this._onInput, true);
+        document.removeEventListener("selectionchange", this._onSelectionChange);
+    }
+
+    /**
+     * @return {Object} the {offset, atNodeEnd} of the caret in the model's text,
+     *     or null if the caret isn't in the editor
+     */
+    getCaret() {
+        const sel = document.getSelection();
+        if (!this._editorRef.contains(sel.focusNode)) return null;
+        return getCaretOffsetAndText(this._editorRef, sel).caret;
+    }
+
+    isCaretAtStart() {
+        const caret = this.getCaret();
+        return !!caret && caret.offset === 0;
+    }
+
+    isCaretAtEnd() {
+        const caret = this.getCaret();
+        return !!caret && caret.offset === this.props.model.getText().length;
+    }
+
+    // whether the text has been changed by the user since mounting
+    isModified() {
+        return this._modifiedFlag;
+    }
+
+    focus() {
+        const {model} = this.props;
+        const hadCaret = !!this.getCaret();
+        this._editorRef.focus();
+        // put the caret at the end, unless it was in the editor already
+        if (!hadCaret) {
+            setCaretPosition(this._editorRef, model, model.getPositionAtEnd());
+        }
+    }
+
+    render() {
+        let autoComplete;
+        if (this.state.autoComplete) {
+            const query = this.state.query;
+            const queryLen = query.length;
+            autoComplete = <div className="mx_BasicMessageComposer_AutoCompleteWrapper">
+                <Autocomplete
+                    ref={ref => this._autocompleteRef = ref}
+                    query={query}
+                    onConfirm={this._onAutoCompleteConfirm}
+                    onSelectionChange={this._onAutoCompleteSelectionChange}
+                    selection={{beginning: true, end: queryLen, start: queryLen}}
+                    room={this.props.room}
+                />
+            </div>;
+        }
+        const inputClasses = classNames("mx_BasicMessageComposer_input", {
+            mx_BasicMessageComposer_inputEmpty: this.state.showPlaceholder,
+        });
+        const MessageComposerFormatBar = sdk.getComponent('rooms.MessageComposerFormatBar');
+        return <div className={classNames("mx_BasicMessageComposer", this.props.className)}>
+            { autoComplete }
+            <MessageComposerFormatBar ref={ref => this._formatBarRef = ref} onAction={this._onFormatAction} />
+            <div
+                className={inputClasses}
+                contentEditable="true"
+                tabIndex="1"
+                onKeyDown={this._onKeyDown}
+                onPaste={this._onPaste}
+                ref={ref => this._editorRef = ref}
+                aria-label={this.props.label}
+                dir="auto"
+            ></div>
+        </div>;
+    }
+}
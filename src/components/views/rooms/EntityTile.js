@@ -70,6 +70,11 @@ const EntityTile = React.createClass({
         suppressOnHover: PropTypes.bool,
         showPresence: PropTypes.bool,
         subtextLabel: PropTypes.string,
+        // whether to show a checkbox for picking the entity, and its state
+        selectable: PropTypes.bool,
+        selected: PropTypes.bool,
+        // if set, a warning badge is shown with this as its tooltip
+        warning: PropTypes.string,
     },
 
     getDefaultProps: function() {
@@ -102,6 +107,7 @@ const EntityTile = React.createClass({
             "mx_EntityTile_noHover": this.props.suppressOnHover,
         };
         if (this.props.className) mainClassNames[this.props.className] = true;
+        mainClassNames["mx_EntityTile_selected"] = this.props.selectable && this.props.selected;
 
         const presenceClass = presenceClassForMember(
             this.props.presenceState, this.props.presenceLastActiveAgo, this.props.showPresence,
@@ -171,6 +177,19 @@ const EntityTile = React.createClass({
             power = <img src={src} className="mx_EntityTile_power" width="16" height="17" alt={alt} />;
         }
 
+        let warning;
+        if (this.props.warning) {
+            warning = <img src={require("../../../../res/img/warning.svg")} className="mx_EntityTile_warning"
+                width="16" height="16" alt={this.props.warning} title={this.props.warning} />;
+        }
+
+        let checkbox;
+        if (this.props.selectable) {
+            // the whole tile toggles it, so the checkbox itself is just for show
+            checkbox = <input type="checkbox" className="mx_EntityTile_checkbox" tabIndex={-1}
+                checked={Boolean(this.props.selected)} readOnly={true} />;
+        }
+
         const BaseAvatar = sdk.getComponent('avatars.BaseAvatar');
 
         const av = this.props.avatarJsx || <BaseAvatar name={this.props.name} width={36} height={36} />;
@@ -180,9 +199,11 @@ const EntityTile = React.createClass({
             <div ref={(c) => this.container = c} >
                 <AccessibleButton className={classNames(mainClassNames)} title={this.props.title}
                                   onClick={this.props.onClick}>
+                    { checkbox }
                     <div className="mx_EntityTile_avatar">
                         { av }
                         { power }
+                        { warning }
                     </div>
                     { nameEl }
                     { inviteButton }
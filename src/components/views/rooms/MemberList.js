@@ -23,6 +23,9 @@ import dis from '../../../dispatcher';
 import AutoHideScrollbar from '../../structures/AutoHideScrollbar';
 import { isValid3pidInvite } from '../../../RoomInvite';
 import DMRoomMap from '../../../utils/DMRoomMap';
+import Modal from '../../../Modal';
+import { BulkAction } from '../../../utils/BulkModerator';
+import PolicyLists from '../../../PolicyLists';
 const MatrixClientPeg = require('../../../MatrixClientPeg');
 const sdk = require('../../../index');
 const rate_limited_func = require('../../../ratelimitedfunc');
@@ -31,6 +34,8 @@ const CallHandler = require('../../../CallHandler');
 const INITIAL_LOAD_NUM_MEMBERS = 30;
 const INITIAL_LOAD_NUM_INVITED = 5;
 const SHOW_MORE_INCREMENT = 100;
+// the choices for only showing members who joined recently, in hours
+const JOINED_WITHIN_HOURS = [1, 6, 24, 72];
 
 module.exports = React.createClass({
     displayName: 'MemberList',
@@ -55,6 +60,7 @@ module.exports = React.createClass({
             this._listenForMembersChanges();
         }
         cli.on('Room', this.onRoom); // invites & joining after peek
+        PolicyLists.on('update', this._onPolicyListsUpdate);
         const enablePresenceByHsUrl = SdkConfig.get()[
             'enable_presence_by_hs_url'
         ];
@@ -102,10 +108,17 @@ module.exports = React.createClass({
             );
         }
 
+        PolicyLists.removeListener('update', this._onPolicyListsUpdate);
+
         // cancel any pending calls to the rate_limited_funcs
         this._updateList.cancelPendingCall();
     },
 
+    _onPolicyListsUpdate: function() {
+        // the tiles show which members are on the user's ban lists
+        this.forceUpdate();
+    },
+
     /**
      * If lazy loading is enabled, either:
      * show a spinner and load the members if the user is joined,
@@ -143,6 +156,11 @@ module.exports = React.createClass({
             members: members,
             filteredJoinedMembers: this._filterMembers(members, 'join'),
             filteredInvitedMembers: this._filterMembers(members, 'invite'),
+            joinedWithinHours: 0,
+
+            // whether members can be picked to moderate them all at once
+            selecting: false,
+            selectedUserIds: [],
 
             // ideally we'd size this to the page height, but
             // in practice I find that a little constraining
@@ -215,12 +233,14 @@ module.exports = React.createClass({
         newState.filteredJoinedMembers = this._filterMembers(
             newState.members,
             'join',
-            this.state.searchQuery
+            this.state.searchQuery,
+            this.state.joinedWithinHours,
         );
         newState.filteredInvitedMembers = this._filterMembers(
             newState.members,
             'invite',
-            this.state.searchQuery
+            this.state.searchQuery,
+            this.state.joinedWithinHours,
         );
         this.setState(newState);
     },
@@ -414,16 +434,100 @@ module.exports = React.createClass({
             filteredJoinedMembers: this._filterMembers(
                 this.state.members,
                 'join',
-                searchQuery
+                searchQuery,
+                this.state.joinedWithinHours,
+            ),
+            filteredInvitedMembers: this._filterMembers(
+                this.state.members,
+                'invite',
+                searchQuery,
+                this.state.joinedWithinHours,
+            ),
+        });
+    },
+
+    _onJoinedWithinChanged: function(ev) {
+        const joinedWithinHours = parseInt(ev.target.value);
+        this.setState({
+            joinedWithinHours,
+            filteredJoinedMembers: this._filterMembers(
+                this.state.members,
+                'join',
+                this.state.searchQuery,
+                joinedWithinHours,
             ),
             filteredInvitedMembers: this._filterMembers(
                 this.state.members,
                 'invite',
-                searchQuery
-            )
+                this.state.searchQuery,
+                joinedWithinHours,
+            ),
+        });
+    },
+
+    _onSelectingToggle: function() {
+        this.setState({
+            selecting: !this.state.selecting,
+            selectedUserIds: [],
+        });
+    },
+
+    _onMemberSelectedChange: function(member, selected) {
+        const selectedUserIds = this.state.selectedUserIds.filter((userId) => userId !== member.userId);
+        if (selected) selectedUserIds.push(member.userId);
+        this.setState({ selectedUserIds });
+    },
+
+    _onSelectAllClick: function() {
+        const members = this.state.filteredJoinedMembers.concat(this.state.filteredInvitedMembers);
+        this.setState({
+            selectedUserIds: members.map((m) => m.userId),
         });
     },
 
+    _getSelectedMembers: function() {
+        return this.state.members.filter((m) => this.state.selectedUserIds.includes(m.userId));
+    },
+
+    _onBulkActionClick: function(action) {
+        let members = this._getSelectedMembers();
+        if (action === BulkAction.RevokeInvite) {
+            members = members.filter((m) => m.membership === 'invite');
+        }
+        if (!members.length) return;
+
+        const BulkModerationDialog = sdk.getComponent('dialogs.BulkModerationDialog');
+        Modal.createTrackedDialog('Bulk moderation', action, BulkModerationDialog, {
+            room: MatrixClientPeg.get().getRoom(this.props.roomId),
+            action,
+            members,
+            onFinished: (done) => {
+                if (done && this._mounted) this.setState({ selectedUserIds: [] });
+            },
+        });
+    },
+
+    // what we can do to several members at once in the room
+    _getBulkPermissions: function(room) {
+        const can = { kick: false, ban: false, setPowerLevel: false };
+        if (!room || room.getMyMembership() !== 'join') return can;
+
+        const me = room.getMember(MatrixClientPeg.get().getUserId());
+        const plEvent = room.currentState.getStateEvents('m.room.power_levels', '');
+        if (!me || !plEvent) return can;
+
+        const content = plEvent.getContent();
+        const stateDefault = content.state_default !== undefined ? content.state_default : 50;
+        let editPowerLevel = stateDefault;
+        if (content.events && content.events['m.room.power_levels'] !== undefined) {
+            editPowerLevel = content.events['m.room.power_levels'];
+        }
+        can.kick = me.powerLevel >= (content.kick !== undefined ? content.kick : 50);
+        can.ban = me.powerLevel >= (content.ban !== undefined ? content.ban : 50);
+        can.setPowerLevel = me.powerLevel >= editPowerLevel;
+        return can;
+    },
+
     _onPending3pidInviteClick: function(inviteEvent) {
         dis.dispatch({
             action: 'view_3pid_invite',
@@ -431,8 +535,24 @@ module.exports = React.createClass({
         });
     },
 
-    _filterMembers: function(members, membership, query) {
-        return members.filter(m => {
+    // when the member joined or was invited, or null if we can't tell
+    // because their latest membership event only changed their profile
+    _getMembershipTs: function(member) {
+        const ev = member.events.member;
+        if (!ev || ev.getPrevContent().membership === member.membership) {
+            return null;
+        }
+        return ev.getTs();
+    },
+
+    _filterMembers: function(members, membership, query, joinedWithinHours) {
+        const joinedAfter = joinedWithinHours ? Date.now() - joinedWithinHours * 60 * 60 * 1000 : null;
+        return members.filter((m) => {
+            if (joinedAfter) {
+                const ts = this._getMembershipTs(m);
+                if (ts === null || ts < joinedAfter) return false;
+            }
+
             if (query) {
                 query = query.toLowerCase();
                 const matchesName = m.name.toLowerCase().indexOf(query) !== -1;
@@ -484,6 +604,10 @@ module.exports = React.createClass({
                         member={m}
                         ref={m.userId}
                         showPresence={this._showPresence}
+                        selectable={this.state.selecting}
+                        selected={this.state.selectedUserIds.includes(m.userId)}
+                        onSelectedChange={this._onMemberSelectedChange}
+                        policyRule={PolicyLists.getRuleForUser(m.userId)}
                     />
                 );
             } else {
@@ -599,6 +723,7 @@ module.exports = React.createClass({
         return (
             <div className='mx_MemberList'>
                 {this.isInRoom(room) && inviteButton}
+                {this._renderModerationToolbar(room)}
                 <AutoHideScrollbar>
                     <div className='mx_MemberList_wrapper'>
                         <TruncatedList
@@ -615,6 +740,7 @@ module.exports = React.createClass({
                     </div>
                 </AutoHideScrollbar>
 
+                {this._renderBulkActions(room)}
                 <SearchBox
                     className='mx_MemberList_query mx_textinput_icon mx_textinput_search'
                     placeholder={_t('Filter room members')}
@@ -624,6 +750,83 @@ module.exports = React.createClass({
         );
     },
 
+    _renderModerationToolbar: function(room) {
+        const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
+        const can = this._getBulkPermissions(room);
+
+        const options = JOINED_WITHIN_HOURS.map((hours) => (
+            <option key={hours} value={hours}>
+                {_t('Joined in the last %(count)s hours', { count: hours })}
+            </option>
+        ));
+
+        let selectButton;
+        if (can.kick || can.ban || can.setPowerLevel) {
+            selectButton = (
+                <AccessibleButton
+                    className='mx_MemberList_selectToggle'
+                    kind='link'
+                    onClick={this._onSelectingToggle}
+                >
+                    {this.state.selecting ? _t('Done') : _t('Select')}
+                </AccessibleButton>
+            );
+        }
+
+        return (
+            <div className='mx_MemberList_toolbar'>
+                <select
+                    className='mx_MemberList_joinedFilter'
+                    value={this.state.joinedWithinHours}
+                    onChange={this._onJoinedWithinChanged}
+                    aria-label={_t('Only show members who joined recently')}
+                >
+                    <option value={0}>{_t('Joined at any time')}</option>
+                    {options}
+                </select>
+                {selectButton}
+            </div>
+        );
+    },
+
+    _renderBulkActions: function(room) {
+        if (!this.state.selecting) return null;
+        const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
+        const can = this._getBulkPermissions(room);
+        const selected = this._getSelectedMembers();
+        const hasInvites = selected.some((m) => m.membership === 'invite');
+
+        const button = (action, label, allowed, kind = 'danger_sm') => {
+            if (!allowed) return null;
+            return (
+                <AccessibleButton
+                    kind={kind}
+                    disabled={!selected.length}
+                    onClick={() => this._onBulkActionClick(action)}
+                >
+                    {label}
+                </AccessibleButton>
+            );
+        };
+
+        return (
+            <div className='mx_MemberList_bulkActions'>
+                <div className='mx_MemberList_bulkActions_summary'>
+                    {_t('%(count)s selected', { count: selected.length })}
+                    <AccessibleButton kind='link' onClick={this._onSelectAllClick}>
+                        {_t('Select all')}
+                    </AccessibleButton>
+                </div>
+                <div className='mx_MemberList_bulkActions_buttons'>
+                    {button(BulkAction.Kick, _t('Kick'), can.kick)}
+                    {button(BulkAction.Ban, _t('Ban'), can.ban)}
+                    {button(BulkAction.RevokeInvite, _t('Disinvite'), can.kick && hasInvites)}
+                    {button(BulkAction.SetPowerLevel, _t('Power level'), can.setPowerLevel, 'primary_sm')}
+                </div>
+            </div>
+        );
+    },
+
     onInviteButtonClick: function() {
         if (MatrixClientPeg.get().isGuest()) {
             dis.dispatch({ action: 'require_registration' });
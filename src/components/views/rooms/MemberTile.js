@@ -31,6 +31,13 @@ module.exports = React.createClass({
     propTypes: {
         member: PropTypes.any.isRequired, // RoomMember
         showPresence: PropTypes.bool,
+        // whether clicking the tile picks the member rather than viewing them
+        selectable: PropTypes.bool,
+        selected: PropTypes.bool,
+        // called with the member and whether they are now picked
+        onSelectedChange: PropTypes.func,
+        // the rule from the user's ban lists which matches the member, if any
+        policyRule: PropTypes.object,
     },
 
     getDefaultProps: function() {
@@ -83,6 +90,13 @@ module.exports = React.createClass({
     },
 
     shouldComponentUpdate: function(nextProps, nextState) {
+        if (
+            nextProps.selectable !== this.props.selectable ||
+            nextProps.selected !== this.props.selected ||
+            nextProps.policyRule !== this.props.policyRule
+        ) {
+            return true;
+        }
         if (
             this.member_last_modified_time === undefined ||
             this.member_last_modified_time < nextProps.member.getLastModifiedTime()
@@ -100,6 +114,10 @@ module.exports = React.createClass({
     },
 
     onClick: function(e) {
+        if (this.props.selectable) {
+            this.props.onSelectedChange(this.props.member, !this.props.selected);
+            return;
+        }
         dis.dispatch({
             action: 'view_user',
             member: this.props.member,
@@ -155,6 +173,14 @@ module.exports = React.createClass({
 
         const powerStatus = powerStatusMap.get(powerLevel);
 
+        let warning;
+        const rule = this.props.policyRule;
+        if (rule) {
+            warning = rule.reason ?
+                _t("On your ban lists: %(reason)s", {reason: rule.reason}) :
+                _t("On your ban lists");
+        }
+
         return (
             <EntityTile {...this.props} presenceState={presenceState}
                 presenceLastActiveAgo={member.user ? member.user.lastActiveAgo : 0}
@@ -162,7 +188,8 @@ module.exports = React.createClass({
                 presenceCurrentlyActive={member.user ? member.user.currentlyActive : false}
                 avatarJsx={av} title={this.getPowerLabel()} onClick={this.onClick}
                 name={name} powerStatus={powerStatus} showPresence={this.props.showPresence}
-                subtextLabel={statusMessage}
+                subtextLabel={statusMessage} selectable={this.props.selectable}
+                selected={this.props.selected} warning={warning}
             />
         );
     },
@@ -16,32 +16,23 @@ limitations under the License.
 */
 import React from 'react';
 import PropTypes from 'prop-types';
-import { _t, _td } from '../../../languageHandler';
+import { _t } from '../../../languageHandler';
 import CallHandler from '../../../CallHandler';
+import { canShareScreen, getDisplayMedia } from '../../../ScreenSharing';
 import MatrixClientPeg from '../../../MatrixClientPeg';
 import Modal from '../../../Modal';
 import sdk from '../../../index';
 import dis from '../../../dispatcher';
 import RoomViewStore from '../../../stores/RoomViewStore';
-import SettingsStore, {SettingLevel} from "../../../settings/SettingsStore";
+import SettingsStore from "../../../settings/SettingsStore";
 import Stickerpicker from './Stickerpicker';
 import { makeRoomPermalink } from '../../../matrix-to';
 import ContentMessages from '../../../ContentMessages';
+import { formatFullDate } from '../../../DateUtils';
 import classNames from 'classnames';
 
 import E2EIcon from './E2EIcon';
 
-const formatButtonList = [
-    _td("bold"),
-    _td("italic"),
-    _td("deleted"),
-    _td("underlined"),
-    _td("inline-code"),
-    _td("block-quote"),
-    _td("bulleted-list"),
-    _td("numbered-list"),
-];
-
 function ComposerAvatar(props) {
     const MemberStatusMessageAvatar = sdk.getComponent('avatars.MemberStatusMessageAvatar');
     return <div className="mx_MessageComposer_avatar">
@@ -75,17 +66,30 @@ CallButton.propTypes = {
 
 function VideoCallButton(props) {
     const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
-    const onCallClick = (ev) => {
+    const onCallClick = async (ev) => {
+        // read before waiting, as React reuses its event objects
+        const shareScreen = ev.shiftKey;
+        let screenStream = null;
+        if (shareScreen && canShareScreen()) {
+            // the browser only lets us ask while handling the click
+            try {
+                screenStream = await getDisplayMedia();
+            } catch (e) {
+                console.log("No screen was picked to share", e);
+                return;
+            }
+        }
         dis.dispatch({
             action: 'place_call',
-            type: ev.shiftKey ? "screensharing" : "video",
+            type: shareScreen ? "screensharing" : "video",
             room_id: props.roomId,
+            screen_stream: screenStream,
         });
     };
 
     return <AccessibleButton className="mx_MessageComposer_button mx_MessageComposer_videocall"
         onClick={onCallClick}
-        title={_t('Video call')}
+        title={canShareScreen() ? _t('Video call (shift-click to share your screen)') : _t('Video call')}
     />;
 }
 
@@ -117,24 +121,44 @@ HangupButton.propTypes = {
     roomId: PropTypes.string.isRequired,
 }
 
-function FormattingButton(props) {
+function ScheduleButton(props) {
     const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
-    return <AccessibleButton
-        element="img"
-        className="mx_MessageComposer_formatting"
-        alt={_t("Show Text Formatting Toolbar")}
-        title={_t("Show Text Formatting Toolbar")}
-        src={require("../../../../res/img/button-text-formatting.svg")}
-        style={{visibility: props.showFormatting ? 'hidden' : 'visible'}}
-        onClick={props.onClickHandler}
+    return <AccessibleButton className="mx_MessageComposer_button mx_MessageComposer_schedule"
+        onClick={props.onClick}
+        title={_t('Send later')}
     />;
 }
 
-FormattingButton.propTypes = {
-    showFormatting: PropTypes.bool.isRequired,
-    onClickHandler: PropTypes.func.isRequired,
+ScheduleButton.propTypes = {
+    onClick: PropTypes.func.isRequired,
+};
+
+function EmojiButton(props) {
+    const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
+    const onClick = () => {
+        const EmojiPickerDialog = sdk.getComponent('dialogs.EmojiPickerDialog');
+        Modal.createTrackedDialog('Emoji Picker', 'Composer', EmojiPickerDialog, {
+            room: props.room,
+            onFinished: (picked, emoji) => {
+                if (!picked) return;
+                dis.dispatch({
+                    action: 'insert_emoji',
+                    // custom emoji are typed as their shortcode and sent as images
+                    text: emoji.url ? emoji.shortcode : emoji.unicode,
+                });
+            },
+        });
+    };
+    return <AccessibleButton className="mx_MessageComposer_button mx_MessageComposer_emoji"
+        onClick={onClick}
+        title={_t('Emoji')}
+    />;
 }
 
+EmojiButton.propTypes = {
+    room: PropTypes.object.isRequired,
+};
+
 class UploadButton extends React.Component {
     static propTypes = {
         roomId: PropTypes.string.isRequired,
@@ -195,27 +219,23 @@ class UploadButton extends React.Component {
 export default class MessageComposer extends React.Component {
     constructor(props, context) {
         super(props, context);
-        this._onAutocompleteConfirm = this._onAutocompleteConfirm.bind(this);
-        this.onToggleFormattingClicked = this.onToggleFormattingClicked.bind(this);
-        this.onToggleMarkdownClicked = this.onToggleMarkdownClicked.bind(this);
-        this.onInputStateChanged = this.onInputStateChanged.bind(this);
         this.onEvent = this.onEvent.bind(this);
         this._onRoomStateEvents = this._onRoomStateEvents.bind(this);
         this._onRoomViewStoreUpdate = this._onRoomViewStoreUpdate.bind(this);
         this._onTombstoneClick = this._onTombstoneClick.bind(this);
+        this.onAction = this.onAction.bind(this);
+        this.onScheduleClicked = this.onScheduleClicked.bind(this);
+        this.onSendNowClicked = this.onSendNowClicked.bind(this);
+        this.onMessageScheduled = this.onMessageScheduled.bind(this);
         this.renderPlaceholderText = this.renderPlaceholderText.bind(this);
-        this.renderFormatBar = this.renderFormatBar.bind(this);
 
         this.state = {
-            inputState: {
-                marks: [],
-                blockType: null,
-                isRichTextEnabled: SettingsStore.getValue('MessageComposerInput.isRichTextEnabled'),
-            },
-            showFormatting: SettingsStore.getValue('MessageComposer.showFormatting'),
             isQuoting: Boolean(RoomViewStore.getQuotingEvent()),
             tombstone: this._getRoomTombstone(),
             canSendMessages: this.props.room.maySendMessage(),
+            // when set, the composer is in 'send later' mode and messages
+            // will be scheduled to be sent at this timestamp
+            sendAt: null,
         };
     }
 
@@ -227,6 +247,7 @@ export default class MessageComposer extends React.Component {
         MatrixClientPeg.get().on("event", this.onEvent);
         MatrixClientPeg.get().on("RoomState.events", this._onRoomStateEvents);
         this._roomStoreToken = RoomViewStore.addListener(this._onRoomViewStoreUpdate);
+        this.dispatcherRef = dis.register(this.onAction);
         this._waitForOwnMember();
     }
 
@@ -254,6 +275,15 @@ export default class MessageComposer extends React.Component {
         if (this._roomStoreToken) {
             this._roomStoreToken.remove();
         }
+        dis.unregister(this.dispatcherRef);
+    }
+
+    onAction(payload) {
+        // the message is put back in the composer by SendMessageComposer:
+        // keep it in 'send later' mode for the same time.
+        if (payload.action === 'edit_scheduled_message' && payload.message.roomId === this.props.room.roomId) {
+            this.setState({sendAt: payload.message.sendAt});
+        }
     }
 
     onEvent(event) {
@@ -284,31 +314,24 @@ export default class MessageComposer extends React.Component {
     }
 
 
-    onInputStateChanged(inputState) {
-        // Merge the new input state with old to support partial updates
-        inputState = Object.assign({}, this.state.inputState, inputState);
-        this.setState({inputState});
-    }
-
-    _onAutocompleteConfirm(range, completion) {
-        if (this.messageComposerInput) {
-            this.messageComposerInput.setDisplayedCompletion(range, completion);
-        }
-    }
-
-    onFormatButtonClicked(name, event) {
-        event.preventDefault();
-        this.messageComposerInput.onFormatButtonClicked(name, event);
+    onScheduleClicked() {
+        const ScheduleMessageDialog = sdk.getComponent('dialogs.ScheduleMessageDialog');
+        Modal.createTrackedDialog('Schedule Message', '', ScheduleMessageDialog, {
+            sendAt: this.state.sendAt,
+            onFinished: (confirmed, sendAt) => {
+                if (confirmed) this.setState({sendAt});
+                dis.dispatch({action: 'focus_composer'});
+            },
+        });
     }
 
-    onToggleFormattingClicked() {
-        SettingsStore.setValue("MessageComposer.showFormatting", null, SettingLevel.DEVICE, !this.state.showFormatting);
-        this.setState({showFormatting: !this.state.showFormatting});
+    onSendNowClicked() {
+        this.setState({sendAt: null});
+        dis.dispatch({action: 'focus_composer'});
     }
 
-    onToggleMarkdownClicked(e) {
-        e.preventDefault(); // don't steal focus from the editor!
-        this.messageComposerInput.enableRichtext(!this.state.inputState.isRichTextEnabled);
+    onMessageScheduled() {
+        this.setState({sendAt: null});
     }
 
     _onTombstoneClick(ev) {
@@ -357,47 +380,6 @@ export default class MessageComposer extends React.Component {
         }
     }
 
-    renderFormatBar() {
-        const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
-        const {marks, blockType} = this.state.inputState;
-        const formatButtons = formatButtonList.map((name) => {
-            // special-case to match the md serializer and the special-case in MessageComposerInput.js
-            const markName = name === 'inline-code' ? 'code' : name;
-            const active = marks.some(mark => mark.type === markName) || blockType === name;
-            const suffix = active ? '-on' : '';
-            const onFormatButtonClicked = this.onFormatButtonClicked.bind(this, name);
-            const className = 'mx_MessageComposer_format_button mx_filterFlipColor';
-            return (
-                <img className={className}
-                    title={_t(name)}
-                    onMouseDown={onFormatButtonClicked}
-                    key={name}
-                    src={require(`../../../../res/img/button-text-${name}${suffix}.svg`)}
-                    height="17"
-                />
-            );
-        })
-
-        return (
-            <div className="mx_MessageComposer_formatbar_wrapper">
-                <div className="mx_MessageComposer_formatbar">
-                { formatButtons }
-                <div style={{ flex: 1 }}></div>
-                <AccessibleButton
-                    className="mx_MessageComposer_formatbar_markdown mx_MessageComposer_markdownDisabled"
-                    onClick={this.onToggleMarkdownClicked}
-                    title={_t("Markdown is disabled")}
-                />
-                <AccessibleButton element="img" title={_t("Hide Text Formatting Toolbar")}
-                    onClick={this.onToggleFormattingClicked}
-                    className="mx_MessageComposer_formatbar_cancel mx_filterFlipColor"
-                    src={require("../../../../res/img/icon-text-cancel.svg")}
-                />
-                </div>
-            </div>
-        );
-    }
-
     render() {
         const controls = [
             this.state.me ? <ComposerAvatar key="controls_avatar" me={this.state.me} /> : null,
@@ -409,22 +391,21 @@ export default class MessageComposer extends React.Component {
             // check separately for whether we can call, but this is slightly
             // complex because of conference calls.
 
-            const MessageComposerInput = sdk.getComponent("rooms.MessageComposerInput");
-            const showFormattingButton = this.state.inputState.isRichTextEnabled;
+            const SendMessageComposer = sdk.getComponent("rooms.SendMessageComposer");
             const callInProgress = this.props.callState && this.props.callState !== 'ended';
 
             controls.push(
-                <MessageComposerInput
-                    ref={(c) => this.messageComposerInput = c}
+                <SendMessageComposer
                     key="controls_input"
                     room={this.props.room}
                     placeholder={this.renderPlaceholderText()}
-                    onInputStateChanged={this.onInputStateChanged}
-                    permalinkCreator={this.props.permalinkCreator} />,
-                showFormattingButton ? <FormattingButton key="controls_formatting"
-                    showFormatting={this.state.showFormatting} onClickHandler={this.onToggleFormattingClicked} /> : null,
+                    permalinkCreator={this.props.permalinkCreator}
+                    sendAt={this.state.sendAt}
+                    onMessageScheduled={this.onMessageScheduled} />,
                 <Stickerpicker key='stickerpicker_controls_button' room={this.props.room} />,
+                <EmojiButton key="controls_emoji" room={this.props.room} />,
                 <UploadButton key="controls_upload" roomId={this.props.room.roomId} />,
+                <ScheduleButton key="controls_schedule" onClick={this.onScheduleClicked} />,
                 callInProgress ? <HangupButton key="controls_hangup" roomId={this.props.room.roomId} /> : null,
                 callInProgress ? null : <CallButton key="controls_call" roomId={this.props.room.roomId} />,
                 callInProgress ? null : <VideoCallButton key="controls_videocall" roomId={this.props.room.roomId} />,
@@ -458,7 +439,20 @@ export default class MessageComposer extends React.Component {
             );
         }
 
-        const showFormatBar = this.state.showFormatting && this.state.inputState.isRichTextEnabled;
+        let scheduleBar;
+        if (this.state.sendAt && !this.state.tombstone && this.state.canSendMessages) {
+            const showTwelveHour = SettingsStore.getValue("showTwelveHourTimestamps");
+            const sendAt = formatFullDate(new Date(this.state.sendAt), showTwelveHour);
+            scheduleBar = <div className="mx_MessageComposer_scheduleBar">
+                { _t("Your message will be sent on %(date)s. <changeText>Change</changeText> or " +
+                    "<sendNowText>send it now instead</sendNowText>.", {date: sendAt}, {
+                    changeText: (sub) => <a className="mx_MessageComposer_scheduleBar_link"
+                        onClick={this.onScheduleClicked}>{ sub }</a>,
+                    sendNowText: (sub) => <a className="mx_MessageComposer_scheduleBar_link"
+                        onClick={this.onSendNowClicked}>{ sub }</a>,
+                }) }
+            </div>;
+        }
 
         const wrapperClasses = classNames({
             mx_MessageComposer_wrapper: true,
@@ -466,12 +460,12 @@ export default class MessageComposer extends React.Component {
         });
         return (
             <div className="mx_MessageComposer">
+                { scheduleBar }
                 <div className={wrapperClasses}>
                     <div className="mx_MessageComposer_row">
                         { controls }
                     </div>
                 </div>
-                { showFormatBar ? this.renderFormatBar() : null }
             </div>
         );
     }
@@ -0,0 +1,93 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+import { _t, _td } from '../../../languageHandler';
+import sdk from '../../../index';
+import {Formatting, FORMATTING_KEY_BINDINGS} from '../../../editor/operations';
+import {getKeyBinding, keyBindingToString} from '../../../KeyBindings';
+
+const BUTTONS = [
+    {format: Formatting.Bold, label: _td("Bold")},
+    {format: Formatting.Italics, label: _td("Italics")},
+    {format: Formatting.Strikethrough, label: _td("Strikethrough")},
+    {format: Formatting.Code, label: _td("Code")},
+    {format: Formatting.Quote, label: _td("Quote")},
+    {format: Formatting.BulletedList, label: _td("Bulleted list")},
+    {format: Formatting.NumberedList, label: _td("Numbered list")},
+    {format: Formatting.Link, label: _td("Link")},
+];
+
+/*
+ * A toolbar which floats above the selection in an editor built on
+ * EditorModel, to format the selected text. The editor shows and hides it
+ * as the selection changes.
+ */
+export default class MessageComposerFormatBar extends React.PureComponent {
+    static propTypes = {
+        // called with one of Formatting when a button is clicked
+        onAction: PropTypes.func.isRequired,
+    };
+
+    constructor(props) {
+        super(props);
+        this.state = {visible: false};
+        this._formatBarRef = null;
+    }
+
+    /**
+     * Shows the toolbar centred above the selection.
+     * @param {ClientRect} selectionRect the bounding rect of the selection
+     */
+    showAt(selectionRect) {
+        this._formatBarRef.style.left = `${selectionRect.left + selectionRect.width / 2}px`;
+        this._formatBarRef.style.top = `${selectionRect.top}px`;
+        this.setState({visible: true});
+    }
+
+    hide() {
+        this.setState({visible: false});
+    }
+
+    // keep the focus, and so the selection, in the editor
+    _onMouseDown = (ev) => {
+        ev.preventDefault();
+    };
+
+    render() {
+        const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
+        const buttons = BUTTONS.map(({format, label}) => {
+            const keyBinding = getKeyBinding(FORMATTING_KEY_BINDINGS[format]);
+            const title = keyBinding ? `${_t(label)} (${keyBindingToString(keyBinding)})` : _t(label);
+            return <AccessibleButton
+                key={format}
+                className={`mx_MessageComposerFormatBar_button mx_MessageComposerFormatBar_button_${format}`}
+                title={title}
+                aria-label={_t(label)}
+                onMouseDown={this._onMouseDown}
+                onClick={() => this.props.onAction(format)}
+            />;
+        });
+        const classes = classNames("mx_MessageComposerFormatBar", {
+            mx_MessageComposerFormatBar_shown: this.state.visible,
+        });
+        return <div className={classes} ref={ref => this._formatBarRef = ref}>
+            { buttons }
+        </div>;
+    }
+}
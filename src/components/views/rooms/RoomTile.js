@@ -31,6 +31,8 @@ import AccessibleButton from '../elements/AccessibleButton';
 import ActiveRoomObserver from '../../../ActiveRoomObserver';
 import RoomViewStore from '../../../stores/RoomViewStore';
 import SettingsStore from '../../../settings/SettingsStore';
+import DraftStore from '../../../stores/DraftStore';
+import { _t } from '../../../languageHandler';
 // import { setInterval } from 'timers';
 
 module.exports = React.createClass({
@@ -89,7 +91,8 @@ module.exports = React.createClass({
             selected: this.props.room.roomId === RoomViewStore.getRoomId(),
             statusMessage: this._getStatusMessage(),
             room: this.props.room,
-            isPartnerOnline: false // keep state of user in direct message
+            isPartnerOnline: false, // keep state of user in direct message
+            hasDraft: DraftStore.hasDraft(this.props.room.roomId),
         };
     },
 
@@ -174,6 +177,13 @@ module.exports = React.createClass({
         });
     },
 
+    _onDraftStoreUpdate: function(roomId) {
+        if (roomId !== this.props.room.roomId) return;
+        this.setState({
+            hasDraft: DraftStore.hasDraft(this.props.room.roomId),
+        });
+    },
+
     componentWillMount: function() {
         MatrixClientPeg.get().on('accountData', this.onAccountData);
         MatrixClientPeg.get().on('Room.name', this.onRoomName);
@@ -182,6 +192,7 @@ module.exports = React.createClass({
             this._onActiveRoomChange
         );
         this.dispatcherRef = dis.register(this.onAction);
+        DraftStore.on('update', this._onDraftStoreUpdate);
 
         if (this._shouldShowStatusMessage()) {
             const statusUser = this._getStatusMessageUser();
@@ -208,6 +219,7 @@ module.exports = React.createClass({
             this._onActiveRoomChange
         );
         dis.unregister(this.dispatcherRef);
+        DraftStore.removeListener('update', this._onDraftStoreUpdate);
 
         if (this._shouldShowStatusMessage()) {
             const statusUser = this._getStatusMessageUser();
@@ -390,6 +402,7 @@ module.exports = React.createClass({
 
         let label;
         let subtextLabel;
+        let draftIndicator;
         let tooltip;
         if (!this.props.collapsed) {
             const nameClasses = classNames({
@@ -407,6 +420,14 @@ module.exports = React.createClass({
                     {name}
                 </div>
             );
+            if (this.state.hasDraft) {
+                draftIndicator = (
+                    <div
+                        className='mx_RoomTile_draft'
+                        title={_t('You have an unsent draft in this room')}
+                    />
+                );
+            }
         } else if (this.state.hover) {
             const Tooltip = sdk.getComponent('elements.Tooltip');
             tooltip = (
@@ -477,6 +498,7 @@ module.exports = React.createClass({
                         {label}
                         {subtextLabel}
                     </div>
+                    {draftIndicator}
                     {contextMenuButton}
                     {badge}
                 </div>
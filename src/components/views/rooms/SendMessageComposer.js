@@ -0,0 +1,391 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {MatrixClient} from 'matrix-js-sdk';
+import {_t} from '../../../languageHandler';
+import sdk from '../../../index';
+import dis from '../../../dispatcher';
+import Modal from '../../../Modal';
+import EditorModel from '../../../editor/model';
+import {CommandPartCreator} from '../../../editor/parts';
+import {htmlSerializeIfNeeded, textSerialize} from '../../../editor/serialize';
+import {parseContent, parseQuote} from '../../../editor/deserialize';
+import {processCommandInput} from '../../../SlashCommands';
+import {findEditableEvent} from '../../../utils/EventUtils';
+import {RoomPermalinkCreator} from '../../../matrix-to';
+import {createScheduledMessage} from '../../../ScheduledMessages';
+import SendHistoryManager from '../../../SendHistoryManager';
+import RoomViewStore from '../../../stores/RoomViewStore';
+import DraftStore from '../../../stores/DraftStore';
+import TypingStore from '../../../stores/TypingStore';
+import ReplyThread from '../elements/ReplyThread';
+import ReplyPreview from './ReplyPreview';
+import BasicMessageComposer from './BasicMessageComposer';
+import {getCustomEmoji} from '../../../CustomEmoji';
+
+function containsEmote(model) {
+    return textSerialize(model).startsWith("/me ");
+}
+
+function isSlashCommand(model) {
+    const firstPart = model.parts[0];
+    return firstPart && (firstPart.type === "command" || firstPart.type === "plain") &&
+        firstPart.text.startsWith("/");
+}
+
+function addReplyToMessageContent(content, repliedToEvent, permalinkCreator) {
+    const replyContent = ReplyThread.makeReplyMixIn(repliedToEvent);
+    Object.assign(content, replyContent);
+
+    // Part of Replies fallback support - prepend the text we're sending
+    // with the text we're replying to
+    const nestedReply = ReplyThread.getNestedReplyText(repliedToEvent, permalinkCreator);
+    if (nestedReply) {
+        if (content.formatted_body) {
+            content.formatted_body = nestedReply.html + content.formatted_body;
+        }
+        content.body = nestedReply.body + content.body;
+    }
+}
+
+/**
+ * Creates the content of the message to send from the composer.
+ * @param {EditorModel} model The model of the composer.
+ * @param {RoomPermalinkCreator} permalinkCreator For the fallback of replies.
+ * @param {MatrixEvent=} repliedToEvent The event the message replies to, if any.
+ * @param {Room=} room The room the message is for, whose custom emoji can be used in it.
+ * @return {Object} The content of the message.
+ */
+export function createMessageContent(model, permalinkCreator, repliedToEvent, room) {
+    const isEmote = containsEmote(model);
+    if (isEmote) {
+        // trim "/me "
+        model = model.clone();
+        model.removeText({index: 0, offset: 0}, 4);
+    }
+    const body = textSerialize(model);
+    const content = {
+        msgtype: isEmote ? "m.emote" : "m.text",
+        body: body,
+    };
+    // replies always need HTML for the fallback quote
+    const formattedBody = htmlSerializeIfNeeded(model, {
+        forceHTML: !!repliedToEvent,
+        customEmoji: room ? getCustomEmoji(room) : [],
+    });
+    if (formattedBody) {
+        content.format = "org.matrix.custom.html";
+        content.formatted_body = formattedBody;
+    }
+
+    if (repliedToEvent) {
+        addReplyToMessageContent(content, repliedToEvent, permalinkCreator);
+    }
+
+    return content;
+}
+
+/*
+ * The composer at the bottom of a room, which sends messages and runs
+ * slash commands. Its contents are kept as a draft while unsent.
+ */
+export default class SendMessageComposer extends React.Component {
+    static propTypes = {
+        // js-sdk Room object
+        room: PropTypes.object.isRequired,
+        placeholder: PropTypes.string,
+        permalinkCreator: PropTypes.instanceOf(RoomPermalinkCreator).isRequired,
+
+        // if set, messages are scheduled to be sent at this timestamp
+        // rather than sent straight away
+        sendAt: PropTypes.number,
+
+        // callback for when a message has been scheduled
+        onMessageScheduled: PropTypes.func,
+    };
+
+    static contextTypes = {
+        matrixClient: PropTypes.instanceOf(MatrixClient).isRequired,
+    };
+
+    constructor(props, context) {
+        super(props, context);
+        const partCreator = new CommandPartCreator(props.room, context.matrixClient);
+        const draft = DraftStore.getDraft(props.room.roomId) || [];
+        this.model = new EditorModel(draft.map(p => partCreator.deserializePart(p)), partCreator);
+        this._editorRef = null;
+        this.historyManager = new SendHistoryManager(props.room.roomId);
+        // the serialized parts of the message being composed, while
+        // browsing the history
+        this._currentlyComposedParts = null;
+    }
+
+    componentWillMount() {
+        this.dispatcherRef = dis.register(this.onAction);
+    }
+
+    componentWillUnmount() {
+        dis.unregister(this.dispatcherRef);
+    }
+
+    onAction = (payload) => {
+        switch (payload.action) {
+            case 'reply_to_event':
+            case 'focus_composer':
+                this.focusComposer();
+                break;
+            case 'insert_mention': {
+                const member = this.props.room.getMember(payload.user_id);
+                const caret = this._editorRef.getCaret();
+                const atStart = !caret || caret.offset === 0;
+                const {partCreator} = this.model;
+                const mention = member ?
+                    partCreator.userPill(member.rawDisplayName, payload.user_id) :
+                    partCreator.plain(payload.user_id);
+                this._insertParts([mention, partCreator.plain(atStart ? ': ' : ' ')]);
+                break;
+            }
+            case 'quote':
+                this._insertParts(parseQuote(payload.event, this.model.partCreator));
+                break;
+            case 'insert_emoji':
+                this._insertParts([this.model.partCreator.plain(payload.text)]);
+                break;
+            case 'edit_scheduled_message':
+                if (payload.message.roomId === this.props.room.roomId) {
+                    this._loadScheduledMessage(payload.message.content);
+                }
+                break;
+        }
+    };
+
+    // inserts parts at the caret, or at the end if the editor doesn't have it
+    _insertParts(parts) {
+        const caret = this._editorRef.getCaret();
+        const offset = caret ? caret.offset : this.model.getText().length;
+        this.model.transform(() => offset + this.model.insertPartsAt(offset, parts));
+        this._editorRef.focus();
+    }
+
+    // Puts a scheduled message back in the composer so that it can be changed
+    // and scheduled again.
+    _loadScheduledMessage(content) {
+        const relatesTo = content['m.relates_to'];
+        const replyToId = relatesTo && relatesTo['m.in_reply_to'] && relatesTo['m.in_reply_to']['event_id'];
+        if (replyToId) {
+            // the fallback gets added again when the message is sent, if
+            // we can still find the event to reply to.
+            content = Object.assign({}, content, {body: ReplyThread.stripPlainReply(content.body)});
+            if (content.formatted_body) {
+                content.formatted_body = ReplyThread.stripHTMLReply(content.formatted_body);
+            }
+            const replyToEv = this.props.room.findEventById(replyToId);
+            if (replyToEv) {
+                dis.dispatch({
+                    action: 'reply_to_event',
+                    event: replyToEv,
+                });
+            }
+        }
+        this.model.reset(parseContent(content, this.model.partCreator));
+        this._editorRef.focus();
+    }
+
+    _onChange = (model) => {
+        // Keep the message as a draft, so it's still there after switching
+        // to another room and back
+        DraftStore.setDraft(this.props.room.roomId, null, model.serializeParts());
+        TypingStore.sharedInstance().setSelfTyping(this.props.room.roomId, !model.isEmpty);
+    };
+
+    _onKeyDown = (event) => {
+        const hasModifier = event.altKey || event.ctrlKey || event.metaKey || event.shiftKey;
+        if (event.key === "Enter" && !hasModifier) {
+            this._sendMessage();
+            event.preventDefault();
+        } else if (event.key === "ArrowUp" || event.key === "ArrowDown") {
+            this._onVerticalArrow(event, event.key === "ArrowUp");
+        }
+    };
+
+    _onVerticalArrow(event, up) {
+        if (event.ctrlKey || event.shiftKey || event.metaKey) return;
+
+        // selection must be collapsed
+        if (!document.getSelection().isCollapsed) return;
+        // and we must be at the edge of the document (up=start, down=end)
+        if (up ? !this._editorRef.isCaretAtStart() : !this._editorRef.isCaretAtEnd()) return;
+
+        if (event.altKey) {
+            // Try select composer history
+            if (this._selectHistory(up)) {
+                // We're selecting history, so prevent the key event from doing anything else
+                event.preventDefault();
+            }
+        } else if (up && !RoomViewStore.getQuotingEvent()) {
+            const editEvent = findEditableEvent(this.props.room, false);
+            if (editEvent) {
+                event.preventDefault();
+                dis.dispatch({
+                    action: 'edit_event',
+                    event: editEvent,
+                });
+            }
+        }
+    }
+
+    _selectHistory(up) {
+        const {historyManager} = this;
+        if (historyManager.history.length === 0) return false;
+        const delta = up ? -1 : 1;
+        let serializedParts;
+
+        // True if we are not currently selecting history, but composing a message
+        if (historyManager.currentIndex === historyManager.history.length) {
+            // We can't go any further - there isn't any more history, so nop.
+            if (!up) return false;
+            this._currentlyComposedParts = this.model.serializeParts();
+            serializedParts = historyManager.getItem(delta);
+        } else if (historyManager.currentIndex + delta === historyManager.history.length) {
+            // True when we return to the message being composed currently
+            historyManager.currentIndex = historyManager.history.length;
+            serializedParts = this._currentlyComposedParts;
+        } else {
+            serializedParts = historyManager.getItem(delta);
+        }
+
+        const {partCreator} = this.model;
+        this.model.reset(serializedParts.map(p => partCreator.deserializePart(p)));
+        return true;
+    }
+
+    _sendMessage() {
+        if (textSerialize(this.model).trim().length === 0) return;
+
+        if (!containsEmote(this.model) && isSlashCommand(this.model)) {
+            // commands without a runFn, like /me, are sent as messages
+            const cmd = processCommandInput(this.props.room.roomId, textSerialize(this.model));
+            if (cmd) {
+                this._runSlashCommand(cmd);
+                return;
+            }
+        }
+
+        const replyingToEv = RoomViewStore.getQuotingEvent();
+        if (replyingToEv && containsEmote(this.model)) {
+            const ErrorDialog = sdk.getComponent("dialogs.ErrorDialog");
+            Modal.createTrackedDialog('Emote Reply Fail', '', ErrorDialog, {
+                title: _t("Unable to reply"),
+                description: _t("At this time it is not possible to reply with an emote."),
+            });
+            return;
+        }
+
+        const content = createMessageContent(this.model, this.props.permalinkCreator, replyingToEv, this.props.room);
+        if (replyingToEv) {
+            // Clear reply_to_event as we put the message into the queue
+            // if the send fails, retry will handle resending.
+            dis.dispatch({
+                action: 'reply_to_event',
+                event: null,
+            });
+        }
+
+        const roomId = this.props.room.roomId;
+        if (this.props.sendAt) {
+            dis.dispatch({
+                action: 'schedule_message',
+                message: createScheduledMessage(roomId, content, this.props.sendAt),
+            });
+            if (this.props.onMessageScheduled) this.props.onMessageScheduled();
+        } else {
+            this.context.matrixClient.sendMessage(roomId, content).then(() => {
+                dis.dispatch({
+                    action: 'message_sent',
+                });
+            }).catch((err) => {
+                console.log('SendMessageComposer got send failure: ' + err.name + '(' + err + ')');
+                dis.dispatch({
+                    action: 'message_send_failed',
+                });
+            });
+        }
+
+        this._clearComposer();
+    }
+
+    _runSlashCommand(cmd) {
+        if (cmd.error) {
+            console.error(cmd.error);
+            const ErrorDialog = sdk.getComponent("dialogs.ErrorDialog");
+            // TODO possibly track which command they ran (not its Arguments) here
+            Modal.createTrackedDialog('Command error', '', ErrorDialog, {
+                title: _t("Command error"),
+                description: cmd.error,
+            });
+            return;
+        }
+        this._clearComposer();
+        if (cmd.promise) {
+            cmd.promise.then(() => {
+                console.log("Command success.");
+            }, (err) => {
+                console.error("Command failure: %s", err);
+                const ErrorDialog = sdk.getComponent("dialogs.ErrorDialog");
+                Modal.createTrackedDialog('Server error', '', ErrorDialog, {
+                    title: _t("Server error"),
+                    description: ((err && err.message) ? err.message : _t(
+                        "Server unavailable, overloaded, or something else went wrong.",
+                    )),
+                });
+            });
+        }
+    }
+
+    // saves the message to the history, and empties the composer,
+    // which also removes the draft.
+    _clearComposer() {
+        this.historyManager.save(this.model.serializeParts());
+        this._currentlyComposedParts = null;
+        this.model.reset([]);
+        this._editorRef.focus();
+    }
+
+    focusComposer = () => {
+        this._editorRef.focus();
+    };
+
+    render() {
+        return (
+            <div className="mx_SendMessageComposer" onClick={this.focusComposer}>
+                <div className="mx_SendMessageComposer_overlayWrapper">
+                    <ReplyPreview permalinkCreator={this.props.permalinkCreator} />
+                </div>
+                <BasicMessageComposer
+                    ref={ref => this._editorRef = ref}
+                    model={this.model}
+                    room={this.props.room}
+                    placeholder={this.props.placeholder}
+                    label={this.props.placeholder}
+                    onChange={this._onChange}
+                    onKeyDown={this._onKeyDown}
+                />
+            </div>
+        );
+    }
+}
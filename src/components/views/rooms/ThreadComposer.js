@@ -0,0 +1,108 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {MatrixClient, MatrixEvent} from 'matrix-js-sdk';
+import {_t} from '../../../languageHandler';
+import sdk from '../../../index';
+import dis from '../../../dispatcher';
+import EditorModel from '../../../editor/model';
+import {textSerialize} from '../../../editor/serialize';
+import {PartCreator} from '../../../editor/parts';
+import {RoomPermalinkCreator} from '../../../matrix-to';
+import DraftStore from '../../../stores/DraftStore';
+import BasicMessageComposer from './BasicMessageComposer';
+import {createMessageContent} from './SendMessageComposer';
+
+/*
+ * A composer which sends every message as a reply to a given event, used
+ * to reply within a thread in the ThreadPanel.
+ */
+export default class ThreadComposer extends React.Component {
+    static propTypes = {
+        // the event that messages sent from this composer reply to
+        replyToEvent: PropTypes.instanceOf(MatrixEvent).isRequired,
+        permalinkCreator: PropTypes.instanceOf(RoomPermalinkCreator).isRequired,
+        // the ID of the first event of the thread, which the draft is kept under
+        threadId: PropTypes.string.isRequired,
+    };
+
+    static contextTypes = {
+        matrixClient: PropTypes.instanceOf(MatrixClient).isRequired,
+    };
+
+    constructor(props, context) {
+        super(props, context);
+        const partCreator = new PartCreator(this._getRoom(), context.matrixClient);
+        const draft = DraftStore.getDraft(this._getRoom().roomId, props.threadId) || [];
+        this.model = new EditorModel(draft.map(p => partCreator.deserializePart(p)), partCreator);
+        this._editorRef = null;
+    }
+
+    _getRoom() {
+        return this.context.matrixClient.getRoom(this.props.replyToEvent.getRoomId());
+    }
+
+    _onChange = (model) => {
+        DraftStore.setDraft(this._getRoom().roomId, this.props.threadId, model.serializeParts());
+    }
+
+    _onKeyDown = (event) => {
+        const hasModifier = event.altKey || event.ctrlKey || event.metaKey || event.shiftKey;
+        if (event.key === "Enter" && !hasModifier) {
+            this._sendReply();
+            event.preventDefault();
+        }
+    }
+
+    _sendReply = () => {
+        if (textSerialize(this.model).trim().length === 0) return;
+
+        const {replyToEvent, permalinkCreator} = this.props;
+        const content = createMessageContent(this.model, permalinkCreator, replyToEvent, this._getRoom());
+        const roomId = replyToEvent.getRoomId();
+        this.context.matrixClient.sendMessage(roomId, content).then(() => {
+            dis.dispatch({action: 'message_sent'});
+        }).catch((err) => {
+            console.log('ThreadComposer got send failure: ' + err.name + '(' + err + ')');
+            dis.dispatch({action: 'message_send_failed'});
+        });
+
+        this.model.reset([]);
+        this._editorRef.focus();
+    }
+
+    focus() {
+        if (this._editorRef) this._editorRef.focus();
+    }
+
+    render() {
+        const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
+        return <div className="mx_ThreadComposer">
+            <BasicMessageComposer
+                ref={ref => this._editorRef = ref}
+                className="mx_ThreadComposer_editor"
+                model={this.model}
+                room={this._getRoom()}
+                label={_t("Reply in thread…")}
+                onChange={this._onChange}
+                onKeyDown={this._onKeyDown}
+            />
+            <AccessibleButton kind="primary" onClick={this._sendReply}>{_t("Reply")}</AccessibleButton>
+        </div>;
+    }
+}
@@ -0,0 +1,193 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import sdk from '../../../index';
+import { _t } from '../../../languageHandler';
+import Modal from '../../../Modal';
+import MatrixClientPeg from '../../../MatrixClientPeg';
+import {
+    CUSTOM_EMOJI_EVENT_TYPE,
+    deleteRoomEmojiPack,
+    deleteUserEmojiPack,
+    getRoomEmojiPacks,
+    getUserEmojiPacks,
+    saveRoomEmojiPack,
+    saveUserEmojiPack,
+} from '../../../CustomEmoji';
+
+// how many of a pack's emoji to show next to its name
+const PREVIEW_COUNT = 5;
+
+/*
+ * Lists the user's custom emoji packs, or a room's, and lets them be added,
+ * changed and removed.
+ */
+export default class CustomEmojiPacks extends React.Component {
+    static propTypes = {
+        // the room whose packs to manage, if not the user's own
+        room: PropTypes.object,
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            packs: this._getPacks(),
+        };
+    }
+
+    componentDidMount() {
+        const cli = MatrixClientPeg.get();
+        cli.on("accountData", this._onAccountData);
+        cli.on("RoomState.events", this._onRoomStateEvents);
+    }
+
+    componentWillUnmount() {
+        const cli = MatrixClientPeg.get();
+        if (cli) {
+            cli.removeListener("accountData", this._onAccountData);
+            cli.removeListener("RoomState.events", this._onRoomStateEvents);
+        }
+    }
+
+    _getPacks() {
+        return this.props.room ? getRoomEmojiPacks(this.props.room) : getUserEmojiPacks();
+    }
+
+    _onAccountData = (ev) => {
+        if (!this.props.room && ev.getType() === CUSTOM_EMOJI_EVENT_TYPE) {
+            this.setState({packs: this._getPacks()});
+        }
+    };
+
+    _onRoomStateEvents = (ev) => {
+        if (this.props.room && ev.getRoomId() === this.props.room.roomId && ev.getType() === CUSTOM_EMOJI_EVENT_TYPE) {
+            this.setState({packs: this._getPacks()});
+        }
+    };
+
+    _canEdit() {
+        if (!this.props.room) return true;
+        return this.props.room.currentState.mayClientSendStateEvent(CUSTOM_EMOJI_EVENT_TYPE, MatrixClientPeg.get());
+    }
+
+    _showError(title, e) {
+        const ErrorDialog = sdk.getComponent('dialogs.ErrorDialog');
+        Modal.createTrackedDialog('Custom emoji pack failed', '', ErrorDialog, {
+            title,
+            description: (e && e.message) ? e.message : _t("Operation failed"),
+        });
+    }
+
+    _editPack(pack) {
+        const CustomEmojiPackDialog = sdk.getComponent('dialogs.CustomEmojiPackDialog');
+        Modal.createTrackedDialog('Custom emoji pack', '', CustomEmojiPackDialog, {
+            pack,
+            onFinished: async (saved, newPack) => {
+                if (!saved) return;
+                try {
+                    if (this.props.room) {
+                        await saveRoomEmojiPack(this.props.room.roomId, newPack);
+                    } else {
+                        await saveUserEmojiPack(newPack);
+                    }
+                } catch (e) {
+                    console.error("Failed to save custom emoji pack", e);
+                    this._showError(_t("Failed to save the emoji pack"), e);
+                }
+            },
+        });
+    }
+
+    _onAddClick = () => {
+        this._editPack(null);
+    };
+
+    async _deletePack(pack) {
+        try {
+            if (this.props.room) {
+                await deleteRoomEmojiPack(this.props.room.roomId, pack.id);
+            } else {
+                await deleteUserEmojiPack(pack.id);
+            }
+        } catch (e) {
+            console.error("Failed to remove custom emoji pack", e);
+            this._showError(_t("Failed to remove the emoji pack"), e);
+        }
+    }
+
+    _renderPack(pack, canEdit) {
+        const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
+        const cli = MatrixClientPeg.get();
+
+        const emoji = Object.entries(pack.emoji);
+        const preview = emoji.slice(0, PREVIEW_COUNT).map(([shortcode, {url}]) => {
+            return <img key={shortcode} src={cli.mxcUrlToHttp(url, 32, 32, 'scale')}
+                alt={`:${shortcode}:`} title={`:${shortcode}:`} />;
+        });
+
+        let buttons;
+        if (canEdit) {
+            buttons = <div className="mx_CustomEmojiPacks_buttons">
+                <AccessibleButton kind="primary_sm" onClick={() => this._editPack(pack)}>
+                    { _t("Edit") }
+                </AccessibleButton>
+                <AccessibleButton kind="danger_sm" onClick={() => this._deletePack(pack)}>
+                    { _t("Remove") }
+                </AccessibleButton>
+            </div>;
+        }
+
+        return <div key={pack.id} className="mx_CustomEmojiPacks_pack">
+            <div className="mx_CustomEmojiPacks_name">
+                { pack.name }
+                <span className="mx_CustomEmojiPacks_count">
+                    { _t("%(count)s emoji", {count: emoji.length}) }
+                </span>
+            </div>
+            <div className="mx_CustomEmojiPacks_preview">{ preview }</div>
+            { buttons }
+        </div>;
+    }
+
+    render() {
+        const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
+        const canEdit = this._canEdit();
+
+        let packs;
+        if (this.state.packs.length) {
+            packs = this.state.packs.map((pack) => this._renderPack(pack, canEdit));
+        } else {
+            packs = <div className="mx_SettingsTab_subsectionText">
+                { this.props.room ? _t("This room has no custom emoji.") : _t("You have no custom emoji.") }
+            </div>;
+        }
+
+        let addButton;
+        if (canEdit) {
+            addButton = <AccessibleButton kind="primary" onClick={this._onAddClick}>
+                { _t("Add emoji pack") }
+            </AccessibleButton>;
+        }
+
+        return <div className="mx_CustomEmojiPacks">
+            { packs }
+            { addButton }
+        </div>;
+    }
+}
@@ -0,0 +1,137 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import sdk from '../../../index';
+import { _t } from '../../../languageHandler';
+import MatrixClientPeg from '../../../MatrixClientPeg';
+import { SettingLevel } from '../../../settings/SettingsStore';
+import PolicyLists, { RuleKind } from '../../../PolicyLists';
+
+/*
+ * Lists the policy lists the user has subscribed to, and lets them
+ * subscribe to more by the address of the list's room.
+ */
+export default class PolicyListSettings extends React.Component {
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            roomIds: PolicyLists.getRoomIds(),
+            newList: "",
+            busy: false,
+            error: null,
+        };
+    }
+
+    componentDidMount() {
+        PolicyLists.on("update", this._onUpdate);
+    }
+
+    componentWillUnmount() {
+        PolicyLists.removeListener("update", this._onUpdate);
+    }
+
+    _onUpdate = () => {
+        this.setState({roomIds: PolicyLists.getRoomIds()});
+    };
+
+    _onNewListChange = (ev) => {
+        this.setState({newList: ev.target.value, error: null});
+    };
+
+    _onSubscribeClick = async (ev) => {
+        ev.preventDefault();
+        const newList = this.state.newList.trim();
+        if (!newList) return;
+
+        this.setState({busy: true, error: null});
+        try {
+            await PolicyLists.subscribe(newList);
+            this.setState({newList: ""});
+        } catch (e) {
+            console.error("Failed to subscribe to policy list " + newList, e);
+            this.setState({error: _t("Failed to subscribe to the list: %(message)s", {message: e.message})});
+        } finally {
+            this.setState({busy: false});
+        }
+    };
+
+    _onUnsubscribeClick = async (roomId) => {
+        try {
+            await PolicyLists.unsubscribe(roomId);
+        } catch (e) {
+            console.error("Failed to unsubscribe from policy list " + roomId, e);
+            this.setState({error: _t("Failed to unsubscribe from the list: %(message)s", {message: e.message})});
+        }
+    };
+
+    _renderList(roomId) {
+        const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
+        const room = MatrixClientPeg.get().getRoom(roomId);
+        const rules = PolicyLists.getRules().filter((rule) => rule.listRoomId === roomId);
+        const users = rules.filter((rule) => rule.kind === RuleKind.User).length;
+        const servers = rules.filter((rule) => rule.kind === RuleKind.Server).length;
+
+        return <div key={roomId} className="mx_PolicyListSettings_list">
+            <AccessibleButton kind="danger_sm" onClick={() => this._onUnsubscribeClick(roomId)}>
+                { _t("Unsubscribe") }
+            </AccessibleButton>
+            <span className="mx_PolicyListSettings_name">{ room ? room.name : roomId }</span>
+            <span className="mx_PolicyListSettings_counts">
+                { _t("%(users)s users and %(servers)s servers", {users, servers}) }
+            </span>
+        </div>;
+    }
+
+    render() {
+        const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
+        const Field = sdk.getComponent('elements.Field');
+        const SettingsFlag = sdk.getComponent('elements.SettingsFlag');
+
+        let lists;
+        if (this.state.roomIds.length) {
+            lists = this.state.roomIds.map((roomId) => this._renderList(roomId));
+        } else {
+            lists = <div>{ _t("You aren't subscribed to any ban lists.") }</div>;
+        }
+
+        let error;
+        if (this.state.error) {
+            error = <div className="error">{ this.state.error }</div>;
+        }
+
+        return <div className="mx_PolicyListSettings">
+            <div className="mx_SettingsTab_subsectionText">
+                { _t("Ban lists are rooms which list users and servers to avoid. Users on the lists you " +
+                    "subscribe to are marked in member lists, and you can ban them from rooms you moderate.") }
+            </div>
+            { lists }
+            <form className="mx_PolicyListSettings_subscribe" onSubmit={this._onSubscribeClick} autoComplete="off">
+                <Field id="mx_PolicyListSettings_newList" type="text" label={_t("Room address of a ban list")}
+                    placeholder="#bans:example.org" value={this.state.newList}
+                    onChange={this._onNewListChange} disabled={this.state.busy} />
+                <AccessibleButton kind="primary" onClick={this._onSubscribeClick}
+                    disabled={this.state.busy || !this.state.newList.trim()}
+                >
+                    { _t("Subscribe") }
+                </AccessibleButton>
+            </form>
+            { error }
+            <SettingsFlag name="hidePolicyListBannedMessages" level={SettingLevel.ACCOUNT} />
+        </div>;
+    }
+}
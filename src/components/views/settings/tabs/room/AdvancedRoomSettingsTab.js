@@ -73,6 +73,12 @@ export default class AdvancedRoomSettingsTab extends React.Component {
         Modal.createDialog(DevtoolsDialog, {roomId: this.props.roomId});
     };
 
+    _exportRoom = (e) => {
+        const ExportRoomDialog = sdk.getComponent('dialogs.ExportRoomDialog');
+        const room = MatrixClientPeg.get().getRoom(this.props.roomId);
+        Modal.createTrackedDialog('Export Room', '', ExportRoomDialog, {room: room});
+    };
+
     _onOldRoomClicked = (e) => {
         e.preventDefault();
         e.stopPropagation();
@@ -149,6 +155,15 @@ export default class AdvancedRoomSettingsTab extends React.Component {
                     {oldRoomLink}
                     {roomUpgradeButton}
                 </div>
+                <div className='mx_SettingsTab_section mx_SettingsTab_subsectionText'>
+                    <span className='mx_SettingsTab_subheading'>{_t("Export chat")}</span>
+                    <div>
+                        {_t("Save the history of this room as a web page, plain text or JSON.")}
+                    </div>
+                    <AccessibleButton onClick={this._exportRoom} kind='primary'>
+                        {_t("Export chat")}
+                    </AccessibleButton>
+                </div>
                 <div className='mx_SettingsTab_section mx_SettingsTab_subsectionText'>
                     <span className='mx_SettingsTab_subheading'>{_t("Developer options")}</span>
                     <AccessibleButton onClick={this._openDevtools} kind='primary'>
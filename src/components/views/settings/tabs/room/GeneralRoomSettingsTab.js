@@ -91,6 +91,7 @@ export default class GeneralRoomSettingsTab extends React.Component {
         const UrlPreviewSettings = sdk.getComponent(
             'room_settings.UrlPreviewSettings'
         );
+        const CustomEmojiPacks = sdk.getComponent('settings.CustomEmojiPacks');
 
         const client = MatrixClientPeg.get();
         const room = client.getRoom(this.props.roomId);
@@ -168,6 +169,13 @@ export default class GeneralRoomSettingsTab extends React.Component {
                     <UrlPreviewSettings room={room} />
                 </div>
 
+                <span className='mx_SettingsTab_subheading'>
+                    {_t('Custom emoji')}
+                </span>
+                <div className='mx_SettingsTab_section'>
+                    <CustomEmojiPacks room={room} />
+                </div>
+
                 <span className='mx_SettingsTab_subheading'>
                     {_t('Leave room')}
                 </span>
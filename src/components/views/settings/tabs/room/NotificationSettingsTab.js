@@ -20,8 +20,14 @@ import {_t} from "../../../../../languageHandler";
 import MatrixClientPeg from "../../../../../MatrixClientPeg";
 import AccessibleButton from "../../../elements/AccessibleButton";
 import Notifier from "../../../../../Notifier";
+import Modal from "../../../../../Modal";
 import SettingsStore from '../../../../../settings/SettingsStore';
 import { SettingLevel } from '../../../../../settings/SettingsStore';
+import * as RoomNotifs from '../../../../../RoomNotifs';
+import sdk from '../../../../../index';
+
+// how many of the room's recent messages to show when previewing a keyword
+const KEYWORD_PREVIEW_LIMIT = 5;
 
 export default class NotificationsSettingsTab extends React.Component {
     static propTypes = {
@@ -34,6 +40,8 @@ export default class NotificationsSettingsTab extends React.Component {
         this.state = {
             currentSound: "default",
             uploadedFile: null,
+            keywordRules: [],
+            newKeyword: "",
         };
     }
 
@@ -44,8 +52,59 @@ export default class NotificationsSettingsTab extends React.Component {
             }
             this.setState({currentSound: soundData.name || soundData.url});
         });
+
+        this.setState({keywordRules: RoomNotifs.getRoomKeywordRules(this.props.roomId)});
+        MatrixClientPeg.get().on("accountData", this._onAccountData);
     }
 
+    componentWillUnmount() {
+        MatrixClientPeg.get().removeListener("accountData", this._onAccountData);
+    }
+
+    _onAccountData = (ev) => {
+        if (ev.getType() !== "m.push_rules") return;
+        this.setState({keywordRules: RoomNotifs.getRoomKeywordRules(this.props.roomId)});
+    };
+
+    _onNewKeywordChanged = (newKeyword) => {
+        this.setState({newKeyword});
+    };
+
+    _onKeywordAdded = async (keyword) => {
+        keyword = keyword.trim();
+        if (!keyword) return;
+        if (this.state.keywordRules.some((rule) => rule.pattern === keyword)) {
+            this.setState({newKeyword: ""});
+            return;
+        }
+
+        try {
+            await RoomNotifs.addRoomKeywordRule(this.props.roomId, keyword);
+            this.setState({newKeyword: ""});
+        } catch (e) {
+            console.error(`Unable to add notification keyword for ${this.props.roomId}`, e);
+            const ErrorDialog = sdk.getComponent("dialogs.ErrorDialog");
+            Modal.createTrackedDialog('Failed to add keyword', '', ErrorDialog, {
+                title: _t("Failed to add keyword"),
+                description: ((e && e.message) ? e.message : _t("Operation failed")),
+            });
+        }
+    };
+
+    _onKeywordRemoved = async (index) => {
+        const rule = this.state.keywordRules[index];
+        try {
+            await RoomNotifs.removeRoomKeywordRule(rule.ruleId);
+        } catch (e) {
+            console.error(`Unable to remove notification keyword for ${this.props.roomId}`, e);
+            const ErrorDialog = sdk.getComponent("dialogs.ErrorDialog");
+            Modal.createTrackedDialog('Failed to remove keyword', '', ErrorDialog, {
+                title: _t("Failed to remove keyword"),
+                description: ((e && e.message) ? e.message : _t("Operation failed")),
+            });
+        }
+    };
+
     async _triggerUploader(e) {
         e.stopPropagation();
         e.preventDefault();
@@ -133,7 +192,40 @@ export default class NotificationsSettingsTab extends React.Component {
         });
     }
 
+    _renderKeywordPreview() {
+        const keyword = this.state.newKeyword.trim();
+        if (!keyword) return null;
+
+        const cli = MatrixClientPeg.get();
+        const room = cli.getRoom(this.props.roomId);
+        const matches = [];
+        if (room) {
+            const events = room.getLiveTimeline().getEvents();
+            for (let i = events.length - 1; i >= 0 && matches.length < KEYWORD_PREVIEW_LIMIT; --i) {
+                const ev = events[i];
+                if (ev.getType() !== "m.room.message" || ev.getSender() === cli.getUserId()) continue;
+                if (RoomNotifs.eventMatchesKeyword(ev, keyword)) matches.push(ev);
+            }
+        }
+
+        if (!matches.length) {
+            return <div className="mx_NotificationSettingsTab_keywordPreview">
+                { _t("None of the recent messages in this room would have notified you for this keyword.") }
+            </div>;
+        }
+        return <div className="mx_NotificationSettingsTab_keywordPreview">
+            { _t("Recent messages which would have notified you for this keyword:") }
+            <ul>
+                { matches.reverse().map((ev) => <li key={ev.getId()}>
+                    <b>{ ev.sender ? ev.sender.name : ev.getSender() }</b>: { ev.getContent().body }
+                </li>) }
+            </ul>
+        </div>;
+    }
+
     render() {
+        const EditableItemList = sdk.getComponent("elements.EditableItemList");
+
         let currentUploadedFile = null;
         if (this.state.uploadedFile) {
             currentUploadedFile = (
@@ -143,6 +235,13 @@ export default class NotificationsSettingsTab extends React.Component {
             );
         }
 
+        let mutedWarning;
+        if (RoomNotifs.getRoomNotifsState(this.props.roomId) === RoomNotifs.MUTE) {
+            mutedWarning = <div className="warning">
+                {_t("This room is muted, so keywords won't notify you until you unmute it.")}
+            </div>;
+        }
+
         return (
             <div className="mx_SettingsTab">
                 <div className="mx_SettingsTab_heading">{_t("Notifications")}</div>
@@ -172,6 +271,28 @@ export default class NotificationsSettingsTab extends React.Component {
                         <br />
                     </div>
                 </div>
+                <div className='mx_SettingsTab_section mx_SettingsTab_subsectionText'>
+                    <span className='mx_SettingsTab_subheading'>{_t("Keywords")}</span>
+                    <div>
+                        {_t("Get notified about messages in this room containing these words, " +
+                            "even if it only notifies you for mentions. Use * as a wildcard.")}
+                    </div>
+                    { mutedWarning }
+                    <EditableItemList
+                        id="notificationKeywords"
+                        items={this.state.keywordRules.map((rule) => rule.pattern)}
+                        itemsLabel={_t("Notify me for:")}
+                        noItemsLabel={_t("No keywords for this room yet")}
+                        placeholder={_t("New keyword")}
+                        newItem={this.state.newKeyword}
+                        onNewItemChanged={this._onNewKeywordChanged}
+                        onItemAdded={this._onKeywordAdded}
+                        onItemRemoved={this._onKeywordRemoved}
+                        canEdit={true}
+                        canRemove={true}
+                    />
+                    { this._renderKeywordPreview() }
+                </div>
             </div>
         );
     }
@@ -21,6 +21,8 @@ import MatrixClientPeg from "../../../../../MatrixClientPeg";
 import sdk from "../../../../..";
 import AccessibleButton from "../../../elements/AccessibleButton";
 import Modal from "../../../../../Modal";
+import PolicyLists, {getPolicyChangesForRoom} from "../../../../../PolicyLists";
+import {BulkAction} from "../../../../../utils/BulkModerator";
 
 const plEventsToLabels = {
     // These will be translated for us later.
@@ -147,6 +149,62 @@ export default class RolesRoomSettingsTab extends React.Component {
         client.sendStateEvent(this.props.roomId, "m.room.power_levels", plContent);
     };
 
+    _onApplyBanListsClick = () => {
+        const client = MatrixClientPeg.get();
+        const room = client.getRoom(this.props.roomId);
+        const {serverAcl, deniedServers, members} = getPolicyChangesForRoom(room, PolicyLists.getRules());
+        const canSetAcl = room.currentState.mayClientSendStateEvent('m.room.server_acl', client);
+
+        if ((!serverAcl || !canSetAcl) && !members.length) {
+            const InfoDialog = sdk.getComponent('dialogs.InfoDialog');
+            Modal.createTrackedDialog('Apply ban lists', 'Nothing to do', InfoDialog, {
+                title: _t("Apply ban lists"),
+                description: _t("Everyone on your ban lists who can be banned from this room already is."),
+            });
+            return;
+        }
+
+        const QuestionDialog = sdk.getComponent('dialogs.QuestionDialog');
+        Modal.createTrackedDialog('Apply ban lists', '', QuestionDialog, {
+            title: _t("Apply ban lists"),
+            description: <div>
+                { serverAcl && canSetAcl ? <p>{ _t("Stop these servers from taking part in the room: %(servers)s", {
+                    servers: deniedServers.join(", "),
+                }) }</p> : null }
+                { members.length ? <p>{ _t("Ban %(count)s members of the room who are on your ban lists.", {
+                    count: members.length,
+                }) }</p> : null }
+            </div>,
+            button: _t("Apply"),
+            danger: true,
+            onFinished: async (confirmed) => {
+                if (!confirmed) return;
+                if (serverAcl && canSetAcl) {
+                    try {
+                        await client.sendStateEvent(this.props.roomId, "m.room.server_acl", serverAcl, "");
+                    } catch (e) {
+                        console.error("Failed to update server ACL", e);
+                        const ErrorDialog = sdk.getComponent('dialogs.ErrorDialog');
+                        Modal.createTrackedDialog('Failed to update server ACL', '', ErrorDialog, {
+                            title: _t("Failed to stop the servers taking part"),
+                            description: e && e.message ? e.message : _t("Operation failed"),
+                        });
+                    }
+                }
+                if (members.length) {
+                    const BulkModerationDialog = sdk.getComponent('dialogs.BulkModerationDialog');
+                    Modal.createTrackedDialog('Apply ban lists', 'Ban', BulkModerationDialog, {
+                        room,
+                        action: BulkAction.Ban,
+                        members,
+                        reason: _t("On a ban list"),
+                        autoStart: true,
+                    });
+                }
+            },
+        });
+    };
+
     render() {
         const PowerSelector = sdk.getComponent('elements.PowerSelector');
 
@@ -277,6 +335,19 @@ export default class RolesRoomSettingsTab extends React.Component {
                 </div>;
         }
 
+        let banListsSection;
+        if (PolicyLists.getRoomIds().length && currentUserLevel >= banLevel) {
+            banListsSection =
+                <div className='mx_SettingsTab_section mx_SettingsTab_subsectionText'>
+                    <div className='mx_SettingsTab_subheading'>{ _t('Ban lists') }</div>
+                    <p>{ _t('Ban everyone in this room who is on your ban lists, and stop the servers ' +
+                        'on them from taking part in the room.') }</p>
+                    <AccessibleButton kind="danger" onClick={this._onApplyBanListsClick}>
+                        { _t('Apply ban lists') }
+                    </AccessibleButton>
+                </div>;
+        }
+
         const powerSelectors = Object.keys(powerLevelDescriptors).map((key, index) => {
             const descriptor = powerLevelDescriptors[key];
 
@@ -329,6 +400,7 @@ export default class RolesRoomSettingsTab extends React.Component {
                 {privilegedUsersSection}
                 {mutedUsersSection}
                 {bannedUsersSection}
+                {banListsSection}
                 <div className='mx_SettingsTab_section mx_SettingsTab_subsectionText'>
                     <span className='mx_SettingsTab_subheading'>{_t("Permissions")}</span>
                     <p>{_t('Select the roles required to change various parts of the room')}</p>
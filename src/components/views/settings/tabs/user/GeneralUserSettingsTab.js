@@ -27,11 +27,35 @@ import LanguageDropdown from "../../../elements/LanguageDropdown";
 import AccessibleButton from "../../../elements/AccessibleButton";
 import DeactivateAccountDialog from "../../../dialogs/DeactivateAccountDialog";
 import PropTypes from "prop-types";
+import FileSaver from 'file-saver';
+import {
+    deleteUserCustomTheme,
+    getBaseTheme,
+    getCustomTheme,
+    getCustomThemeId,
+    getCustomThemes,
+    isUserCustomTheme,
+    parseCustomTheme,
+    saveUserCustomTheme,
+} from "../../../../../CustomThemes";
+import {isSystemDarkMode} from "../../../../../settings/controllers/ThemeController";
 const PlatformPeg = require("../../../../../PlatformPeg");
 const sdk = require('../../../../..');
 const Modal = require("../../../../../Modal");
 const dis = require("../../../../../dispatcher");
 
+function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            resolve(e.target.result);
+        };
+        reader.onerror = reject;
+
+        reader.readAsText(file);
+    });
+}
+
 export default class GeneralUserSettingsTab extends React.Component {
     static propTypes = {
         closeSettingsFn: PropTypes.func.isRequired,
@@ -43,9 +67,20 @@ export default class GeneralUserSettingsTab extends React.Component {
         this.state = {
             language: languageHandler.getCurrentLanguage(),
             theme: SettingsStore.getValueAt(SettingLevel.ACCOUNT, "theme"),
+            useSystemTheme: SettingsStore.getValueAt(SettingLevel.ACCOUNT, "useSystemTheme"),
+            systemLightTheme: SettingsStore.getValueAt(SettingLevel.ACCOUNT, "systemLightTheme"),
+            systemDarkTheme: SettingsStore.getValueAt(SettingLevel.ACCOUNT, "systemDarkTheme"),
         };
     }
 
+    componentWillMount() {
+        this._customThemesWatcher = SettingsStore.watchSetting("custom_themes", null, this._onCustomThemesChanged);
+    }
+
+    componentWillUnmount() {
+        SettingsStore.unwatchSetting(this._customThemesWatcher);
+    }
+
     _onLanguageChange = (newLanguage) => {
         if (this.state.language === newLanguage) return;
 
@@ -58,9 +93,124 @@ export default class GeneralUserSettingsTab extends React.Component {
         const newTheme = e.target.value;
         if (this.state.theme === newTheme) return;
 
+        this._setTheme(newTheme);
+    };
+
+    _onUseSystemThemeChange = (useSystemTheme) => {
+        SettingsStore.setValue("useSystemTheme", null, SettingLevel.ACCOUNT, useSystemTheme);
+        this.setState({useSystemTheme});
+        if (useSystemTheme) {
+            dis.dispatch({action: 'set_theme', value: this._getShownTheme(true)});
+        } else {
+            // carry on with whatever the OS had picked
+            this._setAccountTheme(this._getShownTheme(true));
+        }
+    };
+
+    _onSystemLightThemeChange = (e) => {
+        this._setSystemTheme("systemLightTheme", e.target.value);
+    };
+
+    _onSystemDarkThemeChange = (e) => {
+        this._setSystemTheme("systemDarkTheme", e.target.value);
+    };
+
+    _setSystemTheme(settingName, newTheme, customTheme) {
+        SettingsStore.setValue(settingName, null, SettingLevel.ACCOUNT, newTheme);
+        this.setState({[settingName]: newTheme});
+        // only show it if it's the one the OS wants right now
+        if ((settingName === "systemDarkTheme") === isSystemDarkMode()) {
+            dis.dispatch({action: 'set_theme', value: newTheme, customTheme});
+        }
+    }
+
+    // the theme being shown, which depends on the OS if the user is matching it
+    _getShownTheme(useSystemTheme = this.state.useSystemTheme) {
+        if (!useSystemTheme) return this.state.theme;
+        return isSystemDarkMode() ? this.state.systemDarkTheme : this.state.systemLightTheme;
+    }
+
+    // customTheme is the custom theme being switched to, as the settings may not have synced yet
+    _setTheme(newTheme, customTheme) {
+        if (this.state.useSystemTheme) {
+            this._setSystemTheme(isSystemDarkMode() ? "systemDarkTheme" : "systemLightTheme", newTheme, customTheme);
+        } else {
+            this._setAccountTheme(newTheme, customTheme);
+        }
+    }
+
+    _setAccountTheme(newTheme, customTheme) {
         SettingsStore.setValue("theme", null, SettingLevel.ACCOUNT, newTheme);
         this.setState({theme: newTheme});
-        dis.dispatch({action: 'set_theme', value: newTheme});
+        dis.dispatch({action: 'set_theme', value: newTheme, customTheme});
+    }
+
+    _onCustomThemesChanged = () => {
+        this.forceUpdate();
+    };
+
+    _openThemeEditor(theme) {
+        const CustomThemeEditorDialog = sdk.getComponent("dialogs.CustomThemeEditorDialog");
+        Modal.createTrackedDialog('Custom Theme Editor', '', CustomThemeEditorDialog, {
+            theme,
+            onFinished: (saved, savedTheme) => {
+                if (saved) this._setTheme(getCustomThemeId(savedTheme), savedTheme);
+            },
+        });
+    }
+
+    _onCreateThemeClick = () => {
+        this._openThemeEditor(null);
+    };
+
+    _onEditThemeClick = () => {
+        this._openThemeEditor(getCustomTheme(this._getShownTheme()));
+    };
+
+    _onExportThemeClick = () => {
+        const theme = getCustomTheme(this._getShownTheme());
+        const blob = new Blob([JSON.stringify(theme, null, 4)], {type: "application/json"});
+        FileSaver.saveAs(blob, `${theme.name}.json`);
+    };
+
+    _onDeleteThemeClick = async () => {
+        const theme = getCustomTheme(this._getShownTheme());
+        try {
+            await deleteUserCustomTheme(theme.name);
+        } catch (err) {
+            console.error("Failed to delete theme", err);
+            const ErrorDialog = sdk.getComponent("dialogs.ErrorDialog");
+            Modal.createTrackedDialog('Failed to delete theme', '', ErrorDialog, {
+                title: _t("Failed to delete theme"),
+                description: err && err.message ? err.message : _t("Operation failed"),
+            });
+            return;
+        }
+        this._setTheme(getBaseTheme(theme));
+    };
+
+    _onImportThemeClick = () => {
+        this.refs.themeUpload.click();
+    };
+
+    _onThemeUploadChanged = async (e) => {
+        const file = e.target.files && e.target.files[0];
+        if (!file) return;
+        // let the same file be picked again
+        e.target.value = "";
+
+        try {
+            const theme = parseCustomTheme(JSON.parse(await readFileAsText(file)));
+            await saveUserCustomTheme(theme);
+            this._setTheme(getCustomThemeId(theme), theme);
+        } catch (err) {
+            console.error("Failed to import theme", err);
+            const ErrorDialog = sdk.getComponent("dialogs.ErrorDialog");
+            Modal.createTrackedDialog('Failed to import theme', '', ErrorDialog, {
+                title: _t("Failed to import theme"),
+                description: err instanceof SyntaxError ? _t("This is not a theme file.") : err.message,
+            });
+        }
     };
 
     _onPasswordChangeError = (err) => {
@@ -149,14 +299,65 @@ export default class GeneralUserSettingsTab extends React.Component {
 
     _renderThemeSection() {
         const SettingsFlag = sdk.getComponent("views.elements.SettingsFlag");
+        const LabelledToggleSwitch = sdk.getComponent("views.elements.LabelledToggleSwitch");
+        const customTheme = getCustomTheme(this._getShownTheme());
+        const themeOptions = [
+            <option key="light" value="light">{_t("Light theme")}</option>,
+            <option key="dark" value="dark">{_t("Dark theme")}</option>,
+            ...getCustomThemes().map((theme) => {
+                const id = getCustomThemeId(theme);
+                return <option key={id} value={id}>{theme.name}</option>;
+            }),
+        ];
+
+        let themeFields;
+        if (this.state.useSystemTheme) {
+            themeFields = [
+                <Field key="light" id="systemLightTheme" label={_t("Theme when the system is light")}
+                       element="select" value={this.state.systemLightTheme}
+                       onChange={this._onSystemLightThemeChange}>
+                    {themeOptions}
+                </Field>,
+                <Field key="dark" id="systemDarkTheme" label={_t("Theme when the system is dark")}
+                       element="select" value={this.state.systemDarkTheme}
+                       onChange={this._onSystemDarkThemeChange}>
+                    {themeOptions}
+                </Field>,
+            ];
+        } else {
+            themeFields = <Field id="theme" label={_t("Theme")} element="select"
+                                 value={this.state.theme} onChange={this._onThemeChange}>
+                {themeOptions}
+            </Field>;
+        }
+
         return (
             <div className="mx_SettingsTab_section mx_GeneralUserSettingsTab_themeSection">
                 <span className="mx_SettingsTab_subheading">{_t("Theme")}</span>
-                <Field id="theme" label={_t("Theme")} element="select"
-                       value={this.state.theme} onChange={this._onThemeChange}>
-                    <option value="light">{_t("Light theme")}</option>
-                    <option value="dark">{_t("Dark theme")}</option>
-                </Field>
+                <LabelledToggleSwitch value={this.state.useSystemTheme} onChange={this._onUseSystemThemeChange}
+                                      label={_t("Match system theme")} />
+                {themeFields}
+                <div className="mx_GeneralUserSettingsTab_themeButtons">
+                    <AccessibleButton onClick={this._onCreateThemeClick} kind="primary">
+                        {_t("Create a theme")}
+                    </AccessibleButton>
+                    {customTheme && isUserCustomTheme(customTheme.name) ? [
+                        <AccessibleButton key="edit" onClick={this._onEditThemeClick} kind="primary">
+                            {_t("Edit")}
+                        </AccessibleButton>,
+                        <AccessibleButton key="delete" onClick={this._onDeleteThemeClick} kind="danger">
+                            {_t("Delete")}
+                        </AccessibleButton>,
+                    ] : null}
+                    {customTheme ? <AccessibleButton onClick={this._onExportThemeClick} kind="primary">
+                        {_t("Export")}
+                    </AccessibleButton> : null}
+                    <AccessibleButton onClick={this._onImportThemeClick} kind="primary">
+                        {_t("Import")}
+                    </AccessibleButton>
+                    <input ref="themeUpload" className="mx_GeneralUserSettingsTab_themeUpload" type="file"
+                           onChange={this._onThemeUploadChanged} accept=".json,application/json" />
+                </div>
                 <SettingsFlag name="useCompactLayout" level={SettingLevel.ACCOUNT} />
             </div>
         );
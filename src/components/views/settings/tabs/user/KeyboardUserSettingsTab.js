@@ -0,0 +1,160 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import {_t} from "../../../../../languageHandler";
+import AccessibleButton from "../../../elements/AccessibleButton";
+import {KeyCode} from "../../../../../Keyboard";
+import {
+    KeyBindingScope,
+    getClashingKeyBinding,
+    getKeyBinding,
+    getKeyBindingDisplayName,
+    getKeyBindingForEvent,
+    getKeyBindingIds,
+    getKeyBindingScope,
+    getKeyBindingScopeDisplayName,
+    isUsableKeyBinding,
+    keyBindingToString,
+    resetKeyBindings,
+    setKeyBinding,
+} from "../../../../../KeyBindings";
+
+export default class KeyboardUserSettingsTab extends React.Component {
+    constructor() {
+        super();
+
+        this.state = {
+            // the ID of the key binding waiting for keys to be pressed, if any
+            editingId: null,
+            error: null,
+        };
+    }
+
+    _onEditClick = (id) => {
+        this.setState({editingId: id, error: null});
+    };
+
+    _onUnbindClick = (id) => {
+        setKeyBinding(id, null).then(() => this.setState({editingId: null, error: null}));
+    };
+
+    _onResetClick = () => {
+        resetKeyBindings().then(() => this.setState({editingId: null, error: null}));
+    };
+
+    _collectEditor = (el) => {
+        if (el) el.focus();
+    };
+
+    _onEditorBlur = () => {
+        this.setState({editingId: null});
+    };
+
+    _onEditorKeyDown = (ev) => {
+        const id = this.state.editingId;
+        if (!id) return;
+        // don't let the keys do anything else, like closing the dialog
+        ev.preventDefault();
+        ev.stopPropagation();
+
+        const newBinding = getKeyBindingForEvent(ev);
+        // wait for the key to go with the modifiers being held
+        if (!newBinding) return;
+        if (!isUsableKeyBinding(newBinding)) {
+            if (ev.keyCode === KeyCode.ESCAPE) {
+                this.setState({editingId: null, error: null});
+            } else {
+                this.setState({
+                    error: _t("Shortcuts need Ctrl, Alt or Meta to be held, " +
+                        "so that they don't get in the way of typing."),
+                });
+            }
+            return;
+        }
+        const clashingId = getClashingKeyBinding(id, newBinding);
+        if (clashingId) {
+            this.setState({
+                error: _t("%(keys)s is already used to %(action)s.", {
+                    keys: keyBindingToString(newBinding),
+                    action: getKeyBindingDisplayName(clashingId),
+                }),
+            });
+            return;
+        }
+        setKeyBinding(id, newBinding).then(() => this.setState({editingId: null, error: null}));
+    };
+
+    _renderKeyBinding(id) {
+        const keyBinding = getKeyBinding(id);
+        let keys;
+        if (this.state.editingId === id) {
+            // not an AccessibleButton, as that would act on Enter and Space itself
+            keys = <div className="mx_KeyboardUserSettingsTab_keys mx_KeyboardUserSettingsTab_editing"
+                tabIndex="0" onKeyDown={this._onEditorKeyDown} onBlur={this._onEditorBlur}
+                ref={this._collectEditor}
+            >
+                { _t("Press the keys…") }
+            </div>;
+        } else {
+            keys = <AccessibleButton className="mx_KeyboardUserSettingsTab_keys"
+                onClick={() => this._onEditClick(id)}
+            >
+                { keyBinding ? keyBindingToString(keyBinding) : _t("Not set") }
+            </AccessibleButton>;
+        }
+
+        return <div key={id} className="mx_KeyboardUserSettingsTab_binding">
+            <span className="mx_KeyboardUserSettingsTab_name">{ getKeyBindingDisplayName(id) }</span>
+            { keys }
+            { keyBinding ? <AccessibleButton className="mx_KeyboardUserSettingsTab_unbind"
+                onClick={() => this._onUnbindClick(id)} title={_t("Remove shortcut")}
+            /> : null }
+        </div>;
+    }
+
+    _renderScope(scope) {
+        const ids = getKeyBindingIds().filter((id) => getKeyBindingScope(id) === scope);
+        return <div key={scope}>
+            <span className="mx_SettingsTab_subheading">{ getKeyBindingScopeDisplayName(scope) }</span>
+            { ids.map((id) => this._renderKeyBinding(id)) }
+        </div>;
+    }
+
+    render() {
+        let error;
+        if (this.state.error) {
+            error = <div className="error">{ this.state.error }</div>;
+        }
+
+        return (
+            <div className="mx_SettingsTab mx_KeyboardUserSettingsTab">
+                <div className="mx_SettingsTab_heading">{_t("Keyboard shortcuts")}</div>
+                <div className="mx_SettingsTab_section">
+                    <div className="mx_SettingsTab_subsectionText">
+                        {_t("Click a shortcut to change it, then press the keys to use instead, " +
+                            "or Esc to leave it as it is. Shortcuts are saved on this device only.")}
+                    </div>
+                    { error }
+                    { Object.values(KeyBindingScope).map((scope) => this._renderScope(scope)) }
+                    <AccessibleButton onClick={this._onResetClick} kind="danger">
+                        {_t("Reset all shortcuts")}
+                    </AccessibleButton>
+                </div>
+            </div>
+        );
+    }
+}
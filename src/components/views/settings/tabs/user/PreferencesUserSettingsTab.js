@@ -15,11 +15,16 @@ limitations under the License.
 */
 
 import React from 'react';
-import {_t} from "../../../../../languageHandler";
+import {_t, _td} from "../../../../../languageHandler";
 import {SettingLevel} from "../../../../../settings/SettingsStore";
 import LabelledToggleSwitch from "../../../elements/LabelledToggleSwitch";
 import SettingsStore from "../../../../../settings/SettingsStore";
 import Field from "../../../elements/Field";
+import {
+    getAutocompleteProviderDisplayName,
+    getAutocompleteProviderIds,
+    isAutocompleteProviderEnabled,
+} from "../../../../../autocomplete/Autocompleter";
 const sdk = require("../../../../..");
 const PlatformPeg = require("../../../../../PlatformPeg");
 
@@ -40,10 +45,30 @@ export default class PreferencesUserSettingsTab extends React.Component {
         'showRedactions',
         'enableSyntaxHighlightLanguageDetection',
         'showJoinLeaves',
+        'collapseStateEvents',
         'showAvatarChanges',
         'showDisplaynameChanges',
     ];
 
+    // the room changes which collapseStateEvents can collapse, as the
+    // collapsedStateEventTypes setting can have them
+    static COLLAPSIBLE_STATE_EVENT_TYPES = {
+        'm.room.name': _td('Name changes'),
+        'm.room.topic': _td('Topic changes'),
+        'm.room.avatar': _td('Avatar changes'),
+        'm.room.aliases': _td('Address changes'),
+        'm.room.canonical_alias': _td('Main address changes'),
+        'm.room.join_rules': _td('Changes to who can join'),
+        'm.room.guest_access': _td('Changes to guest access'),
+        'm.room.history_visibility': _td('Changes to who can read history'),
+        'm.room.encryption': _td('Encryption being turned on'),
+        'm.room.power_levels': _td('Power level changes'),
+        'm.room.pinned_events': _td('Pinned message changes'),
+        'm.room.server_acl': _td('Server ACL changes'),
+        'm.room.related_groups': _td('Related community changes'),
+        'im.vector.modular.widgets': _td('Widget changes'),
+    };
+
     static ROOM_LIST_SETTINGS = [
         'RoomList.orderByImportance',
         'breadcrumbs',
@@ -103,6 +128,41 @@ export default class PreferencesUserSettingsTab extends React.Component {
         SettingsStore.setValue("autocompleteDelay", null, SettingLevel.DEVICE, e.target.value);
     };
 
+    _onAutocompleteProviderChange = (id, enabled) => {
+        const disabled = SettingsStore.getValue("autocompleteDisabledProviders").filter((p) => p !== id);
+        if (!enabled) disabled.push(id);
+        SettingsStore.setValue("autocompleteDisabledProviders", null, SettingLevel.DEVICE, disabled).then(() => {
+            this.forceUpdate();
+        });
+    };
+
+    _renderAutocompleteProviders() {
+        return getAutocompleteProviderIds().map((id) => {
+            return <LabelledToggleSwitch key={id} value={isAutocompleteProviderEnabled(id)}
+                                         onChange={(enabled) => this._onAutocompleteProviderChange(id, enabled)}
+                                         label={getAutocompleteProviderDisplayName(id)} />;
+        });
+    }
+
+    _onCollapsedStateEventTypeChange = (type, collapsed) => {
+        // keep any types set outside of here
+        const types = SettingsStore.getValue("collapsedStateEventTypes").filter((t) => t !== type);
+        if (collapsed) types.push(type);
+        SettingsStore.setValue("collapsedStateEventTypes", null, SettingLevel.ACCOUNT, types).then(() => {
+            this.forceUpdate();
+        });
+    };
+
+    _renderCollapsedStateEventTypes() {
+        const collapsedTypes = SettingsStore.getValue("collapsedStateEventTypes");
+        const types = PreferencesUserSettingsTab.COLLAPSIBLE_STATE_EVENT_TYPES;
+        return Object.keys(types).map((type) => {
+            const onChange = (collapsed) => this._onCollapsedStateEventTypeChange(type, collapsed);
+            return <LabelledToggleSwitch key={type} value={collapsedTypes.includes(type)}
+                                         onChange={onChange} label={_t(types[type])} />;
+        });
+    }
+
     _renderGroup(settingIds) {
         const SettingsFlag = sdk.getComponent("views.elements.SettingsFlag");
         return settingIds.map(i => <SettingsFlag key={i} name={i} level={SettingLevel.ACCOUNT} />);
@@ -123,6 +183,8 @@ export default class PreferencesUserSettingsTab extends React.Component {
                                                          label={_t('Close button should minimize window to tray')} />;
         }
 
+        const CustomEmojiPacks = sdk.getComponent("views.settings.CustomEmojiPacks");
+
         return (
             <div className="mx_SettingsTab mx_PreferencesUserSettingsTab">
                 <div className="mx_SettingsTab_heading">{_t("Preferences")}</div>
@@ -130,9 +192,18 @@ export default class PreferencesUserSettingsTab extends React.Component {
                     <span className="mx_SettingsTab_subheading">{_t("Composer")}</span>
                     {this._renderGroup(PreferencesUserSettingsTab.COMPOSER_SETTINGS)}
 
+                    <span className="mx_SettingsTab_subheading">{_t("Autocomplete")}</span>
+                    {this._renderAutocompleteProviders()}
+
+                    <span className="mx_SettingsTab_subheading">{_t("Custom emoji")}</span>
+                    <CustomEmojiPacks />
+
                     <span className="mx_SettingsTab_subheading">{_t("Timeline")}</span>
                     {this._renderGroup(PreferencesUserSettingsTab.TIMELINE_SETTINGS)}
 
+                    <span className="mx_SettingsTab_subheading">{_t("Room changes to collapse")}</span>
+                    {this._renderCollapsedStateEventTypes()}
+
                     <span className="mx_SettingsTab_subheading">{_t("Room list")}</span>
                     {this._renderGroup(PreferencesUserSettingsTab.ROOM_LIST_SETTINGS)}
 
@@ -25,6 +25,7 @@ import Analytics from '../../../../../Analytics';
 import Promise from 'bluebird';
 import Modal from '../../../../../Modal';
 import sdk from '../../../../..';
+import EventIndex from '../../../../../indexing/EventIndex';
 
 export class IgnoredUser extends React.Component {
     static propTypes = {
@@ -69,6 +70,24 @@ export default class SecurityUserSettingsTab extends React.Component {
         MatrixClientPeg.get().setGlobalBlacklistUnverifiedDevices(checked);
     };
 
+    _updateEventIndexing = checked => {
+        if (checked) {
+            EventIndex.makeShared().start().catch(e => {
+                console.error('Failed to start the event index', e);
+                EventIndex.stopShared();
+            });
+        } else {
+            EventIndex.deleteIndex().catch(e => {
+                console.error('Failed to delete the event index', e);
+                const ErrorDialog = sdk.getComponent("dialogs.ErrorDialog");
+                Modal.createTrackedDialog('Failed to delete event index', '', ErrorDialog, {
+                    title: _t("Failed to delete the search index"),
+                    description: e && e.message ? e.message : _t("Operation failed"),
+                });
+            });
+        }
+    };
+
     _updateAnalytics = checked => {
         checked ? Analytics.enable() : Analytics.disable();
     };
@@ -227,6 +246,11 @@ export default class SecurityUserSettingsTab extends React.Component {
                     level={SettingLevel.DEVICE}
                     onChange={this._updateBlacklistDevicesFlag}
                 />
+                <SettingsFlag
+                    name='enableEventIndexing'
+                    level={SettingLevel.DEVICE}
+                    onChange={this._updateEventIndexing}
+                />
             </div>
         );
     }
@@ -301,6 +325,7 @@ export default class SecurityUserSettingsTab extends React.Component {
 
     render() {
         const DevicesPanel = sdk.getComponent('views.settings.DevicesPanel');
+        const PolicyListSettings = sdk.getComponent('views.settings.PolicyListSettings');
         const SettingsFlag = sdk.getComponent('views.elements.SettingsFlag');
 
         const KeyBackupPanel = sdk.getComponent(
@@ -359,6 +384,12 @@ export default class SecurityUserSettingsTab extends React.Component {
                     />
                 </div>
                 {this._renderIgnoredUsers()}
+                <div className='mx_SettingsTab_section'>
+                    <span className='mx_SettingsTab_subheading'>
+                        {_t('Ban lists')}
+                    </span>
+                    <PolicyListSettings />
+                </div>
                 {this._renderManageInvites()}
             </div>
         );
@@ -20,6 +20,8 @@ import RoomViewStore from '../../../stores/RoomViewStore';
 import CallHandler from '../../../CallHandler';
 import dis from '../../../dispatcher';
 import sdk from '../../../index';
+import MatrixClientPeg from '../../../MatrixClientPeg';
+import { _t } from '../../../languageHandler';
 
 module.exports = React.createClass({
     displayName: 'CallPreview',
@@ -79,21 +81,66 @@ module.exports = React.createClass({
         }
     },
 
+    _onHeldCallClick: function(call) {
+        dis.dispatch({
+            action: 'view_room',
+            room_id: call.roomId,
+        });
+    },
+
+    _onResumeClick: function(call) {
+        dis.dispatch({
+            action: 'resume_call',
+            room_id: call.roomId,
+        });
+    },
+
+    _renderHeldCalls: function(heldCalls) {
+        const AccessibleButton = sdk.getComponent('elements.AccessibleButton');
+        const cli = MatrixClientPeg.get();
+        return <div className="mx_CallPreview_heldCalls">
+            { heldCalls.map((call) => {
+                const room = cli.getRoom(call.roomId);
+                return <div key={call.callId} className="mx_CallPreview_heldCall">
+                    <AccessibleButton className="mx_CallPreview_heldCall_name"
+                        onClick={() => this._onHeldCallClick(call)}
+                    >
+                        { _t("On hold (%(roomName)s)", {roomName: room ? room.name : call.roomId}) }
+                    </AccessibleButton>
+                    <AccessibleButton kind="primary_sm" onClick={() => this._onResumeClick(call)}>
+                        { _t("Resume") }
+                    </AccessibleButton>
+                </div>;
+            }) }
+        </div>;
+    },
+
     render: function() {
         const callForRoom = CallHandler.getCallForRoom(this.state.roomId);
-        const showCall = (this.state.activeCall && this.state.activeCall.call_state === 'connected' && !callForRoom);
+        const activeCall = this.state.activeCall;
+        const showCall = (activeCall && activeCall.call_state === 'connected' && callForRoom !== activeCall);
 
+        let preview;
         if (showCall) {
             const CallView = sdk.getComponent('voip.CallView');
-            return (
+            preview = (
                 <CallView
                     className="mx_LeftPanel_callView" showVoice={true} onClick={this._onCallViewClick}
                     ConferenceHandler={this.props.ConferenceHandler}
                 />
             );
+        } else {
+            const PersistentApp = sdk.getComponent('elements.PersistentApp');
+            preview = <PersistentApp />;
         }
-        const PersistentApp = sdk.getComponent('elements.PersistentApp');
-        return <PersistentApp />;
+
+        // the held call in the room being viewed has its own controls there
+        const heldCalls = CallHandler.getHeldCalls().filter((call) => call !== callForRoom);
+        if (!heldCalls.length) return preview;
+        return <div>
+            { this._renderHeldCalls(heldCalls) }
+            { preview }
+        </div>;
     },
 });
 
@@ -0,0 +1,140 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { _t, _td } from '../../../languageHandler';
+import CallStats from '../../../CallStats';
+
+const CANDIDATE_TYPES = {
+    host: _td("Direct"),
+    srflx: _td("Direct (through NAT)"),
+    prflx: _td("Direct (through NAT)"),
+    relay: _td("Relayed (TURN)"),
+};
+
+function formatNumber(value, unit) {
+    if (value === null || value === undefined) return "-";
+    return `${Math.round(value)} ${unit}`;
+}
+
+function formatCandidateType(type) {
+    if (!type) return "-";
+    return CANDIDATE_TYPES[type] ? _t(CANDIDATE_TYPES[type]) : type;
+}
+
+/*
+ * Shows how a call's connection is doing, from the stats CallStats collects,
+ * to help work out why a call is breaking up.
+ */
+export default class CallStatsPanel extends React.Component {
+    static propTypes = {
+        // the MatrixCall to show the stats of
+        call: PropTypes.object.isRequired,
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            stats: CallStats.getStats(props.call),
+        };
+    }
+
+    componentDidMount() {
+        CallStats.on("update", this._onStatsUpdate);
+    }
+
+    componentWillUnmount() {
+        CallStats.removeListener("update", this._onStatsUpdate);
+    }
+
+    componentWillReceiveProps(newProps) {
+        if (newProps.call !== this.props.call) {
+            this.setState({stats: CallStats.getStats(newProps.call)});
+        }
+    }
+
+    _onStatsUpdate = (callId) => {
+        if (callId !== this.props.call.callId) return;
+        this.setState({stats: CallStats.getStats(this.props.call)});
+    };
+
+    _renderMedia(name, media) {
+        const inbound = media.inbound;
+        const outbound = media.outbound;
+        if (!inbound && !outbound) return null;
+
+        return <tbody key={name}>
+            <tr><th colSpan="2">{ name }</th></tr>
+            { inbound ? <tr>
+                <td>{ _t("Receiving") }</td>
+                <td>
+                    { formatNumber(inbound.bitrateKbps, "kbps") }
+                    { inbound.codec ? ` (${inbound.codec})` : "" }
+                </td>
+            </tr> : null }
+            { inbound ? <tr>
+                <td>{ _t("Packet loss") }</td>
+                <td>{ inbound.packetLossPercent.toFixed(1) } %</td>
+            </tr> : null }
+            { inbound ? <tr>
+                <td>{ _t("Jitter") }</td>
+                <td>{ formatNumber(inbound.jitterMs, "ms") }</td>
+            </tr> : null }
+            { outbound ? <tr>
+                <td>{ _t("Sending") }</td>
+                <td>
+                    { formatNumber(outbound.bitrateKbps, "kbps") }
+                    { outbound.codec ? ` (${outbound.codec})` : "" }
+                </td>
+            </tr> : null }
+        </tbody>;
+    }
+
+    render() {
+        const stats = this.state.stats;
+        if (!stats) {
+            return <div className="mx_CallStatsPanel">
+                { _t("Waiting for call statistics…") }
+            </div>;
+        }
+
+        return <div className="mx_CallStatsPanel">
+            <table>
+                <tbody>
+                    <tr>
+                        <td>{ _t("Connection") }</td>
+                        <td>
+                            { formatCandidateType(stats.localCandidateType) }
+                            { stats.protocol ? ` (${stats.protocol.toUpperCase()})` : "" }
+                        </td>
+                    </tr>
+                    <tr>
+                        <td>{ _t("Their connection") }</td>
+                        <td>{ formatCandidateType(stats.remoteCandidateType) }</td>
+                    </tr>
+                    <tr>
+                        <td>{ _t("Round trip time") }</td>
+                        <td>{ formatNumber(stats.rttMs, "ms") }</td>
+                    </tr>
+                </tbody>
+                { this._renderMedia(_t("Audio"), stats.audio) }
+                { this._renderMedia(_t("Video"), stats.video) }
+            </table>
+        </div>;
+    }
+}
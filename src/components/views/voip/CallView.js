@@ -20,6 +20,14 @@ import CallHandler from '../../../CallHandler';
 import sdk from '../../../index';
 import MatrixClientPeg from '../../../MatrixClientPeg';
 import { _t } from '../../../languageHandler';
+import Modal from '../../../Modal';
+import {
+    canShareScreen,
+    getDisplayMedia,
+    getSharedScreen,
+    startScreenSharing,
+    stopScreenSharing,
+} from '../../../ScreenSharing';
 
 module.exports = React.createClass({
     displayName: 'CallView',
@@ -52,6 +60,8 @@ module.exports = React.createClass({
         return {
             // the call this view is displaying (if any)
             call: null,
+            // whether the call's connection stats are shown
+            showStats: false,
         };
     },
 
@@ -67,7 +77,7 @@ module.exports = React.createClass({
     onAction: function(payload) {
         // don't filter out payloads for room IDs other than props.room because
         // we may be interested in the conf 1:1 room
-        if (payload.action !== 'call_state') {
+        if (payload.action !== 'call_state' && payload.action !== 'screen_sharing_changed') {
             return;
         }
         this.showCall();
@@ -84,9 +94,7 @@ module.exports = React.createClass({
                  null
                 );
 
-            if (this.call) {
-                this.setState({ call: call });
-            }
+            this.setState({ call: call });
         } else {
             call = CallHandler.getAnyActiveCall();
             this.setState({ call: call });
@@ -99,9 +107,18 @@ module.exports = React.createClass({
             // this is to let us move CallView around the DOM without interrupting remote audio
             // during playback, by having the audio rendered by a top-level <audio/> element.
             // rather than being rendered by the main remoteVideo <video/> element.
-            call.setRemoteAudioElement(this.getVideoView().getRemoteAudioElement());
+            // all calls share that element, so a call on hold mustn't take it
+            // from the one going on.
+            if (call.call_state !== "held") {
+                const audioElement = this.getVideoView().getRemoteAudioElement();
+                call.setRemoteAudioElement(audioElement);
+                if (audioElement) audioElement.muted = false;
+            }
         }
-        if (call && call.type === "video" && call.call_state !== "ended" && call.call_state !== "ringing") {
+        if (
+            call && call.type === "video" &&
+            call.call_state !== "ended" && call.call_state !== "ringing" && call.call_state !== "held"
+        ) {
             // if this call is a conf call, don't display local video as the
             // conference will have us in it
             this.getVideoView().getLocalVideoElement().style.display = (
@@ -119,6 +136,39 @@ module.exports = React.createClass({
         }
     },
 
+    onScreenShareClick: async function() {
+        const call = this.state.call;
+        if (!call) return;
+        if (getSharedScreen(call)) {
+            stopScreenSharing(call);
+            return;
+        }
+
+        let stream;
+        try {
+            stream = await getDisplayMedia();
+        } catch (e) {
+            console.log("No screen was picked to share", e);
+            return;
+        }
+        try {
+            await startScreenSharing(call, stream);
+        } catch (e) {
+            console.error("Failed to share the screen", e);
+            const ErrorDialog = sdk.getComponent('dialogs.ErrorDialog');
+            Modal.createTrackedDialog('Unable to share screen', '', ErrorDialog, {
+                title: _t('Unable to share screen'),
+                description: e.message,
+            });
+        }
+    },
+
+    onStatsClick: function() {
+        this.setState({showStats: !this.state.showStats}, () => {
+            if (this.props.onResize) this.props.onResize();
+        });
+    },
+
     getVideoView: function() {
         return this.refs.video;
     },
@@ -137,13 +187,42 @@ module.exports = React.createClass({
             );
         }
 
+        let statsButton;
+        let stats;
+        let screenShareButton;
+        const call = this.state.call;
+        if (call && call.call_state === "connected" && call.type === "video" && canShareScreen()) {
+            screenShareButton = (
+                <AccessibleButton className="mx_CallView_screenShareButton" onClick={this.onScreenShareClick}>
+                    { getSharedScreen(call) ? _t("Show camera") : _t("Share screen") }
+                </AccessibleButton>
+            );
+        }
+        if (call && (call.call_state === "connected" || call.call_state === "held") && !this.props.showVoice) {
+            statsButton = (
+                <AccessibleButton className="mx_CallView_statsButton" onClick={this.onStatsClick}>
+                    { this.state.showStats ? _t("Hide call stats") : _t("Show call stats") }
+                </AccessibleButton>
+            );
+            if (this.state.showStats) {
+                const CallStatsPanel = sdk.getComponent('voip.CallStatsPanel');
+                stats = <CallStatsPanel call={call} />;
+            }
+        }
+
         return (
-            <div>
+            <div className={call && call.type === "video" ? "mx_CallView mx_CallView_video" : "mx_CallView"}>
                 <VideoView ref="video" onClick={this.props.onClick}
                     onResize={this.props.onResize}
                     maxHeight={this.props.maxVideoHeight}
+                    screenStream={getSharedScreen(call)}
                 />
                 { voice }
+                { screenShareButton || statsButton ? <div className="mx_CallView_controls">
+                    { screenShareButton }
+                    { statsButton }
+                </div> : null }
+                { stats }
             </div>
         );
     },
@@ -29,10 +29,31 @@ module.exports = React.createClass({
         // a callback which is called when the video element is resized
         // due to a change in video metadata
         onResize: PropTypes.func,
+
+        // the stream to show, for feeds the js-sdk doesn't give one to itself
+        stream: PropTypes.object,
     },
 
     componentDidMount() {
         this.refs.vid.addEventListener('resize', this.onResize);
+        this._setStream();
+    },
+
+    componentDidUpdate(prevProps) {
+        if (prevProps.stream !== this.props.stream) {
+            this._setStream();
+        }
+    },
+
+    _setStream: function() {
+        if (this.props.stream === undefined) return;
+        const vid = this.refs.vid;
+        // these are always previews of our own media, so mustn't be heard
+        vid.muted = true;
+        vid.srcObject = this.props.stream;
+        if (this.props.stream) {
+            vid.play().catch((e) => console.warn("Couldn't play video feed", e));
+        }
     },
 
     componentWillUnmount() {
@@ -23,6 +23,7 @@ import classNames from 'classnames';
 
 import sdk from '../../../index';
 import dis from '../../../dispatcher';
+import { _t } from '../../../languageHandler';
 
 import SettingsStore from "../../../settings/SettingsStore";
 
@@ -48,6 +49,10 @@ module.exports = React.createClass({
         // a callback which is called when the video element is resized due to
         // a change in video metadata
         onResize: PropTypes.func,
+
+        // the screen being shared in the call, if it is, which is previewed
+        // in place of the camera
+        screenStream: PropTypes.object,
     },
 
     componentDidMount: function() {
@@ -121,8 +126,18 @@ module.exports = React.createClass({
         const localVideoFeedClasses = classNames("mx_VideoView_localVideoFeed",
             { "mx_VideoView_localVideoFeed_flipped":
                 SettingsStore.getValue('VideoView.flipVideoHorizontally'),
+              "mx_VideoView_localVideoFeed_hidden": Boolean(this.props.screenStream),
             },
         );
+
+        let screenFeed;
+        if (this.props.screenStream) {
+            screenFeed = (
+                <div className="mx_VideoView_screenFeed" title={_t("Your screen")}>
+                    <VideoFeed stream={this.props.screenStream} />
+                </div>
+            );
+        }
         return (
             <div className="mx_VideoView" ref={this.setContainer} onClick={this.props.onClick}>
                 <div className="mx_VideoView_remoteVideoFeed">
@@ -132,6 +147,7 @@ module.exports = React.createClass({
                 <div className={localVideoFeedClasses}>
                     <VideoFeed ref="local" />
                 </div>
+                { screenFeed }
             </div>
         );
     },
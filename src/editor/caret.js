@@ -66,7 +66,8 @@ function findNodeInLineForPart(parts, partIndex) {
     let prevPart = null;
     // go through to parts up till (and including) the index
     // to find newline parts
-    for (let i = 0; i <= partIndex; ++i) {
+    // (the index can be past the end of an empty model)
+    for (let i = 0; i <= partIndex && i < parts.length; ++i) {
         const part = parts[i];
         if (part.type === "newline") {
             lineIndex += 1;
@@ -217,15 +217,13 @@ function parseHtmlMessage(html, partCreator) {
     return parts;
 }
 
-export function parseEvent(event, partCreator) {
-    const content = event.getContent();
-    let parts;
+function parseContentBody(content, partCreator) {
     if (content.format === "org.matrix.custom.html") {
-        parts = parseHtmlMessage(content.formatted_body || "", partCreator);
+        return parseHtmlMessage(content.formatted_body || "", partCreator);
     } else {
         const body = content.body || "";
         const lines = body.split("\n");
-        parts = lines.reduce((parts, line, i) => {
+        return lines.reduce((parts, line, i) => {
             const isLast = i === lines.length - 1;
             const newParts = parseAtRoomMentions(line, partCreator);
             if (!isLast) {
@@ -234,8 +232,25 @@ export function parseEvent(event, partCreator) {
             return parts.concat(newParts);
         }, []);
     }
+}
+
+export function parseContent(content, partCreator) {
+    const parts = parseContentBody(content, partCreator);
     if (content.msgtype === "m.emote") {
         parts.unshift(partCreator.plain("/me "));
     }
     return parts;
 }
+
+export function parseEvent(event, partCreator) {
+    return parseContent(event.getContent(), partCreator);
+}
+
+// parses an event as a markdown quote, to insert it in the composer
+export function parseQuote(event, partCreator) {
+    const parts = parseContentBody(event.getContent(), partCreator);
+    prefixQuoteLines(true, parts, partCreator);
+    // end the quote, so what's typed after it isn't quoted too
+    parts.push(partCreator.newline(), partCreator.newline());
+    return parts;
+}
@@ -40,7 +40,26 @@ export function walkDOMDepthFirst(rootNode, enterNodeCallback, leaveNodeCallback
 }
 
 export function getCaretOffsetAndText(editor, sel) {
-    let {focusNode, focusOffset} = sel;
+    return getOffsetAndText(editor, sel.focusNode, sel.focusOffset);
+}
+
+/**
+ * gets the character offsets of the selection, if it is within the editor.
+ * @param {HTMLElement} editor
+ * @param {Selection} sel
+ * @return {Object} the {start, end} offsets of the selection,
+ *                  or null if it is outside of the editor
+ */
+export function getSelectionOffsets(editor, sel) {
+    if (!sel.rangeCount || !editor.contains(sel.anchorNode) || !editor.contains(sel.focusNode)) {
+        return null;
+    }
+    const anchor = getOffsetAndText(editor, sel.anchorNode, sel.anchorOffset).caret.offset;
+    const focus = getOffsetAndText(editor, sel.focusNode, sel.focusOffset).caret.offset;
+    return {start: Math.min(anchor, focus), end: Math.max(anchor, focus)};
+}
+
+function getOffsetAndText(editor, focusNode, focusOffset) {
     // sometimes focusNode is an element, and then focusOffset means
     // the index of a child element ... - 1 🤷
     if (focusNode.nodeType === Node.ELEMENT_NODE && focusOffset !== 0) {
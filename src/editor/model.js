@@ -18,7 +18,7 @@ limitations under the License.
 import {diffAtCaret, diffDeletion} from "./diff";
 
 export default class EditorModel {
-    constructor(parts, partCreator, updateCallback) {
+    constructor(parts, partCreator, updateCallback = null) {
         this._parts = parts;
         this._partCreator = partCreator;
         this._activePartIdx = null;
@@ -27,8 +27,14 @@ export default class EditorModel {
         this._updateCallback = updateCallback;
     }
 
+    setUpdateCallback(updateCallback) {
+        this._updateCallback = updateCallback;
+    }
+
     clone() {
-        return new EditorModel(this._parts, this._partCreator, this._updateCallback);
+        // copy the parts, as changing the clone shouldn't change this model
+        const parts = this.serializeParts().map(p => this._partCreator.deserializePart(p));
+        return new EditorModel(parts, this._partCreator, this._updateCallback);
     }
 
     _insertPart(index, part) {
@@ -59,6 +65,14 @@ export default class EditorModel {
         return this._parts;
     }
 
+    get partCreator() {
+        return this._partCreator;
+    }
+
+    get isEmpty() {
+        return this._parts.every(p => !p.text.length);
+    }
+
     get autoComplete() {
         if (this._activePartIdx === this._autoCompletePartIdx) {
             return this._autoComplete;
@@ -80,8 +94,21 @@ export default class EditorModel {
         return this._parts.map(p => p.serialize());
     }
 
+    /**
+     * replaces everything in the model, e.g. with a message from the history,
+     * and puts the caret at the end.
+     * @param {Part[]} parts the parts to replace the contents with
+     */
+    reset(parts) {
+        this._parts = parts;
+        this._activePartIdx = null;
+        this._autoComplete = null;
+        this._autoCompletePartIdx = null;
+        this._updateCallback(this.getPositionAtEnd());
+    }
+
     _diff(newValue, inputType, caret) {
-        const previousValue = this.parts.reduce((text, p) => text + p.text, "");
+        const previousValue = this.getText();
         // can't use caret position with drag and drop
         if (inputType === "deleteByDrag") {
             return diffDeletion(previousValue, newValue);
@@ -253,7 +280,7 @@ export default class EditorModel {
             index = 0;
         }
         while (str) {
-            const newPart = this._partCreator.createPartForInput(str);
+            const newPart = this._partCreator.createPartForInput(str, index);
             if (validate) {
                 str = newPart.appendUntilRejected(str);
             } else {
@@ -266,6 +293,74 @@ export default class EditorModel {
         return addLen;
     }
 
+    /**
+     * inserts `str` into the model at a character offset, as if it was typed
+     * there, without updating the editor. Use within transform.
+     * @param {Number} offset
+     * @param {string} str
+     */
+    insertTextAt(offset, str) {
+        const pos = this.positionForOffset(offset, true);
+        this._addText(pos, str, {validate: true});
+    }
+
+    /**
+     * removes `len` amount of characters at a character offset, without
+     * updating the editor. Use within transform.
+     * @param {Number} offset
+     * @param {Number} len
+     */
+    removeTextAt(offset, len) {
+        const pos = this.positionForOffset(offset, false);
+        this.removeText(pos, len);
+    }
+
+    /**
+     * inserts parts into the model at a character offset, splitting the part
+     * at that offset if needed, without updating the editor. Use within transform.
+     * @param {Number} offset
+     * @param {Part[]} parts
+     * @return {Number} the length of the text inserted
+     */
+    insertPartsAt(offset, parts) {
+        const pos = this.positionForOffset(offset, true);
+        let index = pos.index;
+        const part = this._parts[index];
+        if (!part) {
+            // empty model
+            index = this._parts.length;
+        } else if (pos.offset !== 0) {
+            index += 1;
+            // split the part if the offset is within it
+            if (pos.offset < part.text.length && part.canEdit) {
+                this._insertPart(index, part.split(pos.offset));
+            }
+        }
+        parts.forEach((p, i) => this._insertPart(index + i, p));
+        return parts.reduce((len, p) => len + p.text.length, 0);
+    }
+
+    /**
+     * makes several changes to the model, and then updates the editor once.
+     * @param {Function} callback makes the changes, and returns the character
+     * offset to put the caret at afterwards.
+     */
+    transform(callback) {
+        const caretOffset = callback();
+        this._mergeAdjacentParts();
+        const newPosition = this.positionForOffset(caretOffset, true);
+        this._setActivePart(newPosition, false);
+        this._updateCallback(newPosition);
+    }
+
+    /**
+     * @return {string} the text of the model, with pills as their display text,
+     * so offsets into it match caret offsets.
+     */
+    getText() {
+        return this._parts.reduce((text, p) => text + p.text, "");
+    }
+
     positionForOffset(totalOffset, atPartEnd) {
         let currentOffset = 0;
         const index = this._parts.findIndex(part => {
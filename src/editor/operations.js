@@ -0,0 +1,188 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {KeyBindingScope, getKeyBindingAction} from '../KeyBindings';
+
+// Formatting is done by adding markdown around the selection, which is turned
+// into html by htmlSerializeIfNeeded when sending. A selection is a range
+// of character offsets into model.getText(), with start <= end.
+
+export const Formatting = Object.freeze({
+    Bold: "bold",
+    Italics: "italics",
+    Strikethrough: "strikethrough",
+    Code: "code",
+    Quote: "quote",
+    BulletedList: "bulleted-list",
+    NumberedList: "numbered-list",
+    Link: "link",
+});
+
+// the IDs of the key bindings for each formatting, see KeyBindings.js
+export const FORMATTING_KEY_BINDINGS = Object.freeze({
+    [Formatting.Bold]: "formatBold",
+    [Formatting.Italics]: "formatItalics",
+    [Formatting.Strikethrough]: "formatStrikethrough",
+    [Formatting.Code]: "formatCode",
+    [Formatting.Quote]: "formatQuote",
+    [Formatting.BulletedList]: "formatBulletedList",
+    [Formatting.NumberedList]: "formatNumberedList",
+    [Formatting.Link]: "formatLink",
+});
+
+/**
+ * @param {KeyboardEvent} event a keydown event in the editor
+ * @return {string} the Formatting to apply for the event, if it's a shortcut for one
+ */
+export function getFormattingForKeyEvent(event) {
+    const action = getKeyBindingAction(KeyBindingScope.Composer, event);
+    return Object.keys(FORMATTING_KEY_BINDINGS).find(format => FORMATTING_KEY_BINDINGS[format] === action);
+}
+
+/**
+ * applies a formatting to the selected text, or removes it if it's an
+ * inline formatting which is already applied.
+ * @param {EditorModel} model
+ * @param {Object} selection the {start, end} offsets of the selection
+ * @param {string} format one of Formatting
+ */
+export function formatSelection(model, selection, format) {
+    switch (format) {
+        case Formatting.Bold:
+            toggleInlineFormat(model, selection, "**");
+            break;
+        case Formatting.Italics:
+            toggleInlineFormat(model, selection, "*");
+            break;
+        case Formatting.Strikethrough:
+            // commonmark has no strikethrough, but Markdown lets <del> through
+            toggleInlineFormat(model, selection, "<del>", "</del>");
+            break;
+        case Formatting.Code:
+            formatAsCode(model, selection);
+            break;
+        case Formatting.Quote:
+            formatLinesWithPrefix(model, selection, () => "> ");
+            break;
+        case Formatting.BulletedList:
+            formatLinesWithPrefix(model, selection, () => "- ");
+            break;
+        case Formatting.NumberedList:
+            formatLinesWithPrefix(model, selection, (i) => `${i + 1}. `);
+            break;
+        case Formatting.Link:
+            formatAsLink(model, selection);
+            break;
+    }
+}
+
+// counts how many times char is repeated from offset onwards, going
+// backwards if step is -1
+function countRepeats(text, offset, char, step) {
+    let count = 0;
+    for (let i = offset; text[i] === char; i += step) {
+        count += 1;
+    }
+    return count;
+}
+
+function isInlineFormatted(text, start, end, prefix, suffix) {
+    if (text.substring(start - prefix.length, start) !== prefix ||
+        text.substring(end, end + suffix.length) !== suffix
+    ) {
+        return false;
+    }
+    if (prefix !== suffix || prefix !== prefix[0].repeat(prefix.length)) {
+        return true;
+    }
+    // For markers made of one repeated character, the selection has to be
+    // surrounded by exactly that many of it, so that the * of italics isn't
+    // mistaken for half of the ** of bold. *** is both bold and italics.
+    const repeats = Math.min(
+        countRepeats(text, start - 1, prefix[0], -1),
+        countRepeats(text, end, prefix[0], 1),
+    );
+    return repeats === prefix.length || (prefix[0] === "*" && repeats === 3);
+}
+
+function toggleInlineFormat(model, {start, end}, prefix, suffix = prefix) {
+    const text = model.getText();
+    const isFormatted = isInlineFormatted(text, start, end, prefix, suffix);
+    model.transform(() => {
+        if (isFormatted) {
+            // remove the suffix first, so the offset of the prefix stays the same
+            model.removeTextAt(end, suffix.length);
+            model.removeTextAt(start - prefix.length, prefix.length);
+            return end - prefix.length;
+        } else {
+            model.insertTextAt(end, suffix);
+            model.insertTextAt(start, prefix);
+            return end + prefix.length;
+        }
+    });
+}
+
+function formatAsCode(model, selection) {
+    const text = model.getText();
+    const {start, end} = selection;
+    if (!text.substring(start, end).includes("\n")) {
+        toggleInlineFormat(model, selection, "`");
+        return;
+    }
+    // a code block has to start and end on a line of its own
+    const lineStart = text.lastIndexOf("\n", start - 1) + 1;
+    const nextNewline = text.indexOf("\n", end);
+    const lineEnd = nextNewline === -1 ? text.length : nextNewline;
+    model.transform(() => {
+        model.insertTextAt(lineEnd, "\n```");
+        model.insertTextAt(lineStart, "```\n");
+        return lineEnd + "```\n\n```".length;
+    });
+}
+
+// adds a prefix to the start of every line in the selection, like "> "
+// for quotes. getPrefix is passed the index of the line in the selection.
+function formatLinesWithPrefix(model, {start, end}, getPrefix) {
+    const text = model.getText();
+    const lineStarts = [text.lastIndexOf("\n", start - 1) + 1];
+    for (let i = text.indexOf("\n", start); i !== -1 && i < end; i = text.indexOf("\n", i + 1)) {
+        lineStarts.push(i + 1);
+    }
+    const nextNewline = text.indexOf("\n", end);
+    model.transform(() => {
+        let caretOffset = nextNewline === -1 ? text.length : nextNewline;
+        // otherwise the next line would become part of the last quote or list item
+        if (nextNewline !== -1 && text[nextNewline + 1] !== "\n") {
+            model.insertTextAt(nextNewline, "\n");
+        }
+        // insert at the last line first, so the earlier offsets stay the same
+        for (let i = lineStarts.length - 1; i >= 0; --i) {
+            const prefix = getPrefix(i);
+            model.insertTextAt(lineStarts[i], prefix);
+            caretOffset += prefix.length;
+        }
+        return caretOffset;
+    });
+}
+
+function formatAsLink(model, {start, end}) {
+    model.transform(() => {
+        model.insertTextAt(end, "]()");
+        model.insertTextAt(start, "[");
+        // put the caret between the brackets, ready to type or paste the url
+        return end + "[](".length;
+    });
+}
@@ -324,7 +324,7 @@ class PillCandidatePart extends PlainPart {
     }
 
     createAutoComplete(updateCallback) {
-        return this._autoCompleteCreator(updateCallback);
+        return this._autoCompleteCreator.create(updateCallback);
     }
 
     acceptsInsertion(chr, i) {
@@ -348,21 +348,44 @@ class PillCandidatePart extends PlainPart {
     }
 }
 
-export class PartCreator {
-    constructor(getAutocompleterComponent, updateQuery, room, client) {
-        this._room = room;
-        this._client = client;
-        this._autoCompleteCreator = (updateCallback) => {
+// a slash command typed at the start of the composer, like "/me"
+class CommandPart extends PillCandidatePart {
+    acceptsInsertion(chr, i) {
+        return super.acceptsInsertion(chr, i) && chr !== " ";
+    }
+
+    get type() {
+        return "command";
+    }
+}
+
+export function autoCompleteCreator(getAutocompleterComponent, updateQuery) {
+    return (partCreator) => {
+        return (updateCallback) => {
             return new AutocompleteWrapperModel(
                 updateCallback,
                 getAutocompleterComponent,
                 updateQuery,
-                this,
+                partCreator,
             );
         };
+    };
+}
+
+export class PartCreator {
+    constructor(room, client, autoCompleteCreator = null) {
+        this._room = room;
+        this._client = client;
+        // shared with the pill candidate parts, so the composer can set it
+        // once it has an autocompleter component
+        this._autoCompleteCreator = {create: autoCompleteCreator && autoCompleteCreator(this)};
+    }
+
+    setAutoCompleteCreator(autoCompleteCreator) {
+        this._autoCompleteCreator.create = autoCompleteCreator(this);
     }
 
-    createPartForInput(input) {
+    createPartForInput(input, partIndex) {
         switch (input[0]) {
             case "#":
             case "@":
@@ -430,3 +453,26 @@ export class PartCreator {
     }
 }
 
+// part creator for the composer that sends messages, where the first part
+// can be a slash command
+export class CommandPartCreator extends PartCreator {
+    createPartForInput(input, partIndex) {
+        if (partIndex === 0 && input[0] === "/") {
+            return new CommandPart("", this._autoCompleteCreator);
+        } else {
+            return super.createPartForInput(input, partIndex);
+        }
+    }
+
+    command(text) {
+        return new CommandPart(text, this._autoCompleteCreator);
+    }
+
+    deserializePart(part) {
+        if (part.type === "command") {
+            return this.command(part.text);
+        } else {
+            return super.deserializePart(part);
+        }
+    }
+}
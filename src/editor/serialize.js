@@ -16,6 +16,7 @@ limitations under the License.
 */
 
 import Markdown from '../Markdown';
+import {customEmojiToHtml, findCustomEmoji} from '../CustomEmoji';
 
 export function mdSerialize(model) {
     return model.parts.reduce((html, part) => {
@@ -24,6 +25,7 @@ export function mdSerialize(model) {
                 return html + "\n";
             case "plain":
             case "pill-candidate":
+            case "command":
             case "at-room-pill":
                 return html + part.text;
             case "room-pill":
@@ -33,11 +35,13 @@ export function mdSerialize(model) {
     }, "");
 }
 
-export function htmlSerializeIfNeeded(model, {forceHTML = false}) {
+export function htmlSerializeIfNeeded(model, {forceHTML = false, customEmoji = []}) {
     const md = mdSerialize(model);
     const parser = new Markdown(md);
-    if (!parser.isPlainText() || forceHTML) {
-        return parser.toHTML();
+    // custom emoji can only be sent as images in the html
+    const usedEmoji = findCustomEmoji(md, customEmoji);
+    if (!parser.isPlainText() || forceHTML || usedEmoji.length) {
+        return customEmojiToHtml(parser.toHTML(), usedEmoji);
     }
 }
 
@@ -48,6 +52,7 @@ export function textSerialize(model) {
                 return text + "\n";
             case "plain":
             case "pill-candidate":
+            case "command":
             case "at-room-pill":
                 return text + part.text;
             case "room-pill":
@@ -0,0 +1,454 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import Promise from 'bluebird';
+import MatrixClientPeg from '../MatrixClientPeg';
+import SettingsStore from '../settings/SettingsStore';
+
+// just *accessing* indexedDB throws an exception in firefox with
+// indexeddb disabled.
+let indexedDB;
+try {
+    indexedDB = window.indexedDB;
+} catch (e) {}
+
+const DB_NAME = 'matrix-react-sdk:event-index';
+const DB_VERSION = 1;
+const EVENTS_STORE = 'events';
+
+// How long to wait before writing queued events to the database, so that
+// a burst of events from a sync or a back-pagination ends up in a single
+// transaction.
+const FLUSH_DELAY_MS = 1000;
+
+// Everything that isn't a letter or a digit separates words. This is
+// deliberately simple: it only needs to agree with itself, since the same
+// tokenizer is used for both the stored messages and the search term.
+const TOKEN_SEPARATOR = /[\s!-/:-@[-`{-~\u00a0-\u00bf\u2000-\u206f\u3000-\u303f]+/;
+
+/**
+ * Splits a string into lowercase search tokens.
+ * @param {string} text The text to tokenize.
+ * @return {string[]} The unique, non-empty tokens in the text.
+ */
+export function tokenize(text) {
+    const tokens = text.toLowerCase().split(TOKEN_SEPARATOR).filter((t) => t.length > 0);
+    return tokens.filter((t, i) => tokens.indexOf(t) === i);
+}
+
+function promisifyRequest(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function promisifyTransaction(txn) {
+    return new Promise((resolve, reject) => {
+        txn.oncomplete = () => resolve();
+        txn.onerror = () => reject(txn.error);
+        txn.onabort = () => reject(txn.error);
+    });
+}
+
+/**
+ * A local full-text index of the decrypted messages in encrypted rooms.
+ *
+ * The server can't search end-to-end encrypted rooms since it only ever
+ * sees ciphertext, so as events are decrypted (whether they arrive by sync
+ * or by paginating a TimelinePanel) we store their plaintext in IndexedDB
+ * and answer searches for those rooms locally. Search results are returned
+ * in the same shape as the room_events category of a server /search
+ * response, so they can be fed through the js-sdk's result processing and
+ * rendered with SearchResultTile like any other result.
+ *
+ * The index lives in a single database for the device and is deleted on
+ * logout along with the rest of the local storage.
+ */
+export default class EventIndex {
+    constructor(matrixClient) {
+        this.matrixClient = matrixClient;
+        this.db = null;
+
+        // events waiting to be written, keyed by event ID
+        this._pendingEvents = {};
+        this._flushTimer = null;
+        // edits being applied to the events they replace, which have to be
+        // read back from the database first
+        this._pendingEdits = [];
+
+        this._onRoomTimeline = this._onRoomTimeline.bind(this);
+        this._onEventDecrypted = this._onEventDecrypted.bind(this);
+        this._onRoomRedaction = this._onRoomRedaction.bind(this);
+        this._onSync = this._onSync.bind(this);
+    }
+
+    /**
+     * @return {boolean} true if the index can be used on this platform with
+     * the current settings.
+     */
+    static isSupported() {
+        return Boolean(indexedDB) && SettingsStore.getValue('enableEventIndexing');
+    }
+
+    /**
+     * Makes and returns a new shared instance that can then be accessed
+     * with shared(). This returned instance is not automatically started.
+     * @return {EventIndex} The new shared instance.
+     */
+    static makeShared() {
+        EventIndex._sharedInstance = new EventIndex(MatrixClientPeg.get());
+        return EventIndex._sharedInstance;
+    }
+
+    /**
+     * Returns the shared instance, or null if the index isn't running
+     * (eg. it's not supported or was disabled in settings).
+     * @return {EventIndex} The shared instance.
+     */
+    static shared() {
+        const instance = EventIndex._sharedInstance;
+        return instance && instance.db ? instance : null;
+    }
+
+    /**
+     * Stops the shared instance, if any, and forgets about it.
+     */
+    static stopShared() {
+        if (EventIndex._sharedInstance) {
+            EventIndex._sharedInstance.stop();
+            EventIndex._sharedInstance = null;
+        }
+    }
+
+    /**
+     * Deletes the index database, eg. on logout.
+     * @return {Promise} Resolves once the database has been deleted.
+     */
+    static deleteIndex() {
+        if (!indexedDB) return Promise.resolve();
+        EventIndex.stopShared();
+        return promisifyRequest(indexedDB.deleteDatabase(DB_NAME));
+    }
+
+    /**
+     * Opens the database and starts indexing events as they are decrypted.
+     * @return {Promise} Resolves when the index is ready to be searched.
+     */
+    async start() {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = (event) => {
+            const db = event.target.result;
+            const store = db.createObjectStore(EVENTS_STORE, {keyPath: 'event_id'});
+            // multiEntry so that a lookup on a single token finds every
+            // event containing it
+            store.createIndex('tokens', 'tokens', {unique: false, multiEntry: true});
+            // used to find the surrounding messages of a result
+            store.createIndex('room_ts', ['room_id', 'origin_server_ts'], {unique: false});
+        };
+        this.db = await promisifyRequest(req);
+
+        this.matrixClient.on('Room.timeline', this._onRoomTimeline);
+        this.matrixClient.on('Event.decrypted', this._onEventDecrypted);
+        this.matrixClient.on('Room.redaction', this._onRoomRedaction);
+        this.matrixClient.on('sync', this._onSync);
+
+        // if the client has already synced we won't get a PREPARED sync
+        // state, so index what we have now.
+        const syncState = this.matrixClient.getSyncState();
+        if (syncState === 'PREPARED' || syncState === 'SYNCING') {
+            this._indexLoadedTimelines();
+        }
+    }
+
+    stop() {
+        this.matrixClient.removeListener('Room.timeline', this._onRoomTimeline);
+        this.matrixClient.removeListener('Event.decrypted', this._onEventDecrypted);
+        this.matrixClient.removeListener('Room.redaction', this._onRoomRedaction);
+        this.matrixClient.removeListener('sync', this._onSync);
+        clearTimeout(this._flushTimer);
+        this._flushTimer = null;
+        this._pendingEvents = {};
+        this._pendingEdits = [];
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    _onSync(state, prevState) {
+        if (state === 'PREPARED') {
+            this._indexLoadedTimelines();
+        }
+    }
+
+    _onRoomTimeline(ev, room, toStartOfTimeline, removed, data) {
+        if (removed) return;
+        // encrypted events are picked up by _onEventDecrypted once their
+        // plaintext is available
+        if (ev.isBeingDecrypted() || ev.isDecryptionFailure()) return;
+        this.addEvent(ev);
+    }
+
+    _onEventDecrypted(ev, err) {
+        if (err) return;
+        this.addEvent(ev);
+    }
+
+    _onRoomRedaction(ev) {
+        const redactedId = ev.event.redacts;
+        if (!redactedId || !this.db) return;
+        delete this._pendingEvents[redactedId];
+        const txn = this.db.transaction(EVENTS_STORE, 'readwrite');
+        txn.objectStore(EVENTS_STORE).delete(redactedId);
+        promisifyTransaction(txn).catch((e) => {
+            console.error("Failed to remove redacted event from the index", e);
+        });
+    }
+
+    _indexLoadedTimelines() {
+        for (const room of this.matrixClient.getRooms()) {
+            if (!this.matrixClient.isRoomEncrypted(room.roomId)) continue;
+            for (const ev of room.getLiveTimeline().getEvents()) {
+                this.addEvent(ev);
+            }
+        }
+    }
+
+    /**
+     * Whether an event should be stored in the index: only messages with a
+     * text body in encrypted rooms are. Other rooms can be searched by the
+     * server.
+     * @param {MatrixEvent} ev The event to check.
+     * @return {boolean} True if the event should be indexed.
+     */
+    _shouldIndexEvent(ev) {
+        if (ev.getType() !== 'm.room.message' || ev.isRedacted()) return false;
+        if (ev.status) return false; // not sent yet: we'll see the remote echo
+        const content = ev.getContent();
+        if (typeof content.body !== 'string' || content.body.length === 0) return false;
+        // edits are indexed by the event they replace, so don't list them twice
+        if (this._getReplacedEventId(ev)) return false;
+        return this.matrixClient.isRoomEncrypted(ev.getRoomId());
+    }
+
+    // the ID of the event an edit replaces, or null if it isn't an edit
+    _getReplacedEventId(ev) {
+        const relation = ev.getContent()['m.relates_to'];
+        if (!relation || relation.rel_type !== 'm.replace') return null;
+        return relation.event_id || null;
+    }
+
+    /**
+     * Queues an event to be written to the index if it is one we index. An
+     * edit rewrites the entry of the event it replaces instead.
+     * @param {MatrixEvent} ev The (decrypted) event.
+     */
+    addEvent(ev) {
+        if (!this.db) return;
+        if (this._getReplacedEventId(ev)) {
+            const edit = this._addEdit(ev).catch((e) => {
+                console.error("Failed to index an edit", e);
+            });
+            this._pendingEdits.push(edit);
+            edit.then(() => {
+                this._pendingEdits = this._pendingEdits.filter((p) => p !== edit);
+            });
+            return;
+        }
+        if (!this._shouldIndexEvent(ev)) return;
+
+        // store the cleartext as though it had been sent unencrypted, so
+        // that it can be mapped back into a MatrixEvent without needing
+        // the room keys again.
+        const clearEvent = {
+            event_id: ev.getId(),
+            room_id: ev.getRoomId(),
+            sender: ev.getSender(),
+            type: ev.getType(),
+            content: ev.getContent(),
+            origin_server_ts: ev.getTs(),
+        };
+        this._pendingEvents[ev.getId()] = {
+            event_id: ev.getId(),
+            room_id: ev.getRoomId(),
+            origin_server_ts: ev.getTs(),
+            tokens: tokenize(ev.getContent().body),
+            event: clearEvent,
+        };
+        this._scheduleFlush();
+    }
+
+    async _addEdit(ev) {
+        if (ev.getType() !== 'm.room.message' || ev.isRedacted() || ev.status) return;
+        const newContent = ev.getContent()['m.new_content'];
+        if (!newContent || typeof newContent.body !== 'string') return;
+
+        // like redactions, the edit changes the entry of the original event,
+        // which may still be waiting to be written
+        const replacedId = this._getReplacedEventId(ev);
+        let record = this._pendingEvents[replacedId];
+        if (!record) {
+            record = await promisifyRequest(this._readStore().get(replacedId));
+        }
+        // only the sender can edit a message, and a newer edit may have won already
+        if (!record || record.event.sender !== ev.getSender()) return;
+        if (record.edited_ts && record.edited_ts > ev.getTs()) return;
+
+        this._pendingEvents[replacedId] = Object.assign({}, record, {
+            tokens: tokenize(newContent.body),
+            edited_ts: ev.getTs(),
+            event: Object.assign({}, record.event, {content: newContent}),
+        });
+        this._scheduleFlush();
+    }
+
+    _scheduleFlush() {
+        if (!this._flushTimer) {
+            this._flushTimer = setTimeout(() => {
+                this._flushTimer = null;
+                this.flush();
+            }, FLUSH_DELAY_MS);
+        }
+    }
+
+    /**
+     * Writes any queued events to the database.
+     * @return {Promise} Resolves once the events have been stored.
+     */
+    async flush() {
+        await Promise.all(this._pendingEdits);
+        const records = Object.values(this._pendingEvents);
+        this._pendingEvents = {};
+        if (!this.db || records.length === 0) return;
+
+        const txn = this.db.transaction(EVENTS_STORE, 'readwrite');
+        const store = txn.objectStore(EVENTS_STORE);
+        for (const record of records) {
+            store.put(record);
+        }
+        return promisifyTransaction(txn).catch((e) => {
+            console.error(`Failed to add ${records.length} events to the index`, e);
+        });
+    }
+
+    _readStore() {
+        // IndexedDB transactions commit as soon as they have no pending
+        // requests, so each step of a search gets its own.
+        return this.db.transaction(EVENTS_STORE, 'readonly').objectStore(EVENTS_STORE);
+    }
+
+    _getEventIdsForToken(token) {
+        // prefix match, so that searching for "meet" finds "meeting"
+        const range = IDBKeyRange.bound(token, token + '\uffff');
+        return promisifyRequest(this._readStore().index('tokens').getAllKeys(range));
+    }
+
+    _getContext(record, direction, limit) {
+        if (limit <= 0) return Promise.resolve([]);
+        const range = direction === 'prev' ?
+            IDBKeyRange.bound([record.room_id, 0], [record.room_id, record.origin_server_ts], false, true) :
+            IDBKeyRange.bound([record.room_id, record.origin_server_ts], [record.room_id, Infinity], true, false);
+        const req = this._readStore().index('room_ts').openCursor(range, direction);
+        return new Promise((resolve, reject) => {
+            const events = [];
+            req.onerror = () => reject(req.error);
+            req.onsuccess = () => {
+                const cursor = req.result;
+                // like the server, events_before are nearest first
+                if (!cursor || events.length >= limit) {
+                    resolve(events);
+                    return;
+                }
+                events.push(cursor.value.event);
+                cursor.continue();
+            };
+        });
+    }
+
+    /**
+     * Searches the index.
+     *
+     * @param {Object} args The search arguments.
+     * @param {string} args.searchTerm The term to search for.
+     * @param {string=} args.roomId The room to search in, or undefined to
+     *     search every indexed room.
+     * @param {number=} args.limit The maximum number of results to return.
+     * @param {string=} args.nextBatch The next_batch token returned by a
+     *     previous search with the same term.
+     * @param {number=} args.beforeLimit Number of context events to include
+     *     before each result.
+     * @param {number=} args.afterLimit Number of context events to include
+     *     after each result.
+     * @return {Promise<Object>} The results, in the format of the
+     *     room_events category of a server /search response.
+     */
+    async search(args) {
+        const {searchTerm, roomId} = args;
+        const limit = args.limit || 10;
+        const offset = args.nextBatch ? parseInt(args.nextBatch, 10) : 0;
+        const beforeLimit = args.beforeLimit === undefined ? 1 : args.beforeLimit;
+        const afterLimit = args.afterLimit === undefined ? 1 : args.afterLimit;
+
+        // make sure anything we've just seen is searchable
+        await this.flush();
+
+        const terms = tokenize(searchTerm);
+        const response = {
+            count: 0,
+            results: [],
+            highlights: terms,
+        };
+        if (terms.length === 0) return response;
+
+        // every term has to match, so intersect the events found for each
+        let eventIds = null;
+        for (const term of terms) {
+            const ids = await this._getEventIdsForToken(term);
+            eventIds = eventIds === null ? new Set(ids) : new Set(ids.filter((id) => eventIds.has(id)));
+            if (eventIds.size === 0) return response;
+        }
+
+        const store = this._readStore();
+        let records = await Promise.all(
+            Array.from(eventIds).map((id) => promisifyRequest(store.get(id))),
+        );
+        if (roomId) {
+            records = records.filter((r) => r.room_id === roomId);
+        }
+        records.sort((a, b) => b.origin_server_ts - a.origin_server_ts);
+
+        response.count = records.length;
+        const page = records.slice(offset, offset + limit);
+        if (offset + limit < records.length) {
+            response.next_batch = String(offset + limit);
+        }
+
+        response.results = await Promise.all(page.map(async (record, i) => {
+            const before = await this._getContext(record, 'prev', beforeLimit);
+            const after = await this._getContext(record, 'next', afterLimit);
+            return {
+                rank: offset + i,
+                result: record.event,
+                context: {
+                    events_before: before,
+                    events_after: after,
+                },
+            };
+        }));
+        return response;
+    }
+}
@@ -20,6 +20,7 @@ import Promise from 'bluebird';
 
 import MatrixClientPeg from '../MatrixClientPeg';
 import PlatformPeg from '../PlatformPeg';
+import CallStats from '../CallStats';
 import { _t } from '../languageHandler';
 
 import rageshake from './rageshake';
@@ -81,6 +82,12 @@ export default async function sendBugReport(bugReportEndpoint, opts) {
         body.append('device_id', client.deviceId);
     }
 
+    // how recent calls went, as "call failed" doesn't say much on its own
+    const callSummaries = CallStats.getCallSummaries();
+    if (callSummaries.length) {
+        body.append('call_stats', JSON.stringify(callSummaries));
+    }
+
     if (opts.sendLogs) {
         progressCallback(_t("Collecting logs"));
         const logs = await rageshake.getLogsForReport();
@@ -154,6 +154,34 @@ export const SETTINGS = {
         default: true,
         invertedSettingName: 'hideJoinLeaves'
     },
+    collapseStateEvents: {
+        supportedLevels: LEVELS_ROOM_SETTINGS_WITH_ROOM,
+        displayName: _td('Collapse room changes such as topic and widget changes'),
+        default: false,
+    },
+    // The types of state event which are collapsed together, when
+    // collapseStateEvents is on, chosen in PreferencesUserSettingsTab.
+    // Membership changes are always grouped separately, by showJoinLeaves
+    // and friends.
+    collapsedStateEventTypes: {
+        supportedLevels: LEVELS_ACCOUNT_SETTINGS,
+        default: [
+            'm.room.name',
+            'm.room.topic',
+            'm.room.avatar',
+            'm.room.aliases',
+            'm.room.canonical_alias',
+            'm.room.join_rules',
+            'm.room.guest_access',
+            'm.room.history_visibility',
+            'm.room.encryption',
+            'm.room.power_levels',
+            'm.room.pinned_events',
+            'm.room.server_acl',
+            'm.room.related_groups',
+            'im.vector.modular.widgets',
+        ],
+    },
     showAvatarChanges: {
         supportedLevels: LEVELS_ROOM_SETTINGS_WITH_ROOM,
         displayName: _td('Show avatar changes'),
@@ -218,14 +246,6 @@ export const SETTINGS = {
         default: true,
         invertedSettingName: 'TextualBody.disableBigEmoji'
     },
-    'MessageComposerInput.isRichTextEnabled': {
-        supportedLevels: LEVELS_ACCOUNT_SETTINGS,
-        default: false
-    },
-    'MessageComposer.showFormatting': {
-        supportedLevels: LEVELS_ACCOUNT_SETTINGS,
-        default: false
-    },
     sendTypingNotifications: {
         supportedLevels: LEVELS_ACCOUNT_SETTINGS,
         displayName: _td('Send typing notifications'),
@@ -253,6 +273,23 @@ export const SETTINGS = {
         default: 'light',
         controller: new ThemeController()
     },
+    useSystemTheme: {
+        supportedLevels: LEVELS_ACCOUNT_SETTINGS,
+        displayName: _td("Match system theme"),
+        default: false,
+    },
+    systemLightTheme: {
+        supportedLevels: LEVELS_ACCOUNT_SETTINGS,
+        default: 'light',
+    },
+    systemDarkTheme: {
+        supportedLevels: LEVELS_ACCOUNT_SETTINGS,
+        default: 'dark',
+    },
+    custom_themes: {
+        supportedLevels: ['account'],
+        default: [],
+    },
     webRtcAllowPeerToPeer: {
         supportedLevels: LEVELS_DEVICE_ONLY_SETTINGS_WITH_CONFIG,
         displayName: _td('Allow Peer-to-Peer for 1:1 calls'),
@@ -292,6 +329,33 @@ export const SETTINGS = {
         supportedLevels: LEVELS_DEVICE_ONLY_SETTINGS_WITH_CONFIG,
         default: 200
     },
+    // IDs of autocomplete providers, in the order to show them in
+    autocompleteProviderOrder: {
+        supportedLevels: LEVELS_DEVICE_ONLY_SETTINGS_WITH_CONFIG,
+        default: [],
+    },
+    autocompleteDisabledProviders: {
+        supportedLevels: LEVELS_DEVICE_ONLY_SETTINGS_WITH_CONFIG,
+        default: [],
+    },
+    recent_emoji: {
+        supportedLevels: LEVELS_DEVICE_ONLY_SETTINGS,
+        default: [],
+    },
+    emojiSkinTone: {
+        supportedLevels: LEVELS_DEVICE_ONLY_SETTINGS,
+        default: 0,
+    },
+    // IDs of the policy list rooms whose bans to follow
+    policyListRooms: {
+        supportedLevels: LEVELS_ACCOUNT_SETTINGS,
+        default: [],
+    },
+    hidePolicyListBannedMessages: {
+        supportedLevels: LEVELS_ACCOUNT_SETTINGS,
+        displayName: _td('Hide messages from users on your ban lists'),
+        default: true,
+    },
     blacklistUnverifiedDevices: {
         // We specifically want to have room-device > device so that users may set a device default
         // with a per-room override.
@@ -377,6 +441,11 @@ export const SETTINGS = {
         displayName: _td('Show developer tools'),
         default: false
     },
+    keyBindings: {
+        // the key bindings changed by the user, by ID: see KeyBindings.js
+        supportedLevels: LEVELS_DEVICE_ONLY_SETTINGS,
+        default: {},
+    },
     widgetOpenIDPermissions: {
         supportedLevels: LEVELS_DEVICE_ONLY_SETTINGS,
         default: {
@@ -401,6 +470,13 @@ export const SETTINGS = {
         supportedLevels: LEVELS_DEVICE_ONLY_SETTINGS,
         default: false
     },
+    enableEventIndexing: {
+        supportedLevels: LEVELS_DEVICE_ONLY_SETTINGS,
+        displayName: _td(
+            'Store encrypted messages on this device so they can be searched',
+        ),
+        default: true,
+    },
     lowBandwidth: {
         supportedLevels: LEVELS_DEVICE_ONLY_SETTINGS_WITH_CONFIG,
         displayName: _td('Low bandwidth mode'),
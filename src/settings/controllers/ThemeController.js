@@ -15,19 +15,42 @@ limitations under the License.
 */
 
 import SettingController from "./SettingController";
+import SettingsStore from "../SettingsStore";
+import {getCustomTheme, isCustomThemeId} from "../../CustomThemes";
 
 const SUPPORTED_THEMES = [
     "light",
     "dark",
 ];
 
+// matches when the OS is set to prefer dark colours
+export const DARK_MODE_QUERY = "(prefers-color-scheme: dark)";
+
+/**
+ * @return {boolean} True if the OS is set to prefer dark colours.
+ */
+export function isSystemDarkMode() {
+    return Boolean(window.matchMedia && window.matchMedia(DARK_MODE_QUERY).matches);
+}
+
 export default class ThemeController extends SettingController {
     getValueOverride(level, roomId, calculatedValue, calculatedAtLevel) {
+        let theme = calculatedValue;
+        // when matching the OS, whichever of the chosen light and dark themes applies wins
+        const useSystemTheme = SettingsStore.getValue("useSystemTheme");
+        const systemDarkMode = useSystemTheme && isSystemDarkMode();
+        if (useSystemTheme) {
+            theme = SettingsStore.getValue(systemDarkMode ? "systemDarkTheme" : "systemLightTheme");
+        }
+
+        // custom themes are fine as long as they're still around
+        const isSupported = SUPPORTED_THEMES.includes(theme) || (isCustomThemeId(theme) && getCustomTheme(theme));
+
         // Override in case some no longer supported theme is stored here
-        if (!SUPPORTED_THEMES.includes(calculatedValue)) {
-            return "light";
+        if (!isSupported) {
+            return systemDarkMode ? "dark" : "light";
         }
 
-        return null; // no override
+        return theme === calculatedValue ? null : theme;
     }
 }
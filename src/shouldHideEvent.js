@@ -15,6 +15,8 @@
  */
 
 import SettingsStore from "./settings/SettingsStore";
+import MatrixClientPeg from "./MatrixClientPeg";
+import PolicyLists from "./PolicyLists";
 
 function memberEventDiff(ev) {
     const diff = {
@@ -49,6 +51,13 @@ export default function shouldHideEvent(ev) {
     // Hide replacement events since they update the original tile (if enabled)
     if (ev.isRelation("m.replace")) return true;
 
+    // Hide everything from users the user's ban lists say to ban
+    const sender = ev.getSender();
+    if (PolicyLists.getRuleForUser(sender) && sender !== MatrixClientPeg.get().getUserId() &&
+        isEnabled('hidePolicyListBannedMessages')) {
+        return true;
+    }
+
     const eventDiff = memberEventDiff(ev);
 
     if (eventDiff.isMemberEvent) {
@@ -0,0 +1,159 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import EventEmitter from 'events';
+
+const localStoragePrefix = 'mx_draft_';
+
+/**
+ * Stores the unsent contents of editors built on EditorModel, as their
+ * serialized parts, so they survive switching rooms and reloading.
+ * A room has a draft for its composer, and can have one for each thread
+ * replied to from the ThreadPanel and each message being edited.
+ *
+ * Drafts are kept in localStorage until they're sent or the user logs out,
+ * when Lifecycle.js calls clearAll().
+ *
+ * Emits 'update' with the room ID when a room gets its first draft or loses
+ * its last one.
+ */
+class DraftStore extends EventEmitter {
+    constructor() {
+        super();
+
+        // roomId: Set of storage keys of the drafts in that room, so the room
+        // list can tell which rooms have drafts without parsing them all.
+        this._draftKeysByRoom = {};
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key.startsWith(localStoragePrefix)) continue;
+            try {
+                const {roomId} = JSON.parse(localStorage.getItem(key));
+                this._addDraftKey(roomId, key);
+            } catch (e) {
+                console.warn("Throwing away unreadable draft", e);
+                localStorage.removeItem(key);
+                // the keys have shifted down by one
+                i--;
+            }
+        }
+    }
+
+    _getKey(roomId, draftId) {
+        return localStoragePrefix + roomId + (draftId ? '_' + draftId : '');
+    }
+
+    _addDraftKey(roomId, key) {
+        if (!this._draftKeysByRoom[roomId]) this._draftKeysByRoom[roomId] = new Set();
+        this._draftKeysByRoom[roomId].add(key);
+    }
+
+    _removeDraftKey(roomId, key) {
+        const keys = this._draftKeysByRoom[roomId];
+        if (!keys) return;
+        keys.delete(key);
+        if (keys.size === 0) delete this._draftKeysByRoom[roomId];
+    }
+
+    /**
+     * @param {string} eventId The ID of an event being edited.
+     * @return {string} The draftId to keep the unsaved edit of the event under.
+     */
+    getEditDraftId(eventId) {
+        return 'edit_' + eventId;
+    }
+
+    /**
+     * Gets a draft.
+     * @param {string} roomId The room the draft is for.
+     * @param {string=} draftId The event ID of the thread the draft replies
+     *     to, getEditDraftId() of the event it edits, or nothing for the
+     *     draft of the room's composer.
+     * @return {Object[]} The serialized parts of the draft, or null if there
+     *     is none.
+     */
+    getDraft(roomId, draftId) {
+        const key = this._getKey(roomId, draftId);
+        const draftStr = localStorage.getItem(key);
+        if (!draftStr) return null;
+        try {
+            return JSON.parse(draftStr).parts;
+        } catch (e) {
+            console.warn("Throwing away unreadable draft", e);
+            this.clearDraft(roomId, draftId);
+            return null;
+        }
+    }
+
+    /**
+     * Saves a draft, or removes it if it has no text.
+     * @param {string} roomId The room the draft is for.
+     * @param {string=} draftId As for getDraft.
+     * @param {Object[]} parts The serialized parts from EditorModel.serializeParts.
+     */
+    setDraft(roomId, draftId, parts) {
+        if (!parts.some((p) => p.text.trim().length > 0)) {
+            this.clearDraft(roomId, draftId);
+            return;
+        }
+        const key = this._getKey(roomId, draftId);
+        localStorage.setItem(key, JSON.stringify({roomId, draftId, parts}));
+        const hadDraft = this.hasDraft(roomId);
+        this._addDraftKey(roomId, key);
+        if (!hadDraft) this.emit('update', roomId);
+    }
+
+    /**
+     * Removes a draft, eg. once it has been sent.
+     * @param {string} roomId The room the draft is for.
+     * @param {string=} draftId As for getDraft.
+     */
+    clearDraft(roomId, draftId) {
+        const key = this._getKey(roomId, draftId);
+        localStorage.removeItem(key);
+        if (!this.hasDraft(roomId)) return;
+        this._removeDraftKey(roomId, key);
+        if (!this.hasDraft(roomId)) this.emit('update', roomId);
+    }
+
+    /**
+     * Removes every draft, for when the user logs out.
+     */
+    clearAll() {
+        const roomIds = Object.keys(this._draftKeysByRoom);
+        for (const roomId of roomIds) {
+            for (const key of this._draftKeysByRoom[roomId]) {
+                localStorage.removeItem(key);
+            }
+        }
+        this._draftKeysByRoom = {};
+        roomIds.forEach((roomId) => this.emit('update', roomId));
+    }
+
+    /**
+     * @param {string} roomId The room to check.
+     * @return {boolean} Whether there are any drafts in the room.
+     */
+    hasDraft(roomId) {
+        return Boolean(this._draftKeysByRoom[roomId]);
+    }
+}
+
+let singletonDraftStore = null;
+if (!singletonDraftStore) {
+    singletonDraftStore = new DraftStore();
+}
+module.exports = singletonDraftStore;
@@ -16,8 +16,20 @@ limitations under the License.
 import dis from '../dispatcher';
 import {Store} from 'flux/utils';
 
+function loadScheduledMessages() {
+    try {
+        return JSON.parse(localStorage.getItem('mx_scheduled_messages')) || [];
+    } catch (e) {
+        console.warn("Failed to load scheduled messages", e);
+        return [];
+    }
+}
+
 const INITIAL_STATE = {
     cachedPassword: localStorage.getItem('mx_pass'),
+    // messages waiting to be sent at a later time, as objects of the form
+    // {id, roomId, sendAt, content}, where sendAt is a timestamp.
+    scheduledMessages: loadScheduledMessages(),
 };
 
 /**
@@ -47,6 +59,12 @@ class SessionStore extends Store {
         } else {
             localStorage.removeItem('mx_pass', this._state.cachedPassword);
         }
+        // Scheduled messages are kept until they're sent or the user logs out
+        if (this._state.scheduledMessages.length > 0) {
+            localStorage.setItem('mx_scheduled_messages', JSON.stringify(this._state.scheduledMessages));
+        } else {
+            localStorage.removeItem('mx_scheduled_messages');
+        }
 
         this.__emitChange();
     }
@@ -68,10 +86,25 @@ class SessionStore extends Store {
                     cachedPassword: null,
                 });
                 break;
+            case 'schedule_message':
+                this._setState({
+                    scheduledMessages: this._state.scheduledMessages.concat([payload.message]),
+                });
+                break;
+            // the message is taken out of the schedule whether it's being
+            // edited, sent or cancelled: editing puts it back in the composer.
+            case 'edit_scheduled_message':
+            case 'send_scheduled_message':
+            case 'cancel_scheduled_message':
+                this._setState({
+                    scheduledMessages: this._state.scheduledMessages.filter((m) => m.id !== payload.message.id),
+                });
+                break;
             case 'on_client_not_viable':
             case 'on_logged_out':
                 this._setState({
                     cachedPassword: null,
+                    scheduledMessages: [],
                 });
                 break;
         }
@@ -80,6 +113,17 @@ class SessionStore extends Store {
     getCachedPassword() {
         return this._state.cachedPassword;
     }
+
+    /**
+     * Gets the messages waiting to be sent, soonest first.
+     * @param {string=} roomId If given, only return messages for this room.
+     * @return {Object[]} The scheduled messages.
+     */
+    getScheduledMessages(roomId) {
+        let messages = this._state.scheduledMessages;
+        if (roomId) messages = messages.filter((m) => m.roomId === roomId);
+        return messages.slice().sort((a, b) => a.sendAt - b.sendAt);
+    }
 }
 
 let singletonSessionStore = null;
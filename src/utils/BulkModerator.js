@@ -0,0 +1,191 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import Promise from 'bluebird';
+import MatrixClientPeg from '../MatrixClientPeg';
+import {_t} from '../languageHandler';
+
+export const BulkAction = Object.freeze({
+    Kick: "kick",
+    Ban: "ban",
+    RevokeInvite: "revoke_invite",
+    SetPowerLevel: "set_power_level",
+});
+
+// how long to wait before trying again when rate limited, if the server doesn't say
+const DEFAULT_RETRY_MS = 5000;
+
+/**
+ * Kicks, bans, revokes the invites of or changes the power level of several
+ * members of a room at once, keeping track of which of them it worked for
+ * and why it didn't for the others, much like MultiInviter does for invites.
+ */
+export default class BulkModerator {
+    /**
+     * @param {string} roomId The ID of the room the members are in.
+     * @param {string} action One of BulkAction.
+     * @param {Object} opts
+     * @param {string=} opts.reason Why they are being kicked or banned.
+     * @param {number=} opts.powerLevel The power level to give them.
+     */
+    constructor(roomId, action, opts = {}) {
+        this.roomId = roomId;
+        this.action = action;
+        this.reason = opts.reason || undefined;
+        this.powerLevel = opts.powerLevel;
+
+        this._cancelled = false;
+        this.completionStates = {}; // userId: 'done' or 'error'
+        this.errors = {}; // userId: errorText
+    }
+
+    /**
+     * Stops after the member being worked on now.
+     */
+    cancel() {
+        this._cancelled = true;
+    }
+
+    getCompletionState(userId) {
+        return this.completionStates[userId];
+    }
+
+    getErrorText(userId) {
+        return this.errors[userId] || null;
+    }
+
+    /**
+     * Does the action to the given members. This may only be called once
+     * per instance of the class.
+     * @param {string[]} userIds The members to do it to.
+     * @param {function=} onProgress Called with how many members have been
+     *     done so far, successfully or not.
+     * @return {Promise<Object>} The completion state of each member, once
+     *     all of them have been done or it has been cancelled.
+     */
+    async run(userIds, onProgress = () => {}) {
+        const cli = MatrixClientPeg.get();
+        const room = cli.getRoom(this.roomId);
+        if (!room) throw new Error("Room not found");
+
+        const targets = [];
+        for (const userId of userIds) {
+            const errorText = this._checkCanAffect(room, userId);
+            if (errorText) {
+                this._setError(userId, errorText);
+            } else {
+                targets.push(userId);
+            }
+        }
+        onProgress(userIds.length - targets.length);
+
+        if (this.action === BulkAction.SetPowerLevel) {
+            // one change to the power levels for all of them, as changes
+            // made one at a time would each overwrite the last
+            await this._setPowerLevels(room, targets);
+            onProgress(userIds.length);
+            return this.completionStates;
+        }
+
+        for (let i = 0; i < targets.length && !this._cancelled; ++i) {
+            await this._doAction(targets[i]);
+            onProgress(userIds.length - targets.length + i + 1);
+        }
+        return this.completionStates;
+    }
+
+    _setError(userId, errorText) {
+        this.completionStates[userId] = 'error';
+        this.errors[userId] = errorText;
+    }
+
+    // the reason we can't do the action to a member, if we can tell in advance
+    _checkCanAffect(room, userId) {
+        const myUserId = MatrixClientPeg.get().getUserId();
+        const me = room.getMember(myUserId);
+        const them = room.getMember(userId);
+        if (!me || !them) return _t("%(userId)s isn't in this room", {userId});
+
+        switch (this.action) {
+            case BulkAction.Kick:
+            case BulkAction.Ban:
+                if (userId === myUserId) return _t("You can't do this to yourself");
+                break;
+            case BulkAction.RevokeInvite:
+                if (them.membership !== 'invite') return _t("%(userId)s isn't invited", {userId});
+                break;
+            case BulkAction.SetPowerLevel:
+                if (this.powerLevel > me.powerLevel) {
+                    return _t("You can't give people a higher power level than your own");
+                }
+                break;
+        }
+        if (userId !== myUserId && them.powerLevel >= me.powerLevel) {
+            return _t("%(userId)s has the same or a higher power level than you", {userId});
+        }
+        return null;
+    }
+
+    async _doAction(userId) {
+        const cli = MatrixClientPeg.get();
+        try {
+            switch (this.action) {
+                case BulkAction.Kick:
+                    await cli.kick(this.roomId, userId, this.reason);
+                    break;
+                case BulkAction.Ban:
+                    await cli.ban(this.roomId, userId, this.reason);
+                    break;
+                case BulkAction.RevokeInvite:
+                    await cli.kick(this.roomId, userId);
+                    break;
+                default:
+                    throw new Error("Unknown bulk action: " + this.action);
+            }
+            this.completionStates[userId] = 'done';
+        } catch (err) {
+            if (err.errcode === 'M_LIMIT_EXCEEDED' && !this._cancelled) {
+                // we're being throttled so wait a bit & try again
+                await Promise.delay((err.data && err.data.retry_after_ms) || DEFAULT_RETRY_MS);
+                return this._doAction(userId);
+            }
+            console.error(`Failed to ${this.action} ${userId}`, err);
+            this._setError(userId, err.message || _t('Unknown server error'));
+        }
+    }
+
+    async _setPowerLevels(room, userIds) {
+        if (!userIds.length) return;
+        const powerLevelEvent = room.currentState.getStateEvents("m.room.power_levels", "");
+        const content = Object.assign({}, powerLevelEvent ? powerLevelEvent.getContent() : {});
+        content.users = Object.assign({}, content.users);
+        for (const userId of userIds) {
+            content.users[userId] = this.powerLevel;
+        }
+
+        try {
+            await MatrixClientPeg.get().sendStateEvent(this.roomId, "m.room.power_levels", content, "");
+            for (const userId of userIds) {
+                this.completionStates[userId] = 'done';
+            }
+        } catch (err) {
+            console.error("Failed to change power levels", err);
+            for (const userId of userIds) {
+                this._setError(userId, err.message || _t('Unknown server error'));
+            }
+        }
+    }
+}
@@ -79,6 +79,21 @@ const ALLOWED_BLOB_MIMETYPES = {
     'audio/x-flac': true,
 };
 
+/**
+ * Gets the MIME-type to give a Blob of a file attached to a matrix event,
+ * which is the one claimed by the event only if it can't contain scripting.
+ * See the warning at the top of this file.
+ * @param {string} mimetype The MIME-type claimed by the event, if any.
+ * @return {string} The MIME-type to use for the Blob.
+ */
+export function getBlobSafeMimeType(mimetype) {
+    mimetype = mimetype ? mimetype.split(";")[0].trim() : '';
+    if (!ALLOWED_BLOB_MIMETYPES[mimetype]) {
+        mimetype = 'application/octet-stream';
+    }
+    return mimetype;
+}
+
 /**
  * Decrypt a file attached to a matrix event.
  * @param file {Object} The json taken from the matrix event.
@@ -104,12 +119,7 @@ export function decryptFile(file) {
         // they introduce XSS attacks if the Blob URI is viewed directly in the
         // browser (e.g. by copying the URI into a new tab or window.)
         // See warning at top of file.
-        let mimetype = file.mimetype ? file.mimetype.split(";")[0].trim() : '';
-        if (!ALLOWED_BLOB_MIMETYPES[mimetype]) {
-            mimetype = 'application/octet-stream';
-        }
-
-        const blob = new Blob([dataArray], {type: mimetype});
+        const blob = new Blob([dataArray], {type: getBlobSafeMimeType(file.mimetype)});
         return blob;
     });
 }
@@ -0,0 +1,77 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * How well a query matches a string, best last, so that they can be compared.
+ */
+export const MatchQuality = Object.freeze({
+    // the query doesn't match at all
+    None: 0,
+    // the characters of the query appear in order, but with others between them
+    Fuzzy: 1,
+    // the query appears somewhere in the middle of a word
+    Substring: 2,
+    // the query appears at the start of a word
+    WordPrefix: 3,
+    // the string starts with the query
+    Prefix: 4,
+});
+
+function normalize(str) {
+    return str.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function isSubsequence(query, text) {
+    let i = 0;
+    for (let j = 0; j < text.length && i < query.length; ++j) {
+        if (text[j] === query[i]) ++i;
+    }
+    return i === query.length;
+}
+
+/**
+ * Matches a query against a string, ignoring case and diacritics, so that
+ * eg. "mtx dev" matches "Matrix Developers" and "rst" matches "Riot Testing".
+ * @param {string} query What the user typed.
+ * @param {string} text The string to look for it in.
+ * @return {number} How well the query matches, one of MatchQuality.
+ */
+export function getMatchQuality(query, text) {
+    query = normalize(query).trim();
+    text = normalize(text || '');
+    if (!query) return MatchQuality.None;
+
+    const index = text.indexOf(query);
+    if (index === 0) return MatchQuality.Prefix;
+    if (index > 0) {
+        // the query might also be at the start of a later word
+        const wordStart = new RegExp('[^a-z0-9]' + query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return wordStart.test(text) ? MatchQuality.WordPrefix : MatchQuality.Substring;
+    }
+    // spaces in the query are just there to separate the words the user is thinking of
+    return isSubsequence(query.replace(/\s+/g, ''), text) ? MatchQuality.Fuzzy : MatchQuality.None;
+}
+
+/**
+ * Like getMatchQuality, but for something with several names, like a room's
+ * name and its aliases.
+ * @param {string} query What the user typed.
+ * @param {string[]} texts The strings to look for it in.
+ * @return {number} How well the query matches the best matching string.
+ */
+export function getBestMatchQuality(query, texts) {
+    return texts.reduce((best, text) => Math.max(best, getMatchQuality(query, text)), MatchQuality.None);
+}
@@ -0,0 +1,67 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import ReplyThread from '../components/views/elements/ReplyThread';
+
+/**
+ * Groups events by the event they are replying to.
+ * @param {MatrixEvent[]} events The events to group.
+ * @return {Map<string, MatrixEvent[]>} A map from event ID to the replies to
+ *     that event, oldest first.
+ */
+export function getRepliesByParent(events) {
+    const replies = new Map();
+    for (const ev of events) {
+        const parentId = ReplyThread.getParentEventId(ev);
+        if (!parentId) continue;
+        if (!replies.has(parentId)) replies.set(parentId, []);
+        const siblings = replies.get(parentId);
+        // the same event can be in more than one timeline of a timeline set
+        if (!siblings.some((s) => s.getId() === ev.getId())) siblings.push(ev);
+    }
+    for (const siblings of replies.values()) {
+        siblings.sort((a, b) => a.getTs() - b.getTs());
+    }
+    return replies;
+}
+
+/**
+ * Builds the tree of replies below an event.
+ *
+ * Only replies within the given events can be found: there's no API to ask
+ * the server for the replies to an event, so anything not yet loaded into a
+ * timeline won't appear.
+ *
+ * @param {MatrixEvent} root The event at the top of the tree.
+ * @param {MatrixEvent[]} events The events to look for replies in.
+ * @return {Object} A node of the form {event, children}, where children is a
+ *     list of nodes for the replies to event, oldest first.
+ */
+export function buildReplyTree(root, events) {
+    const replies = getRepliesByParent(events);
+    // replies can't form a cycle without crafting event IDs, but guard
+    // against it anyway since we'd otherwise recurse forever.
+    const seen = new Set();
+
+    function makeNode(ev) {
+        seen.add(ev.getId());
+        const children = (replies.get(ev.getId()) || [])
+            .filter((child) => !seen.has(child.getId()))
+            .map(makeNode);
+        return {event: ev, children};
+    }
+    return makeNode(root);
+}
@@ -0,0 +1,355 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import Promise from 'bluebird';
+import escape from 'lodash/escape';
+import {TimelineWindow, EventTimeline} from 'matrix-js-sdk';
+import sdk from '../index';
+import {_t} from '../languageHandler';
+import {bodyToHtml} from '../HtmlUtils';
+import {textForEvent} from '../TextForEvent';
+import {formatFullDate} from '../DateUtils';
+import {decryptFile, getBlobSafeMimeType} from './DecryptFile';
+
+// The formats a room can be exported to. The values double as file extensions.
+export const ExportFormat = Object.freeze({
+    Html: "html",
+    PlainText: "txt",
+    Json: "json",
+});
+
+const MIME_TYPES = {
+    [ExportFormat.Html]: "text/html;charset=utf-8",
+    [ExportFormat.PlainText]: "text/plain;charset=utf-8",
+    [ExportFormat.Json]: "application/json;charset=utf-8",
+};
+
+// how many events to ask the server for at a time
+const PAGINATE_SIZE = 100;
+
+const MEDIA_MSGTYPES = ["m.image", "m.video", "m.audio", "m.file"];
+
+const HTML_STYLE = `
+body { font-family: sans-serif; font-size: 14px; color: #2e2f32; max-width: 960px; margin: 0 auto; padding: 20px; }
+h1 { font-size: 22px; }
+.mx_Export_info { color: #747474; }
+.mx_Export_event { padding: 6px 0; border-top: 1px solid #e9edf1; }
+.mx_Export_sender { font-weight: bold; }
+.mx_Export_time { color: #747474; font-size: 12px; margin-left: 8px; }
+.mx_Export_state { color: #747474; }
+.mx_Export_body { margin-top: 2px; overflow-wrap: break-word; }
+.mx_Export_body img, .mx_Export_body video { max-width: 480px; max-height: 360px; }
+blockquote { margin: 0 0 8px; padding: 0 10px; border-left: 4px solid #ddd; }
+pre { background-color: #f7f7f7; padding: 8px; overflow-x: auto; }
+`;
+
+function isMessageEvent(ev) {
+    return ev.getType() === "m.room.message" || ev.getType() === "m.sticker";
+}
+
+function isMediaEvent(ev) {
+    return ev.getType() === "m.sticker" || MEDIA_MSGTYPES.includes(ev.getContent().msgtype);
+}
+
+function getSenderName(ev) {
+    return ev.sender && ev.sender.name ? ev.sender.name : ev.getSender();
+}
+
+// events fetched from the server in an encrypted room are decrypted in the
+// background, so wait for that to finish before reading their content
+function waitForDecryption(ev) {
+    if (!ev.isBeingDecrypted()) return Promise.resolve();
+    return new Promise((resolve) => {
+        ev.once("Event.decrypted", () => resolve());
+    });
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// the event as it was sent, along with what it decrypted to if it's encrypted
+function eventToJson(ev) {
+    if (!ev.isEncrypted()) return ev.event;
+    return Object.assign({}, ev.event, {
+        decrypted: {
+            type: ev.getType(),
+            content: ev.getClearContent(),
+        },
+    });
+}
+
+/**
+ * Exports the history of a room to a single file, as either a self-contained
+ * HTML page rendered much like the timeline, plain text, or the raw events
+ * as JSON.
+ *
+ * The timeline is paginated back to the start of the requested range, so
+ * exporting a long stretch of a busy room can take a while: the export can
+ * be cancelled at any time.
+ */
+export default class RoomExporter {
+    /**
+     * @param {MatrixClient} client The client to fetch events with.
+     * @param {Room} room The room to export.
+     * @param {Object} opts
+     * @param {string} opts.format One of ExportFormat.
+     * @param {number=} opts.startTs Only export events sent at or after this
+     *     timestamp. Defaults to the start of the room.
+     * @param {number=} opts.endTs Only export events sent before this
+     *     timestamp. Defaults to now.
+     * @param {boolean=} opts.includeMedia Whether to download attachments and
+     *     embed them in the page, for HTML exports.
+     */
+    constructor(client, room, opts) {
+        this._client = client;
+        this._room = room;
+        this._format = opts.format;
+        this._startTs = opts.startTs || 0;
+        this._endTs = opts.endTs || Infinity;
+        this._includeMedia = Boolean(opts.includeMedia) && opts.format === ExportFormat.Html;
+        this._cancelled = false;
+    }
+
+    cancel() {
+        this._cancelled = true;
+    }
+
+    /**
+     * @return {string} A name for the exported file.
+     */
+    getFileName() {
+        // room names can contain characters which aren't allowed in file names
+        const name = (this._room.name || this._room.roomId).replace(/[\\/:*?"<>|]+/g, "_");
+        const date = new Date().toISOString().substr(0, 10);
+        return `${name} - ${date}.${this._format}`;
+    }
+
+    /**
+     * Runs the export.
+     * @param {function=} onProgress Called with a description of what the
+     *     export is doing, as it goes along.
+     * @return {Promise<Blob>} The exported file, or null if the export was
+     *     cancelled.
+     */
+    async export(onProgress = () => {}) {
+        const events = await this._fetchEvents(onProgress);
+        if (this._cancelled) return null;
+
+        let text;
+        switch (this._format) {
+            case ExportFormat.Html:
+                text = await this._renderHtml(events, onProgress);
+                break;
+            case ExportFormat.PlainText:
+                text = this._renderPlainText(events);
+                break;
+            case ExportFormat.Json:
+                text = this._renderJson(events);
+                break;
+            default:
+                throw new Error("Unknown export format: " + this._format);
+        }
+        if (this._cancelled) return null;
+        return new Blob([text], {type: MIME_TYPES[this._format]});
+    }
+
+    async _fetchEvents(onProgress) {
+        const timelineWindow = new TimelineWindow(this._client, this._room.getUnfilteredTimelineSet(), {
+            windowLimit: Number.MAX_VALUE,
+        });
+        await timelineWindow.load();
+
+        let events = timelineWindow.getEvents();
+        // paginate until we've gone past the start of the range, or reached the start of the room
+        while (!this._cancelled && (events.length === 0 || events[0].getTs() >= this._startTs)) {
+            onProgress(_t("Fetched %(count)s events so far", {count: events.length}));
+            const gotMore = await timelineWindow.paginate(EventTimeline.BACKWARDS, PAGINATE_SIZE);
+            if (!gotMore) break;
+            events = timelineWindow.getEvents();
+        }
+
+        events = events.filter((ev) => ev.getTs() >= this._startTs && ev.getTs() < this._endTs);
+        onProgress(_t("Decrypting events"));
+        await Promise.all(events.map(waitForDecryption));
+        return events;
+    }
+
+    // the events which would have a tile in the timeline, as those are the
+    // ones worth reading in the rendered formats
+    _getDisplayedEvents(events) {
+        const EventTile = sdk.getComponent('rooms.EventTile');
+        return events.filter((ev) => {
+            if (!EventTile.haveTileForEvent(ev)) return false;
+            return isMessageEvent(ev) || textForEvent(ev) !== "";
+        });
+    }
+
+    _renderJson(events) {
+        return JSON.stringify({
+            room_id: this._room.roomId,
+            room_name: this._room.name,
+            export_date: Date.now(),
+            events: events.map(eventToJson),
+        }, null, 4);
+    }
+
+    _renderPlainText(events) {
+        const lines = this._getDisplayedEvents(events).map((ev) => {
+            const date = formatFullDate(new Date(ev.getTs()));
+            return `[${date}] ${this._getPlainText(ev)}`;
+        });
+        const header = _t("Exported from %(roomName)s on %(date)s", {
+            roomName: this._room.name,
+            date: formatFullDate(new Date()),
+        });
+        return header + "\n\n" + lines.join("\n") + "\n";
+    }
+
+    _getPlainText(ev) {
+        if (!isMessageEvent(ev)) return textForEvent(ev);
+
+        const sender = getSenderName(ev);
+        const content = ev.getContent();
+        if (ev.isRedacted()) {
+            return `${sender}: ${_t("Message removed")}`;
+        } else if (isMediaEvent(ev)) {
+            const url = content.url ? this._client.mxcUrlToHttp(content.url) : null;
+            return `${sender}: ${content.body}` + (url ? ` (${url})` : "");
+        } else if (content.msgtype === "m.emote") {
+            return `* ${sender} ${content.body}`;
+        }
+        return `${sender}: ${content.body}`;
+    }
+
+    async _renderHtml(events, onProgress) {
+        const displayedEvents = this._getDisplayedEvents(events);
+        const tiles = [];
+        for (let i = 0; i < displayedEvents.length && !this._cancelled; ++i) {
+            if (this._includeMedia) {
+                onProgress(_t("Exporting event %(number)s of %(total)s", {
+                    number: i + 1,
+                    total: displayedEvents.length,
+                }));
+            }
+            tiles.push(await this._renderHtmlEvent(displayedEvents[i]));
+        }
+
+        const roomName = escape(this._room.name);
+        const info = escape(_t("Exported from %(roomName)s on %(date)s", {
+            roomName: this._room.name,
+            date: formatFullDate(new Date()),
+        }));
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${roomName}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${roomName}</h1>
+<p class="mx_Export_info">${info}</p>
+${tiles.join("\n")}
+</body>
+</html>
+`;
+    }
+
+    async _renderHtmlEvent(ev) {
+        const time = `<span class="mx_Export_time">${escape(formatFullDate(new Date(ev.getTs())))}</span>`;
+        const id = escape(ev.getId());
+        if (!isMessageEvent(ev)) {
+            return `<div class="mx_Export_event mx_Export_state" id="${id}">` +
+                `${escape(textForEvent(ev))}${time}</div>`;
+        }
+
+        const sender = `<span class="mx_Export_sender">${escape(getSenderName(ev))}</span>`;
+        const body = await this._renderHtmlBody(ev);
+        return `<div class="mx_Export_event" id="${id}">${sender}${time}` +
+            `<div class="mx_Export_body" dir="auto">${body}</div></div>`;
+    }
+
+    async _renderHtmlBody(ev) {
+        const content = ev.getContent();
+        if (ev.isRedacted()) {
+            return `<em>${escape(_t("Message removed"))}</em>`;
+        } else if (isMediaEvent(ev)) {
+            return this._renderHtmlMedia(ev);
+        }
+
+        // reply fallbacks are left in, as they show what is being replied to
+        let body;
+        if (content.format === "org.matrix.custom.html" && content.formatted_body) {
+            // sanitized by bodyToHtml
+            body = bodyToHtml(content, null, {returnString: true});
+        } else {
+            body = escape(content.body || "").replace(/\n/g, "<br>");
+        }
+        if (content.msgtype === "m.emote") {
+            body = `* ${escape(getSenderName(ev))} ${body}`;
+        }
+        return body;
+    }
+
+    async _renderHtmlMedia(ev) {
+        const content = ev.getContent();
+        const name = escape(content.body || _t("Attachment"));
+
+        let url;
+        if (this._includeMedia) {
+            try {
+                url = await blobToDataUrl(await this._downloadMedia(content));
+            } catch (e) {
+                console.warn(`Failed to download attachment of ${ev.getId()} for export`, e);
+            }
+        } else if (content.url) {
+            url = this._client.mxcUrlToHttp(content.url);
+        }
+        if (!url) {
+            return `<em>${name}</em> ` + escape(_t("(attachment not included)"));
+        }
+
+        url = escape(url);
+        if (ev.getType() === "m.sticker" || content.msgtype === "m.image") {
+            return `<img src="${url}" alt="${name}" title="${name}">`;
+        } else if (content.msgtype === "m.video") {
+            return `<video src="${url}" title="${name}" controls></video>`;
+        } else if (content.msgtype === "m.audio") {
+            return `<audio src="${url}" title="${name}" controls></audio>`;
+        }
+        return `<a href="${url}" download="${name}">${name}</a>`;
+    }
+
+    _downloadMedia(content) {
+        if (content.file) {
+            return decryptFile(content.file);
+        }
+        const mimetype = content.info ? content.info.mimetype : null;
+        return Promise.resolve(fetch(this._client.mxcUrlToHttp(content.url))).then((response) => {
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            return response.blob();
+        }).then((blob) => {
+            // as for decrypted files, don't let the server pick a mimetype which could contain script
+            return new Blob([blob], {type: getBlobSafeMimeType(mimetype)});
+        });
+    }
+}
@@ -0,0 +1,223 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import expect from 'expect';
+import sinon from 'sinon';
+import Promise from 'bluebird';
+import EventEmitter from 'events';
+import Matrix from 'matrix-js-sdk';
+
+import 'matrix-react-sdk'; // skins the sdk, for the dialogs saying why a call can't be placed
+import CallHandler from '../src/CallHandler';
+import MatrixClientPeg from '../src/MatrixClientPeg';
+import Modal from '../src/Modal';
+import dis from '../src/dispatcher';
+
+import * as testUtils from './test-utils';
+
+function mkScreenStream() {
+    const track = {stop: sinon.spy()};
+    return {track, getTracks: () => [track]};
+}
+
+function placeScreenSharingCall(roomId, stream) {
+    // synchronously, so the call has been dealt with when this returns
+    dis.dispatch({
+        action: 'place_call',
+        type: "screensharing",
+        room_id: roomId,
+        screen_stream: stream,
+    }, true);
+}
+
+// a 1:1 call, as far as CallHandler is concerned
+function mkCall(roomId) {
+    const call = new EventEmitter();
+    return Object.assign(call, {
+        roomId,
+        callId: "call-" + roomId,
+        type: "voice",
+        direction: "outbound",
+        placeVoiceCall: sinon.spy(),
+        hangup: sinon.spy(),
+        isMicrophoneMuted: sinon.stub().returns(false),
+        isLocalVideoMuted: sinon.stub().returns(false),
+        setMicrophoneMuted: sinon.spy(),
+        setLocalVideoMuted: sinon.spy(),
+        getRemoteAudioElement: () => null,
+    });
+}
+
+function mkMember(userId) {
+    return {userId, name: userId, getMxcAvatarUrl: () => null};
+}
+
+describe('CallHandler', function() {
+    let sandbox;
+    let client;
+
+    beforeEach(function() {
+        testUtils.beforeEach(this);
+        sandbox = testUtils.stubClient();
+        sandbox.stub(Modal, "createTrackedDialog");
+        client = MatrixClientPeg.get();
+        client.supportsVoip = () => true;
+    });
+
+    afterEach(function() {
+        sandbox.restore();
+    });
+
+    it('should let go of the screen if VoIP is unsupported', function() {
+        client.supportsVoip = () => false;
+        const stream = mkScreenStream();
+        placeScreenSharingCall("!room:example.org", stream);
+        expect(stream.track.stop.calledOnce).toBe(true);
+    });
+
+    it('should let go of the screen when calling yourself', function() {
+        const room = testUtils.mkStubRoom("!room:example.org");
+        room.getJoinedMembers = () => [{userId: client.getUserId()}];
+        client.getRoom = sinon.stub().returns(room);
+
+        const stream = mkScreenStream();
+        placeScreenSharingCall("!room:example.org", stream);
+        expect(stream.track.stop.calledOnce).toBe(true);
+        expect(CallHandler.getCallForRoom("!room:example.org")).toBeFalsy();
+    });
+
+    describe('holding and transferring calls', function() {
+        const ROOM_A = "!alice:example.org";
+        const ROOM_B = "!bob:example.org";
+        const ROOM_C = "!carol:example.org";
+        let rooms;
+        let newCalls;
+
+        // places a call and has it go as far as the given state of the js-sdk's
+        function placeCall(roomId, state) {
+            dis.dispatch({action: 'place_call', type: "voice", room_id: roomId}, true);
+            const call = newCalls[roomId];
+            if (state === 'connected') {
+                call.emit('state', 'connected', 'connecting');
+            } else if (state === 'invite_sent') {
+                call.emit('state', 'invite_sent', 'wait_local_media');
+            }
+            return call;
+        }
+
+        beforeEach(function() {
+            rooms = {};
+            newCalls = {};
+            for (const [roomId, userId] of [[ROOM_A, "@alice:example.org"], [ROOM_B, "@bob:example.org"],
+                                            [ROOM_C, "@carol:example.org"]]) {
+                rooms[roomId] = testUtils.mkStubRoom(roomId);
+                rooms[roomId].getJoinedMembers = () => [mkMember(client.getUserId()), mkMember(userId)];
+                newCalls[roomId] = mkCall(roomId);
+            }
+            client.getRoom = (roomId) => rooms[roomId] || null;
+            client.sendEvent = sinon.stub().returns(Promise.resolve({}));
+            sandbox.stub(Matrix, 'createNewMatrixCall').callsFake((cli, roomId) => newCalls[roomId]);
+        });
+
+        afterEach(function() {
+            for (const roomId of [ROOM_A, ROOM_B, ROOM_C]) {
+                dis.dispatch({action: 'hangup', room_id: roomId}, true);
+            }
+        });
+
+        it('should hold the call going on when placing another', function() {
+            const callA = placeCall(ROOM_A, 'connected');
+            const callB = placeCall(ROOM_B);
+
+            expect(callB.placeVoiceCall.calledOnce).toBe(true);
+            expect(callA.call_state).toBe('held');
+            expect(callA.setMicrophoneMuted.calledWith(true)).toBe(true);
+            expect(callA.setLocalVideoMuted.calledWith(true)).toBe(true);
+        });
+
+        it('should not place a call while another is being placed or ringing', function() {
+            placeCall(ROOM_A, 'invite_sent');
+            placeCall(ROOM_B);
+            expect(newCalls[ROOM_B].placeVoiceCall.called).toBe(false);
+            expect(Modal.createTrackedDialog.calledWith('Call Handler', 'Existing Call')).toBe(true);
+
+            dis.dispatch({action: 'hangup', room_id: ROOM_A}, true);
+            dis.dispatch({action: 'incoming_call', call: mkCall(ROOM_C)}, true);
+            placeCall(ROOM_B);
+            expect(newCalls[ROOM_B].placeVoiceCall.called).toBe(false);
+            expect(CallHandler.getCall(ROOM_C).call_state).toBe('ringing');
+        });
+
+        it('should only count calls which are not on hold as active', function() {
+            const callA = placeCall(ROOM_A, 'connected');
+            dis.dispatch({action: 'hold_call', room_id: ROOM_A}, true);
+
+            expect(CallHandler.getAnyActiveCall()).toBe(null);
+            expect(CallHandler.getHeldCalls()).toEqual([callA]);
+
+            const callB = placeCall(ROOM_B, 'invite_sent');
+            expect(CallHandler.getAnyActiveCall()).toBe(callB);
+        });
+
+        it('should put the microphone and camera back as they were when resuming', function() {
+            const callA = placeCall(ROOM_A, 'connected');
+            callA.isMicrophoneMuted.returns(true);
+            const callB = placeCall(ROOM_B, 'connected');
+            expect(callA.call_state).toBe('held');
+
+            dis.dispatch({action: 'resume_call', room_id: ROOM_A}, true);
+            expect(callA.call_state).toBe('connected');
+            expect(callB.call_state).toBe('held');
+            expect(callA.setMicrophoneMuted.lastCall.args).toEqual([true]);
+            expect(callA.setLocalVideoMuted.lastCall.args).toEqual([false]);
+        });
+
+        it('should transfer a call by telling both sides to call each other', async function() {
+            const callA = placeCall(ROOM_A, 'connected');
+            const callB = placeCall(ROOM_B, 'connected');
+            dis.dispatch({action: 'transfer_call', room_id: ROOM_A, target_room_id: ROOM_B}, true);
+            // sending the events happens asynchronously
+            await Promise.delay(10);
+
+            expect(client.sendEvent.callCount).toBe(2);
+            const [roomA, typeA, contentA] = client.sendEvent.firstCall.args;
+            const [roomB, typeB, contentB] = client.sendEvent.secondCall.args;
+            expect([roomA, typeA, roomB, typeB]).toEqual([ROOM_A, 'm.call.replaces', ROOM_B, 'm.call.replaces']);
+            expect(contentA.call_id).toBe(callA.callId);
+            expect(contentA.target_user.id).toBe("@bob:example.org");
+            expect(contentA.create_call).toBe(contentA.replacement_id);
+            expect(contentB.call_id).toBe(callB.callId);
+            expect(contentB.target_user.id).toBe("@alice:example.org");
+            expect(contentB.await_call).toBe(contentA.replacement_id);
+
+            expect(callA.hangup.calledWith('replaced')).toBe(true);
+            expect(callB.hangup.calledWith('replaced')).toBe(true);
+            expect(CallHandler.getCall(ROOM_A)).toBe(null);
+            expect(CallHandler.getCall(ROOM_B)).toBe(null);
+        });
+
+        it("should say so when it can't tell who to transfer the call to", async function() {
+            placeCall(ROOM_A, 'connected');
+            placeCall(ROOM_B, 'connected');
+            rooms[ROOM_B].getJoinedMembers = () => [mkMember(client.getUserId())];
+            dis.dispatch({action: 'transfer_call', room_id: ROOM_A, target_room_id: ROOM_B}, true);
+            await Promise.delay(10);
+
+            expect(client.sendEvent.called).toBe(false);
+            expect(Modal.createTrackedDialog.calledWith('Call Transfer Failed', 'No peer')).toBe(true);
+        });
+    });
+});
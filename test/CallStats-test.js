@@ -0,0 +1,60 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import expect from 'expect';
+import { parseStatsReport, summariseStats } from '../src/CallStats';
+
+function makeReport(timestamp, bytesReceived, packetsLost) {
+    const stats = [
+        {id: "in", type: "inbound-rtp", kind: "audio", timestamp, bytesReceived,
+            packetsReceived: 100 - packetsLost, packetsLost, jitter: 0.02, codecId: "codec"},
+        {id: "out", type: "outbound-rtp", kind: "audio", timestamp, bytesSent: 1000, codecId: "codec"},
+        {id: "codec", type: "codec", timestamp, mimeType: "audio/opus"},
+        {id: "transport", type: "transport", timestamp, selectedCandidatePairId: "pair"},
+        {id: "pair", type: "candidate-pair", timestamp, localCandidateId: "local",
+            remoteCandidateId: "remote", currentRoundTripTime: 0.05},
+        {id: "local", type: "local-candidate", timestamp, candidateType: "relay", protocol: "udp"},
+        {id: "remote", type: "remote-candidate", timestamp, candidateType: "srflx"},
+    ];
+    return new Map(stats.map((stat) => [stat.id, stat]));
+}
+
+describe('CallStats', function() {
+    it('should pick out the stats of a report', function() {
+        const stats = parseStatsReport(makeReport(1000, 5000, 10), null);
+        expect(stats.rttMs).toEqual(50);
+        expect(stats.localCandidateType).toEqual("relay");
+        expect(stats.remoteCandidateType).toEqual("srflx");
+        expect(stats.audio.inbound.codec).toEqual("opus");
+        expect(stats.audio.inbound.packetLossPercent).toEqual(10);
+        expect(stats.audio.inbound.jitterMs).toEqual(20);
+        expect(stats.audio.inbound.bitrateKbps).toBe(null);
+        expect(stats.video.inbound).toBe(null);
+    });
+
+    it('should work out bitrates from the last report', function() {
+        const first = parseStatsReport(makeReport(1000, 5000, 0), null);
+        const second = parseStatsReport(makeReport(3000, 15000, 0), first);
+        // 10000 bytes in 2 seconds
+        expect(second.audio.inbound.bitrateKbps).toEqual(40);
+
+        const summary = summariseStats(first, second, [40, 60]);
+        expect(summary.durationSecs).toEqual(2);
+        expect(summary.avgRttMs).toEqual(50);
+        expect(summary.maxRttMs).toEqual(60);
+        expect(summary.audio.inbound.avgBitrateKbps).toEqual(40);
+    });
+});
@@ -0,0 +1,67 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import expect from 'expect';
+import SdkConfig from '../src/SdkConfig';
+import CallHandler from '../src/CallHandler';
+import VectorConferenceHandler from '../src/VectorConferenceHandler';
+import { ConferenceBackend, getConfiguredConferenceBackend } from '../src/ConferenceBackends';
+
+describe('ConferenceBackends', function() {
+    afterEach(function() {
+        SdkConfig.unset();
+    });
+
+    it('should use the backend the config picks', function() {
+        SdkConfig.put({conference: {backend: "freeswitch"}});
+        expect(getConfiguredConferenceBackend()).toEqual(ConferenceBackend.FreeSwitch);
+        SdkConfig.put({conference: {backend: "wibble"}});
+        expect(getConfiguredConferenceBackend()).toEqual(ConferenceBackend.None);
+    });
+
+    it('should fall back to the integration manager\'s Jitsi widget', function() {
+        SdkConfig.put({});
+        expect(getConfiguredConferenceBackend()).toEqual(ConferenceBackend.Jitsi);
+        SdkConfig.put({integrations_rest_url: null});
+        expect(getConfiguredConferenceBackend()).toEqual(ConferenceBackend.None);
+    });
+
+    it('should make FreeSWITCH conference users on the configured server', function() {
+        SdkConfig.put({conference: {backend: "freeswitch", freeswitch: {user_prefix: "conf_", domain: "example.org"}}});
+        const userId = VectorConferenceHandler.getConferenceUserIdForRoom("!room:example.org");
+        expect(userId).toEqual("@conf_IXJvb206ZXhhbXBsZS5vcmc:example.org");
+        expect(VectorConferenceHandler.isConferenceUser(userId)).toBe(true);
+        expect(VectorConferenceHandler.isConferenceUser("@fs_IXJvb206ZXhhbXBsZS5vcmc:example.org")).toBe(false);
+    });
+
+    describe('CallHandler.getConferenceHandler', function() {
+        afterEach(function() {
+            CallHandler.setConferenceHandler(undefined);
+        });
+
+        it('should prefer the backend the config picks to the app\'s handler', function() {
+            SdkConfig.put({conference: {backend: "none"}});
+            CallHandler.setConferenceHandler(VectorConferenceHandler);
+            expect(CallHandler.getConferenceHandler()).toBe(null);
+        });
+
+        it('should use the app\'s handler if the config doesn\'t pick a backend', function() {
+            SdkConfig.put({});
+            CallHandler.setConferenceHandler(VectorConferenceHandler);
+            expect(CallHandler.getConferenceHandler()).toBe(VectorConferenceHandler);
+        });
+    });
+});
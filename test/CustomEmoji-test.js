@@ -0,0 +1,66 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import expect from 'expect';
+import {customEmojiToHtml, findCustomEmoji, parseEmojiPack} from '../src/CustomEmoji';
+
+const PARROT = {shortcode: ":parrot:", url: "mxc://example.org/parrot"};
+
+describe('CustomEmoji', function() {
+    describe('parseEmojiPack', function() {
+        it('should drop emoji with bad shortcodes or urls', function() {
+            const pack = parseEmojiPack({
+                name: " Parrots ",
+                emoji: {
+                    "parrot": {url: "mxc://example.org/parrot"},
+                    "bad name": {url: "mxc://example.org/bad"},
+                    "http": {url: "https://example.org/parrot.png"},
+                    "quote": {url: "mxc://example.org/\"onload"},
+                },
+            });
+            expect(pack).toEqual({
+                name: "Parrots",
+                emoji: {"parrot": {url: "mxc://example.org/parrot"}},
+            });
+        });
+
+        it('should ignore removed packs', function() {
+            expect(parseEmojiPack({})).toBe(null);
+            expect(parseEmojiPack({name: "Empty", emoji: {}})).toBe(null);
+        });
+    });
+
+    describe('findCustomEmoji', function() {
+        it('should find the emoji used in some text', function() {
+            expect(findCustomEmoji("hello :parrot:", [PARROT])).toEqual([PARROT]);
+            expect(findCustomEmoji("hello parrot", [PARROT])).toEqual([]);
+        });
+    });
+
+    describe('customEmojiToHtml', function() {
+        it('should replace shortcodes with images', function() {
+            expect(customEmojiToHtml("<p>hi :parrot: :other:</p>", [PARROT])).toEqual(
+                '<p>hi <img data-mx-emoticon="" src="mxc://example.org/parrot" alt=":parrot:" ' +
+                'title=":parrot:" height="32" /> :other:</p>',
+            );
+        });
+
+        it('should leave code and tags alone', function() {
+            const html = '<a title=":parrot:">x</a><code>:parrot:</code><pre><code>:parrot:</code></pre>';
+            expect(customEmojiToHtml(html, [PARROT])).toEqual(html);
+        });
+    });
+});
@@ -0,0 +1,109 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import expect from 'expect';
+import sinon from 'sinon';
+import {applyCustomThemeColors, parseCustomTheme, toHexColor} from '../src/CustomThemes';
+import Tinter from '../src/Tinter';
+
+describe('CustomThemes', function() {
+    describe('parseCustomTheme', function() {
+        it('should keep only what custom themes have', function() {
+            const theme = parseCustomTheme({
+                name: " Acme ",
+                is_dark: 1,
+                colors: {"accent-color": "#d62f2f"},
+                extra: true,
+            });
+            expect(theme).toEqual({
+                name: "Acme",
+                is_dark: true,
+                colors: {"accent-color": "#d62f2f"},
+            });
+        });
+
+        it('should reject themes without a name', function() {
+            expect(() => parseCustomTheme({colors: {}})).toThrow();
+        });
+
+        it('should reject unknown or invalid colours', function() {
+            expect(() => parseCustomTheme({name: "Acme", colors: {"link-color": "#fff"}})).toThrow();
+            expect(() => parseCustomTheme({name: "Acme", colors: {"accent-color": "red; x: y"}})).toThrow();
+        });
+    });
+
+    describe('applyCustomThemeColors', function() {
+        let sandbox;
+
+        beforeEach(function() {
+            sandbox = sinon.sandbox.create();
+            // the accent and the warnings share a colour in this theme
+            const themeColors = {
+                mx_theme_accentColor: "rgb(3, 179, 129)",
+                mx_theme_warningColor: "rgb(3, 179, 129)",
+                mx_theme_primaryFgColor: "rgb(46, 47, 50)",
+                mx_theme_secondaryAccentColor: "rgb(245, 245, 245)",
+            };
+            sandbox.stub(Tinter, "getThemeColor").callsFake((elementId) => themeColors[elementId]);
+            sandbox.stub(Tinter, "setColorReplacements");
+            sandbox.stub(Tinter, "setKeyColors");
+        });
+
+        afterEach(function() {
+            sandbox.restore();
+        });
+
+        it('should replace colours by name', function() {
+            applyCustomThemeColors({name: "Acme", colors: {
+                "accent-color": "#d62f2f",
+                "warning-color": "#ffaa00",
+                "primary-fg-color": "#000000",
+            }});
+            expect(Tinter.setColorReplacements.lastCall.args[0]).toEqual({
+                "accent-color": {original: "rgb(3, 179, 129)", color: "#d62f2f"},
+                "warning-color": {original: "rgb(3, 179, 129)", color: "#ffaa00"},
+                "primary-fg-color": {original: "rgb(46, 47, 50)", color: "#000000"},
+            });
+        });
+
+        it('should not let a colour the theme keeps undo another sharing it', function() {
+            applyCustomThemeColors({name: "Acme", colors: {
+                "accent-color": "#d62f2f",
+                "warning-color": "#03b381",
+            }});
+            expect(Tinter.setColorReplacements.lastCall.args[0]).toEqual({
+                "accent-color": {original: "rgb(3, 179, 129)", color: "#d62f2f"},
+            });
+        });
+
+        it('should make tints reset to the custom accents', function() {
+            applyCustomThemeColors({name: "Acme", colors: {"accent-color": "#d62f2f"}});
+            expect(Tinter.setKeyColors.calledWith("#d62f2f", "rgb(245, 245, 245)")).toBe(true);
+        });
+
+        it('should put the built-in theme back', function() {
+            applyCustomThemeColors(null);
+            expect(Tinter.setColorReplacements.calledOnce).toBe(true);
+            expect(Tinter.setColorReplacements.lastCall.args[0]).toBe(null);
+            expect(Tinter.setKeyColors.called).toBe(false);
+        });
+    });
+
+    it('should convert colours for colour pickers', function() {
+        expect(toHexColor("rgb(3, 179, 129)")).toBe("#03b381");
+        expect(toHexColor("#FA0")).toBe("#ffaa00");
+    });
+});
@@ -0,0 +1,44 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import expect from 'expect';
+import {getSkinToneUnicode, searchEmoji} from '../src/Emoji';
+
+describe('Emoji', function() {
+    describe('searchEmoji', function() {
+        it('should find emoji by name, with or without colons', function() {
+            expect(searchEmoji("thumbs up")[0].unicode).toEqual("👍");
+            expect(searchEmoji(":thumbs up:")[0].unicode).toEqual("👍");
+        });
+
+        it('should find nothing for an empty query', function() {
+            expect(searchEmoji("  ")).toEqual([]);
+        });
+    });
+
+    describe('getSkinToneUnicode', function() {
+        const wave = {unicode: "👋", skins: [{tone: 1, unicode: "👋🏻"}, {tone: 5, unicode: "👋🏿"}]};
+
+        it('should use the skin tone if the emoji has it', function() {
+            expect(getSkinToneUnicode(wave, 5)).toEqual("👋🏿");
+        });
+
+        it('should fall back to the emoji as it is', function() {
+            expect(getSkinToneUnicode(wave, 0)).toEqual("👋");
+            expect(getSkinToneUnicode({unicode: "🍔"}, 3)).toEqual("🍔");
+        });
+    });
+});
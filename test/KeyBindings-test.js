@@ -0,0 +1,159 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import expect from 'expect';
+import sinon from 'sinon';
+
+import {
+    KeyBindingScope,
+    getClashingKeyBinding,
+    getDefaultKeyBinding,
+    getKeyBinding,
+    getKeyBindingAction,
+    getKeyBindingForEvent,
+    isUsableKeyBinding,
+} from '../src/KeyBindings';
+import {KeyCode} from '../src/Keyboard';
+import SettingsStore from '../src/settings/SettingsStore';
+
+function keyEvent(keyCode, modifiers = {}) {
+    return Object.assign({
+        keyCode,
+        ctrlKey: false,
+        metaKey: false,
+        altKey: false,
+        shiftKey: false,
+    }, modifiers);
+}
+
+describe('KeyBindings', function() {
+    let sandbox;
+    let overrides;
+
+    beforeEach(function() {
+        sandbox = sinon.sandbox.create();
+        overrides = {};
+        sandbox.stub(SettingsStore, "getValue").withArgs("keyBindings").callsFake(() => overrides);
+    });
+
+    afterEach(function() {
+        sandbox.restore();
+    });
+
+    describe('getKeyBindingForEvent', function() {
+        it('should make a binding of the key and its modifiers', function() {
+            const ev = keyEvent(KeyCode.KEY_K, {ctrlKey: true, shiftKey: true});
+            expect(getKeyBindingForEvent(ev)).toEqual({
+                keyCode: KeyCode.KEY_K,
+                ctrlKey: true,
+                metaKey: false,
+                altKey: false,
+                shiftKey: true,
+            });
+        });
+
+        it('should wait for more than a modifier key', function() {
+            expect(getKeyBindingForEvent(keyEvent(17, {ctrlKey: true}))).toBe(null);
+        });
+    });
+
+    describe('getKeyBindingAction', function() {
+        it('should find the action bound to the keys by default', function() {
+            const ev = keyEvent(KeyCode.PAGE_UP);
+            expect(getKeyBindingAction(KeyBindingScope.Navigation, ev)).toBe("scrollUp");
+        });
+
+        it('should keep a shortcut for the room filter next to the quick switcher', function() {
+            const scope = KeyBindingScope.Navigation;
+            const switcherKeys = getDefaultKeyBinding("openQuickSwitcher");
+            const filterKeys = getDefaultKeyBinding("focusRoomFilter");
+            expect(getKeyBindingAction(scope, keyEvent(switcherKeys.keyCode, switcherKeys)))
+                .toBe("openQuickSwitcher");
+            expect(getKeyBindingAction(scope, keyEvent(filterKeys.keyCode, filterKeys)))
+                .toBe("focusRoomFilter");
+        });
+
+        it('should only look in the given scope', function() {
+            const ev = keyEvent(KeyCode.PAGE_UP);
+            expect(getKeyBindingAction(KeyBindingScope.Composer, ev)).toBe(null);
+        });
+
+        it('should need exactly the modifiers of the binding', function() {
+            const ev = keyEvent(KeyCode.PAGE_UP, {shiftKey: true});
+            expect(getKeyBindingAction(KeyBindingScope.Navigation, ev)).toBe(null);
+        });
+
+        it('should use the keys the user has bound instead', function() {
+            overrides = {scrollUp: {
+                keyCode: KeyCode.UP, ctrlKey: false, metaKey: false, altKey: true, shiftKey: false,
+            }};
+            expect(getKeyBinding("scrollUp")).toEqual(overrides.scrollUp);
+            const scope = KeyBindingScope.Navigation;
+            expect(getKeyBindingAction(scope, keyEvent(KeyCode.UP, {altKey: true}))).toBe("scrollUp");
+            expect(getKeyBindingAction(scope, keyEvent(KeyCode.PAGE_UP))).toBe(null);
+        });
+
+        it('should do nothing for actions the user has unbound', function() {
+            overrides = {scrollUp: null};
+            const ev = keyEvent(KeyCode.PAGE_UP);
+            expect(getKeyBindingAction(KeyBindingScope.Navigation, ev)).toBe(null);
+        });
+    });
+
+    describe('getClashingKeyBinding', function() {
+        it('should find a clash in the same scope', function() {
+            const keys = getDefaultKeyBinding("formatBold");
+            expect(getClashingKeyBinding("formatItalics", keys)).toBe("formatBold");
+        });
+
+        it('should find a clash across nesting scopes', function() {
+            const keys = getDefaultKeyBinding("openQuickSwitcher");
+            expect(getClashingKeyBinding("formatBold", keys)).toBe("openQuickSwitcher");
+        });
+
+        it('should let a composer binding share its keys with a room one', function() {
+            const keys = getDefaultKeyBinding("toggleVideoInCall");
+            expect(getDefaultKeyBinding("formatCode")).toEqual(keys);
+            expect(getClashingKeyBinding("formatCode", keys)).toBe(null);
+        });
+
+        it('should not find a clash with the binding being changed', function() {
+            const keys = getDefaultKeyBinding("scrollUp");
+            expect(getClashingKeyBinding("scrollUp", keys)).toBe(null);
+        });
+
+        it('should not find a clash with an unbound action', function() {
+            overrides = {formatBold: null};
+            const keys = getDefaultKeyBinding("formatBold");
+            expect(getClashingKeyBinding("formatItalics", keys)).toBe(null);
+        });
+    });
+
+    describe('isUsableKeyBinding', function() {
+        it('should need Ctrl, Alt or Meta for keys which type', function() {
+            expect(isUsableKeyBinding(getKeyBindingForEvent(keyEvent(KeyCode.KEY_K)))).toBe(false);
+            expect(isUsableKeyBinding(getKeyBindingForEvent(keyEvent(KeyCode.ENTER)))).toBe(false);
+            const shifted = keyEvent(KeyCode.KEY_K, {shiftKey: true});
+            expect(isUsableKeyBinding(getKeyBindingForEvent(shifted))).toBe(false);
+            const withAlt = keyEvent(KeyCode.KEY_K, {altKey: true});
+            expect(isUsableKeyBinding(getKeyBindingForEvent(withAlt))).toBe(true);
+        });
+
+        it('should allow the navigation keys on their own', function() {
+            expect(isUsableKeyBinding(getKeyBindingForEvent(keyEvent(KeyCode.PAGE_DOWN)))).toBe(true);
+        });
+    });
+});
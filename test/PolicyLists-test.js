@@ -0,0 +1,47 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import expect from 'expect';
+import {parsePolicyRule, RuleKind} from '../src/PolicyLists';
+import {mkEvent} from './test-utils';
+
+function mkRule(type, content) {
+    return mkEvent({type, room: "!list:example.org", user: "@mod:example.org", skey: "rule", content, event: true});
+}
+
+describe('PolicyLists', function() {
+    describe('parsePolicyRule', function() {
+        it('should parse ban rules', function() {
+            const rule = parsePolicyRule(mkRule("m.policy.rule.server", {
+                entity: "*.evil.com",
+                recommendation: "m.ban",
+                reason: "spam",
+            }));
+            expect(rule.kind).toEqual(RuleKind.Server);
+            expect(rule.reason).toEqual("spam");
+            expect(rule.matchesUser("@bob:chat.evil.com")).toBe(true);
+            expect(rule.matchesUser("@bob:example.org")).toBe(false);
+        });
+
+        it('should ignore removed rules and other recommendations', function() {
+            expect(parsePolicyRule(mkRule("m.policy.rule.user", {}))).toBe(null);
+            expect(parsePolicyRule(mkRule("m.policy.rule.user", {
+                entity: "@bob:example.org",
+                recommendation: "com.example.warn",
+            }))).toBe(null);
+        });
+    });
+});
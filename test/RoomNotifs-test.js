@@ -0,0 +1,96 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import expect from 'expect';
+import sinon from 'sinon';
+import Promise from 'bluebird';
+import {addRoomKeywordRule, eventMatchesKeyword} from '../src/RoomNotifs';
+import MatrixClientPeg from '../src/MatrixClientPeg';
+import * as testUtils from './test-utils';
+
+function mkMessage(msg) {
+    return testUtils.mkMessage({room: "!room:example.org", user: "@alice:example.org", msg, event: true});
+}
+
+describe('RoomNotifs', function() {
+    describe('eventMatchesKeyword', function() {
+        it('should match whole words, ignoring case', function() {
+            expect(eventMatchesKeyword(mkMessage("The Release is out!"), "release")).toBe(true);
+            expect(eventMatchesKeyword(mkMessage("Prereleases are out"), "release")).toBe(false);
+        });
+
+        it('should treat * and ? as wildcards', function() {
+            expect(eventMatchesKeyword(mkMessage("Prereleases are out"), "*release*")).toBe(true);
+            expect(eventMatchesKeyword(mkMessage("v1.4 is out"), "v?.?")).toBe(true);
+        });
+
+        it('should treat other characters literally', function() {
+            expect(eventMatchesKeyword(mkMessage("v104 is out"), "v1.4")).toBe(false);
+        });
+    });
+
+    describe('addRoomKeywordRule', function() {
+        const ROOM_ID = "!room:example.org";
+        let sandbox;
+        let client;
+
+        beforeEach(function() {
+            testUtils.beforeEach(this);
+            sandbox = testUtils.stubClient();
+            client = MatrixClientPeg.get();
+            client.pushRules = {global: {override: []}};
+            client.addPushRule = sinon.stub().returns(Promise.resolve({}));
+            client.deletePushRule = sinon.stub().returns(Promise.resolve({}));
+            client._http = {authedRequest: sinon.stub().returns(Promise.resolve({}))};
+        });
+
+        afterEach(function() {
+            sandbox.restore();
+        });
+
+        it('should add an override rule for the keyword in the room', async function() {
+            await addRoomKeywordRule(ROOM_ID, "release");
+
+            expect(client.addPushRule.calledOnce).toBe(true);
+            const [scope, kind, ruleId, body] = client.addPushRule.firstCall.args;
+            expect([scope, kind]).toEqual(['global', 'override']);
+            expect(ruleId.startsWith(ROOM_ID + ".keyword.")).toBe(true);
+            expect(body.conditions).toEqual([
+                {kind: 'event_match', key: 'room_id', pattern: ROOM_ID},
+                {kind: 'event_match', key: 'content.body', pattern: "release"},
+            ]);
+        });
+
+        it('should put the rule below the mute of a muted room, leaving the mute alone', async function() {
+            client.pushRules.global.override.push({
+                rule_id: ROOM_ID,
+                enabled: true,
+                conditions: [{kind: 'event_match', key: 'room_id', pattern: ROOM_ID}],
+                actions: ['dont_notify'],
+            });
+            await addRoomKeywordRule(ROOM_ID, "release");
+
+            expect(client.addPushRule.called).toBe(false);
+            expect(client.deletePushRule.called).toBe(false);
+            const [, method, path, queryParams, body] = client._http.authedRequest.firstCall.args;
+            expect(method).toBe('PUT');
+            const rulePrefix = encodeURIComponent(ROOM_ID + ".keyword.");
+            expect(path.startsWith('/pushrules/global/override/' + rulePrefix)).toBe(true);
+            expect(queryParams).toEqual({after: ROOM_ID});
+            expect(body.conditions[1].pattern).toBe("release");
+        });
+    });
+});
@@ -0,0 +1,167 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import expect from 'expect';
+import sinon from 'sinon';
+import Promise from 'bluebird';
+
+import 'matrix-react-sdk'; // skins the sdk, for the dialogs commands open
+import {
+    ArgType,
+    getCommand,
+    getCommandAliases,
+    parseCommandArgs,
+    registerSlashCommand,
+    unregisterSlashCommand,
+} from '../src/SlashCommands';
+import MatrixClientPeg from '../src/MatrixClientPeg';
+import Modal from '../src/Modal';
+import * as testUtils from './test-utils';
+
+const ROOM_ID = "!room:example.org";
+
+const KICK_ARGS = [
+    {name: 'user-id', type: ArgType.UserId},
+    {name: 'reason', type: ArgType.Text, optional: true},
+];
+
+describe('SlashCommands', function() {
+    describe('parseCommandArgs', function() {
+        it('should parse arguments by their type', function() {
+            expect(parseCommandArgs(KICK_ARGS, "@alice:example.org being rude")).toEqual({
+                args: {'user-id': "@alice:example.org", 'reason': "being rude"},
+            });
+            expect(parseCommandArgs([{name: 'level', type: ArgType.Number}], "-5")).toEqual({
+                args: {level: -5},
+            });
+        });
+
+        it('should reject missing, wrong or extra arguments', function() {
+            expect(parseCommandArgs(KICK_ARGS, "").error).toBeTruthy();
+            expect(parseCommandArgs(KICK_ARGS, "alice").error).toBeTruthy();
+            expect(parseCommandArgs([{name: 'user-id', type: ArgType.UserId}], "@a:b @c:d").error).toBeTruthy();
+        });
+    });
+
+    describe('UserIdOrEmail arguments', function() {
+        const INVITE_ARGS = [{name: 'user-id', type: ArgType.UserIdOrEmail}];
+
+        it('should take user IDs', function() {
+            expect(parseCommandArgs(INVITE_ARGS, "@alice:example.org")).toEqual({
+                args: {'user-id': "@alice:example.org"},
+            });
+        });
+
+        it('should take email addresses', function() {
+            expect(parseCommandArgs(INVITE_ARGS, "alice@example.org")).toEqual({
+                args: {'user-id': "alice@example.org"},
+            });
+        });
+
+        it('should reject anything else', function() {
+            expect(parseCommandArgs(INVITE_ARGS, "alice").error).toBeTruthy();
+            expect(parseCommandArgs(INVITE_ARGS, "alice@example").error).toBeTruthy();
+        });
+
+        it('should be what /invite takes', function() {
+            expect(getCommand('invite').argSchema).toEqual(INVITE_ARGS);
+        });
+    });
+
+    describe('registerSlashCommand', function() {
+        afterEach(function() {
+            unregisterSlashCommand('wave');
+        });
+
+        it('should register commands and their aliases', function() {
+            registerSlashCommand({name: 'wave', aliases: ['hi'], description: "Waves", runFn: () => ({})});
+            expect(getCommand('hi')).toBe(getCommand('wave'));
+            expect(getCommandAliases('wave')).toEqual(['hi']);
+        });
+
+        it('should not replace existing commands', function() {
+            expect(() => registerSlashCommand({name: 'kick', description: "", runFn: () => ({})})).toThrow();
+        });
+    });
+
+    describe('moderation commands', function() {
+        let sandbox;
+        let client;
+        let room;
+
+        function mkPowerLevels(content) {
+            return testUtils.mkEvent({type: 'm.room.power_levels', room: ROOM_ID, content, event: true});
+        }
+
+        beforeEach(function() {
+            testUtils.beforeEach(this);
+            sandbox = testUtils.stubClient();
+            client = MatrixClientPeg.get();
+            client.setPowerLevel = sinon.stub().returns(Promise.resolve({}));
+            room = testUtils.mkStubRoom(ROOM_ID);
+            client.getRoom.returns(room);
+            sandbox.stub(Modal, 'createTrackedDialog');
+        });
+
+        afterEach(function() {
+            sandbox.restore();
+        });
+
+        it('/mute should set the user one below the level needed to send messages', function() {
+            const powerLevels = mkPowerLevels({events: {'m.room.message': 10}, events_default: 0});
+            room.currentState.getStateEvents.withArgs('m.room.power_levels', '').returns(powerLevels);
+
+            expect(getCommand('mute').run(ROOM_ID, "@bob:example.org").promise).toBeTruthy();
+            expect(client.setPowerLevel.calledWith(ROOM_ID, "@bob:example.org", 9, powerLevels)).toBe(true);
+        });
+
+        it('/mute should fall back to the default level for events', function() {
+            const powerLevels = mkPowerLevels({events_default: 5});
+            room.currentState.getStateEvents.withArgs('m.room.power_levels', '').returns(powerLevels);
+
+            getCommand('mute').run(ROOM_ID, "@bob:example.org");
+            expect(client.setPowerLevel.calledWith(ROOM_ID, "@bob:example.org", 4, powerLevels)).toBe(true);
+        });
+
+        it('/mute should refuse rooms without power levels', function() {
+            room.currentState.getStateEvents.returns(null);
+
+            expect(getCommand('mute').run(ROOM_ID, "@bob:example.org").error).toBeTruthy();
+            expect(client.setPowerLevel.called).toBe(false);
+        });
+
+        it('/purge should refuse to remove fewer than one message', function() {
+            expect(getCommand('purge').run(ROOM_ID, "@bob:example.org 0").error).toBeTruthy();
+            expect(getCommand('purge').run(ROOM_ID, "@bob:example.org -3").error).toBeTruthy();
+            expect(Modal.createTrackedDialog.called).toBe(false);
+        });
+
+        it('/purge should ask to remove 50 messages by default', function() {
+            getCommand('purge').run(ROOM_ID, "@bob:example.org");
+
+            const props = Modal.createTrackedDialog.firstCall.args[3];
+            expect(props).toEqual({room, userId: "@bob:example.org", count: 50});
+        });
+
+        it('/whois should show the user in the room', function() {
+            expect(getCommand('whois').run(ROOM_ID, "@bob:example.org").error).toBe(undefined);
+
+            const [, subKey, , props] = Modal.createTrackedDialog.firstCall.args;
+            expect(subKey).toBe('Whois');
+            expect(props).toEqual({userId: "@bob:example.org", room});
+        });
+    });
+});
@@ -0,0 +1,113 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import expect from 'expect';
+import sinon from 'sinon';
+import Promise from 'bluebird';
+
+import Autocompleter, {
+    getAutocompleteProviderDisplayName,
+    getAutocompleteProviderIds,
+    registerAutocompleteProvider,
+    unregisterAutocompleteProvider,
+} from '../../src/autocomplete/Autocompleter';
+import AutocompleteProvider from '../../src/autocomplete/AutocompleteProvider';
+import SettingsStore from '../../src/settings/SettingsStore';
+
+const BUILT_IN_IDS = getAutocompleteProviderIds();
+
+const SELECTION = {beginning: true, start: 0, end: 0};
+
+class FruitProvider extends AutocompleteProvider {
+    getCompletions() {
+        return Promise.resolve([{completion: "apple", range: {start: 0, end: 1}}]);
+    }
+}
+
+class SlowProvider extends AutocompleteProvider {
+    getCompletions() {
+        return new Promise(() => {});
+    }
+}
+
+describe('Autocompleter', function() {
+    let sandbox;
+    let settings;
+
+    beforeEach(function() {
+        sandbox = sinon.sandbox.create();
+        // the built-in providers need a client and a room, so are left out
+        // unless a test turns them back on
+        settings = {
+            autocompleteProviderOrder: [],
+            autocompleteDisabledProviders: BUILT_IN_IDS,
+        };
+        sandbox.stub(SettingsStore, 'getValue').callsFake((name) => settings[name]);
+    });
+
+    afterEach(function() {
+        sandbox.restore();
+        ["fruit", "slow", "vegetables"].forEach(unregisterAutocompleteProvider);
+    });
+
+    it('should refuse providers with an ID which is already registered', function() {
+        registerAutocompleteProvider("fruit", FruitProvider);
+        expect(() => registerAutocompleteProvider("fruit", SlowProvider)).toThrow();
+        expect(() => registerAutocompleteProvider("users", FruitProvider)).toThrow();
+    });
+
+    it('should order providers as set, followed by the rest as registered', function() {
+        registerAutocompleteProvider("fruit", FruitProvider);
+        registerAutocompleteProvider("vegetables", FruitProvider);
+        settings.autocompleteProviderOrder = ["vegetables", "emoji", "not-registered"];
+
+        const otherBuiltIns = BUILT_IN_IDS.filter((id) => id !== "emoji");
+        expect(getAutocompleteProviderIds()).toEqual(["vegetables", "emoji", ...otherBuiltIns, "fruit"]);
+    });
+
+    it('should only construct the providers which are enabled', function() {
+        let constructed = 0;
+        class CountedProvider extends FruitProvider {
+            constructor(room) {
+                super();
+                constructed++;
+            }
+        }
+        registerAutocompleteProvider("fruit", CountedProvider);
+        registerAutocompleteProvider("vegetables", FruitProvider);
+        settings.autocompleteDisabledProviders = BUILT_IN_IDS.concat(["fruit"]);
+
+        const autocompleter = new Autocompleter(null);
+        expect(constructed).toBe(0);
+        expect(autocompleter.providers.length).toBe(1);
+        expect(autocompleter.providers[0] instanceof FruitProvider).toBe(true);
+    });
+
+    it('should give up on providers which take too long', async function() {
+        registerAutocompleteProvider("fruit", FruitProvider);
+        registerAutocompleteProvider("slow", SlowProvider, {timeout: 10});
+
+        const completions = await new Autocompleter(null).getCompletions("a", SELECTION);
+        expect(completions.map((c) => c.timedOut)).toEqual([false, true]);
+        expect(completions[0].completions[0].completion).toBe("apple");
+        expect(completions[1].completions).toEqual([]);
+    });
+
+    it('should call providers without a display name by their ID', function() {
+        registerAutocompleteProvider("vegetables", FruitProvider);
+        expect(getAutocompleteProviderDisplayName("vegetables")).toBe("vegetables");
+    });
+});
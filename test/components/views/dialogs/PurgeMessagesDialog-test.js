@@ -0,0 +1,98 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import expect from 'expect';
+import Promise from 'bluebird';
+import React from 'react';
+import ReactDOM from 'react-dom';
+import sinon from 'sinon';
+import {TimelineWindow} from 'matrix-js-sdk';
+
+import sdk from 'matrix-react-sdk';
+
+import * as testUtils from '../../../test-utils';
+
+const PurgeMessagesDialog = sdk.getComponent('views.dialogs.PurgeMessagesDialog');
+
+const ROOM_ID = "!room:example.org";
+const ALICE = "@alice:example.org";
+
+function mkMessage(user, msg, ts) {
+    return testUtils.mkMessage({room: ROOM_ID, user, msg, ts, event: true});
+}
+
+describe('PurgeMessagesDialog', function() {
+    let parentDiv;
+    let sandbox;
+    let room;
+    let timeline;
+
+    beforeEach(function() {
+        testUtils.beforeEach(this);
+        sandbox = testUtils.stubClient();
+        room = testUtils.mkStubRoom(ROOM_ID);
+        room.currentState.maySendRedactionForEvent = sinon.stub().returns(true);
+
+        // the room's timeline, oldest first
+        timeline = [];
+        sandbox.stub(TimelineWindow.prototype, 'load').returns(Promise.resolve());
+        sandbox.stub(TimelineWindow.prototype, 'getEvents').callsFake(() => timeline);
+        sandbox.stub(TimelineWindow.prototype, 'paginate').returns(Promise.resolve(false));
+
+        parentDiv = document.createElement('div');
+        document.body.appendChild(parentDiv);
+    });
+
+    afterEach(function() {
+        ReactDOM.unmountComponentAtNode(parentDiv);
+        parentDiv.remove();
+        sandbox.restore();
+    });
+
+    async function findEvents(userId, count) {
+        const dialog = ReactDOM.render(
+            <PurgeMessagesDialog room={room} userId={userId} count={count} onFinished={() => {}} />,
+            parentDiv,
+        );
+        // the stubbed timeline is loaded straight away
+        await Promise.delay(10);
+        return dialog.state.events;
+    }
+
+    it("should pick the user's most recent messages which can be removed", async function() {
+        const redacted = mkMessage(ALICE, "removed already", 4);
+        redacted.event.unsigned = {redacted_because: {type: "m.room.redaction"}};
+        timeline = [
+            mkMessage(ALICE, "first", 1),
+            mkMessage("@bob:example.org", "not alice", 2),
+            mkMessage(ALICE, "second", 3),
+            redacted,
+            mkMessage(ALICE, "third", 5),
+            testUtils.mkMembership({room: ROOM_ID, user: ALICE, mship: "join", event: true}),
+        ];
+
+        const events = await findEvents(ALICE, 2);
+        expect(events.map((ev) => ev.getContent().body)).toEqual(["third", "second"]);
+    });
+
+    it("should leave out messages the user isn't allowed to remove", async function() {
+        const message = mkMessage(ALICE, "hello", 1);
+        timeline = [message];
+        room.currentState.maySendRedactionForEvent.withArgs(message).returns(false);
+
+        expect(await findEvents(ALICE, 50)).toEqual([]);
+    });
+});
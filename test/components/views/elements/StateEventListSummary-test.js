@@ -0,0 +1,73 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+import expect from 'expect';
+import * as languageHandler from '../../../../src/languageHandler';
+import * as testUtils from '../../../test-utils';
+import { summariseStateEvents } from '../../../../src/components/views/elements/StateEventListSummary';
+
+function mkTopic(topic) {
+    return testUtils.mkEvent({
+        event: true,
+        type: "m.room.topic",
+        room: "!room:example.org",
+        user: "@alice:example.org",
+        content: {topic},
+    });
+}
+
+function mkName(name) {
+    return testUtils.mkEvent({
+        event: true,
+        type: "m.room.name",
+        room: "!room:example.org",
+        user: "@alice:example.org",
+        content: {name},
+    });
+}
+
+describe('StateEventListSummary', function() {
+    let sandbox;
+
+    beforeEach(function(done) {
+        testUtils.beforeEach(this);
+        sandbox = testUtils.stubClient();
+
+        languageHandler.setLanguage('en').done(done);
+    });
+
+    afterEach(function() {
+        sandbox.restore();
+    });
+
+    describe('summariseStateEvents', function() {
+        it('should only describe the last change to each piece of state', function() {
+            const events = [mkTopic("first"), mkName("Room"), mkTopic("second")];
+            expect(summariseStateEvents(events, 2)).toEqual(
+                '@alice:example.org changed the room name to Room. ' +
+                '@alice:example.org changed the topic to "second". (and one other change)',
+            );
+        });
+
+        it('should count the changes it does not describe', function() {
+            const events = [mkTopic("first"), mkTopic("second"), mkName("Room")];
+            expect(summariseStateEvents(events, 1)).toEqual(
+                '@alice:example.org changed the topic to "second". (and 2 other changes)',
+            );
+        });
+    });
+});
@@ -0,0 +1,239 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import expect from 'expect';
+import sinon from 'sinon';
+import Promise from 'bluebird';
+
+import 'matrix-react-sdk'; // skins the sdk, for the dialogs of failed commands
+import EditorModel from '../../../../src/editor/model';
+import {PartCreator} from '../../../../src/editor/parts';
+import SendMessageComposer, {createMessageContent} from '../../../../src/components/views/rooms/SendMessageComposer';
+import SendHistoryManager from '../../../../src/SendHistoryManager';
+import MatrixClientPeg from '../../../../src/MatrixClientPeg';
+import Modal from '../../../../src/Modal';
+import dis from '../../../../src/dispatcher';
+import RoomViewStore from '../../../../src/stores/RoomViewStore';
+import DraftStore from '../../../../src/stores/DraftStore';
+import * as testUtils from '../../../test-utils';
+
+const ROOM_ID = "!room:example.org";
+
+// permalinks for the fallback of replies, without needing the room's members
+const permalinkCreator = {
+    forEvent: (eventId) => `https://matrix.to/#/${ROOM_ID}/${eventId}`,
+};
+
+function mkRepliedToEvent() {
+    return testUtils.mkEvent({
+        type: "m.room.message",
+        room: ROOM_ID,
+        user: "@alice:example.org",
+        content: {msgtype: "m.text", body: "what time?"},
+        event: true,
+    });
+}
+
+describe('SendMessageComposer', () => {
+    describe('createMessageContent', () => {
+        const partCreator = new PartCreator(null, null);
+
+        it("sends plain text messages correctly", () => {
+            const model = new EditorModel([partCreator.plain("hello world")], partCreator);
+            const content = createMessageContent(model);
+
+            expect(content).toEqual({
+                body: "hello world",
+                msgtype: "m.text",
+            });
+        });
+
+        it("sends markdown messages correctly", () => {
+            const model = new EditorModel([partCreator.plain("hello *world*")], partCreator);
+            const content = createMessageContent(model);
+
+            expect(content).toEqual({
+                body: "hello *world*",
+                msgtype: "m.text",
+                format: "org.matrix.custom.html",
+                formatted_body: "hello <em>world</em>",
+            });
+        });
+
+        it("strips /me from messages and marks them as m.emote accordingly", () => {
+            const model = new EditorModel([partCreator.plain("/me blinks __quickly__")], partCreator);
+            const content = createMessageContent(model);
+
+            expect(content).toEqual({
+                body: "blinks __quickly__",
+                msgtype: "m.emote",
+                format: "org.matrix.custom.html",
+                formatted_body: "blinks <strong>quickly</strong>",
+            });
+            // the model in the composer is left alone
+            expect(model.parts[0].text).toEqual("/me blinks __quickly__");
+        });
+    });
+
+    describe('createMessageContent of replies', () => {
+        const partCreator = new PartCreator(null, null);
+
+        it("relates the message to the event it replies to and quotes it", () => {
+            const repliedTo = mkRepliedToEvent();
+            const model = new EditorModel([partCreator.plain("noon")], partCreator);
+            const content = createMessageContent(model, permalinkCreator, repliedTo);
+
+            expect(content['m.relates_to']).toEqual({
+                'm.in_reply_to': {event_id: repliedTo.getId()},
+            });
+            expect(content.body).toEqual("> <@alice:example.org> what time?\n\nnoon");
+            expect(content.format).toEqual("org.matrix.custom.html");
+            expect(content.formatted_body).toContain(`<a href="${permalinkCreator.forEvent(repliedTo.getId())}">`);
+            expect(content.formatted_body).toContain("<br>what time?</blockquote></mx-reply>");
+            expect(content.formatted_body.endsWith("</mx-reply>noon")).toBe(true);
+        });
+    });
+
+    describe('composer', () => {
+        let sandbox;
+        let client;
+        let room;
+        let composer;
+
+        function setText(text) {
+            const {partCreator} = composer.model;
+            const part = text.startsWith("/") ? partCreator.command(text) : partCreator.plain(text);
+            composer.model.reset([part]);
+        }
+
+        function pressKey(key, modifiers = {}) {
+            const event = Object.assign({key, preventDefault: sinon.spy()}, modifiers);
+            composer._onKeyDown(event);
+            return event;
+        }
+
+        beforeEach(function() {
+            testUtils.beforeEach(this);
+            sandbox = testUtils.stubClient();
+            client = MatrixClientPeg.get();
+            sandbox.stub(client, 'sendMessage').returns(Promise.resolve({}));
+            client.setRoomTopic = sinon.stub().returns(Promise.resolve({}));
+            sandbox.stub(Modal, 'createTrackedDialog');
+            sandbox.stub(RoomViewStore, 'getQuotingEvent').returns(null);
+            sandbox.spy(dis, 'dispatch');
+            sessionStorage.clear();
+
+            room = testUtils.mkStubRoom(ROOM_ID);
+            room.currentState.getStateEvents.returns([]);
+            composer = new SendMessageComposer({room, permalinkCreator}, {matrixClient: client});
+            composer.model.setUpdateCallback(() => {});
+            composer._editorRef = {
+                focus: sinon.spy(),
+                isCaretAtStart: () => true,
+                isCaretAtEnd: () => true,
+            };
+        });
+
+        afterEach(function() {
+            sandbox.restore();
+            sessionStorage.clear();
+            DraftStore.clearAll();
+        });
+
+        it("sends the message on enter and saves it to the history", () => {
+            setText("hello");
+            const event = pressKey("Enter");
+
+            expect(event.preventDefault.called).toBe(true);
+            expect(client.sendMessage.calledWith(ROOM_ID, {msgtype: "m.text", body: "hello"})).toBe(true);
+            expect(composer.model.isEmpty).toBe(true);
+            expect(new SendHistoryManager(ROOM_ID).history).toEqual([[{type: "plain", text: "hello"}]]);
+        });
+
+        it("browses the history with alt and the arrow keys", () => {
+            setText("first");
+            pressKey("Enter");
+            setText("second");
+            pressKey("Enter");
+            setText("unsent");
+
+            expect(pressKey("ArrowUp", {altKey: true}).preventDefault.called).toBe(true);
+            expect(composer.model.getText()).toEqual("second");
+            pressKey("ArrowUp", {altKey: true});
+            expect(composer.model.getText()).toEqual("first");
+            // there's nothing older, so it stays on the first message
+            pressKey("ArrowUp", {altKey: true});
+            expect(composer.model.getText()).toEqual("first");
+
+            pressKey("ArrowDown", {altKey: true});
+            expect(composer.model.getText()).toEqual("second");
+            // going past the newest message brings back what was being written
+            pressKey("ArrowDown", {altKey: true});
+            expect(composer.model.getText()).toEqual("unsent");
+            expect(pressKey("ArrowDown", {altKey: true}).preventDefault.called).toBe(false);
+            expect(composer.model.getText()).toEqual("unsent");
+        });
+
+        it("doesn't browse the history unless the caret is at the edge", () => {
+            setText("first");
+            pressKey("Enter");
+            setText("unsent");
+            composer._editorRef.isCaretAtStart = () => false;
+
+            expect(pressKey("ArrowUp", {altKey: true}).preventDefault.called).toBe(false);
+            expect(composer.model.getText()).toEqual("unsent");
+        });
+
+        it("runs slash commands instead of sending them", () => {
+            setText("/topic Lunch plans");
+            pressKey("Enter");
+
+            expect(client.setRoomTopic.calledWith(ROOM_ID, "Lunch plans")).toBe(true);
+            expect(client.sendMessage.called).toBe(false);
+            expect(composer.model.isEmpty).toBe(true);
+        });
+
+        it("keeps unknown commands in the composer and says why", () => {
+            setText("/notacommand");
+            pressKey("Enter");
+
+            expect(client.sendMessage.called).toBe(false);
+            expect(Modal.createTrackedDialog.calledWith('Command error')).toBe(true);
+            expect(composer.model.getText()).toEqual("/notacommand");
+        });
+
+        it("sends /me as an emote", () => {
+            setText("/me waves");
+            pressKey("Enter");
+
+            expect(client.sendMessage.calledWith(ROOM_ID, {msgtype: "m.emote", body: "waves"})).toBe(true);
+        });
+
+        it("sends replies to the quoted event and stops replying", () => {
+            const repliedTo = mkRepliedToEvent();
+            RoomViewStore.getQuotingEvent.returns(repliedTo);
+            setText("noon");
+            pressKey("Enter");
+
+            const content = client.sendMessage.firstCall.args[1];
+            expect(content['m.relates_to']).toEqual({
+                'm.in_reply_to': {event_id: repliedTo.getId()},
+            });
+            expect(content.body).toEqual("> <@alice:example.org> what time?\n\nnoon");
+            expect(dis.dispatch.calledWith({action: 'reply_to_event', event: null})).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,59 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+import expect from 'expect';
+import EditorModel from '../../src/editor/model';
+import {PartCreator} from '../../src/editor/parts';
+import {Formatting, formatSelection} from '../../src/editor/operations';
+
+function createModel(text) {
+    const partCreator = new PartCreator(null, null);
+    return new EditorModel([partCreator.plain(text)], partCreator, () => {});
+}
+
+// formats the text between the first [ and ], which are left out
+function format(textWithSelection, formatting) {
+    const start = textWithSelection.indexOf("[");
+    const end = textWithSelection.indexOf("]") - 1;
+    const model = createModel(textWithSelection.replace("[", "").replace("]", ""));
+    formatSelection(model, {start, end}, formatting);
+    return model.getText();
+}
+
+describe('editor/operations', function() {
+    describe('formatSelection', function() {
+        it('should add inline formatting around the selection', function() {
+            expect(format("a [word] here", Formatting.Bold)).toEqual("a **word** here");
+            expect(format("a [word] here", Formatting.Italics)).toEqual("a *word* here");
+        });
+
+        it('should remove inline formatting which is already applied', function() {
+            expect(format("a **[word]** here", Formatting.Bold)).toEqual("a word here");
+            expect(format("a *[word]* here", Formatting.Italics)).toEqual("a word here");
+        });
+
+        it('should not take bold for italics', function() {
+            expect(format("a **[word]** here", Formatting.Italics)).toEqual("a ***word*** here");
+            expect(format("a *[word]* here", Formatting.Bold)).toEqual("a ***word*** here");
+        });
+
+        it('should take apart bold italics', function() {
+            expect(format("a ***[word]*** here", Formatting.Italics)).toEqual("a **word** here");
+            expect(format("a ***[word]*** here", Formatting.Bold)).toEqual("a *word* here");
+        });
+    });
+});
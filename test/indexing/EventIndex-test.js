@@ -0,0 +1,147 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import expect from 'expect';
+import sinon from 'sinon';
+
+import EventIndex, { tokenize } from '../../src/indexing/EventIndex';
+import * as testUtils from '../test-utils';
+
+const ENCRYPTED_ROOM = '!encrypted:example.org';
+const PLAIN_ROOM = '!plain:example.org';
+
+describe('EventIndex', function() {
+    let client;
+    let index;
+
+    beforeEach(async function() {
+        testUtils.beforeEach(this);
+
+        client = testUtils.createTestClient();
+        client.isRoomEncrypted = (roomId) => roomId === ENCRYPTED_ROOM;
+        client.getSyncState = sinon.stub().returns(null);
+
+        await EventIndex.deleteIndex();
+        index = new EventIndex(client);
+        await index.start();
+    });
+
+    afterEach(async function() {
+        index.stop();
+        await EventIndex.deleteIndex();
+    });
+
+    function addMessage(room, msg, ts) {
+        const ev = testUtils.mkMessage({
+            room, msg, ts,
+            user: '@alice:example.org',
+            event: true,
+        });
+        index.addEvent(ev);
+        return ev;
+    }
+
+    it('splits text into unique lowercase tokens', function() {
+        expect(tokenize('Hello, hello WORLD! meet-up')).toEqual(['hello', 'world', 'meet', 'up']);
+    });
+
+    it('only finds messages from encrypted rooms', async function() {
+        addMessage(ENCRYPTED_ROOM, 'the secret plans', 1);
+        addMessage(PLAIN_ROOM, 'the public plans', 2);
+
+        const response = await index.search({searchTerm: 'plans'});
+        expect(response.count).toBe(1);
+        expect(response.results[0].result.content.body).toBe('the secret plans');
+    });
+
+    it('requires every term to match, by prefix', async function() {
+        addMessage(ENCRYPTED_ROOM, 'meeting on tuesday', 1);
+        addMessage(ENCRYPTED_ROOM, 'meeting on wednesday', 2);
+
+        const response = await index.search({searchTerm: 'meet tues'});
+        expect(response.results.map((r) => r.result.content.body)).toEqual(['meeting on tuesday']);
+        expect(response.highlights).toEqual(['meet', 'tues']);
+    });
+
+    it('returns the most recent results first and paginates', async function() {
+        for (let i = 0; i < 15; i++) {
+            addMessage(ENCRYPTED_ROOM, 'message ' + i, i);
+        }
+
+        const first = await index.search({searchTerm: 'message', roomId: ENCRYPTED_ROOM});
+        expect(first.count).toBe(15);
+        expect(first.results.length).toBe(10);
+        expect(first.results[0].result.content.body).toBe('message 14');
+        expect(first.next_batch).toBeTruthy();
+
+        const second = await index.search({
+            searchTerm: 'message',
+            roomId: ENCRYPTED_ROOM,
+            nextBatch: first.next_batch,
+        });
+        expect(second.results.length).toBe(5);
+        expect(second.results[4].result.content.body).toBe('message 0');
+        expect(second.next_batch).toBe(undefined);
+    });
+
+    it('includes the surrounding messages as context', async function() {
+        addMessage(ENCRYPTED_ROOM, 'before', 1);
+        addMessage(ENCRYPTED_ROOM, 'needle', 2);
+        addMessage(ENCRYPTED_ROOM, 'after', 3);
+
+        const response = await index.search({searchTerm: 'needle'});
+        const context = response.results[0].context;
+        expect(context.events_before.map((e) => e.content.body)).toEqual(['before']);
+        expect(context.events_after.map((e) => e.content.body)).toEqual(['after']);
+    });
+
+    function addEdit(original, msg, ts, user = '@alice:example.org') {
+        index.addEvent(testUtils.mkEvent({
+            type: 'm.room.message',
+            room: original.getRoomId(),
+            user, ts,
+            content: {
+                'msgtype': 'm.text',
+                'body': '* ' + msg,
+                'm.new_content': {msgtype: 'm.text', body: msg},
+                'm.relates_to': {rel_type: 'm.replace', event_id: original.getId()},
+            },
+            event: true,
+        }));
+    }
+
+    it('re-indexes edited messages with their new content', async function() {
+        const original = addMessage(ENCRYPTED_ROOM, 'lunch at noon', 1);
+        await index.flush();
+        addEdit(original, 'dinner at eight', 2);
+
+        expect((await index.search({searchTerm: 'lunch'})).count).toBe(0);
+        const response = await index.search({searchTerm: 'dinner'});
+        expect(response.count).toBe(1);
+        expect(response.results[0].result.event_id).toBe(original.getId());
+        expect(response.results[0].result.content.body).toBe('dinner at eight');
+    });
+
+    it('ignores edits from other users and older edits', async function() {
+        const original = addMessage(ENCRYPTED_ROOM, 'lunch at noon', 1);
+        addEdit(original, 'dinner at eight', 3);
+        addEdit(original, 'breakfast at seven', 2);
+        addEdit(original, 'hijacked', 4, '@mallory:example.org');
+
+        const response = await index.search({searchTerm: 'at'});
+        expect(response.results.map((r) => r.result.content.body)).toEqual(['dinner at eight']);
+    });
+});
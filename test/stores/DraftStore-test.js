@@ -0,0 +1,73 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+import expect from 'expect';
+
+import DraftStore from '../../src/stores/DraftStore';
+
+import * as testUtils from '../test-utils';
+
+const PARTS = [{type: "plain", text: "hello"}];
+
+describe('DraftStore', function() {
+    beforeEach(function() {
+        testUtils.beforeEach(this);
+    });
+
+    afterEach(function() {
+        DraftStore.clearAll();
+    });
+
+    it('should keep drafts in localStorage', function() {
+        DraftStore.setDraft("!plain:example.org", null, PARTS);
+        DraftStore.setDraft("!secret:example.org", "$thread", PARTS);
+
+        expect(DraftStore.getDraft("!plain:example.org")).toEqual(PARTS);
+        expect(DraftStore.hasDraft("!plain:example.org")).toBe(true);
+        expect(localStorage.getItem("mx_draft_!plain:example.org")).not.toBe(null);
+        expect(DraftStore.getDraft("!secret:example.org", "$thread")).toEqual(PARTS);
+        expect(localStorage.getItem("mx_draft_!secret:example.org_$thread")).not.toBe(null);
+    });
+
+    it('should remove drafts with no text', function() {
+        DraftStore.setDraft("!plain:example.org", null, PARTS);
+        DraftStore.setDraft("!plain:example.org", null, [{type: "plain", text: "  "}]);
+
+        expect(DraftStore.getDraft("!plain:example.org")).toBe(null);
+        expect(DraftStore.hasDraft("!plain:example.org")).toBe(false);
+        expect(localStorage.getItem("mx_draft_!plain:example.org")).toBe(null);
+    });
+
+    it('should keep edits apart from the composer draft', function() {
+        const editDraftId = DraftStore.getEditDraftId("$event");
+        DraftStore.setDraft("!plain:example.org", editDraftId, PARTS);
+
+        expect(DraftStore.getDraft("!plain:example.org")).toBe(null);
+        DraftStore.clearDraft("!plain:example.org", editDraftId);
+        expect(DraftStore.hasDraft("!plain:example.org")).toBe(false);
+    });
+
+    it('should clear every draft on clearAll', function() {
+        DraftStore.setDraft("!plain:example.org", null, PARTS);
+        DraftStore.setDraft("!secret:example.org", null, PARTS);
+        DraftStore.clearAll();
+
+        expect(DraftStore.getDraft("!plain:example.org")).toBe(null);
+        expect(DraftStore.getDraft("!secret:example.org")).toBe(null);
+        expect(DraftStore.hasDraft("!secret:example.org")).toBe(false);
+    });
+});
@@ -0,0 +1,64 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+import expect from 'expect';
+
+import SessionStore from '../../src/stores/SessionStore';
+
+import * as testUtils from '../test-utils';
+
+const dispatch = testUtils.getDispatchForStore(SessionStore);
+
+function mkScheduledMessage(id) {
+    return {
+        id,
+        roomId: "!room:example.org",
+        sendAt: Date.now() + 60000,
+        content: {msgtype: "m.text", body: "later"},
+    };
+}
+
+function getStoredIds() {
+    const stored = JSON.parse(localStorage.getItem('mx_scheduled_messages')) || [];
+    return stored.map((m) => m.id);
+}
+
+describe('SessionStore', function() {
+    afterEach(function() {
+        dispatch({action: 'on_logged_out'});
+    });
+
+    it('should store scheduled messages until they are sent', function() {
+        const first = mkScheduledMessage("first");
+        dispatch({action: 'schedule_message', message: first});
+        dispatch({action: 'schedule_message', message: mkScheduledMessage("second")});
+
+        expect(SessionStore.getScheduledMessages().map((m) => m.id)).toEqual(["first", "second"]);
+        expect(getStoredIds()).toEqual(["first", "second"]);
+
+        dispatch({action: 'send_scheduled_message', message: first});
+        expect(getStoredIds()).toEqual(["second"]);
+    });
+
+    it('should forget scheduled messages on logout', function() {
+        dispatch({action: 'schedule_message', message: mkScheduledMessage("plain")});
+        dispatch({action: 'on_logged_out'});
+
+        expect(SessionStore.getScheduledMessages()).toEqual([]);
+        expect(localStorage.getItem('mx_scheduled_messages')).toBe(null);
+    });
+});
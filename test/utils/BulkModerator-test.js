@@ -0,0 +1,149 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import expect from 'expect';
+import sinon from 'sinon';
+import Promise from 'bluebird';
+
+import BulkModerator, {BulkAction} from '../../src/utils/BulkModerator';
+import MatrixClientPeg from '../../src/MatrixClientPeg';
+
+import * as testUtils from '../test-utils';
+
+const ROOM_ID = "!room:example.org";
+const MY_USER_ID = "@userId:matrix.rog";
+
+function mkRoom(members, powerLevels) {
+    return {
+        roomId: ROOM_ID,
+        getMember: (userId) => members[userId] || null,
+        currentState: {
+            getStateEvents: () => ({getContent: () => powerLevels}),
+        },
+    };
+}
+
+describe('BulkModerator', function() {
+    let sandbox;
+    let client;
+    let powerLevels;
+
+    beforeEach(function() {
+        testUtils.beforeEach(this);
+        sandbox = testUtils.stubClient();
+        client = MatrixClientPeg.get();
+
+        powerLevels = {users: {[MY_USER_ID]: 100, "@mod:example.org": 50}};
+        const members = {
+            [MY_USER_ID]: {userId: MY_USER_ID, membership: "join", powerLevel: 100},
+            "@alice:example.org": {userId: "@alice:example.org", membership: "join", powerLevel: 0},
+            "@bob:example.org": {userId: "@bob:example.org", membership: "invite", powerLevel: 0},
+            "@mod:example.org": {userId: "@mod:example.org", membership: "join", powerLevel: 100},
+        };
+        client.getRoom = sinon.stub().returns(mkRoom(members, powerLevels));
+        client.kick = sinon.stub().returns(Promise.resolve({}));
+        client.ban = sinon.stub().returns(Promise.resolve({}));
+        client.sendStateEvent = sinon.stub().returns(Promise.resolve({}));
+    });
+
+    afterEach(function() {
+        sandbox.restore();
+    });
+
+    it('should kick each member it can with the reason', async function() {
+        const moderator = new BulkModerator(ROOM_ID, BulkAction.Kick, {reason: "spam"});
+        const onProgress = sinon.spy();
+        await moderator.run(["@alice:example.org", "@bob:example.org"], onProgress);
+
+        expect(client.kick.callCount).toBe(2);
+        expect(client.kick.firstCall.args).toEqual([ROOM_ID, "@alice:example.org", "spam"]);
+        expect(moderator.getCompletionState("@alice:example.org")).toBe("done");
+        expect(moderator.getCompletionState("@bob:example.org")).toBe("done");
+        expect(onProgress.lastCall.args).toEqual([2]);
+    });
+
+    it("should not do it to members it can't affect", async function() {
+        const moderator = new BulkModerator(ROOM_ID, BulkAction.Ban);
+        await moderator.run([MY_USER_ID, "@mod:example.org", "@nobody:example.org", "@alice:example.org"]);
+
+        expect(client.ban.callCount).toBe(1);
+        expect(client.ban.firstCall.args[1]).toBe("@alice:example.org");
+        expect(moderator.getCompletionState(MY_USER_ID)).toBe("error");
+        expect(moderator.getCompletionState("@mod:example.org")).toBe("error");
+        expect(moderator.getCompletionState("@nobody:example.org")).toBe("error");
+        expect(moderator.getErrorText("@mod:example.org")).toBeTruthy();
+    });
+
+    it('should only revoke invites', async function() {
+        const moderator = new BulkModerator(ROOM_ID, BulkAction.RevokeInvite);
+        await moderator.run(["@alice:example.org", "@bob:example.org"]);
+
+        expect(client.kick.callCount).toBe(1);
+        expect(client.kick.firstCall.args).toEqual([ROOM_ID, "@bob:example.org"]);
+        expect(moderator.getCompletionState("@alice:example.org")).toBe("error");
+    });
+
+    it('should keep the error for members it fails for', async function() {
+        client.kick.withArgs(ROOM_ID, "@alice:example.org").rejects(new Error("Nope"));
+        const moderator = new BulkModerator(ROOM_ID, BulkAction.Kick);
+        await moderator.run(["@alice:example.org", "@bob:example.org"]);
+
+        expect(moderator.getCompletionState("@alice:example.org")).toBe("error");
+        expect(moderator.getErrorText("@alice:example.org")).toBe("Nope");
+        expect(moderator.getCompletionState("@bob:example.org")).toBe("done");
+    });
+
+    it('should try again when rate limited', async function() {
+        const err = Object.assign(new Error("Too many requests"), {
+            errcode: "M_LIMIT_EXCEEDED",
+            data: {retry_after_ms: 1},
+        });
+        client.kick.onFirstCall().rejects(err);
+        const moderator = new BulkModerator(ROOM_ID, BulkAction.Kick);
+        await moderator.run(["@alice:example.org"]);
+
+        expect(client.kick.callCount).toBe(2);
+        expect(moderator.getCompletionState("@alice:example.org")).toBe("done");
+    });
+
+    it('should stop when cancelled', async function() {
+        const moderator = new BulkModerator(ROOM_ID, BulkAction.Kick);
+        await moderator.run(["@alice:example.org", "@bob:example.org"], (done) => {
+            if (done) moderator.cancel();
+        });
+
+        expect(client.kick.callCount).toBe(1);
+        expect(moderator.getCompletionState("@bob:example.org")).toBe(undefined);
+    });
+
+    it('should change all the power levels at once', async function() {
+        const moderator = new BulkModerator(ROOM_ID, BulkAction.SetPowerLevel, {powerLevel: 50});
+        await moderator.run(["@alice:example.org", "@bob:example.org"]);
+
+        expect(client.sendStateEvent.callCount).toBe(1);
+        const [, type, content] = client.sendStateEvent.firstCall.args;
+        expect(type).toBe("m.room.power_levels");
+        expect(content.users).toEqual({
+            [MY_USER_ID]: 100,
+            "@mod:example.org": 50,
+            "@alice:example.org": 50,
+            "@bob:example.org": 50,
+        });
+        // the room's own copy is left alone
+        expect(powerLevels.users["@alice:example.org"]).toBe(undefined);
+        expect(moderator.getCompletionState("@alice:example.org")).toBe("done");
+    });
+});
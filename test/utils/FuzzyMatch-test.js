@@ -0,0 +1,43 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import expect from 'expect';
+import {MatchQuality, getMatchQuality, getBestMatchQuality} from '../../src/utils/FuzzyMatch';
+
+describe('FuzzyMatch', function() {
+    it('should rank prefixes above word prefixes above substrings', function() {
+        expect(getMatchQuality("mat", "Matrix HQ")).toBe(MatchQuality.Prefix);
+        expect(getMatchQuality("hq", "Matrix HQ")).toBe(MatchQuality.WordPrefix);
+        expect(getMatchQuality("trix", "Matrix HQ")).toBe(MatchQuality.Substring);
+    });
+
+    it('should match the letters of the query in order', function() {
+        expect(getMatchQuality("mtx dev", "Matrix Developers")).toBe(MatchQuality.Fuzzy);
+        expect(getMatchQuality("xtm", "Matrix")).toBe(MatchQuality.None);
+    });
+
+    it('should ignore case and diacritics', function() {
+        expect(getMatchQuality("CAFE", "Café")).toBe(MatchQuality.Prefix);
+    });
+
+    it('should not match an empty query', function() {
+        expect(getMatchQuality("  ", "Matrix")).toBe(MatchQuality.None);
+    });
+
+    it('should use the best of several strings', function() {
+        expect(getBestMatchQuality("#riot", ["Riot", "#riot:matrix.org"])).toBe(MatchQuality.Prefix);
+    });
+});
@@ -0,0 +1,61 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+import expect from 'expect';
+import * as testUtils from '../test-utils';
+import {buildReplyTree, getRepliesByParent} from '../../src/utils/ReplyTree';
+
+function mkReply(parent, ts) {
+    return testUtils.mkEvent({
+        event: true,
+        type: "m.room.message",
+        room: "!room:example.org",
+        user: "@alice:example.org",
+        ts,
+        content: {
+            "msgtype": "m.text",
+            "body": "reply",
+            "m.relates_to": {"m.in_reply_to": {event_id: parent.getId()}},
+        },
+    });
+}
+
+describe('ReplyTree', function() {
+    const root = testUtils.mkMessage({event: true, room: "!room:example.org", user: "@alice:example.org", ts: 1});
+    const later = mkReply(root, 3);
+    const earlier = mkReply(root, 2);
+    const nested = mkReply(earlier, 4);
+
+    describe('getRepliesByParent', function() {
+        it('should group replies by parent, oldest first, without duplicates', function() {
+            const replies = getRepliesByParent([root, later, earlier, nested, later]);
+            expect(replies.get(root.getId())).toEqual([earlier, later]);
+            expect(replies.get(earlier.getId())).toEqual([nested]);
+            expect(replies.has(later.getId())).toBe(false);
+        });
+    });
+
+    describe('buildReplyTree', function() {
+        it('should nest replies below the events they reply to', function() {
+            const tree = buildReplyTree(root, [nested, later, earlier]);
+            expect(tree.event).toBe(root);
+            expect(tree.children.map((n) => n.event)).toEqual([earlier, later]);
+            expect(tree.children[0].children.map((n) => n.event)).toEqual([nested]);
+            expect(tree.children[1].children).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,90 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+import expect from 'expect';
+import Promise from 'bluebird';
+import {MatrixEvent} from 'matrix-js-sdk';
+import * as testUtils from '../test-utils';
+import RoomExporter, {ExportFormat} from '../../src/utils/RoomExport';
+
+const ROOM = {roomId: "!room:example.org", name: "Plans: 2020/21"};
+
+function mkMessage(body) {
+    return new MatrixEvent({
+        type: "m.room.message",
+        room_id: ROOM.roomId,
+        sender: "@alice:example.org",
+        event_id: "$" + body,
+        origin_server_ts: 1000,
+        content: {msgtype: "m.text", body},
+    });
+}
+
+function readBlob(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(blob);
+    });
+}
+
+function runExport(format, events) {
+    const exporter = new RoomExporter({}, ROOM, {format});
+    exporter._fetchEvents = () => Promise.resolve(events);
+    return exporter.export().then(readBlob);
+}
+
+describe('RoomExport', function() {
+    let sandbox;
+
+    beforeEach(function() {
+        testUtils.beforeEach(this);
+        sandbox = testUtils.stubClient();
+    });
+
+    afterEach(function() {
+        sandbox.restore();
+    });
+
+    it('should name the file after the room without characters files can\'t have', function() {
+        const exporter = new RoomExporter({}, ROOM, {format: ExportFormat.Json});
+        expect(exporter.getFileName()).toMatch(/^Plans_ 2020_21 - \d{4}-\d{2}-\d{2}\.json$/);
+    });
+
+    it('should export messages as plain text', function() {
+        return runExport(ExportFormat.PlainText, [mkMessage("hello")]).then((text) => {
+            expect(text).toContain("@alice:example.org: hello\n");
+        });
+    });
+
+    it('should include what encrypted events decrypted to in JSON exports', function() {
+        const encrypted = mkMessage("secret");
+        encrypted.makeEncrypted("m.room.encrypted", {ciphertext: "abc"}, "curve25519", "ed25519");
+
+        return runExport(ExportFormat.Json, [mkMessage("hello"), encrypted]).then((text) => {
+            const exported = JSON.parse(text);
+            expect(exported.room_id).toEqual(ROOM.roomId);
+            expect(exported.events[0].content.body).toEqual("hello");
+            expect(exported.events[1].content).toEqual({ciphertext: "abc"});
+            expect(exported.events[1].decrypted).toEqual({
+                type: "m.room.message",
+                content: {msgtype: "m.text", body: "secret"},
+            });
+        });
+    });
+});
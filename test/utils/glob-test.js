@@ -0,0 +1,37 @@
+/*
+Copyright 2019 New Vector Ltd
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import expect from 'expect';
+import {globToRegex} from '../../src/utils/glob';
+
+function matches(glob, text) {
+    return new RegExp(`^${globToRegex(glob)}$`).test(text);
+}
+
+describe('globToRegex', function() {
+    it('should treat * and ? as wildcards', function() {
+        expect(matches("*.evil.com", "chat.evil.com")).toBe(true);
+        expect(matches("*.evil.com", "evil.com")).toBe(false);
+        expect(matches("@spam?:example.org", "@spam1:example.org")).toBe(true);
+        expect(matches("@spam?:example.org", "@spam:example.org")).toBe(false);
+    });
+
+    it('should treat other characters literally', function() {
+        expect(matches("a.b", "axb")).toBe(false);
+        expect(matches("(a|b)+[c]", "(a|b)+[c]")).toBe(true);
+        expect(matches("a\\b", "a\\b")).toBe(true);
+    });
+});